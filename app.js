@@ -2,22 +2,41 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const compression = require('compression');
 require('dotenv').config();
+const { apiLimiter } = require('./middlewares/rateLimiter');
 
 const app = express();
 
+// Behind a load balancer/reverse proxy, client IPs (rate limits, audit logs) come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // --- IMPORTANT: Pre-load all Mongoose models for the NEW SYSTEM ---
 require('./models/User');
+require('./models/Session');
+require('./models/PhoneOtp');
+require('./models/RateLimit');
 require('./models/DoctorProfile');
 require('./models/PhysiotherapistProfile');
 require('./models/PatientProfile');
 require('./models/PathologyProfile');
 require('./models/Referral');
 require('./models/Appointment');
+require('./models/AppointmentSeries');
+require('./models/WaitlistEntry');
+require('./models/ReportSchedule');
+require('./models/GeneratedReport');
+require('./models/PaymentEvent');
+require('./models/Payment');
+require('./models/Refund');
+require('./models/TaxSettings');
+require('./models/SecuritySettings');
+require('./models/Role');
+require('./models/DocumentSequence');
 require('./models/Prescription');
 require('./models/LabTest');
 require('./models/Commission');
@@ -27,6 +46,7 @@ require('./models/AuditLog');
 require('./models/Notification');
 require('./models/Calendar');
 require('./models/Invoice');
+require('./models/CreditNote');
 
 // Pharmacy Models
 require('./models/Medicine');
@@ -42,7 +62,15 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes for webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Data sanitization against NoSQL query injection
@@ -54,13 +82,8 @@ app.use(xss());
 // Compression
 app.use(compression());
 
-// Rate limiting
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // limit each IP to 100 requests per windowMs
-//   message: 'Too many requests from this IP, please try again after 15 minutes'
-// });
-// app.use('/api');
+// Rate limiting (per-route limits live on the auth, OTP and payment routers)
+app.use('/api', apiLimiter);
 
 // Logging
 if (process.env.NODE_ENV === 'development') {
@@ -128,6 +151,17 @@ setTimeout(() => {
   initializeCalendarSystem();
 }, 3000); // Wait 3 seconds for all models to load
 
+// --- BACKGROUND JOBS ---
+require('./jobs/waitlistJob'); // Waitlist offer expiry (every minute)
+require('./jobs/reportJob'); // Scheduled admin reports (every minute)
+require('./jobs/paymentReconciliationJob'); // Gateway reconciliation (nightly)
+require('./jobs/refundStatusJob'); // Refund status sync (every 10 minutes)
+require('./jobs/inventoryAlertJob'); // Pharmacy low-stock / expiry alerts (daily)
+require('./jobs/chatSessionJob'); // Close chats after their follow-up window (every 15 minutes)
+require('./jobs/notificationJob'); // Notification retries (every minute), daily digest, hourly purge
+require('./jobs/appointmentReminderJob'); // 24h / 2h / 15 min appointment reminders (every minute)
+require('./jobs/medicationReminderJob'); // Medication dose reminders and adherence sweep (every minute)
+
 // --- NEW ROUTES FOR AadyaPlus SYSTEM ---
 
 // Authentication Routes
@@ -148,14 +182,19 @@ app.use('/api/patient', require('./routes/patient.routes'));
 // Core Feature Routes
 app.use('/api/referral', require('./routes/referral.routes'));
 app.use('/api/appointment', require('./routes/appointment.routes'));
+app.use('/api/appointment-series', require('./routes/appointmentSeries.routes'));
+app.use('/api/waitlist', require('./routes/waitlist.routes'));
 app.use('/api/prescription', require('./routes/prescription.routes'));
+app.use('/api/medication', require('./routes/medication.routes'));
 app.use('/api/labtest', require('./routes/labtest.routes'));
 
 // Financial Routes
 app.use('/api/commission', require('./routes/comission.routes'));
 app.use('/api/invoice', require('./routes/invoice.routes'));
+app.use('/api/credit-note', require('./routes/creditNote.routes'));
 app.use('/api/billing', require('./routes/billing.routes'));
 app.use('/api/payment', require('./routes/payment.routes'));
+app.use('/api/revenue', require('./routes/revenue.routes'));
 
 // Support Routes
 app.use('/api/feedback', require('./routes/feedback.routes'));
@@ -328,12 +367,16 @@ app.get('/api/docs', (req, res) => {
       pathology: '/api/pathology',
       referral: '/api/referral',
       appointment: '/api/appointment',
+      appointmentSeries: '/api/appointment-series',
+      waitlist: '/api/waitlist',
       prescription: '/api/prescription',
       labtest: '/api/labtest',
       commission: '/api/commission',
       invoice: '/api/invoice',
+      creditNote: '/api/credit-note',
       billing: '/api/billing',
       payment: '/api/payment',
+      revenue: '/api/revenue',
       feedback: '/api/feedback',
       notifications: '/api/notifications',
       calendar: '/api/calendar',
@@ -1 +1,19 @@
-// cloudinary.js placeholder
\ No newline at end of file
+const cloudinary = require('cloudinary').v2;
+
+const cloudName = process.env.CLOUDINARY_CLOUD_NAME?.trim();
+const apiKey = process.env.CLOUDINARY_API_KEY?.trim();
+const apiSecret = process.env.CLOUDINARY_API_SECRET?.trim();
+
+// Only configured when all credentials are present
+const isConfigured = Boolean(cloudName && apiKey && apiSecret);
+
+if (isConfigured) {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret,
+    secure: true
+  });
+}
+
+module.exports = { cloudinary, isConfigured };
@@ -8,12 +8,29 @@ const Appointment = require('../models/Appointment');
 const Referral = require('../models/Referral');
 const Commission = require('../models/Commission');
 const CommissionSettings = require('../models/CommissionSettings');
+const TaxSettings = require('../models/TaxSettings');
+const SecuritySettings = require('../models/SecuritySettings');
+const Role = require('../models/Role');
 const AuditLog = require('../models/AuditLog');
 const Invoice = require('../models/Invoice');
 const LabTest = require('../models/LabTest');
 const Medicine = require('../models/Medicine');
 const PharmacySale = require('../models/PharmacySale');
 const Payout = require('../models/Payout');
+const Payment = require('../models/Payment');
+const ReportSchedule = require('../models/ReportSchedule');
+const GeneratedReport = require('../models/GeneratedReport');
+const fs = require('fs');
+const sendEmail = require('../utils/sendEmail');
+const { REPORT_TYPES, REPORT_FORMATS, REPORT_TIME_RANGES } = ReportSchedule;
+const { REPORT_NAMES, buildReport, saveReportFile, removeReportFile } = require('../utils/reportGenerator');
+const { recordPayment, getLedgerTotals, backfillPaymentLedger } = require('../utils/paymentLedger');
+const { isValidGstin, getStateCode } = require('../utils/gst');
+const { unlockAccount } = require('../utils/accountLockout');
+const { revokeAllSessions } = require('../utils/sessions');
+const { PERMISSIONS, ROLE_PERMISSIONS, ROLE_TEMPLATES, isKnownPermission, hasPermission } = require('../utils/permissions');
+const { syncChatWithAppointment } = require('../utils/chatLifecycle');
+const { backfillPharmacyIds } = require('../utils/pharmacyBackfill');
 
 // ========== DASHBOARD FUNCTIONS ==========
 
@@ -517,6 +534,13 @@ exports.toggleUserActive = async (req, res) => {
       });
     }
     
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can manage admin and staff accounts'
+      });
+    }
+    
     // Prevent deactivating own account
     if (user._id.toString() === req.user.id) {
       return res.status(400).json({
@@ -528,6 +552,9 @@ exports.toggleUserActive = async (req, res) => {
     user.isActive = !user.isActive;
     await user.save();
     
+    // A deactivated user is signed out everywhere, not just refused at the next request
+    const revokedSessions = user.isActive ? 0 : await revokeAllSessions(user._id, 'deactivated');
+    
     // Log the action
     await AuditLog.create({
       userId: req.user.id,
@@ -536,7 +563,8 @@ exports.toggleUserActive = async (req, res) => {
       entityId: user._id,
       details: {
         reason: reason || `User ${user.isActive ? 'activated' : 'deactivated'} by admin`,
-        previousStatus: !user.isActive
+        previousStatus: !user.isActive,
+        revokedSessions
       },
       timestamp: new Date()
     });
@@ -559,6 +587,106 @@ exports.toggleUserActive = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Sign a user out of all sessions
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @access  Admin
+ */
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can manage admin and staff accounts'
+      });
+    }
+    
+    const revokedSessions = await revokeAllSessions(user._id, 'admin_revoked');
+    
+    await AuditLog.create({
+      userId: req.user.id,
+      action: 'USER_SESSIONS_REVOKED',
+      entity: 'User',
+      entityId: user._id,
+      details: {
+        reason: reason || 'All sessions revoked by admin',
+        revokedSessions
+      },
+      timestamp: new Date()
+    });
+    
+    res.json({
+      success: true,
+      message: `Revoked ${revokedSessions} session(s)`,
+      revokedSessions
+    });
+    
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Unlock an account locked after failed logins
+ * @route   PUT /api/admin/users/:id/unlock
+ * @access  Admin
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+    
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can manage admin and staff accounts'
+      });
+    }
+    
+    const wasLocked = await unlockAccount(user, req, req.user, reason);
+    
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked; failed login counters reset',
+      user: {
+        id: user._id,
+        lockUntil: user.lockUntil || null,
+        failedLoginAttempts: user.failedLoginAttempts
+      }
+    });
+    
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock user'
+    });
+  }
+};
+
 /**
  * @desc    Force verify user email
  * @route   PUT /api/admin/users/:id/force-verify
@@ -1227,7 +1355,7 @@ exports.getAppointmentById = async (req, res) => {
     }
     
     // Get invoice if exists
-    const invoice = await Invoice.findOne({ appointmentId: id });
+    const invoice = await Invoice.findOne({ appointmentId: id, status: { $ne: 'credited' } });
     
     // Get commission if exists
     const commission = await Commission.findOne({ appointmentId: id });
@@ -1276,6 +1404,7 @@ exports.updateAppointmentStatus = async (req, res) => {
     }
     
     await appointment.save();
+    await syncChatWithAppointment(appointment);
     
     // Log the action
     await AuditLog.create({
@@ -1314,7 +1443,7 @@ exports.updateAppointmentStatus = async (req, res) => {
 exports.updateAppointmentPayment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { paymentStatus, paymentMethod, notes } = req.body;
+    const { paymentStatus, paymentMethod, notes, amount } = req.body;
     
     const appointment = await Appointment.findById(id);
     if (!appointment) {
@@ -1324,14 +1453,43 @@ exports.updateAppointmentPayment = async (req, res) => {
       });
     }
     
+    const previousStatus = appointment.paymentStatus;
     appointment.paymentStatus = paymentStatus;
     appointment.paymentMethod = paymentMethod;
     appointment.paymentNotes = notes;
     
     await appointment.save();
     
+    // Manual status changes are money movements too
+    if (paymentStatus === 'paid' && previousStatus !== 'paid') {
+      await recordPayment({
+        entityType: 'appointment',
+        entity: appointment,
+        transactionType: 'charge',
+        amount: amount || appointment.totalAmount,
+        method: paymentMethod,
+        description: 'Payment recorded by admin',
+        notes,
+        recordedBy: req.user.id
+      });
+    } else if (['refunded', 'partially_refunded'].includes(paymentStatus) && previousStatus !== paymentStatus) {
+      const refundAmount = amount || (paymentStatus === 'refunded' ? appointment.totalAmount : 0);
+      if (refundAmount > 0) {
+        await recordPayment({
+          entityType: 'appointment',
+          entity: appointment,
+          transactionType: 'refund',
+          amount: refundAmount,
+          method: paymentMethod,
+          description: 'Refund recorded by admin',
+          notes,
+          recordedBy: req.user.id
+        });
+      }
+    }
+    
     // Update or create invoice
-    let invoice = await Invoice.findOne({ appointmentId: id });
+    let invoice = await Invoice.findOne({ appointmentId: id, status: { $ne: 'credited' } });
     
     if (invoice) {
       invoice.status = paymentStatus === 'paid' ? 'paid' : 'sent';
@@ -1341,6 +1499,7 @@ exports.updateAppointmentPayment = async (req, res) => {
       invoice = await Invoice.create({
         invoiceType: 'appointment',
         appointmentId: id,
+        professionalType: appointment.professionalType,
         patientId: appointment.patientId,
         items: [{
           description: `${appointment.professionalType} consultation`,
@@ -1479,11 +1638,18 @@ exports.getPayments = async (req, res) => {
     };
     stats.avgTransaction = stats.success > 0 ? stats.revenue / stats.success : 0;
     
+    // Money actually collected / refunded, from the payment ledger
+    const ledgerFilter = {};
+    if (filter.createdAt) ledgerFilter.paidAt = filter.createdAt;
+    if (professionalType) ledgerFilter.professionalType = professionalType;
+    const ledger = await getLedgerTotals(ledgerFilter);
+    
     res.json({
       success: true,
       commissions,
       summary: stats,
       totals: stats,
+      ledger,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1501,6 +1667,198 @@ exports.getPayments = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get payment ledger transactions
+ * @route   GET /api/admin/payments/transactions
+ * @access  Admin
+ */
+exports.getPaymentTransactions = async (req, res) => {
+  try {
+    const {
+      transactionType,
+      entityType,
+      method,
+      gateway,
+      status,
+      patientId,
+      professionalId,
+      search,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20
+    } = req.query;
+    
+    for (const [name, value] of Object.entries({ patientId, professionalId })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ success: false, error: `Invalid ${name}` });
+      }
+    }
+    
+    const filter = {};
+    if (transactionType) filter.transactionType = transactionType;
+    if (entityType) filter.entityType = entityType;
+    if (method) filter.method = method;
+    if (gateway) filter.gateway = gateway;
+    if (status) filter.status = status;
+    if (patientId) filter.patientId = new mongoose.Types.ObjectId(patientId);
+    if (professionalId) filter.professionalId = new mongoose.Types.ObjectId(professionalId);
+    
+    if (search) {
+      filter.$or = [
+        { gatewayPaymentId: search },
+        { gatewayOrderId: search },
+        { gatewayRefundId: search },
+        { reference: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    if (startDate && endDate) {
+      filter.paidAt = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [transactions, total, totals, byMethod] = await Promise.all([
+      Payment.find(filter)
+        .populate('patientId', 'name patientId')
+        .populate('invoiceId', 'invoiceNumber')
+        .populate('recordedBy', 'name email')
+        .sort({ paidAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payment.countDocuments(filter),
+      getLedgerTotals(filter),
+      Payment.aggregate([
+        { $match: { ...filter, status: 'completed', transactionType: { $in: ['charge', 'partial_payment'] } } },
+        { $group: { _id: '$method', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+        { $sort: { amount: -1 } }
+      ])
+    ]);
+    
+    res.json({
+      success: true,
+      transactions,
+      totals,
+      byMethod,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get payment transactions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment transactions'
+    });
+  }
+};
+
+/**
+ * @desc    Record a manual ledger adjustment
+ * @route   POST /api/admin/payments/adjustments
+ * @access  Admin
+ */
+exports.createPaymentAdjustment = async (req, res) => {
+  try {
+    const { entityType, entityId, amount, method, reference, notes } = req.body;
+    
+    const models = { appointment: Appointment, labtest: LabTest, invoice: Invoice, pharmacy_sale: PharmacySale };
+    const Model = models[entityType];
+    if (!Model) {
+      return res.status(400).json({
+        success: false,
+        error: `entityType must be one of: ${Object.keys(models).join(', ')}`
+      });
+    }
+    
+    if (typeof amount !== 'number' || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A non-zero numeric amount is required'
+      });
+    }
+    
+    if (!notes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Notes explaining the adjustment are required'
+      });
+    }
+    
+    if (!mongoose.isValidObjectId(entityId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid entityId'
+      });
+    }
+    
+    const entity = await Model.findById(entityId);
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entity not found'
+      });
+    }
+    
+    const { payment } = await recordPayment({
+      entityType,
+      entity,
+      transactionType: 'adjustment',
+      amount,
+      method,
+      reference,
+      notes,
+      description: 'Manual adjustment',
+      recordedBy: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      payment
+    });
+    
+  } catch (error) {
+    console.error('Create payment adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record adjustment'
+    });
+  }
+};
+
+/**
+ * @desc    Seed the payment ledger from existing records
+ * @route   POST /api/admin/payments/ledger/backfill
+ * @access  Admin
+ */
+exports.runPaymentLedgerBackfill = async (req, res) => {
+  try {
+    const summary = await backfillPaymentLedger();
+    
+    res.json({
+      success: true,
+      message: 'Payment ledger backfill completed',
+      summary
+    });
+    
+  } catch (error) {
+    console.error('Payment ledger backfill error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to backfill payment ledger'
+    });
+  }
+};
+
 /**
  * @desc    Get commission report
  * @route   GET /api/admin/payments/commissions
@@ -2126,77 +2484,646 @@ exports.getCommissionSettings = async (req, res) => {
   try {
     const settings = await CommissionSettings.getSettings();
     
-    res.json({
+    res.json({
+      success: true,
+      settings
+    });
+    
+  } catch (error) {
+    console.error('Get commission settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch commission settings'
+    });
+  }
+};
+
+/**
+ * @desc    Update commission settings
+ * @route   PUT /api/admin/commission-settings
+ * @access  Admin
+ */
+exports.updateCommissionSettings = async (req, res) => {
+  try {
+    const settings = await CommissionSettings.getSettings();
+    
+    // Update allowed fields
+    const allowedFields = [
+      'defaultDoctorCommission',
+      'defaultPhysioCommission',
+      'defaultPathologyCommission',
+      'payoutThreshold',
+      'payoutSchedule',
+      'taxRate',
+      'minimumPayoutAmount',
+      'maxPayoutWithoutVerification'
+    ];
+    
+    Object.keys(req.body).forEach(key => {
+      if (allowedFields.includes(key) && settings[key] !== undefined) {
+        settings[key] = req.body[key];
+      }
+    });
+    
+    settings.updatedBy = req.user.id;
+    settings.updatedAt = new Date();
+    settings.version += 1;
+    
+    await settings.save();
+    
+    // Log the action
+    await AuditLog.create({
+      userId: req.user.id,
+      action: 'COMMISSION_SETTINGS_UPDATED',
+      entity: 'CommissionSettings',
+      details: { updatedFields: Object.keys(req.body) },
+      timestamp: new Date()
+    });
+    
+    res.json({
+      success: true,
+      message: 'Commission settings updated successfully',
+      settings
+    });
+    
+  } catch (error) {
+    console.error('Update commission settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update commission settings'
+    });
+  }
+};
+
+// ========== TAX SETTINGS ==========
+
+/**
+ * @desc    Get GST settings (supplier GSTIN, invoice series, HSN/SAC defaults)
+ * @route   GET /api/admin/tax-settings
+ * @access  Admin
+ */
+exports.getTaxSettings = async (req, res) => {
+  try {
+    const settings = await TaxSettings.getSettings();
+    
+    res.json({
+      success: true,
+      settings
+    });
+    
+  } catch (error) {
+    console.error('Get tax settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tax settings'
+    });
+  }
+};
+
+/**
+ * @desc    Update GST settings
+ * @route   PUT /api/admin/tax-settings
+ * @access  Admin
+ */
+exports.updateTaxSettings = async (req, res) => {
+  try {
+    const { supplier, invoicePrefix, pharmacyInvoicePrefix, creditNotePrefix, sacCodes, defaultMedicineHsn } = req.body;
+    const settings = await TaxSettings.getSettings();
+    
+    if (supplier) {
+      if (supplier.gstin && !isValidGstin(supplier.gstin)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid supplier GSTIN'
+        });
+      }
+      
+      // State code follows the GSTIN unless given explicitly
+      const stateCode = getStateCode(supplier.stateCode || supplier.gstin);
+      if ((supplier.stateCode || supplier.gstin) && !stateCode) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid supplier state'
+        });
+      }
+      if (supplier.gstin && stateCode !== supplier.gstin.slice(0, 2)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Supplier state does not match the GSTIN'
+        });
+      }
+      
+      ['legalName', 'tradeName', 'gstin', 'address', 'phone', 'email'].forEach(key => {
+        if (supplier[key] !== undefined) settings.supplier[key] = supplier[key];
+      });
+      if (stateCode) settings.supplier.stateCode = stateCode;
+    }
+    
+    if (invoicePrefix !== undefined) settings.invoicePrefix = invoicePrefix;
+    if (pharmacyInvoicePrefix !== undefined) settings.pharmacyInvoicePrefix = pharmacyInvoicePrefix;
+    if (creditNotePrefix !== undefined) settings.creditNotePrefix = creditNotePrefix;
+    if (defaultMedicineHsn !== undefined) settings.defaultMedicineHsn = defaultMedicineHsn;
+    if (sacCodes) {
+      ['consultation', 'physiotherapy', 'diagnostics', 'other'].forEach(key => {
+        if (sacCodes[key] !== undefined) settings.sacCodes[key] = sacCodes[key];
+      });
+    }
+    
+    settings.updatedBy = req.user.id;
+    await settings.save();
+    
+    res.json({
+      success: true,
+      message: 'Tax settings updated successfully',
+      settings
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Update tax settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tax settings'
+    });
+  }
+};
+
+// ========== SECURITY SETTINGS ==========
+
+/**
+ * @desc    Get security policy (mandatory 2FA)
+ * @route   GET /api/admin/security-settings
+ * @access  Admin
+ */
+exports.getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+    
+    res.json({
+      success: true,
+      settings
+    });
+    
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch security settings'
+    });
+  }
+};
+
+/**
+ * @desc    Update security policy
+ * @route   PUT /api/admin/security-settings
+ * @access  Admin
+ */
+exports.updateSecuritySettings = async (req, res) => {
+  try {
+    const { twoFactor } = req.body;
+    const settings = await SecuritySettings.getSettings();
+    
+    if (twoFactor) {
+      // Don't let an admin lock themselves out of the admin panel
+      if (twoFactor.requiredForAdmins === true && !req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Enable two-factor authentication on your own account before making it mandatory for admins'
+        });
+      }
+      
+      ['requiredForAdmins', 'requiredForPayouts'].forEach(key => {
+        if (twoFactor[key] !== undefined) settings.twoFactor[key] = !!twoFactor[key];
+      });
+      if (twoFactor.issuer !== undefined) settings.twoFactor.issuer = twoFactor.issuer;
+    }
+    
+    settings.updatedBy = req.user.id;
+    await settings.save();
+    
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      settings
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update security settings'
+    });
+  }
+};
+
+// ========== ROLES & PERMISSIONS ==========
+
+/**
+ * @desc    Permission catalogue, built-in role grants and custom role templates
+ * @route   GET /api/admin/permissions
+ * @access  Admin (roles:manage)
+ */
+exports.getPermissionCatalogue = async (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    builtInRoles: ROLE_PERMISSIONS,
+    templates: ROLE_TEMPLATES
+  });
+};
+
+/**
+ * @desc    List custom staff roles with member counts
+ * @route   GET /api/admin/roles
+ * @access  Admin (roles:manage)
+ */
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ displayName: 1 }).lean();
+    
+    const counts = await User.aggregate([
+      { $match: { role: 'staff', customRole: { $in: roles.map(role => role._id) } } },
+      { $group: { _id: '$customRole', count: { $sum: 1 } } }
+    ]);
+    
+    res.json({
+      success: true,
+      roles: roles.map(role => ({
+        ...role,
+        members: counts.find(count => count._id.toString() === role._id.toString())?.count || 0
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles'
+    });
+  }
+};
+
+/**
+ * @desc    Create a custom staff role (optionally from a template)
+ * @route   POST /api/admin/roles
+ * @access  Admin (roles:manage)
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const { name, displayName, description, template } = req.body;
+    let { permissions } = req.body;
+    
+    if (template) {
+      if (!ROLE_TEMPLATES[template]) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown template. Use one of: ${Object.keys(ROLE_TEMPLATES).join(', ')}`
+        });
+      }
+      permissions = permissions || ROLE_TEMPLATES[template].permissions;
+    }
+    
+    const grantError = validateGrants(permissions || [], req.permissions);
+    if (grantError) {
+      return res.status(400).json({
+        success: false,
+        error: grantError
+      });
+    }
+    
+    const role = await Role.create({
+      name: name || template,
+      displayName: displayName || ROLE_TEMPLATES[template]?.displayName,
+      description,
+      permissions: permissions || [],
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A role with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create role'
+    });
+  }
+};
+
+/**
+ * @desc    Update a custom staff role
+ * @route   PUT /api/admin/roles/:id
+ * @access  Admin (roles:manage)
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    const { displayName, description, permissions, isActive } = req.body;
+    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role id'
+      });
+    }
+    
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+    
+    if (permissions !== undefined) {
+      const grantError = validateGrants(permissions, req.permissions);
+      if (grantError) {
+        return res.status(400).json({
+          success: false,
+          error: grantError
+        });
+      }
+      role.permissions = permissions;
+    }
+    
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    if (isActive !== undefined) role.isActive = !!isActive;
+    role.updatedBy = req.user.id;
+    await role.save();
+    
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+    
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a custom staff role that nobody holds
+ * @route   DELETE /api/admin/roles/:id
+ * @access  Admin (roles:manage)
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role id'
+      });
+    }
+    
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+    
+    const members = await User.countDocuments({ role: 'staff', customRole: role._id });
+    if (members > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Role is assigned to ${members} staff member(s). Reassign them or deactivate the role instead.`
+      });
+    }
+    
+    await role.deleteOne();
+    
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete role'
+    });
+  }
+};
+
+/**
+ * @desc    Create a staff account with a custom role
+ * @route   POST /api/admin/staff
+ * @access  Admin (staff:manage)
+ */
+exports.createStaffUser = async (req, res) => {
+  try {
+    const { name, email, phone, password, roleId, pharmacyId } = req.body;
+    
+    if (!name || !email || !phone || !password || !roleId) {
+      return res.status(400).json({
+        success: false,
+        error: 'name, email, phone, password and roleId are required'
+      });
+    }
+    
+    const assignment = await resolveStaffAssignment(roleId, pharmacyId, req.permissions);
+    if (assignment.error) {
+      return res.status(400).json({
+        success: false,
+        error: assignment.error
+      });
+    }
+    
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+    
+    const user = await User.create({
+      name,
+      email,
+      phone,
+      password,
+      role: 'staff',
+      customRole: assignment.role._id,
+      pharmacyId: assignment.pharmacyId,
+      isVerified: true,
+      profileCompleted: true,
+      registrationSource: 'admin'
+    });
+    
+    await AuditLog.create({
+      userId: req.user.id,
+      action: 'STAFF_CREATED',
+      entity: 'User',
+      entityId: user._id,
+      details: { role: assignment.role.name, pharmacyId: assignment.pharmacyId },
+      timestamp: new Date()
+    });
+    
+    res.status(201).json({
       success: true,
-      settings
+      message: 'Staff account created successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        customRole: assignment.role.name,
+        pharmacyId: user.pharmacyId || null
+      }
     });
     
   } catch (error) {
-    console.error('Get commission settings error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Create staff user error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch commission settings'
+      error: 'Failed to create staff account'
     });
   }
 };
 
 /**
- * @desc    Update commission settings
- * @route   PUT /api/admin/commission-settings
- * @access  Admin
+ * @desc    Change a staff member's custom role or pharmacy
+ * @route   PUT /api/admin/users/:id/staff-role
+ * @access  Admin (staff:manage)
  */
-exports.updateCommissionSettings = async (req, res) => {
+exports.assignStaffRole = async (req, res) => {
   try {
-    const settings = await CommissionSettings.getSettings();
+    const { roleId, pharmacyId } = req.body;
     
-    // Update allowed fields
-    const allowedFields = [
-      'defaultDoctorCommission',
-      'defaultPhysioCommission',
-      'defaultPathologyCommission',
-      'payoutThreshold',
-      'payoutSchedule',
-      'taxRate',
-      'minimumPayoutAmount',
-      'maxPayoutWithoutVerification'
-    ];
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id'
+      });
+    }
     
-    Object.keys(req.body).forEach(key => {
-      if (allowedFields.includes(key) && settings[key] !== undefined) {
-        settings[key] = req.body[key];
-      }
-    });
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
     
-    settings.updatedBy = req.user.id;
-    settings.updatedAt = new Date();
-    settings.version += 1;
+    if (user.role !== 'staff') {
+      return res.status(400).json({
+        success: false,
+        error: 'Custom roles can only be assigned to staff accounts'
+      });
+    }
     
-    await settings.save();
+    const assignment = await resolveStaffAssignment(roleId, pharmacyId, req.permissions);
+    if (assignment.error) {
+      return res.status(400).json({
+        success: false,
+        error: assignment.error
+      });
+    }
+    
+    const previousRole = user.customRole;
+    user.customRole = assignment.role._id;
+    user.pharmacyId = assignment.pharmacyId;
+    await user.save();
     
-    // Log the action
     await AuditLog.create({
       userId: req.user.id,
-      action: 'COMMISSION_SETTINGS_UPDATED',
-      entity: 'CommissionSettings',
-      details: { updatedFields: Object.keys(req.body) },
+      action: 'STAFF_ROLE_CHANGED',
+      entity: 'User',
+      entityId: user._id,
+      details: { previousRole, role: assignment.role.name, pharmacyId: assignment.pharmacyId },
       timestamp: new Date()
     });
     
     res.json({
       success: true,
-      message: 'Commission settings updated successfully',
-      settings
+      message: 'Staff role updated successfully',
+      user: {
+        id: user._id,
+        customRole: assignment.role.name,
+        pharmacyId: user.pharmacyId || null
+      }
     });
     
   } catch (error) {
-    console.error('Update commission settings error:', error);
+    console.error('Assign staff role error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update commission settings'
+      error: 'Failed to assign staff role'
     });
   }
 };
 
+// Role must exist, be active and not exceed the assigner's own grants
+async function resolveStaffAssignment(roleId, pharmacyId, actorPermissions) {
+  if (!mongoose.isValidObjectId(roleId)) return { error: 'Invalid roleId' };
+  
+  const role = await Role.findById(roleId);
+  if (!role || !role.isActive) return { error: 'Role not found or inactive' };
+  
+  const grantError = validateGrants(role.permissions, actorPermissions);
+  if (grantError) return { error: grantError };
+  
+  // Pharmacy permissions only make sense within one pharmacy
+  const grantsPharmacyAccess = Object.keys(PERMISSIONS)
+    .some(permission => permission.startsWith('pharmacy:') && hasPermission(role.permissions, permission));
+  if (!pharmacyId) {
+    return grantsPharmacyAccess
+      ? { error: 'pharmacyId is required for roles with pharmacy permissions' }
+      : { role, pharmacyId: undefined };
+  }
+  
+  if (!mongoose.isValidObjectId(pharmacyId) || !(await PharmacyProfile.exists({ _id: pharmacyId }))) {
+    return { error: 'Pharmacy not found' };
+  }
+  return { role, pharmacyId };
+}
+
 // ========== VERIFICATIONS ==========
 
 /**
@@ -2633,7 +3560,7 @@ exports.getPharmacyById = async (req, res) => {
     
     // Get inventory stats
     const inventoryStats = await Medicine.aggregate([
-      { $match: { pharmacyId: id, isActive: true } },
+      { $match: { pharmacyId: pharmacy._id, isActive: true } },
       {
         $group: {
           _id: null,
@@ -2737,6 +3664,35 @@ exports.deletePharmacy = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Assign an owning pharmacy to inventory, sales and purchase orders recorded before scoping
+ * @route   POST /api/admin/pharmacy/inventory/backfill
+ * @access  Admin
+ */
+exports.runPharmacyInventoryBackfill = async (req, res) => {
+  try {
+    const summary = await backfillPharmacyIds({ defaultPharmacyId: req.body.defaultPharmacyId });
+    
+    res.json({
+      success: true,
+      message: summary.unresolved
+        ? `${summary.unresolved} records could not be matched to a pharmacy; re-run with defaultPharmacyId`
+        : 'Pharmacy inventory backfill completed',
+      summary
+    });
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Pharmacy inventory backfill error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to backfill pharmacy inventory'
+    });
+  }
+};
+
 // ========== SYSTEM & AUDIT ==========
 
 /**
@@ -2938,6 +3894,21 @@ exports.exportReport = async (req, res) => {
 
 // ========== HELPER FUNCTIONS ==========
 
+// Staff may manage ordinary accounts, but only admins touch admin and staff accounts
+function canManageAccount(actor, target) {
+  return actor.role === 'admin' || !['admin', 'staff'].includes(target.role);
+}
+
+// Permissions must exist, and nobody can grant what they do not hold themselves
+function validateGrants(permissions, actorPermissions) {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter(permission => typeof permission !== 'string' || !isKnownPermission(permission));
+  if (unknown.length > 0) return `Unknown permissions: ${unknown.join(', ')}`;
+  const notHeld = permissions.filter(permission => !hasPermission(actorPermissions, permission));
+  if (notHeld.length > 0) return `You cannot grant permissions you do not hold: ${notHeld.join(', ')}`;
+  return null;
+}
+
 function buildFilter({ verificationStatus, specialization, search }) {
   const filter = {};
   
@@ -3366,20 +4337,28 @@ exports.getLabTestKpis = async (req, res) => {
 };
 
 /**
- * @desc    Get pharmacy KPIs
+ * @desc    Get pharmacy KPIs (all pharmacies, or one with ?pharmacyId=)
  * @route   GET /api/admin/kpis/pharmacy
  * @access  Admin
  */
 exports.getPharmacyKpis = async (req, res) => {
   try {
-    const totalMedicines = await Medicine.countDocuments({ isActive: true });
+    const { pharmacyId } = req.query;
+    if (pharmacyId && !mongoose.isValidObjectId(pharmacyId)) {
+      return res.status(400).json({ success: false, error: 'Invalid pharmacyId' });
+    }
+    const scope = pharmacyId ? { pharmacyId: new mongoose.Types.ObjectId(pharmacyId) } : {};
+    
+    const totalMedicines = await Medicine.countDocuments({ ...scope, isActive: true });
     const lowStock = await Medicine.countDocuments({
-      quantity: { $lte: { $ifNull: ['$reorderLevel', 10] } }
+      ...scope,
+      isActive: true,
+      $expr: { $lte: ['$quantity', { $ifNull: ['$reorderLevel', 10] }] }
     });
-    const totalSales = await PharmacySale.countDocuments({ status: 'dispensed' });
+    const totalSales = await PharmacySale.countDocuments({ ...scope, status: 'dispensed' });
     
     const revenue = await PharmacySale.aggregate([
-      { $match: { status: 'dispensed' } },
+      { $match: { ...scope, status: 'dispensed' } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
@@ -3454,13 +4433,19 @@ exports.getRevenueKpis = async (req, res) => {
 };
 
 /**
- * @desc    Get top medicines KPI
+ * @desc    Get top medicines KPI (all pharmacies, or one with ?pharmacyId=)
  * @route   GET /api/admin/kpis/top-medicines
  * @access  Admin
  */
 exports.getTopMedicinesKpi = async (req, res) => {
   try {
+    const { pharmacyId } = req.query;
+    if (pharmacyId && !mongoose.isValidObjectId(pharmacyId)) {
+      return res.status(400).json({ success: false, error: 'Invalid pharmacyId' });
+    }
+    
     const top = await PharmacySale.aggregate([
+      { $match: pharmacyId ? { pharmacyId: new mongoose.Types.ObjectId(pharmacyId) } : {} },
       { $unwind: '$items' },
       {
         $group: {
@@ -3671,67 +4656,39 @@ exports.getPerformanceAnalytics = async (req, res) => {
 // ========== REPORTS MANAGEMENT ==========
 
 /**
- * @desc    Get all reports
+ * @desc    Get generated reports
  * @route   GET /api/admin/reports
  * @access  Admin
  */
 exports.getReports = async (req, res) => {
   try {
-    // This would typically come from a Reports collection
-    // For now, generate reports from existing data
-    const reports = [];
+    const { type, status, scheduleId, page = 1, limit = 20 } = req.query;
 
-    // Generate reports from different data sources
-    const now = new Date();
-    
-    // Add financial report
-    reports.push({
-      _id: `report_${Date.now()}_1`,
-      type: 'financial',
-      name: 'Financial Report',
-      timeRange: 'month',
-      format: 'pdf',
-      status: 'completed',
-      generatedAt: now.toISOString(),
-      generatedBy: req.user.name || 'Admin',
-      fileSize: 1500000,
-      pageCount: 12,
-      description: 'Monthly financial summary including revenue, commissions, and payouts'
-    });
-
-    // Add user report
-    reports.push({
-      _id: `report_${Date.now()}_2`,
-      type: 'user',
-      name: 'User Analytics',
-      timeRange: 'month',
-      format: 'excel',
-      status: 'completed',
-      generatedAt: new Date(now.setDate(now.getDate() - 2)).toISOString(),
-      generatedBy: 'System',
-      fileSize: 850000,
-      pageCount: 8,
-      description: 'User growth, roles distribution, and activity metrics'
-    });
-
-    // Add appointment report
-    reports.push({
-      _id: `report_${Date.now()}_3`,
-      type: 'appointment',
-      name: 'Appointment Report',
-      timeRange: 'month',
-      format: 'csv',
-      status: 'completed',
-      generatedAt: new Date(now.setDate(now.getDate() - 5)).toISOString(),
-      generatedBy: 'System',
-      fileSize: 1200000,
-      pageCount: 15,
-      description: 'Appointment trends, completion rates, and professional performance'
-    });
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+    if (scheduleId) filter.scheduleId = scheduleId;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [reports, total] = await Promise.all([
+      GeneratedReport.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      GeneratedReport.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
-      reports
+      reports: reports.map(formatGeneratedReport),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
     });
   } catch (err) {
     console.error('Error fetching reports:', err);
@@ -3746,37 +4703,49 @@ exports.getReports = async (req, res) => {
  */
 exports.generateReport = async (req, res) => {
   try {
-    const { type, timeRange, format, includeCharts, includeDetails, emailReport } = req.body;
+    const {
+      type,
+      timeRange = 'month',
+      format = 'pdf',
+      includeCharts = false,
+      includeDetails = true,
+      emailReport = false,
+      recipients
+    } = req.body;
+
+    const validationError = validateReportOptions({ type, timeRange, format });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    // Emailing without an explicit list sends the report to the requesting admin
+    let emailTo = [];
+    if (emailReport) {
+      emailTo = Array.isArray(recipients) && recipients.length ? recipients : [req.user.email].filter(Boolean);
+    }
 
-    // This would trigger report generation job
-    // For now, return a mock report
-    const report = {
-      _id: `report_${Date.now()}`,
+    const report = await createGeneratedReport({
       type,
-      name: reportTypes.find(r => r.id === type)?.name || 'Report',
       timeRange,
       format,
-      status: 'completed',
-      generatedAt: new Date().toISOString(),
-      generatedBy: req.user.name || 'Admin',
-      fileSize: 2000000,
-      pageCount: 10,
-      description: `${type} report generated for ${timeRange}`,
-      downloadUrl: `/api/admin/export/report?type=${type}&format=${format}`
-    };
-
-    // Log the action
-    await AuditLog.create({
-      userId: req.user.id,
-      action: 'REPORT_GENERATED',
-      entity: 'Report',
-      details: { type, timeRange, format },
-      timestamp: new Date()
+      includeCharts,
+      includeDetails,
+      recipients: emailTo,
+      generatedBy: req.user.id,
+      generatedByName: req.user.name || 'Admin'
     });
 
-    res.json({
+    if (report.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: report.error || 'Failed to generate report',
+        report: formatGeneratedReport(report)
+      });
+    }
+
+    res.status(201).json({
       success: true,
-      report
+      report: formatGeneratedReport(report)
     });
   } catch (err) {
     console.error('Error generating report:', err);
@@ -3784,6 +4753,35 @@ exports.generateReport = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Download a generated report file
+ * @route   GET /api/admin/reports/:id/download
+ * @access  Admin
+ */
+exports.downloadReport = async (req, res) => {
+  try {
+    const report = await GeneratedReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    if (report.status !== 'completed' || !report.filePath) {
+      return res.status(400).json({ success: false, error: `Report is ${report.status}` });
+    }
+
+    if (!fs.existsSync(report.filePath)) {
+      return res.status(410).json({ success: false, error: 'Report file is no longer available' });
+    }
+
+    res.setHeader('Content-Type', report.mimeType);
+    res.download(report.filePath, report.fileName);
+  } catch (err) {
+    console.error('Error downloading report:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
 /**
  * @desc    Get scheduled reports
  * @route   GET /api/admin/reports/scheduled
@@ -3791,34 +4789,9 @@ exports.generateReport = async (req, res) => {
  */
 exports.getScheduledReports = async (req, res) => {
   try {
-    // This would come from a ScheduledReports collection
-    // For now, return mock data
-    const schedules = [
-      {
-        id: 'schedule_1',
-        reportType: 'financial',
-        frequency: 'monthly',
-        dayOfMonth: 1,
-        time: '09:00',
-        format: 'pdf',
-        includeCharts: true,
-        includeDetails: true,
-        nextRun: new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1, 9, 0, 0).toISOString(),
-        recipients: ['admin@example.com']
-      },
-      {
-        id: 'schedule_2',
-        reportType: 'user',
-        frequency: 'weekly',
-        dayOfWeek: 'monday',
-        time: '10:00',
-        format: 'excel',
-        includeCharts: false,
-        includeDetails: true,
-        nextRun: new Date(new Date().setDate(new Date().getDate() + (8 - new Date().getDay()))).toISOString(),
-        recipients: ['admin@example.com']
-      }
-    ];
+    const schedules = await ReportSchedule.find()
+      .sort({ nextRun: 1 })
+      .populate('lastReportId', 'status fileName generatedAt');
 
     res.json({
       success: true,
@@ -3837,37 +4810,67 @@ exports.getScheduledReports = async (req, res) => {
  */
 exports.scheduleReport = async (req, res) => {
   try {
-    const { reportType, frequency, dayOfMonth, dayOfWeek, time, format, includeCharts, includeDetails, recipients } = req.body;
-
-    // Calculate next run date
-    const nextRun = calculateNextRun({ frequency, dayOfMonth, dayOfWeek, time });
-
-    const schedule = {
-      id: `schedule_${Date.now()}`,
+    const {
       reportType,
       frequency,
       dayOfMonth,
       dayOfWeek,
       time,
+      timeRange,
+      format = 'pdf',
+      includeCharts,
+      includeDetails,
+      recipients = []
+    } = req.body;
+
+    const validationError = validateReportOptions({ type: reportType, timeRange, format });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    if (!['daily', 'weekly', 'monthly', 'quarterly'].includes(frequency)) {
+      return res.status(400).json({ success: false, error: 'Frequency must be daily, weekly, monthly or quarterly' });
+    }
+
+    if (!time || !/^([01]\d|2[0-3]):([0-5]\d)$/.test(time)) {
+      return res.status(400).json({ success: false, error: 'Time must be in HH:MM format' });
+    }
+
+    if (frequency === 'weekly' && !dayOfWeek) {
+      return res.status(400).json({ success: false, error: 'dayOfWeek is required for weekly schedules' });
+    }
+
+    if (!Array.isArray(recipients) || !recipients.length) {
+      return res.status(400).json({ success: false, error: 'At least one recipient email is required' });
+    }
+
+    const schedule = await ReportSchedule.create({
+      reportType,
+      frequency,
+      dayOfMonth: ['monthly', 'quarterly'].includes(frequency) ? (dayOfMonth || 1) : undefined,
+      dayOfWeek: frequency === 'weekly' ? dayOfWeek : undefined,
+      time,
+      // Default to the period since the previous run
+      timeRange: timeRange || FREQUENCY_TIME_RANGES[frequency],
       format,
       includeCharts,
       includeDetails,
       recipients,
-      nextRun: nextRun.toISOString(),
-      createdAt: new Date().toISOString(),
+      nextRun: calculateNextRun({ frequency, dayOfMonth: dayOfMonth || 1, dayOfWeek, time }),
       createdBy: req.user.id
-    };
+    });
 
     // Log the action
     await AuditLog.create({
       userId: req.user.id,
       action: 'REPORT_SCHEDULED',
       entity: 'ReportSchedule',
+      entityId: schedule._id,
       details: { reportType, frequency, time },
       timestamp: new Date()
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
       schedule
     });
@@ -3886,6 +4889,11 @@ exports.deleteScheduledReport = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const schedule = await ReportSchedule.findByIdAndDelete(id);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'Scheduled report not found' });
+    }
+
     // Log the action
     await AuditLog.create({
       userId: req.user.id,
@@ -3914,6 +4922,13 @@ exports.deleteReport = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const report = await GeneratedReport.findByIdAndDelete(id);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    await removeReportFile(report.filePath);
+
     // Log the action
     await AuditLog.create({
       userId: req.user.id,
@@ -3959,14 +4974,206 @@ exports.clearAuditLogs = async (req, res) => {
   }
 };
 
-// Helper function to calculate next run date
-function calculateNextRun({ frequency, dayOfMonth, dayOfWeek, time }) {
+// ========== REPORT HELPERS ==========
+
+// Period a scheduled report covers when none is given
+const FREQUENCY_TIME_RANGES = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  quarterly: 'quarter'
+};
+
+// A claimed schedule is skipped by other ticks until this passes
+const REPORT_RUN_LOCK_MS = 10 * 60 * 1000;
+
+function validateReportOptions({ type, timeRange, format }) {
+  if (!REPORT_TYPES.includes(type)) {
+    return `Report type must be one of: ${REPORT_TYPES.join(', ')}`;
+  }
+  if (!REPORT_FORMATS.includes(format)) {
+    return `Report format must be one of: ${REPORT_FORMATS.join(', ')}`;
+  }
+  if (timeRange && !REPORT_TIME_RANGES.includes(timeRange)) {
+    return `Time range must be one of: ${REPORT_TIME_RANGES.join(', ')}`;
+  }
+  return null;
+}
+
+function formatGeneratedReport(report) {
+  return {
+    _id: report._id,
+    type: report.type,
+    name: report.name,
+    description: report.description,
+    timeRange: report.timeRange,
+    periodStart: report.periodStart,
+    periodEnd: report.periodEnd,
+    format: report.format,
+    status: report.status,
+    error: report.error,
+    generatedAt: report.generatedAt || report.createdAt,
+    generatedBy: report.generatedByName,
+    scheduleId: report.scheduleId,
+    fileName: report.fileName,
+    fileSize: report.fileSize,
+    pageCount: report.pageCount,
+    summary: report.summary,
+    emailedTo: report.emailedTo,
+    emailStatus: report.emailStatus,
+    downloadUrl: report.status === 'completed' ? `/api/admin/reports/${report._id}/download` : null
+  };
+}
+
+/**
+ * Build, store and (optionally) email a report
+ * Failures are recorded on the GeneratedReport rather than thrown
+ */
+async function createGeneratedReport({
+  type,
+  timeRange = 'month',
+  format = 'pdf',
+  includeCharts = false,
+  includeDetails = true,
+  recipients = [],
+  scheduleId,
+  generatedBy,
+  generatedByName = 'System'
+}) {
+  const report = await GeneratedReport.create({
+    type,
+    name: REPORT_NAMES[type],
+    timeRange,
+    format,
+    status: 'generating',
+    scheduleId,
+    generatedBy,
+    generatedByName
+  });
+
+  try {
+    const built = await buildReport({ type, timeRange, format, includeCharts, includeDetails });
+    const filePath = await saveReportFile(built.fileName, built.buffer);
+
+    report.set({
+      status: 'completed',
+      description: built.description,
+      periodStart: built.periodStart,
+      periodEnd: built.periodEnd,
+      summary: built.summary,
+      fileName: built.fileName,
+      filePath,
+      mimeType: built.mimeType,
+      fileSize: built.buffer.length,
+      pageCount: built.pageCount,
+      generatedAt: new Date()
+    });
+    await report.save();
+  } catch (error) {
+    console.error(`Error building ${type} report:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+    await report.save();
+    return report;
+  }
+
+  if (recipients.length) {
+    await emailGeneratedReport(report, recipients);
+  }
+
+  return report;
+}
+
+async function emailGeneratedReport(report, recipients) {
+  try {
+    await sendEmail({
+      to: recipients.join(', '),
+      subject: `${report.name} (${report.periodStart.toDateString()} - ${report.periodEnd.toDateString()})`,
+      text: [
+        `Please find attached the ${report.name.toLowerCase()} for ${report.periodStart.toDateString()} to ${report.periodEnd.toDateString()}.`,
+        '',
+        ...(report.summary || []).map(item => `${item.label}: ${item.value}`)
+      ].join('\n'),
+      attachments: [{
+        filename: report.fileName,
+        path: report.filePath,
+        contentType: report.mimeType
+      }]
+    });
+    report.emailStatus = 'sent';
+    report.emailError = undefined;
+  } catch (error) {
+    console.error('Error emailing report:', error.message);
+    report.emailStatus = 'failed';
+    report.emailError = error.message;
+  }
+  report.emailedTo = recipients;
+  await report.save();
+}
+
+/**
+ * Run every active schedule whose nextRun has passed
+ * Each schedule is claimed atomically so overlapping runners never double-send
+ */
+async function processDueReportSchedules() {
   const now = new Date();
+  const due = await ReportSchedule.find({ isActive: true, nextRun: { $lte: now } }).select('_id');
+
+  let generated = 0;
+  let failed = 0;
+
+  for (const { _id } of due) {
+    const schedule = await ReportSchedule.findOneAndUpdate(
+      {
+        _id,
+        isActive: true,
+        nextRun: { $lte: now },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + REPORT_RUN_LOCK_MS) },
+      { new: true }
+    );
+    if (!schedule) continue;
+
+    const report = await createGeneratedReport({
+      type: schedule.reportType,
+      timeRange: schedule.timeRange,
+      format: schedule.format,
+      includeCharts: schedule.includeCharts,
+      includeDetails: schedule.includeDetails,
+      recipients: schedule.recipients,
+      scheduleId: schedule._id,
+      generatedByName: 'System'
+    });
+
+    if (report.status === 'completed') generated++;
+    else failed++;
+
+    schedule.lastRunAt = new Date();
+    schedule.lastReportId = report._id;
+    schedule.lastError = report.status === 'failed' ? report.error : report.emailError;
+    schedule.nextRun = calculateNextRun(schedule);
+    schedule.lockedUntil = null;
+    await schedule.save();
+  }
+
+  return { generated, failed };
+}
+
+// Helper function to calculate next run date
+function calculateNextRun({ frequency, dayOfMonth, dayOfWeek, time }, from = new Date()) {
+  const now = new Date(from);
   const [hours, minutes] = time.split(':').map(Number);
-  
+
   const next = new Date(now);
   next.setHours(hours, minutes, 0, 0);
 
+  // Day of month clamped to the month's length (e.g. 31 -> 30 in April)
+  const setMonthDay = (date, year, month) => {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    date.setFullYear(year, month, Math.min(dayOfMonth || 1, lastDay));
+  };
+
   switch(frequency) {
     case 'daily':
       if (next <= now) {
@@ -3978,21 +5185,32 @@ function calculateNextRun({ frequency, dayOfMonth, dayOfWeek, time }) {
       const targetDay = days.indexOf(dayOfWeek);
       const currentDay = next.getDay();
       let daysToAdd = targetDay - currentDay;
-      if (daysToAdd <= 0 || (daysToAdd === 0 && next <= now)) {
+      if (daysToAdd < 0 || (daysToAdd === 0 && next <= now)) {
         daysToAdd += 7;
       }
       next.setDate(next.getDate() + daysToAdd);
       break;
     case 'monthly':
-      next.setDate(dayOfMonth);
+      setMonthDay(next, now.getFullYear(), now.getMonth());
       if (next <= now) {
-        next.setMonth(next.getMonth() + 1);
+        setMonthDay(next, now.getFullYear(), now.getMonth() + 1);
       }
       break;
-    case 'quarterly':
-      next.setMonth(next.getMonth() + 3);
+    case 'quarterly': {
+      // Runs in the first month of each calendar quarter
+      let month = now.getMonth() - (now.getMonth() % 3);
+      setMonthDay(next, now.getFullYear(), month);
+      while (next <= now) {
+        month += 3;
+        setMonthDay(next, now.getFullYear(), month);
+      }
       break;
+    }
   }
 
   return next;
-}
\ No newline at end of file
+}
+
+module.exports.calculateNextRun = calculateNextRun;
+module.exports.createGeneratedReport = createGeneratedReport;
+module.exports.processDueReportSchedules = processDueReportSchedules;
@@ -6,9 +6,13 @@ const PathologyProfile = require('../models/PathologyProfile'); // ✅ NEW
 const PatientProfile = require('../models/PatientProfile');
 const Commission = require('../models/Commission');
 const CommissionSettings = require('../models/CommissionSettings');
-const Notification = require('../models/Notification');
 const Calendar = require('../models/Calendar');
 const Invoice = require('../models/Invoice');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const { checkSlotAvailability, withSlotLock, calculateEndTime, getDurationError } = require('../utils/slotAvailability');
+const { getCancellationTerms, initiateRefund } = require('../utils/refunds');
+const { syncChatWithAppointment } = require('../utils/chatLifecycle');
+const { notify } = require('../utils/notifications');
 
 // ========== HELPER FUNCTIONS ==========
 // ========== HELPER FUNCTIONS ==========
@@ -40,7 +44,8 @@ exports.createAppointment = async (req, res) => {
       address,
       location,
       symptoms,
-      reason
+      reason,
+      duration: requestedDuration
     } = req.body;
 
     if (!professionalId || !professionalType || !appointmentDate || !startTime) {
@@ -176,21 +181,23 @@ exports.createAppointment = async (req, res) => {
       });
     }
 
-    // Check availability
-    const isAvailable = await checkAvailability(
-      professionalId,
-      professionalType,
-      appointmentDate,
-      startTime
-    );
+    // Determine appointment duration
+    const defaultDuration =
+      professionalType === 'doctor' ? 30 :
+      professionalType === 'physio' ? 60 :
+      30; // pathology default
 
-    if (!isAvailable) {
+    const duration = parseInt(requestedDuration, 10) || defaultDuration;
+    const durationError = getDurationError(duration);
+    if (durationError) {
       return res.status(400).json({
         success: false,
-        error: 'Selected time slot is not available'
+        error: durationError
       });
     }
 
+    const endTime = calculateEndTime(startTime, duration);
+
     // Get commission settings
     const settings = await CommissionSettings.findOne();
     if (!settings) {
@@ -210,12 +217,6 @@ exports.createAppointment = async (req, res) => {
     const platformCommission = Math.round((consultationFee * commissionRate) / 100);
     const professionalEarning = consultationFee - platformCommission;
 
-    // Determine appointment duration
-    const duration =
-      professionalType === 'doctor' ? 30 :
-      professionalType === 'physio' ? 60 :
-      30; // pathology default
-
     const idField =
       professionalType === 'doctor'
         ? 'doctorId'
@@ -226,31 +227,50 @@ exports.createAppointment = async (req, res) => {
     // Generate meeting link if type is video
     const meetingLink = type === 'video' ? generateMeetingLink() : undefined;
 
-    // Create appointment
-    const appointment = await Appointment.create({
-      referralId,
-      patientId,
-      [idField]: professionalId,
-      professionalType,
-      appointmentDate: appointmentDateTime,
-      startTime,
-      duration,
-      type,
-      meetingLink,
-      address: type === 'home' ? address : undefined,
-      location: type === 'home' ? location : undefined,
-      symptoms: symptoms || [],
-      reason: reason || '',
-      consultationFee,
-      platformCommission,
-      professionalEarning,
-      totalAmount: consultationFee,
-      status: 'pending',
-      paymentStatus: 'pending',
-      createdBy: req.user.id,
-      patientNotes: req.body.patientNotes
+    // Check availability and create appointment under the booking lock,
+    // so two requests cannot both claim an overlapping interval
+    const slot = { professionalId, professionalType, date: appointmentDateTime };
+
+    const { availability, appointment } = await withSlotLock(slot, async () => {
+      const availability = await checkSlotAvailability({ ...slot, startTime, endTime, duration });
+      if (!availability.available) return { availability };
+
+      const appointment = await Appointment.create({
+        referralId,
+        patientId,
+        [idField]: professionalId,
+        professionalType,
+        appointmentDate: appointmentDateTime,
+        startTime,
+        endTime,
+        duration,
+        type,
+        meetingLink,
+        address: type === 'home' ? address : undefined,
+        location: type === 'home' ? location : undefined,
+        symptoms: symptoms || [],
+        reason: reason || '',
+        consultationFee,
+        platformCommission,
+        professionalEarning,
+        totalAmount: consultationFee,
+        status: 'pending',
+        paymentStatus: 'pending',
+        createdBy: req.user.id,
+        patientNotes: req.body.patientNotes
+      });
+
+      return { availability, appointment };
     });
 
+    if (!availability.available) {
+      return res.status(409).json({
+        success: false,
+        error: availability.reason || 'Selected time slot is not available',
+        conflicts: availability.conflicts
+      });
+    }
+
     // Update referral status if applicable
     if (referralId) {
       await Referral.findByIdAndUpdate(referralId, {
@@ -305,7 +325,7 @@ exports.createAppointment = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating appointment:', error.message);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -498,7 +518,7 @@ exports.getAppointmentById = async (req, res) => {
 
     let invoice = null;
     if (appointment.paymentStatus === 'paid' || appointment.status === 'completed') {
-      invoice = await Invoice.findOne({ appointmentId: appointment._id });
+      invoice = await Invoice.findOne({ appointmentId: appointment._id, status: { $ne: 'credited' } });
     }
 
     res.json({
@@ -521,7 +541,7 @@ exports.getAppointmentById = async (req, res) => {
 exports.updateAppointmentStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, cancellationReason, notes } = req.body;
+    const { status, cancellationReason, notes, chatFollowupDays } = req.body;
 
     if (!status) {
       return res.status(400).json({ success: false, error: 'Status is required' });
@@ -547,12 +567,13 @@ exports.updateAppointmentStatus = async (req, res) => {
     const oldStatus = appointment.status;
     appointment.status = status;
 
+    let cancellationTerms;
     if (status === 'cancelled') {
       appointment.cancellationReason = cancellationReason;
       appointment.cancelledBy = req.user.role;
       appointment.cancelledAt = new Date();
-      appointment.cancellationFee = calculateCancellationFee(appointment);
-      await updateCalendarForCancellation(appointment);
+      cancellationTerms = await getCancellationTerms(appointment);
+      appointment.cancellationFee = cancellationTerms.cancellationFee;
     }
 
     if (status === 'accepted' || status === 'rejected') {
@@ -580,12 +601,22 @@ exports.updateAppointmentStatus = async (req, res) => {
     }
 
     await appointment.save();
+
+    // Free the slot only once the cancellation is persisted, so waitlist offers see it as open
+    let refund = null;
+    if (status === 'cancelled') {
+      await updateCalendarForCancellation(appointment);
+      refund = await refundCancelledAppointment(appointment, cancellationTerms, req.user.id);
+    }
+
+    await syncChatWithAppointment(appointment, { followupDays: chatFollowupDays });
     await sendStatusUpdateNotification(appointment, oldStatus, appointment.status);
 
     res.json({
       success: true,
       message: `Appointment ${appointment.status} successfully`,
-      appointment
+      appointment,
+      ...(refund && { refund })
     });
   } catch (error) {
     console.error('Error updating appointment status:', error.message);
@@ -659,10 +690,13 @@ exports.cancelAppointment = async (req, res) => {
     appointment.cancellationReason = reason || 'Cancelled by user';
     appointment.cancelledBy = req.user.role;
     appointment.cancelledAt = new Date();
-    appointment.cancellationFee = calculateCancellationFee(appointment);
+    const cancellationTerms = await getCancellationTerms(appointment);
+    appointment.cancellationFee = cancellationTerms.cancellationFee;
 
     await appointment.save();
     await updateCalendarForCancellation(appointment);
+    const refund = await refundCancelledAppointment(appointment, cancellationTerms, req.user.id);
+    await syncChatWithAppointment(appointment);
     await sendCancellationNotification(appointment);
 
     res.json({
@@ -670,7 +704,8 @@ exports.cancelAppointment = async (req, res) => {
       message: 'Appointment cancelled successfully',
       appointment,
       cancellationFee: appointment.cancellationFee,
-      refundAmount: appointment.totalAmount - appointment.cancellationFee
+      refundAmount: cancellationTerms.refundAmount,
+      refund
     });
   } catch (error) {
     console.error('Error cancelling appointment:', error.message);
@@ -730,37 +765,51 @@ exports.rescheduleAppointment = async (req, res) => {
           ? appointment.physioId
           : appointment.pathologyId;
 
-    const isAvailable = await checkAvailability(
-      professionalId,
-      appointment.professionalType,
-      newDate,
-      newTime
-    );
+    const duration = appointment.duration || 30;
+    const newEndTime = calculateEndTime(newTime, duration);
+    const slot = { professionalId, professionalType: appointment.professionalType, date: newDateTime };
 
-    if (!isAvailable) {
-      return res.status(400).json({ success: false, error: 'Selected time slot is not available' });
-    }
+    const oldDate = appointment.appointmentDate;
+    const oldTime = appointment.startTime;
 
-    const previousAppointment = {
-      originalDate: appointment.appointmentDate,
-      originalTime: appointment.startTime,
-      rescheduledDate: new Date(),
-      reason: reason || 'Rescheduled by patient'
-    };
+    const availability = await withSlotLock(slot, async () => {
+      const availability = await checkSlotAvailability({
+        ...slot,
+        startTime: newTime,
+        endTime: newEndTime,
+        duration,
+        excludeAppointmentId: appointment._id
+      });
+      if (!availability.available) return availability;
 
-    appointment.previousAppointments = appointment.previousAppointments || [];
-    appointment.previousAppointments.push(previousAppointment);
+      const previousAppointment = {
+        originalDate: appointment.appointmentDate,
+        originalTime: appointment.startTime,
+        rescheduledDate: new Date(),
+        reason: reason || 'Rescheduled by patient'
+      };
 
-    const oldDate = appointment.appointmentDate;
-    const oldTime = appointment.startTime;
+      appointment.previousAppointments = appointment.previousAppointments || [];
+      appointment.previousAppointments.push(previousAppointment);
 
-    appointment.appointmentDate = newDateTime;
-    appointment.startTime = newTime;
-    appointment.rescheduleCount += 1;
-    appointment.rescheduleReason = reason;
-    appointment.status = 'pending';
+      appointment.appointmentDate = newDateTime;
+      appointment.startTime = newTime;
+      appointment.endTime = newEndTime;
+      appointment.rescheduleCount += 1;
+      appointment.rescheduleReason = reason;
+      appointment.status = 'pending';
 
-    await appointment.save();
+      await appointment.save();
+      return availability;
+    });
+
+    if (!availability.available) {
+      return res.status(409).json({
+        success: false,
+        error: availability.reason || 'Selected time slot is not available',
+        conflicts: availability.conflicts
+      });
+    }
 
     await updateCalendarForReschedule(appointment, oldDate, oldTime);
     await sendRescheduleNotification(appointment, oldDate, oldTime);
@@ -773,7 +822,7 @@ exports.rescheduleAppointment = async (req, res) => {
     });
   } catch (error) {
     console.error('Error rescheduling appointment:', error.message);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 };
 
@@ -781,7 +830,7 @@ exports.rescheduleAppointment = async (req, res) => {
 exports.completeAppointment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { notes, followupRequired, followupDate } = req.body;
+    const { notes, followupRequired, followupDate, chatFollowupDays } = req.body;
 
     const appointment = await Appointment.findById(id);
     if (!appointment) {
@@ -836,6 +885,9 @@ exports.completeAppointment = async (req, res) => {
 
     await updateProfessionalStats(appointment);
     await createInvoiceForAppointment(appointment);
+    await updateSeriesProgress(appointment);
+    // Chat stays open for follow-up questions, then closes (chatFollowupDays: 0 closes it now)
+    await syncChatWithAppointment(appointment, { followupDays: chatFollowupDays });
     await sendCompletionNotification(appointment);
 
     res.json({
@@ -852,35 +904,6 @@ exports.completeAppointment = async (req, res) => {
 
 // ========== HELPER FUNCTIONS ==========
 
-async function checkAvailability(professionalId, professionalType, date, time) {
-  try {
-    const appointmentDate = new Date(date);
-
-    const idField =
-      professionalType === 'doctor' ? 'doctorId' :
-      professionalType === 'physio' ? 'physioId' :
-      'pathologyId';
-
-    const dayStart = new Date(appointmentDate);
-    dayStart.setHours(0, 0, 0, 0);
-
-    const dayEnd = new Date(appointmentDate);
-    dayEnd.setHours(23, 59, 59, 999);
-
-    const appointments = await Appointment.find({
-      [idField]: professionalId,
-      appointmentDate: { $gte: dayStart, $lt: dayEnd },
-      startTime: time,
-      status: { $in: ['pending', 'confirmed', 'accepted', 'in_progress'] }
-    });
-
-    return appointments.length === 0;
-  } catch (error) {
-    console.error('Error checking availability:', error);
-    return false;
-  }
-}
-
 async function canViewAppointment(user, appointment) {
   if (user.role === 'admin') return true;
 
@@ -962,21 +985,37 @@ function isValidStatusTransition(oldStatus, newStatus) {
   return validTransitions[oldStatus]?.includes(newStatus) || false;
 }
 
-function calculateCancellationFee(appointment) {
+// Fee from CommissionSettings.cancellationCommissionPolicy; set cancelledBy first
+async function calculateCancellationFee(appointment) {
   if (appointment.status === 'completed') return 0;
 
-  const now = new Date();
-  const appointmentTime = new Date(appointment.appointmentDate);
-  const startTimeParts = appointment.startTime.split(':');
-  appointmentTime.setHours(parseInt(startTimeParts[0]), parseInt(startTimeParts[1]), 0, 0);
-
-  const hoursDiff = (appointmentTime - now) / (1000 * 60 * 60);
+  const { cancellationFee } = await getCancellationTerms(appointment);
+  return cancellationFee;
+}
 
-  if (hoursDiff > 24) return 0;
-  if (hoursDiff > 12) return appointment.consultationFee * 0.25;
-  if (hoursDiff > 6) return appointment.consultationFee * 0.50;
-  if (hoursDiff > 2) return appointment.consultationFee * 0.75;
-  return appointment.consultationFee;
+// Send back whatever the cancellation policy leaves refundable; never blocks the cancellation
+async function refundCancelledAppointment(appointment, terms, requestedBy) {
+  try {
+    if (!terms || terms.refundAmount <= 0) return null;
+
+    return await initiateRefund({
+      entityType: 'appointment',
+      entity: appointment,
+      amount: terms.refundAmount,
+      reason: appointment.cancellationReason,
+      source: 'cancellation',
+      policy: {
+        hoursBeforeStart: terms.hoursBeforeStart,
+        feePercent: terms.feePercent,
+        cancellationFee: terms.cancellationFee,
+        paidAmount: terms.paidAmount
+      },
+      requestedBy
+    });
+  } catch (error) {
+    console.error('Error refunding cancelled appointment:', error.message);
+    return null;
+  }
 }
 
 async function updateProfessionalStats(appointment) {
@@ -1003,9 +1042,19 @@ async function updateProfessionalStats(appointment) {
 
 async function createInvoiceForAppointment(appointment) {
   try {
-    const existingInvoice = await Invoice.findOne({ appointmentId: appointment._id });
+    const existingInvoice = await Invoice.findOne({ appointmentId: appointment._id, status: { $ne: 'credited' } });
     if (existingInvoice) return existingInvoice;
 
+    // Sessions of an upfront-billed series are covered by the series package invoice
+    if (appointment.seriesId) {
+      const series = await AppointmentSeries.findById(appointment.seriesId).select('billingMode invoiceId');
+      if (series?.billingMode === 'upfront' && series.invoiceId) {
+        return Invoice.findById(series.invoiceId);
+      }
+    }
+
+    const patientProfile = await PatientProfile.findById(appointment.patientId).select('name phone email');
+
     const label =
       appointment.professionalType === 'doctor'
         ? 'Doctor Consultation'
@@ -1024,6 +1073,9 @@ async function createInvoiceForAppointment(appointment) {
       invoiceType: 'appointment',
       appointmentId: appointment._id,
       patientId: appointment.patientId,
+      customerName: patientProfile?.name || 'Patient',
+      customerPhone: patientProfile?.phone,
+      customerEmail: patientProfile?.email,
       items: [{
         description: label,
         quantity: 1,
@@ -1050,6 +1102,27 @@ async function createInvoiceForAppointment(appointment) {
   }
 }
 
+// Close a recurring series once its last open session is done
+async function updateSeriesProgress(appointment) {
+  try {
+    if (!appointment.seriesId) return;
+
+    const remaining = await Appointment.countDocuments({
+      seriesId: appointment.seriesId,
+      status: { $in: ['pending', 'confirmed', 'accepted', 'in_progress'] }
+    });
+
+    if (remaining === 0) {
+      await AppointmentSeries.updateOne(
+        { _id: appointment.seriesId, status: 'active' },
+        { $set: { status: 'completed' } }
+      );
+    }
+  } catch (error) {
+    console.error('Error updating series progress:', error);
+  }
+}
+
 function utcYMD(dateObj) {
   const y = dateObj.getUTCFullYear();
   const m = String(dateObj.getUTCMonth() + 1).padStart(2, "0");
@@ -1057,14 +1130,6 @@ function utcYMD(dateObj) {
   return `${y}-${m}-${d}`;
 }
 
-function calculateEndTime(startTime, durationMin) {
-  const [h, m] = startTime.split(":").map(Number);
-  const total = h * 60 + m + durationMin;
-  const hh = String(Math.floor(total / 60) % 24).padStart(2, "0");
-  const mm = String(total % 60).padStart(2, "0");
-  return `${hh}:${mm}`;
-}
-
 async function updateCalendarForAppointment(appointment) {
   try {
     const apptDate = new Date(appointment.appointmentDate);
@@ -1194,6 +1259,34 @@ async function updateCalendarForCancellation(appointment) {
     await calendar.save();
   } catch (error) {
     console.error('Error updating calendar for cancellation:', error);
+  } finally {
+    // The interval is free whatever state the calendar document was in
+    await offerSlotToWaitlist(appointment);
+  }
+}
+
+async function offerSlotToWaitlist(appointment) {
+  try {
+    // Lazy require: waitlist.controller books through helpers exported from this module
+    const { offerFreedSlot } = require('./waitlist.controller');
+
+    const professionalField =
+      appointment.professionalType === 'doctor'
+        ? 'doctorId'
+        : appointment.professionalType === 'physio'
+          ? 'physioId'
+          : 'pathologyId';
+
+    await offerFreedSlot({
+      professionalId: appointment[professionalField],
+      professionalType: appointment.professionalType,
+      date: appointment.appointmentDate,
+      startTime: appointment.startTime,
+      duration: appointment.duration,
+      sourceAppointmentId: appointment._id
+    });
+  } catch (error) {
+    console.error('Error offering slot to waitlist:', error);
   }
 }
 
@@ -1214,27 +1307,24 @@ async function updateCalendarForReschedule(appointment, oldDate, oldTime) {
 async function sendAppointmentNotifications(appointment, professional, patientProfile) {
   try {
     const professionalUserId = professional?.userId?._id || professional?.userId;
+    const appointmentRef = { relatedEntity: 'Appointment', relatedEntityId: appointment._id };
 
-    await Notification.create({
+    await notify({
       userId: patientProfile.userId,
-      userRole: 'patient',
-      title: 'Appointment Created',
-      message: `Your appointment with ${professional.name} is scheduled for ${appointment.appointmentDate.toLocaleDateString()} at ${appointment.startTime}`,
       type: 'appointment',
-      channels: ['in_app', 'email'],
-      relatedEntity: 'Appointment',
-      relatedEntityId: appointment._id
+      template: 'appointment_booked',
+      data: { professionalName: professional.name, date: appointment.appointmentDate, startTime: appointment.startTime },
+      channels: ['in_app', 'push', 'email'],
+      ...appointmentRef
     });
 
-    await Notification.create({
+    await notify({
       userId: professionalUserId,
-      userRole: appointment.professionalType, // doctor | physio | pathology
-      title: 'New Appointment Request',
-      message: `New appointment request from ${patientProfile.name} for ${appointment.appointmentDate.toLocaleDateString()} at ${appointment.startTime}`,
       type: 'appointment',
-      channels: ['in_app'],
-      relatedEntity: 'Appointment',
-      relatedEntityId: appointment._id
+      template: 'appointment_requested',
+      data: { patientName: patientProfile.name, date: appointment.appointmentDate, startTime: appointment.startTime },
+      channels: ['in_app', 'push'],
+      ...appointmentRef
     });
 
   } catch (error) {
@@ -1242,30 +1332,21 @@ async function sendAppointmentNotifications(appointment, professional, patientPr
   }
 }
 
+const NOTIFIED_STATUSES = ['accepted', 'rejected', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rescheduled'];
+
 async function sendStatusUpdateNotification(appointment, oldStatus, newStatus) {
   try {
-    const statusMessages = {
-      'accepted': 'has been accepted',
-      'rejected': 'has been rejected',
-      'confirmed': 'has been confirmed',
-      'in_progress': 'has started',
-      'completed': 'has been completed',
-      'cancelled': 'has been cancelled',
-      'rescheduled': 'has been rescheduled'
-    };
+    if (!NOTIFIED_STATUSES.includes(newStatus)) return;
 
-    const message = statusMessages[newStatus];
-    if (!message) return;
-
-    const patientProfile = await PatientProfile.findById(appointment.patientId);
+    const patientProfile = await PatientProfile.findById(appointment.patientId).select('userId');
     if (!patientProfile) return;
 
-    await Notification.create({
+    await notify({
       userId: patientProfile.userId,
-      title: 'Appointment Status Update',
-      message: `Your appointment ${message}`,
       type: 'appointment',
-      channels: ['in_app'],
+      template: 'appointment_status',
+      data: { status: newStatus },
+      channels: ['in_app', 'push'],
       relatedEntity: 'Appointment',
       relatedEntityId: appointment._id
     });
@@ -1275,44 +1356,41 @@ async function sendStatusUpdateNotification(appointment, oldStatus, newStatus) {
   }
 }
 
-async function sendCancellationNotification(appointment) {
-  try {
-    let professionalUserId = null;
+async function getProfessionalUserId(appointment) {
+  const [Model, profileId] = {
+    doctor: [DoctorProfile, appointment.doctorId],
+    physio: [PhysiotherapistProfile, appointment.physioId]
+  }[appointment.professionalType] || [PathologyProfile, appointment.pathologyId];
 
-    if (appointment.professionalType === 'doctor') {
-      const doctor = await DoctorProfile.findById(appointment.doctorId);
-      professionalUserId = doctor?.userId;
-    } else if (appointment.professionalType === 'physio') {
-      const physio = await PhysiotherapistProfile.findById(appointment.physioId);
-      professionalUserId = physio?.userId;
-    } else {
-      const pathology = await PathologyProfile.findById(appointment.pathologyId);
-      professionalUserId = pathology?.userId;
-    }
+  const professional = await Model.findById(profileId).select('userId');
+  return professional?.userId || null;
+}
 
-    const patientProfile = await PatientProfile.findById(appointment.patientId);
+async function sendCancellationNotification(appointment) {
+  try {
+    const professionalUserId = await getProfessionalUserId(appointment);
+    const patientProfile = await PatientProfile.findById(appointment.patientId).select('userId name');
+    const appointmentRef = { relatedEntity: 'Appointment', relatedEntityId: appointment._id };
 
     if (professionalUserId) {
-      await Notification.create({
+      await notify({
         userId: professionalUserId,
-        title: 'Appointment Cancelled',
-        message: `Appointment with ${patientProfile?.name || 'patient'} has been cancelled`,
         type: 'appointment',
-        channels: ['in_app'],
-        relatedEntity: 'Appointment',
-        relatedEntityId: appointment._id
+        template: 'appointment_cancelled',
+        data: { patientName: patientProfile?.name },
+        channels: ['in_app', 'push'],
+        ...appointmentRef
       });
     }
 
     if (patientProfile) {
-      await Notification.create({
+      await notify({
         userId: patientProfile.userId,
-        title: 'Appointment Cancelled',
-        message: `Your appointment has been cancelled. Refund amount: ₹${appointment.totalAmount - appointment.cancellationFee}`,
         type: 'appointment',
-        channels: ['in_app', 'email'],
-        relatedEntity: 'Appointment',
-        relatedEntityId: appointment._id
+        template: 'appointment_cancelled',
+        data: { refundAmount: appointment.totalAmount - appointment.cancellationFee },
+        channels: ['in_app', 'push', 'email'],
+        ...appointmentRef
       });
     }
 
@@ -1323,34 +1401,20 @@ async function sendCancellationNotification(appointment) {
 
 async function sendRescheduleNotification(appointment, oldDate, oldTime) {
   try {
-    let professionalUserId = null;
+    const professionalUserId = await getProfessionalUserId(appointment);
+    if (!professionalUserId) return;
 
-    if (appointment.professionalType === 'doctor') {
-      const doctor = await DoctorProfile.findById(appointment.doctorId);
-      professionalUserId = doctor?.userId;
-    } else if (appointment.professionalType === 'physio') {
-      const physio = await PhysiotherapistProfile.findById(appointment.physioId);
-      professionalUserId = physio?.userId;
-    } else {
-      const pathology = await PathologyProfile.findById(appointment.pathologyId);
-      professionalUserId = pathology?.userId;
-    }
-
-    const patientProfile = await PatientProfile.findById(appointment.patientId);
+    const patientProfile = await PatientProfile.findById(appointment.patientId).select('name');
 
-    const newDateStr = appointment.appointmentDate.toLocaleDateString();
-
-    if (professionalUserId) {
-      await Notification.create({
-        userId: professionalUserId,
-        title: 'Appointment Rescheduled',
-        message: `Appointment with ${patientProfile?.name || 'patient'} has been rescheduled to ${newDateStr} at ${appointment.startTime}`,
-        type: 'appointment',
-        channels: ['in_app'],
-        relatedEntity: 'Appointment',
-        relatedEntityId: appointment._id
-      });
-    }
+    await notify({
+      userId: professionalUserId,
+      type: 'appointment',
+      template: 'appointment_rescheduled',
+      data: { patientName: patientProfile?.name, date: appointment.appointmentDate, startTime: appointment.startTime },
+      channels: ['in_app', 'push'],
+      relatedEntity: 'Appointment',
+      relatedEntityId: appointment._id
+    });
 
   } catch (error) {
     console.error('Error sending reschedule notification:', error);
@@ -1359,15 +1423,14 @@ async function sendRescheduleNotification(appointment, oldDate, oldTime) {
 
 async function sendCompletionNotification(appointment) {
   try {
-    const patientProfile = await PatientProfile.findById(appointment.patientId);
+    const patientProfile = await PatientProfile.findById(appointment.patientId).select('userId');
     if (!patientProfile) return;
 
-    await Notification.create({
+    await notify({
       userId: patientProfile.userId,
-      title: 'Appointment Completed',
-      message: 'Your appointment has been completed. Prescription will be available shortly.',
       type: 'appointment',
-      channels: ['in_app'],
+      template: 'appointment_completed',
+      channels: ['in_app', 'push'],
       relatedEntity: 'Appointment',
       relatedEntityId: appointment._id
     });
@@ -1376,3 +1439,12 @@ async function sendCompletionNotification(appointment) {
     console.error('Error sending completion notification:', error);
   }
 }
+
+// Export helper functions for use in other modules
+module.exports.generateMeetingLink = generateMeetingLink;
+module.exports.calculateCancellationFee = calculateCancellationFee;
+module.exports.refundCancelledAppointment = refundCancelledAppointment;
+module.exports.createInvoiceForAppointment = createInvoiceForAppointment;
+module.exports.updateCalendarForAppointment = updateCalendarForAppointment;
+module.exports.updateCalendarForCancellation = updateCalendarForCancellation;
+module.exports.updateCalendarForReschedule = updateCalendarForReschedule;
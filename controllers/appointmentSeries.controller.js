@@ -0,0 +1,1047 @@
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const DoctorProfile = require('../models/DoctorProfile');
+const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
+const PathologyProfile = require('../models/PathologyProfile');
+const PatientProfile = require('../models/PatientProfile');
+const Commission = require('../models/Commission');
+const CommissionSettings = require('../models/CommissionSettings');
+const Invoice = require('../models/Invoice');
+const { DAYS_OF_WEEK } = require('../models/AppointmentSeries');
+const { checkSlotAvailability, withSlotLock, calculateEndTime, getDurationError } = require('../utils/slotAvailability');
+const { getCancellationTerms } = require('../utils/refunds');
+const { reissueInvoice } = require('../utils/creditNotes');
+const { notify } = require('../utils/notifications');
+const {
+  generateMeetingLink,
+  refundCancelledAppointment,
+  updateCalendarForAppointment,
+  updateCalendarForCancellation,
+  updateCalendarForReschedule
+} = require('./appointment.controller');
+
+const MAX_SERIES_SESSIONS = 60;
+const MAX_SERIES_SPAN_DAYS = 366;
+const OPEN_STATUSES = ['pending', 'confirmed', 'accepted'];
+
+// ========== APPOINTMENT SERIES FUNCTIONS ==========
+
+// Create a recurring series and all of its appointments
+exports.createSeries = async (req, res) => {
+  try {
+    const {
+      professionalId,
+      professionalType,
+      patientId: requestedPatientId,
+      startDate,
+      startTime,
+      duration: requestedDuration,
+      type = 'clinic',
+      address,
+      location,
+      title,
+      reason,
+      symptoms,
+      recurrence,
+      billingMode = 'per_session',
+      skipConflicts = false
+    } = req.body;
+
+    if (!professionalId || !professionalType || !startDate || !startTime || !recurrence) {
+      return res.status(400).json({
+        success: false,
+        error: 'Professional ID, professional type, start date, start time and recurrence are required'
+      });
+    }
+
+    if (!['doctor', 'physio', 'pathology'].includes(professionalType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid professional type. Must be "doctor", "physio" or "pathology"'
+      });
+    }
+
+    if (!['clinic', 'home', 'video'].includes(type)) {
+      return res.status(400).json({ success: false, error: 'Type must be "clinic", "home" or "video"' });
+    }
+
+    if (!['per_session', 'upfront'].includes(billingMode)) {
+      return res.status(400).json({ success: false, error: 'Billing mode must be "per_session" or "upfront"' });
+    }
+
+    const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    if (!timeRegex.test(startTime)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid time format. Use HH:MM (24-hour format)'
+      });
+    }
+
+    const firstDate = new Date(startDate);
+    if (isNaN(firstDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid start date' });
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (firstDate < today) {
+      return res.status(400).json({ success: false, error: 'Series cannot start in the past' });
+    }
+
+    // Resolve who the series is for
+    let patientProfile;
+    let bookedBy = 'patient';
+
+    if (req.user.role === 'patient') {
+      patientProfile = await PatientProfile.findOne({ userId: req.user.id });
+    } else if (['doctor', 'physio', 'pathology'].includes(req.user.role)) {
+      const ownProfile = await getUserProfessionalProfile(req.user);
+      if (!ownProfile || req.user.role !== professionalType || ownProfile._id.toString() !== professionalId.toString()) {
+        return res.status(403).json({ success: false, error: 'Professionals can only create series on their own schedule' });
+      }
+      patientProfile = requestedPatientId ? await PatientProfile.findById(requestedPatientId) : null;
+      bookedBy = 'professional';
+    } else if (req.user.role === 'admin') {
+      patientProfile = requestedPatientId ? await PatientProfile.findById(requestedPatientId) : null;
+      bookedBy = 'admin';
+    } else {
+      return res.status(403).json({ success: false, error: 'Unauthorized to create appointment series' });
+    }
+
+    if (!patientProfile) {
+      return res.status(404).json({ success: false, error: 'Patient profile not found' });
+    }
+
+    // Validate professional and fee
+    const professional = await getProfessional(professionalType, professionalId);
+    if (!professional) {
+      return res.status(404).json({ success: false, error: 'Professional not found' });
+    }
+
+    if (!professional.userId?.isVerified || !professional.userId?.isActive) {
+      return res.status(400).json({ success: false, error: 'Professional is not available for appointments' });
+    }
+
+    const consultationFee = getFeeForType(professional, professionalType, type);
+
+    const settings = await CommissionSettings.findOne();
+    if (!settings) {
+      return res.status(500).json({ success: false, error: 'Commission settings not configured' });
+    }
+
+    const commissionRate =
+      professionalType === 'doctor'
+        ? (professional.commissionRate || settings.defaultDoctorCommission)
+        : professionalType === 'physio'
+          ? (professional.commissionRate || settings.defaultPhysioCommission)
+          : (professional.commissionRate || settings.defaultPathologyCommission || settings.defaultDoctorCommission);
+
+    const platformCommission = Math.round((consultationFee * commissionRate) / 100);
+    const professionalEarning = consultationFee - platformCommission;
+
+    const defaultDuration = professionalType === 'physio' ? 60 : 30;
+    const duration = parseInt(requestedDuration, 10) || defaultDuration;
+    const durationError = getDurationError(duration);
+    if (durationError) {
+      return res.status(400).json({ success: false, error: durationError });
+    }
+    const endTime = calculateEndTime(startTime, duration);
+
+    // Expand recurrence rule
+    const { error: ruleError, rule } = normalizeRecurrence(recurrence, firstDate);
+    if (ruleError) {
+      return res.status(400).json({ success: false, error: ruleError });
+    }
+
+    const occurrences = buildOccurrences(rule, firstDate);
+    if (!occurrences.length) {
+      return res.status(400).json({ success: false, error: 'Recurrence rule does not produce any sessions' });
+    }
+
+    // Check every occurrence up front so the caller sees all conflicts at once
+    const slotBase = { professionalId, professionalType, startTime, endTime, duration };
+    const conflicts = [];
+    for (const date of occurrences) {
+      const availability = await checkSlotAvailability({ ...slotBase, date });
+      if (!availability.available) {
+        conflicts.push({ date, reason: availability.reason });
+      }
+    }
+
+    if (conflicts.length && !skipConflicts) {
+      return res.status(409).json({
+        success: false,
+        error: `${conflicts.length} of ${occurrences.length} sessions conflict with the professional's schedule`,
+        conflicts
+      });
+    }
+
+    const idField = getProfessionalField(professionalType);
+
+    const series = await AppointmentSeries.create({
+      patientId: patientProfile._id,
+      [idField]: professionalId,
+      professionalType,
+      recurrence: rule,
+      startDate: firstDate,
+      startTime,
+      duration,
+      type,
+      address: type === 'home' ? address : undefined,
+      location: type === 'home' ? location : undefined,
+      title,
+      reason,
+      symptoms: symptoms || [],
+      consultationFee,
+      billingMode,
+      createdBy: req.user.id
+    });
+
+    // Book each free occurrence under its own day lock; re-check since the
+    // pre-check above ran without locks
+    const conflictKeys = new Set(conflicts.map(c => c.date.getTime()));
+    const appointments = [];
+    const skipped = [...conflicts];
+
+    try {
+      for (const date of occurrences) {
+        if (conflictKeys.has(date.getTime())) continue;
+
+        const appointment = await withSlotLock({ professionalId, professionalType, date }, async () => {
+          const availability = await checkSlotAvailability({ ...slotBase, date });
+          if (!availability.available) {
+            if (skipConflicts) {
+              skipped.push({ date, reason: availability.reason });
+              return null;
+            }
+            const conflictError = new Error(`Session on ${date.toDateString()} was just booked by someone else`);
+            conflictError.statusCode = 409;
+            throw conflictError;
+          }
+
+          return Appointment.create({
+            patientId: patientProfile._id,
+            [idField]: professionalId,
+            professionalType,
+            seriesId: series._id,
+            seriesIndex: appointments.length + 1,
+            appointmentDate: date,
+            startTime,
+            endTime,
+            duration,
+            type,
+            meetingLink: type === 'video' ? generateMeetingLink() : undefined,
+            address: type === 'home' ? address : undefined,
+            location: type === 'home' ? location : undefined,
+            symptoms: symptoms || [],
+            reason: reason || title || '',
+            consultationFee,
+            platformCommission,
+            professionalEarning,
+            totalAmount: consultationFee,
+            status: 'pending',
+            paymentStatus: 'pending',
+            bookedBy
+          });
+        });
+
+        if (appointment) appointments.push(appointment);
+      }
+    } catch (error) {
+      // All-or-nothing unless the caller asked to skip conflicts
+      await Appointment.deleteMany({ seriesId: series._id });
+      await AppointmentSeries.findByIdAndDelete(series._id);
+      throw error;
+    }
+
+    if (!appointments.length) {
+      await AppointmentSeries.findByIdAndDelete(series._id);
+      return res.status(409).json({
+        success: false,
+        error: 'None of the sessions in this series are available',
+        conflicts: skipped
+      });
+    }
+
+    const professionalModel =
+      professionalType === 'doctor'
+        ? 'DoctorProfile'
+        : professionalType === 'physio'
+          ? 'PhysiotherapistProfile'
+          : 'PathologyProfile';
+
+    await Commission.insertMany(appointments.map(appointment => ({
+      appointmentId: appointment._id,
+      professionalId,
+      professionalModel,
+      professionalType,
+      patientId: patientProfile._id,
+      consultationFee,
+      platformCommission,
+      professionalEarning,
+      commissionRate,
+      payoutStatus: 'pending',
+      commissionCycle: {
+        month: appointment.appointmentDate.getUTCMonth() + 1,
+        year: appointment.appointmentDate.getUTCFullYear(),
+        cycleNumber: `${String(appointment.appointmentDate.getUTCMonth() + 1).padStart(2, '0')}${appointment.appointmentDate.getUTCFullYear()}`
+      },
+      createdBy: req.user.id
+    })));
+
+    for (const appointment of appointments) {
+      await updateCalendarForAppointment(appointment);
+    }
+
+    series.totalSessions = appointments.length;
+    series.skippedDates = skipped.map(s => ({ date: s.date, reason: s.reason }));
+
+    if (billingMode === 'upfront') {
+      const invoice = await createInvoiceForSeries(series, appointments, patientProfile, req.user.id);
+      series.invoiceId = invoice?._id;
+    }
+
+    await series.save();
+
+    await sendSeriesNotification(
+      series,
+      professional,
+      patientProfile,
+      'Treatment Plan Scheduled',
+      `${appointments.length} sessions scheduled from ${appointments[0].appointmentDate.toLocaleDateString()} at ${startTime}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment series created successfully',
+      series,
+      appointments,
+      skipped,
+      paymentRequired: consultationFee > 0
+    });
+  } catch (error) {
+    console.error('Error creating appointment series:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Get series (role-based)
+exports.getSeriesList = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (req.user.role === 'patient') {
+      const patientProfile = await PatientProfile.findOne({ userId: req.user.id });
+      if (!patientProfile) {
+        return res.json({ success: true, series: [], pagination: { page: 1, limit: parseInt(limit), total: 0, pages: 1 } });
+      }
+      filter.patientId = patientProfile._id;
+    } else if (['doctor', 'physio', 'pathology'].includes(req.user.role)) {
+      const profile = await getUserProfessionalProfile(req.user);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Professional profile not found' });
+      }
+      filter[getProfessionalField(req.user.role)] = profile._id;
+    } else if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Unauthorized to view appointment series' });
+    }
+
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [series, total] = await Promise.all([
+      AppointmentSeries.find(filter)
+        .populate('patientId', 'name phone')
+        .populate('doctorId', 'name specialization')
+        .populate('physioId', 'name services')
+        .populate('pathologyId', 'labName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AppointmentSeries.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      series,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching appointment series:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch appointment series' });
+  }
+};
+
+// Get series with its appointments
+exports.getSeriesById = async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id)
+      .populate('patientId', 'name phone')
+      .populate('doctorId', 'name specialization')
+      .populate('physioId', 'name services')
+      .populate('pathologyId', 'labName');
+
+    if (!series) {
+      return res.status(404).json({ success: false, error: 'Appointment series not found' });
+    }
+
+    if (!(await canAccessSeries(req.user, series))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view this series' });
+    }
+
+    const appointments = await Appointment.find({ seriesId: series._id }).sort({ seriesIndex: 1 });
+
+    const progress = {
+      total: appointments.length,
+      completed: appointments.filter(a => a.status === 'completed').length,
+      cancelled: appointments.filter(a => a.status === 'cancelled').length,
+      upcoming: appointments.filter(a => OPEN_STATUSES.includes(a.status)).length
+    };
+
+    res.json({ success: true, series, appointments, progress });
+  } catch (error) {
+    console.error('Error fetching appointment series:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch appointment series' });
+  }
+};
+
+// Cancel this and following sessions (or every open session)
+exports.cancelSeries = async (req, res) => {
+  try {
+    const { fromAppointmentId, reason } = req.body;
+
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ success: false, error: 'Appointment series not found' });
+    }
+
+    if (!(await canAccessSeries(req.user, series))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to cancel this series' });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({ success: false, error: `Series is already ${series.status}` });
+    }
+
+    const { error: targetError, targets } = await getFollowingAppointments(series, fromAppointmentId);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    if (!targets.length) {
+      return res.status(400).json({ success: false, error: 'No upcoming sessions to cancel' });
+    }
+
+    const cancelledBy = ['doctor', 'physio', 'pathology'].includes(req.user.role) ? 'professional' : req.user.role;
+    let totalCancellationFee = 0;
+    const refunds = [];
+
+    for (const appointment of targets) {
+      appointment.status = 'cancelled';
+      appointment.cancellationReason = reason || 'Series cancelled';
+      appointment.cancelledBy = cancelledBy;
+      const terms = await getCancellationTerms(appointment);
+      appointment.cancellationFee = terms.cancellationFee;
+      totalCancellationFee += appointment.cancellationFee;
+
+      await appointment.save();
+      await updateCalendarForCancellation(appointment);
+
+      // Sessions paid individually are refunded one by one
+      const refund = await refundCancelledAppointment(appointment, terms, req.user.id);
+      if (refund) refunds.push(refund);
+    }
+
+    await Commission.updateMany(
+      { appointmentId: { $in: targets.map(a => a._id) }, payoutStatus: 'pending' },
+      { $set: { payoutStatus: 'cancelled', notes: 'Series session cancelled' } }
+    );
+
+    const remaining = await Appointment.countDocuments({
+      seriesId: series._id,
+      status: { $in: [...OPEN_STATUSES, 'in_progress'] }
+    });
+
+    if (remaining === 0) {
+      series.status = 'cancelled';
+      series.cancellationReason = reason;
+      series.cancelledAt = new Date();
+    }
+    await series.save();
+
+    await refreshSeriesInvoice(series);
+
+    const patientProfile = await PatientProfile.findById(series.patientId);
+    const professional = await getProfessional(series.professionalType, series[getProfessionalField(series.professionalType)]);
+    await sendSeriesNotification(
+      series,
+      professional,
+      patientProfile,
+      'Treatment Plan Sessions Cancelled',
+      `${targets.length} session(s) from ${targets[0].appointmentDate.toLocaleDateString()} onwards have been cancelled`
+    );
+
+    res.json({
+      success: true,
+      message: `${targets.length} session(s) cancelled successfully`,
+      series,
+      cancelledAppointments: targets.map(a => a._id),
+      cancellationFee: totalCancellationFee,
+      refunds
+    });
+  } catch (error) {
+    console.error('Error cancelling appointment series:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Reschedule this and following sessions to a new time and/or shifted dates
+exports.rescheduleSeries = async (req, res) => {
+  try {
+    const { fromAppointmentId, newTime, shiftDays = 0, reason } = req.body;
+
+    if (!fromAppointmentId || (!newTime && !shiftDays)) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromAppointmentId and a new time or day shift are required'
+      });
+    }
+
+    const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    if (newTime && !timeRegex.test(newTime)) {
+      return res.status(400).json({ success: false, error: 'Invalid time format. Use HH:MM (24-hour format)' });
+    }
+
+    const shift = parseInt(shiftDays, 10) || 0;
+
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ success: false, error: 'Appointment series not found' });
+    }
+
+    if (!(await canAccessSeries(req.user, series))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to reschedule this series' });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({ success: false, error: `Cannot reschedule a ${series.status} series` });
+    }
+
+    const { error: targetError, targets } = await getFollowingAppointments(series, fromAppointmentId);
+    if (targetError) {
+      return res.status(400).json({ success: false, error: targetError });
+    }
+
+    if (!targets.length) {
+      return res.status(400).json({ success: false, error: 'No upcoming sessions to reschedule' });
+    }
+
+    const professionalId = series[getProfessionalField(series.professionalType)];
+    const targetIds = targets.map(a => a._id);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const plan = targets.map(appointment => {
+      const date = new Date(appointment.appointmentDate);
+      date.setDate(date.getDate() + shift);
+      const startTime = newTime || appointment.startTime;
+      const duration = appointment.duration || series.duration;
+      return { appointment, date, startTime, endTime: calculateEndTime(startTime, duration), duration };
+    });
+
+    if (plan.some(p => p.date < today)) {
+      return res.status(400).json({ success: false, error: 'Rescheduled sessions cannot be in the past' });
+    }
+
+    // The sessions being moved never block each other
+    const conflicts = [];
+    for (const p of plan) {
+      const availability = await checkSlotAvailability({
+        professionalId,
+        professionalType: series.professionalType,
+        date: p.date,
+        startTime: p.startTime,
+        endTime: p.endTime,
+        duration: p.duration,
+        excludeAppointmentId: targetIds
+      });
+      if (!availability.available) {
+        conflicts.push({ appointmentId: p.appointment._id, date: p.date, reason: availability.reason });
+      }
+    }
+
+    if (conflicts.length) {
+      return res.status(409).json({
+        success: false,
+        error: `${conflicts.length} of ${plan.length} sessions conflict with the professional's schedule`,
+        conflicts
+      });
+    }
+
+    const rescheduledByPatient = req.user.role === 'patient';
+    const moved = [];
+
+    for (const p of plan) {
+      const slot = { professionalId, professionalType: series.professionalType, date: p.date };
+
+      const availability = await withSlotLock(slot, async () => {
+        const availability = await checkSlotAvailability({
+          ...slot,
+          startTime: p.startTime,
+          endTime: p.endTime,
+          duration: p.duration,
+          excludeAppointmentId: targetIds
+        });
+        if (!availability.available) return availability;
+
+        const { appointment } = p;
+        const oldDate = appointment.appointmentDate;
+        const oldTime = appointment.startTime;
+        const previous = {
+          appointmentDate: oldDate,
+          startTime: oldTime,
+          endTime: appointment.endTime,
+          status: appointment.status,
+          remindersSent: appointment.remindersSent.map(entry => entry.toObject())
+        };
+
+        appointment.previousAppointments = appointment.previousAppointments || [];
+        appointment.previousAppointments.push({
+          appointmentId: appointment._id,
+          date: oldDate,
+          reason: reason || 'Series rescheduled'
+        });
+
+        appointment.appointmentDate = p.date;
+        appointment.startTime = p.startTime;
+        appointment.endTime = p.endTime;
+        if (rescheduledByPatient) appointment.status = 'pending';
+
+        await appointment.save();
+        await updateCalendarForReschedule(appointment, oldDate, oldTime);
+        moved.push({ appointment, previous });
+
+        return availability;
+      });
+
+      if (!availability.available) {
+        // All or nothing: put the sessions already moved back where they were
+        const notRestored = await restoreRescheduled(moved, { professionalId, professionalType: series.professionalType, targetIds });
+        return res.status(409).json({
+          success: false,
+          error: notRestored.length
+            ? `Session on ${p.date.toDateString()} was just booked by someone else; ${notRestored.length} session(s) could not be moved back`
+            : `Session on ${p.date.toDateString()} was just booked by someone else; no sessions were moved`,
+          conflicts: [{ appointmentId: p.appointment._id, date: p.date, reason: availability.reason }],
+          notRestored
+        });
+      }
+    }
+
+    if (newTime && targets[0].seriesIndex === 1) {
+      series.startTime = newTime;
+      await series.save();
+    }
+
+    await refreshSeriesInvoice(series);
+
+    const patientProfile = await PatientProfile.findById(series.patientId);
+    const professional = await getProfessional(series.professionalType, professionalId);
+    await sendSeriesNotification(
+      series,
+      professional,
+      patientProfile,
+      'Treatment Plan Rescheduled',
+      `${moved.length} session(s) from ${moved[0].appointment.appointmentDate.toLocaleDateString()} onwards have been moved${newTime ? ` to ${newTime}` : ''}`
+    );
+
+    res.json({
+      success: true,
+      message: `${moved.length} session(s) rescheduled successfully`,
+      appointments: moved.map(m => m.appointment)
+    });
+  } catch (error) {
+    console.error('Error rescheduling appointment series:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Billing summary for a series (package invoice or per-session invoices)
+exports.getSeriesBilling = async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ success: false, error: 'Appointment series not found' });
+    }
+
+    if (!(await canAccessSeries(req.user, series))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view this series' });
+    }
+
+    const appointments = await Appointment.find({ seriesId: series._id })
+      .select('seriesIndex appointmentDate status consultationFee paymentStatus cancellationFee')
+      .sort({ seriesIndex: 1 });
+
+    const billable = appointments.filter(a => a.status !== 'cancelled');
+
+    let invoices;
+    if (series.billingMode === 'upfront') {
+      invoices = series.invoiceId ? await Invoice.find({ _id: series.invoiceId }) : [];
+    } else {
+      invoices = await Invoice.find({ appointmentId: { $in: appointments.map(a => a._id) } });
+    }
+
+    const totals = {
+      sessions: billable.length,
+      totalAmount: billable.reduce((sum, a) => sum + (a.consultationFee || 0), 0),
+      invoiced: invoices.reduce((sum, inv) => sum + (inv.totalAmount || 0), 0),
+      paid: invoices.reduce((sum, inv) => sum + (inv.amountPaid || 0), 0),
+      cancellationFees: appointments.reduce((sum, a) => sum + (a.cancellationFee || 0), 0)
+    };
+    totals.outstanding = totals.invoiced - totals.paid;
+
+    res.json({
+      success: true,
+      billingMode: series.billingMode,
+      invoices,
+      sessions: appointments,
+      totals
+    });
+  } catch (error) {
+    console.error('Error fetching series billing:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch series billing' });
+  }
+};
+
+// ========== HELPER FUNCTIONS ==========
+
+function getProfessionalField(professionalType) {
+  return professionalType === 'doctor' ? 'doctorId' :
+    professionalType === 'physio' ? 'physioId' :
+    'pathologyId';
+}
+
+async function getProfessional(professionalType, professionalId) {
+  const Model =
+    professionalType === 'doctor' ? DoctorProfile :
+    professionalType === 'physio' ? PhysiotherapistProfile :
+    PathologyProfile;
+
+  return Model.findById(professionalId).populate('userId', 'isVerified isActive');
+}
+
+async function getUserProfessionalProfile(user) {
+  if (user.role === 'doctor') return DoctorProfile.findOne({ userId: user.id });
+  if (user.role === 'physio') return PhysiotherapistProfile.findOne({ userId: user.id });
+  if (user.role === 'pathology') return PathologyProfile.findOne({ userId: user.id });
+  return null;
+}
+
+function getFeeForType(professional, professionalType, type) {
+  if (type === 'home') {
+    return professionalType === 'physio'
+      ? (professional.homeVisitFee || 0)
+      : (professional.homeVisitFee || professional.consultationFee || 0);
+  }
+  if (type === 'video') {
+    return professional.videoCallFee || professional.consultationFee || 0;
+  }
+  return professional.consultationFee || 0;
+}
+
+async function canAccessSeries(user, series) {
+  if (user.role === 'admin') return true;
+
+  if (user.role === 'patient') {
+    const patientProfile = await PatientProfile.findOne({ userId: user.id });
+    return !!patientProfile && series.patientId?.toString() === patientProfile._id.toString();
+  }
+
+  if (['doctor', 'physio', 'pathology'].includes(user.role)) {
+    if (series.professionalType !== user.role) return false;
+    const profile = await getUserProfessionalProfile(user);
+    const seriesProfessionalId = series[getProfessionalField(user.role)];
+    return !!profile && (seriesProfessionalId?._id || seriesProfessionalId)?.toString() === profile._id.toString();
+  }
+
+  return false;
+}
+
+/**
+ * Validate a recurrence rule and fill in defaults
+ * Weekly rules without daysOfWeek repeat on the weekday of the start date
+ */
+function normalizeRecurrence(recurrence, startDate) {
+  const frequency = recurrence?.frequency;
+  if (!['daily', 'weekly'].includes(frequency)) {
+    return { error: 'Recurrence frequency must be "daily" or "weekly"' };
+  }
+
+  const interval = parseInt(recurrence.interval, 10) || 1;
+  if (interval < 1) {
+    return { error: 'Recurrence interval must be at least 1' };
+  }
+
+  const count = recurrence.count !== undefined ? parseInt(recurrence.count, 10) : undefined;
+  const until = recurrence.until ? new Date(recurrence.until) : undefined;
+
+  if (!count && !until) {
+    return { error: 'Recurrence requires either a count or an end date (until)' };
+  }
+  if (count !== undefined && (isNaN(count) || count < 1 || count > MAX_SERIES_SESSIONS)) {
+    return { error: `Recurrence count must be between 1 and ${MAX_SERIES_SESSIONS}` };
+  }
+  if (until && (isNaN(until.getTime()) || until < startDate)) {
+    return { error: 'Recurrence end date must be on or after the start date' };
+  }
+
+  let daysOfWeek = [];
+  if (frequency === 'weekly') {
+    daysOfWeek = (recurrence.daysOfWeek || []).map(d => String(d).toLowerCase());
+    if (daysOfWeek.some(d => !DAYS_OF_WEEK.includes(d))) {
+      return { error: `daysOfWeek must contain only: ${DAYS_OF_WEEK.join(', ')}` };
+    }
+    if (!daysOfWeek.length) {
+      daysOfWeek = [startDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase()];
+    }
+  }
+
+  return { rule: { frequency, interval, daysOfWeek, count, until } };
+}
+
+/**
+ * Expand a normalized recurrence rule into appointment dates
+ * e.g. weekly / interval 1 / [monday, wednesday, friday] / count 18 = 3x a week for 6 weeks
+ */
+function buildOccurrences(rule, startDate) {
+  const occurrences = [];
+  const limit = Math.min(rule.count || MAX_SERIES_SESSIONS, MAX_SERIES_SESSIONS);
+
+  // Weeks are counted from the Sunday on/before the start date
+  const weekStart = new Date(startDate);
+  weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+
+  for (let offset = 0; offset <= MAX_SERIES_SPAN_DAYS && occurrences.length < limit; offset++) {
+    const date = new Date(startDate);
+    date.setDate(date.getDate() + offset);
+
+    if (rule.until && date > rule.until) break;
+
+    if (rule.frequency === 'daily') {
+      if (offset % rule.interval === 0) occurrences.push(date);
+      continue;
+    }
+
+    const daysFromWeekStart = Math.round((date - weekStart) / (24 * 60 * 60 * 1000));
+    const weekIndex = Math.floor(daysFromWeekStart / 7);
+    const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+    if (weekIndex % rule.interval === 0 && rule.daysOfWeek.includes(dayName)) {
+      occurrences.push(date);
+    }
+  }
+
+  return occurrences;
+}
+
+// Open, upcoming sessions from the given appointment onward (all of them when omitted)
+async function getFollowingAppointments(series, fromAppointmentId) {
+  let fromIndex = 1;
+
+  if (fromAppointmentId) {
+    const from = await Appointment.findOne({ _id: fromAppointmentId, seriesId: series._id });
+    if (!from) {
+      return { error: 'Appointment does not belong to this series' };
+    }
+    fromIndex = from.seriesIndex || 1;
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const targets = await Appointment.find({
+    seriesId: series._id,
+    seriesIndex: { $gte: fromIndex },
+    appointmentDate: { $gte: today },
+    status: { $in: OPEN_STATUSES }
+  }).sort({ seriesIndex: 1 });
+
+  return { targets };
+}
+
+/**
+ * Undo a partly applied series reschedule, latest session first
+ * A session whose old slot has been taken in the meantime stays where it is.
+ * @returns {Promise<Array>} ids of sessions that could not be moved back
+ */
+async function restoreRescheduled(moved, { professionalId, professionalType, targetIds }) {
+  const notRestored = [];
+
+  for (const { appointment, previous } of [...moved].reverse()) {
+    const slot = { professionalId, professionalType, date: previous.appointmentDate };
+    try {
+      const restored = await withSlotLock(slot, async () => {
+        const availability = await checkSlotAvailability({
+          ...slot,
+          startTime: previous.startTime,
+          endTime: previous.endTime,
+          duration: appointment.duration,
+          excludeAppointmentId: targetIds
+        });
+        if (!availability.available) return false;
+
+        const movedDate = appointment.appointmentDate;
+        const movedTime = appointment.startTime;
+        appointment.previousAppointments.pop();
+        appointment.set(previous);
+        await appointment.save();
+        await updateCalendarForReschedule(appointment, movedDate, movedTime);
+        return true;
+      });
+      if (!restored) notRestored.push(appointment._id);
+    } catch (error) {
+      console.error(`Error restoring appointment ${appointment._id}:`, error.message);
+      notRestored.push(appointment._id);
+    }
+  }
+
+  return notRestored;
+}
+
+function buildSeriesInvoiceItems(series, appointments, totalSessions) {
+  const label =
+    series.professionalType === 'doctor'
+      ? 'Doctor Consultation'
+      : series.professionalType === 'physio'
+        ? 'Physio Session'
+        : 'Pathology Appointment';
+
+  return appointments.map(appointment => ({
+    description: `${label} ${appointment.seriesIndex}/${totalSessions} - ${appointment.appointmentDate.toLocaleDateString()} ${appointment.startTime}`,
+    quantity: 1,
+    unitPrice: appointment.consultationFee,
+    amount: appointment.consultationFee
+  }));
+}
+
+/**
+ * Package invoice covering every session of an upfront-billed series
+ * Session invoices are skipped by createInvoiceForAppointment when this exists
+ */
+async function createInvoiceForSeries(series, appointments, patientProfile, createdBy) {
+  try {
+    const items = buildSeriesInvoiceItems(series, appointments, appointments.length);
+
+    const totalAmount = items.reduce((sum, item) => sum + item.amount, 0);
+
+    return await Invoice.create({
+      invoiceType: 'package',
+      professionalType: series.professionalType,
+      patientId: series.patientId,
+      customerName: patientProfile?.name || 'Patient',
+      customerPhone: patientProfile?.phone,
+      customerEmail: patientProfile?.email,
+      items,
+      subtotal: totalAmount,
+      tax: 0,
+      totalAmount,
+      amountPaid: 0,
+      balanceDue: totalAmount,
+      status: 'sent',
+      commissionIncluded: true,
+      commissionAmount: appointments.reduce((sum, a) => sum + (a.platformCommission || 0), 0),
+      notes: `Treatment plan${series.title ? `: ${series.title}` : ''} (${appointments.length} sessions)`,
+      createdBy
+    });
+  } catch (error) {
+    console.error('Error creating series invoice:', error);
+    return null;
+  }
+}
+
+// Keep an unpaid package invoice in line with the sessions still on the plan
+async function refreshSeriesInvoice(series) {
+  try {
+    if (series.billingMode !== 'upfront' || !series.invoiceId) return;
+
+    const invoice = await Invoice.findById(series.invoiceId);
+    if (!invoice || !['draft', 'sent'].includes(invoice.status)) return;
+
+    const appointments = await Appointment.find({
+      seriesId: series._id,
+      status: { $ne: 'cancelled' }
+    }).sort({ seriesIndex: 1 });
+
+    const items = buildSeriesInvoiceItems(series, appointments, series.totalSessions);
+    const commissionAmount = appointments.reduce((sum, a) => sum + (a.platformCommission || 0), 0);
+
+    if (invoice.status === 'draft') {
+      invoice.items = items;
+      invoice.commissionAmount = commissionAmount;
+      await invoice.save();
+      return;
+    }
+
+    const unchanged = items.length === invoice.items.length && items.every((item, i) =>
+      item.description === invoice.items[i].description && item.amount === invoice.items[i].amount
+    );
+    if (unchanged) return;
+
+    // An issued invoice is never edited: credit it in full and reissue
+    const { invoice: reissued } = await reissueInvoice({
+      invoice,
+      items,
+      notes: 'Treatment plan sessions changed',
+      createdBy: series.createdBy
+    });
+    reissued.commissionAmount = commissionAmount;
+    await reissued.save();
+
+    series.invoiceId = reissued._id;
+    await series.save();
+  } catch (error) {
+    console.error('Error refreshing series invoice:', error);
+  }
+}
+
+async function sendSeriesNotification(series, professional, patientProfile, title, message) {
+  try {
+    const professionalUserId = professional?.userId?._id || professional?.userId;
+
+    if (patientProfile?.userId) {
+      await notify({
+        userId: patientProfile.userId,
+        title,
+        message: `${message}${professional?.name ? ` with ${professional.name}` : ''}`,
+        type: 'appointment',
+        channels: ['in_app', 'push', 'email'],
+        relatedEntity: 'AppointmentSeries',
+        relatedEntityId: series._id
+      });
+    }
+
+    if (professionalUserId) {
+      await notify({
+        userId: professionalUserId,
+        title,
+        message: `${message} for ${patientProfile?.name || 'patient'}`,
+        type: 'appointment',
+        channels: ['in_app'],
+        relatedEntity: 'AppointmentSeries',
+        relatedEntityId: series._id
+      });
+    }
+  } catch (error) {
+    console.error('Error sending series notifications:', error);
+  }
+}
@@ -4,8 +4,28 @@ const DoctorProfile = require('../models/DoctorProfile');
 const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
 const PatientProfile = require('../models/PatientProfile');
 const PathologyProfile = require('../models/PathologyProfile');
-const { generateToken }= require('../utils/generateToken');
+const Session = require('../models/Session');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessionSockets,
+  serializeSession
+} = require('../utils/sessions');
+const { generateChallengeToken, verifyToken } = require('../utils/generateToken');
+const {
+  generateSecret,
+  verifyCode,
+  buildEnrollment,
+  generateBackupCodes,
+  verifySecondFactor,
+  isTwoFactorRequired,
+  isTwoFactorSatisfied
+} = require('../utils/twoFactor');
 const sendEmail = require('../utils/sendEmail');
+const { normalizePhone, sendOtp, verifyOtp } = require('../utils/phoneOtp');
+const { checkAccountLock, recordFailedLogin } = require('../utils/accountLockout');
 const { default: mongoose } = require('mongoose');
 
 // ========== HELPER FUNCTIONS ==========
@@ -17,6 +37,22 @@ const getClientIp = (req) => {
          req.ip;
 };
 
+const sendAccountLocked = (res, lock) => {
+  return res.status(423).json({
+    success: false,
+    error: `Too many failed attempts. Your account is locked until ${lock.lockedUntil.toISOString()}.`,
+    locked: true,
+    lockedUntil: lock.lockedUntil,
+    retryAfter: lock.retryAfter
+  });
+};
+
+const getSessionContext = (req) => ({
+  ip: getClientIp(req),
+  userAgent: req.headers['user-agent'],
+  device: req.body?.device
+});
+
 const validateRegistrationData = (data) => {
   const errors = [];
   
@@ -150,13 +186,14 @@ exports.register = async (req, res) => {
     //   // Continue even if email fails
     // }
     
-    // Generate JWT token (for auto-login after verification)
-    const token = generateToken(user._id);
+    // Start a session (for auto-login after verification)
+    const { token, refreshToken } = await createSession(user, getSessionContext(req));
     
     res.status(201).json({
       success: true,
       message: 'Registration successful! Please check your email to verify your account.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -230,13 +267,23 @@ exports.verifyEmail = async (req, res) => {
     user.emailVerificationExpires = undefined;
     await user.save();
     
-    // Generate login token for auto-login
-    const loginToken = generateToken(user._id);
+    // No auto-login past a second factor; the user signs in normally
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Email verified successfully! Please login to continue.',
+        nextStep: 'login'
+      });
+    }
+    
+    // Start a session for auto-login
+    const { token: loginToken, refreshToken } = await createSession(user, getSessionContext(req));
     
     res.json({
       success: true,
       message: 'Email verified successfully!',
       token: loginToken,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -378,6 +425,88 @@ async function resolveProfileForUser(user) {
   return null;
 }
 
+// Bank details stay out of profile payloads until the payout 2FA policy is met
+async function hideBankDetails(user, profile) {
+  if (!profile || await isTwoFactorSatisfied(user, 'payouts')) return profile;
+  const data = typeof profile.toJSON === 'function' ? profile.toJSON() : { ...profile };
+  delete data.bankDetails;
+  return data;
+}
+
+const touchesBankDetails = (updates) => Object.keys(updates || {})
+  .some(key => key === 'bankDetails' || key.startsWith('bankDetails.'));
+
+// Record the login, start a session and send the login payload
+async function completeLogin(user, req, res) {
+  // Update last login
+  const clientIp = getClientIp(req);
+  await user.updateLastLogin(clientIp);
+
+  // Start a session for this device
+  const { token, refreshToken } = await createSession(user, getSessionContext(req));
+
+  // ===== NEW: Resolve profileId/profileModel by userId if missing =====
+  let resolvedProfile = null;
+  let resolvedProfileId = user.profileId || null;
+  let resolvedProfileModel = user.profileModel || null;
+
+  resolvedProfile = await resolveProfileForUser(user);
+
+  if (resolvedProfile) {
+    resolvedProfileId = resolvedProfile.profileId;
+    resolvedProfileModel = resolvedProfile.profileModel;
+
+    // Optional but recommended: sync User doc if not already linked
+    const needsSync =
+      !user.profileId ||
+      !user.profileModel ||
+      String(user.profileId) !== String(resolvedProfileId) ||
+      user.profileModel !== resolvedProfileModel ||
+      user.profileCompleted !== true;
+
+    if (needsSync) {
+      user.profileId = resolvedProfileId;
+      user.profileModel = resolvedProfileModel;
+      user.profileCompleted = true;
+      await user.save();
+    }
+  }
+
+  // Return profile payload as before (now includes resolved profile even if profileCompleted was false)
+  const profile = await hideBankDetails(user, resolvedProfile?.profile || null);
+
+  // Policy may require enrolling in 2FA before admin or payout areas open up
+  const twoFactorSetupRequired = !(await isTwoFactorSatisfied(user, 'admin')) ||
+    !(await isTwoFactorSatisfied(user, 'payouts'));
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      phone: user.phone,
+      isVerified: user.isVerified,
+      phoneVerified: user.phoneVerified,
+
+      // IMPORTANT: these are now always resolved if profile exists
+      profileCompleted: !!resolvedProfileId,
+      profileId: resolvedProfileId,
+      profileModel: resolvedProfileModel,
+
+      status: user.status,
+      preferences: user.preferences,
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    },
+    profile,
+    nextStep: resolvedProfileId ? null : 'complete-profile',
+    twoFactorSetupRequired
+  });
+}
+
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -399,9 +528,19 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is even checked
+    const lock = await checkAccountLock(user, req);
+    if (lock) {
+      return sendAccountLocked(res, lock);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const newLock = await recordFailedLogin(user, req, 'Invalid password');
+      if (newLock) {
+        return sendAccountLocked(res, newLock);
+      }
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -416,72 +555,291 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Update last login
-    const clientIp = getClientIp(req);
-    await user.updateLastLogin(clientIp);
+    // Second step for accounts with 2FA: no session until the code is checked
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    await completeLogin(user, req, res);
 
-    // ===== NEW: Resolve profileId/profileModel by userId if missing =====
-    let resolvedProfile = null;
-    let resolvedProfileId = user.profileId || null;
-    let resolvedProfileModel = user.profileModel || null;
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed. Please try again.'
+    });
+  }
+};
 
-    resolvedProfile = await resolveProfileForUser(user);
+/**
+ * @desc    Second login step: check TOTP or backup code and start the session
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (challenge token from login)
+ */
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the challenge token and a verification code'
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (jwtError) {
+      decoded = null;
+    }
+    
+    if (!decoded || decoded.purpose !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        error: 'Login attempt expired. Please login again.',
+        expired: true
+      });
+    }
+    
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+    
+    const lock = await checkAccountLock(user, req);
+    if (lock) {
+      return sendAccountLocked(res, lock);
+    }
+    
+    const method = verifySecondFactor(user, { code, backupCode });
+    if (!method) {
+      const newLock = await recordFailedLogin(user, req, 'Invalid two-factor code');
+      if (newLock) {
+        return sendAccountLocked(res, newLock);
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    // Persist the used step / consumed backup code before anything else
+    await user.save();
+    
+    if (method === 'backup_code') {
+      console.log(`🔑 Backup code used by ${user.email}, ${user.twoFactor.backupCodes.length} left`);
+    }
+    
+    await completeLogin(user, req, res);
+    
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed. Please try again.'
+    });
+  }
+};
 
-    if (resolvedProfile) {
-      resolvedProfileId = resolvedProfile.profileId;
-      resolvedProfileModel = resolvedProfile.profileModel;
+// ========== PHONE OTP ==========
 
-      // Optional but recommended: sync User doc if not already linked
-      const needsSync =
-        !user.profileId ||
-        !user.profileModel ||
-        String(user.profileId) !== String(resolvedProfileId) ||
-        user.profileModel !== resolvedProfileModel ||
-        user.profileCompleted !== true;
+// OTP errors carry statusCode (429 for limits) plus retryAfter/attemptsLeft hints
+const sendOtpError = (res, error, fallback) => {
+  if (!error.statusCode) {
+    console.error(`${fallback}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallback,
+    ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+    ...(error.attemptsLeft !== undefined && { attemptsLeft: error.attemptsLeft })
+  });
+};
 
-      if (needsSync) {
-        user.profileId = resolvedProfileId;
-        user.profileModel = resolvedProfileModel;
-        user.profileCompleted = true;
-        await user.save();
+/**
+ * @desc    Send a login OTP to a patient's phone
+ * @route   POST /api/auth/otp/request
+ * @access  Public
+ */
+exports.requestLoginOtp = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid 10-digit phone number'
+      });
+    }
+    
+    // Same answer whether or not the number is registered
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this number, an OTP has been sent'
+    };
+    
+    const users = await User.find({ phone, role: 'patient', isActive: true }).select('_id');
+    
+    if (users.length !== 1) {
+      if (users.length > 1) {
+        console.warn(`⚠️ OTP login refused: ${users.length} patient accounts share phone ${phone}`);
       }
+      return res.json(genericResponse);
     }
+    
+    const { expiresAt, resendAfter } = await sendOtp({
+      phone,
+      purpose: 'login',
+      userId: users[0]._id,
+      ip: getClientIp(req)
+    });
+    
+    res.json({ ...genericResponse, expiresAt, resendAfter });
+    
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to send OTP');
+  }
+};
 
-    // Return profile payload as before (now includes resolved profile even if profileCompleted was false)
-    const profile = resolvedProfile?.profile || null;
+/**
+ * @desc    Passwordless login with a phone OTP
+ * @route   POST /api/auth/otp/verify
+ * @access  Public
+ */
+exports.verifyLoginOtp = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const { code } = req.body;
+    
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide phone number and OTP'
+      });
+    }
+    
+    const otp = await verifyOtp({ phone, purpose: 'login', code });
+    const user = await User.findById(otp.userId);
+    
+    if (!user || !user.isActive || user.phone !== phone) {
+      return res.status(401).json({
+        success: false,
+        error: 'Your account has been deactivated. Please contact support.'
+      });
+    }
+    
+    const lock = await checkAccountLock(user, req);
+    if (lock) {
+      return sendAccountLocked(res, lock);
+    }
+    
+    // Receiving the code proves the number belongs to the user
+    if (!user.phoneVerified) {
+      user.markPhoneVerified();
+      await user.save();
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+    
+    await completeLogin(user, req, res);
+    
+  } catch (error) {
+    sendOtpError(res, error, 'Login failed. Please try again.');
+  }
+};
 
+/**
+ * @desc    Send a verification OTP to the current user's phone
+ * @route   POST /api/auth/phone/verify/request
+ * @access  Private
+ */
+exports.requestPhoneVerification = async (req, res) => {
+  try {
+    if (req.user.phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is already verified'
+      });
+    }
+    
+    const { expiresAt, resendAfter } = await sendOtp({
+      phone: req.user.phone,
+      purpose: 'verify_phone',
+      userId: req.user._id,
+      ip: getClientIp(req)
+    });
+    
     res.json({
       success: true,
-      token,
+      message: `OTP sent to ******${req.user.phone.slice(-4)}`,
+      expiresAt,
+      resendAfter
+    });
+    
+  } catch (error) {
+    sendOtpError(res, error, 'Failed to send OTP');
+  }
+};
+
+/**
+ * @desc    Confirm the current user's phone with the OTP
+ * @route   POST /api/auth/phone/verify/confirm
+ * @access  Private
+ */
+exports.confirmPhoneVerification = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide the OTP'
+      });
+    }
+    
+    const otp = await verifyOtp({ phone: req.user.phone, purpose: 'verify_phone', code });
+    
+    if (otp.userId?.toString() !== req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'OTP has expired. Please request a new one.'
+      });
+    }
+    
+    const user = await User.findById(req.user._id);
+    user.markPhoneVerified();
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully',
       user: {
         id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
         phone: user.phone,
         isVerified: user.isVerified,
-
-        // IMPORTANT: these are now always resolved if profile exists
-        profileCompleted: !!resolvedProfileId,
-        profileId: resolvedProfileId,
-        profileModel: resolvedProfileModel,
-
-        status: user.status,
-        preferences: user.preferences
-      },
-      profile,
-      nextStep: resolvedProfileId ? null : 'complete-profile'
+        phoneVerified: user.phoneVerified,
+        status: user.status
+      }
     });
-
+    
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Login failed. Please try again.'
-    });
+    sendOtpError(res, error, 'Phone verification failed');
   }
 };
 
@@ -697,7 +1055,7 @@ exports.getProfileStatus = async (req, res) => {
       profileCompleted: user.profileCompleted,
       role: user.role,
       verificationStatus,
-      profile,
+      profile: await hideBankDetails(user, profile),
       requiresProfileCompletion: !user.profileCompleted,
       requiresVerification: ['doctor', 'physio', 'pathology'].includes(user.role) && 
                            verificationStatus !== 'approved'
@@ -731,6 +1089,14 @@ exports.updateProfile = async (req, res) => {
       });
     }
     
+    if (touchesBankDetails(updates) && !(await isTwoFactorSatisfied(user, 'payouts'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please enable two-factor authentication to change bank details',
+        requiresTwoFactor: true
+      });
+    }
+    
     let profile;
     
     switch(user.profileModel) {
@@ -787,7 +1153,7 @@ exports.updateProfile = async (req, res) => {
     res.json({
       success: true,
       message: 'Profile updated successfully',
-      profile
+      profile: await hideBankDetails(user, profile)
     });
     
   } catch (error) {
@@ -923,6 +1289,9 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
     
+    // Whoever knew the old password may still be logged in
+    await revokeAllSessions(user._id, 'password_reset');
+    
     res.json({
       success: true,
       message: 'Password reset successful. You can now login with your new password.'
@@ -984,9 +1353,13 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out other devices; this one stays logged in
+    const revokedSessions = await revokeAllSessions(user._id, 'password_changed', req.sessionId);
+    
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      revokedSessions
     });
     
   } catch (error) {
@@ -1025,6 +1398,7 @@ exports.getCurrentUser = async (req, res) => {
         role: user.role,
         phone: user.phone,
         isVerified: user.isVerified,
+        phoneVerified: user.phoneVerified,
         profileCompleted: user.profileCompleted,
         profileId: user.profileId,
         profileModel: user.profileModel,
@@ -1033,7 +1407,7 @@ exports.getCurrentUser = async (req, res) => {
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       },
-      profile
+      profile: await hideBankDetails(user, profile)
     });
     
   } catch (error) {
@@ -1052,10 +1426,11 @@ exports.getCurrentUser = async (req, res) => {
  */
 exports.logout = async (req, res) => {
   try {
-    // In a real application, you might want to:
-    // 1. Invalidate the token (if using token blacklisting)
-    // 2. Clear device token for push notifications
-    // 3. Log the logout event
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    await disconnectSessionSockets(req.user._id, { sessionId: req.sessionId });
     
     res.json({
       success: true,
@@ -1071,6 +1446,407 @@ exports.logout = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Exchange refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+    
+    const rotated = await rotateSession(refreshToken, getSessionContext(req));
+    
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please login again.',
+        expired: true
+      });
+    }
+    
+    const user = await User.findById(rotated.session.userId);
+    
+    if (!user || !user.isActive) {
+      await revokeSession(rotated.session, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        error: 'Your account has been deactivated'
+      });
+    }
+    
+    res.json({
+      success: true,
+      token: rotated.token,
+      refreshToken: rotated.refreshToken
+    });
+    
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    });
+  }
+};
+
+/**
+ * @desc    List active sessions of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => serializeSession(session, req.sessionId))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Sign out one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session id'
+      });
+    }
+    
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await revokeSession(session, 'user_revoked');
+    
+    res.json({
+      success: true,
+      message: 'Session signed out',
+      current: session._id.toString() === req.sessionId.toString()
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+};
+
+/**
+ * @desc    Sign out all other sessions (pass ?includeCurrent=true to sign out this one too)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    
+    const revoked = await revokeAllSessions(
+      req.user._id,
+      'user_revoked',
+      includeCurrent ? null : req.sessionId
+    );
+    
+    res.json({
+      success: true,
+      message: includeCurrent ? 'Signed out of all sessions' : 'Signed out of all other sessions',
+      revoked
+    });
+    
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
+    });
+  }
+};
+
+// ========== TWO-FACTOR AUTHENTICATION ==========
+
+/**
+ * @desc    Get 2FA status and whether policy requires it
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.backupCodes');
+    
+    const [requiredForAdmin, requiredForPayouts] = await Promise.all([
+      isTwoFactorRequired(user, 'admin'),
+      isTwoFactorRequired(user, 'payouts')
+    ]);
+    
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        backupCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.backupCodes || []).length : 0,
+        required: requiredForAdmin || requiredForPayouts
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status'
+    });
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment: issue a secret and QR code
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    const enrollment = await buildEnrollment(user, secret);
+    
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+    
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm enrollment with a first code; returns backup codes once
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.pendingSecret +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    
+    // Other logins never passed a second factor
+    const revokedSessions = await revokeAllSessions(user._id, 'two_factor_enabled', req.sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they are shown only once.',
+      backupCodes: codes,
+      revokedSessions
+    });
+    
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Turn 2FA off (password plus a current code or backup code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide your password and a verification code'
+      });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (await isTwoFactorRequired(user, 'admin') || await isTwoFactorRequired(user, 'payouts')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for your account'
+      });
+    }
+    
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+    
+    if (!verifySecondFactor(user, { code, backupCode })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+    
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Replace backup codes (requires a current TOTP code)
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'New backup codes generated; the old ones no longer work',
+      backupCodes: codes
+    });
+    
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate backup codes'
+    });
+  }
+};
+
 // ========== HELPER FUNCTIONS ==========
 
 function getNextSteps(role, verificationStatus = null) {
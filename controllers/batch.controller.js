@@ -1,6 +1,7 @@
 const MedicineBatch = require('../models/MedicineBatch');
 const Medicine = require('../models/Medicine');
 const StockAdjustment = require('../models/StockAdjustment');
+const { pharmacyScope } = require('../middlewares/scopeToPharmacy');
 
 exports.getAllBatches = async (req, res) => {
   try {
@@ -12,7 +13,7 @@ exports.getAllBatches = async (req, res) => {
       limit = 20 
     } = req.query;
     
-    const filter = {};
+    const filter = { ...pharmacyScope(req) };
     if (medicineId) filter.medicineId = medicineId;
     if (isExpired !== undefined) filter.isExpired = isExpired === 'true';
     if (isActive !== undefined) filter.isActive = isActive === 'true';
@@ -43,9 +44,12 @@ exports.getAllBatches = async (req, res) => {
 
 exports.updateBatch = async (req, res) => {
   try {
-    const batch = await MedicineBatch.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    // Stock never moves between pharmacies through an edit
+    const { pharmacyId, ...updates } = req.body;
+    
+    const batch = await MedicineBatch.findOneAndUpdate(
+      { _id: req.params.id, ...pharmacyScope(req) },
+      updates,
       { new: true, runValidators: true }
     );
     
@@ -63,7 +67,7 @@ exports.adjustBatchQuantity = async (req, res) => {
   try {
     const { quantity, reason, adjustmentType } = req.body;
     
-    const batch = await MedicineBatch.findById(req.params.id);
+    const batch = await MedicineBatch.findOne({ _id: req.params.id, ...pharmacyScope(req) });
     if (!batch) {
       return res.status(404).json({ message: 'Batch not found' });
     }
@@ -86,6 +90,7 @@ exports.adjustBatchQuantity = async (req, res) => {
     
     // Record adjustment
     await StockAdjustment.create({
+      pharmacyId: batch.pharmacyId,
       medicineId: batch.medicineId,
       batchId: batch._id,
       previousQuantity,
@@ -2,6 +2,10 @@ const Appointment = require('../models/Appointment');
 const Invoice = require('../models/Invoice');
 const Commission = require('../models/Commission');
 const CommissionSettings = require('../models/CommissionSettings');
+const LabTest = require('../models/LabTest');
+const Refund = require('../models/Refund');
+const CreditNote = require('../models/CreditNote');
+const { initiateRefund, submitRefund } = require('../utils/refunds');
 
 exports.generateAppointmentBill = async (req, res) => {
   try {
@@ -18,7 +22,7 @@ exports.generateAppointmentBill = async (req, res) => {
     }
     
     // Check if invoice already exists
-    const existingInvoice = await Invoice.findOne({ appointmentId });
+    const existingInvoice = await Invoice.findOne({ appointmentId, status: { $ne: 'credited' } });
     if (existingInvoice) {
       return res.json({ success: true, invoice: existingInvoice });
     }
@@ -74,6 +78,7 @@ exports.generateAppointmentBill = async (req, res) => {
     const invoice = await Invoice.create({
       invoiceType: 'appointment',
       appointmentId,
+      professionalType: appointment.professionalType,
       patientId: appointment.patientId._id,
       customerName: appointment.patientId.name,
       customerPhone: appointment.patientId.phone,
@@ -142,7 +147,7 @@ exports.generatePharmacyBill = async (req, res) => {
     }
     
     // Check if invoice already exists
-    const existingInvoice = await Invoice.findOne({ pharmacySaleId });
+    const existingInvoice = await Invoice.findOne({ pharmacySaleId, status: { $ne: 'credited' } });
     if (existingInvoice) {
       return res.json({ success: true, invoice: existingInvoice });
     }
@@ -154,7 +159,8 @@ exports.generatePharmacyBill = async (req, res) => {
       unitPrice: item.sellingPrice,
       amount: item.quantity * item.sellingPrice,
       taxRate: item.taxRate || 0,
-      taxAmount: (item.quantity * item.sellingPrice * (item.taxRate || 0)) / 100
+      taxAmount: item.taxAmount ?? (item.quantity * item.sellingPrice * (item.taxRate || 0)) / 100,
+      hsnSacCode: item.hsnSacCode
     }));
     
     const subtotal = pharmacySale.subtotal;
@@ -179,6 +185,9 @@ exports.generatePharmacyBill = async (req, res) => {
       pharmacySaleId,
       patientId: pharmacySale.patientId?._id,
       ...customerDetails,
+      supplier: pharmacySale.supplier,
+      recipientGstin: pharmacySale.recipientGstin,
+      placeOfSupply: pharmacySale.placeOfSupply,
       items,
       subtotal,
       discount: pharmacySale.discount || 0,
@@ -210,7 +219,7 @@ exports.generateLabTestBill = async (req, res) => {
     }
     
     // Check if invoice already exists
-    const existingInvoice = await Invoice.findOne({ labTestId });
+    const existingInvoice = await Invoice.findOne({ labTestId, status: { $ne: 'credited' } });
     if (existingInvoice) {
       return res.json({ success: true, invoice: existingInvoice });
     }
@@ -330,39 +339,132 @@ exports.processRefund = async (req, res) => {
       return res.status(404).json({ message: 'Invoice not found' });
     }
     
+    if (invoice.status === 'credited') {
+      return res.status(400).json({ message: 'Invoice has been credited; refund against the reissued invoice' });
+    }
+    
     if (refundAmount > invoice.amountPaid) {
       return res.status(400).json({ message: 'Refund amount exceeds paid amount' });
     }
     
-    // Update invoice
-    invoice.amountPaid -= refundAmount;
-    invoice.balanceDue += refundAmount;
-    invoice.status = 'refunded';
-    invoice.notes = `${invoice.notes || ''}\nRefund processed: ${refundAmount} - Reason: ${reason}`;
-    invoice.updatedBy = req.user.id;
+    // Refund against whatever was actually charged: the appointment / lab test, else the invoice itself
+    let entityType = 'invoice';
+    let entity = invoice;
+    if (invoice.appointmentId) {
+      const appointment = await Appointment.findById(invoice.appointmentId);
+      if (appointment) {
+        entityType = 'appointment';
+        entity = appointment;
+      }
+    } else if (invoice.labTestId) {
+      const labTest = await LabTest.findById(invoice.labTestId);
+      if (labTest) {
+        entityType = 'labtest';
+        entity = labTest;
+      }
+    }
     
-    await invoice.save();
+    // Invoice status, credit note and commission reversal follow when the refund settles
+    const refund = await initiateRefund({
+      entityType,
+      entity,
+      amount: refundAmount,
+      reason,
+      source: 'admin',
+      requestedBy: req.user.id
+    });
+    
+    const [updatedInvoice, creditNote] = await Promise.all([
+      Invoice.findById(invoice._id),
+      CreditNote.findOne({ refundId: refund._id })
+    ]);
+    
+    res.json({ success: true, refund, invoice: updatedInvoice, creditNote });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+exports.getRefunds = async (req, res) => {
+  try {
+    const { status, entityType, entityId, source, page = 1, limit = 20 } = req.query;
     
-    // Handle commission reversal if applicable
-    if (invoice.commissionIncluded && invoice.commissionAmount > 0) {
-      await reverseCommission(invoice);
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
     }
     
-    res.json({ success: true, invoice });
+    const filter = {};
+    if (status) filter.status = status;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (source) filter.source = source;
+    
+    const [refunds, total] = await Promise.all([
+      Refund.find(filter)
+        .populate('patientId', 'name')
+        .populate('invoiceId', 'invoiceNumber')
+        .populate('requestedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Refund.countDocuments(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      refunds,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getRefundById = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('invoiceId', 'invoiceNumber totalAmount amountPaid status')
+      .populate('paymentId');
+    
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+    
+    // Patients may follow their own refunds
+    if (req.user.role !== 'admin' && String(refund.patientId) !== String(req.user.profileId)) {
+      return res.status(403).json({ message: 'Not authorized to view this refund' });
+    }
+    
+    res.json({ success: true, refund });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Helper function
-async function reverseCommission(invoice) {
-  if (invoice.appointmentId) {
-    const commission = await Commission.findOne({ appointmentId: invoice.appointmentId });
-    if (commission) {
-      // Mark commission as refunded or adjust
-      commission.payoutStatus = 'cancelled';
-      commission.notes = `Commission reversed due to invoice refund: ${invoice.invoiceNumber}`;
-      await commission.save();
+exports.retryRefund = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+    
+    if (refund.status !== 'failed' || refund.gateway !== 'razorpay') {
+      return res.status(400).json({ message: 'Only failed gateway refunds can be retried' });
     }
+    
+    const result = await submitRefund(refund);
+    
+    res.json({ success: true, refund: result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
-}
\ No newline at end of file
+};
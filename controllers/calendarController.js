@@ -4,6 +4,7 @@ const DoctorProfile = require('../models/DoctorProfile');
 const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
 const PathologyProfile = require('../models/PathologyProfile');
 const { updateDoctorInCalendar, initializeCalendarForMonth } = require('../jobs/calendarJob');
+const { checkSlotAvailability, withSlotLock, MAX_DURATION_MINUTES } = require('../utils/slotAvailability');
 
 // ========== CALENDAR FUNCTIONS ==========
 
@@ -705,7 +706,7 @@ exports.getAvailableSlots = async (req, res) => {
     }
 
     const slotSize = parseInt(duration, 10);
-    if (!slotSize || slotSize <= 0) {
+    if (!slotSize || slotSize <= 0 || slotSize > MAX_DURATION_MINUTES) {
       return res.status(400).json({ success: false, error: 'Invalid duration' });
     }
 
@@ -912,7 +913,9 @@ exports.getAvailableSlots = async (req, res) => {
       },
       date: targetKey,
       dayName: day.dayName,
-      slotDuration: slotSize
+      slotDuration: slotSize,
+      // Fully booked: patient can join the waitlist (POST /api/waitlist) for a freed slot
+      canJoinWaitlist: availableSlots.length === 0
     });
   } catch (error) {
     console.error('Error fetching available slots:', error.message);
@@ -986,6 +989,9 @@ exports.bookSlot = async (req, res) => {
     if (timeToMinutes(endTime) <= timeToMinutes(startTime)) {
       return res.status(400).json({ success: false, error: 'End time must be after start time' });
     }
+    if (timeToMinutes(endTime) - timeToMinutes(startTime) > MAX_DURATION_MINUTES) {
+      return res.status(400).json({ success: false, error: `A slot cannot be longer than ${MAX_DURATION_MINUTES} minutes` });
+    }
 
     // Get professional (for availability -> workingHours, and for name in logs)
     let professional;
@@ -995,129 +1001,131 @@ exports.bookSlot = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Professional not found' });
     }
 
-    // Appointment collection is the source of truth for conflicts
-    const profKey =
-      professionalType === 'doctor'
-        ? 'doctorId'
-        : professionalType === 'physio'
-          ? 'physioId'
-          : 'pathologyId';
+    // Conflict check and calendar write happen under the booking lock so
+    // concurrent requests cannot both claim an overlapping interval
+    const slot = { professionalId, professionalType, date: targetDayStart };
 
-    const existingAppointments = await Appointment.find({
-      [profKey]: professionalId,
-      appointmentDate: { $gte: targetDayStart, $lt: targetDayEnd },
-      // overlap
-      startTime: { $lt: endTime },
-      endTime: { $gt: startTime },
-      status: { $in: ['pending', 'confirmed', 'accepted'] }
-    }).select('_id');
-
-    if (existingAppointments.length > 0) {
-      return res.status(400).json({ success: false, error: 'Selected slot is not available' });
-    }
-
-    // Get or create calendar
-    let calendar = await Calendar.findOne({ year, month });
-    if (!calendar) {
-      calendar = await initializeCalendarForMonth(year, month);
-    }
-
-    // Find or create the day entry (compare by YYYY-MM-DD)
-    const dateStr = targetDayStart.toISOString().split('T')[0];
-
-    let dayIndex = calendar.days.findIndex(d => {
-      const dStr = new Date(d.date).toISOString().split('T')[0];
-      return dStr === dateStr;
-    });
-
-    if (dayIndex === -1) {
-      const dayName = targetDayStart.toLocaleDateString('en-US', { weekday: 'long' });
-      calendar.days.push({
-        date: targetDayStart,
-        dayName,
-        isHoliday: false,
-        professionals: []
+    const { availability, bookedSlot, dateStr } = await withSlotLock(slot, async () => {
+      const availability = await checkSlotAvailability({
+        ...slot,
+        startTime,
+        endTime,
+        excludeAppointmentId: appointmentId
       });
+      if (!availability.available) return { availability };
 
-      calendar.days.sort((a, b) => new Date(a.date) - new Date(b.date));
+      // Get or create calendar
+      let calendar = await Calendar.findOne({ year, month });
+      if (!calendar) {
+        calendar = await initializeCalendarForMonth(year, month);
+      }
 
-      dayIndex = calendar.days.findIndex(d => {
+      // Find or create the day entry (compare by YYYY-MM-DD)
+      const dateStr = targetDayStart.toISOString().split('T')[0];
+
+      let dayIndex = calendar.days.findIndex(d => {
         const dStr = new Date(d.date).toISOString().split('T')[0];
         return dStr === dateStr;
       });
-    }
-
-    // Find professional entry within the day
-    let professionalIndex = calendar.days[dayIndex].professionals.findIndex(p =>
-      p.professionalId.toString() === professionalId.toString() &&
-      p.professionalType === professionalType
-    );
 
-    // A REAL booked slot entry (bookedSlots = ONLY real appointments)
-    const bookedSlot = {
-      appointmentId,
-      patientId,
-      startTime,
-      endTime,
-      bookedAt: new Date(),
-      bookedBy: req.user.id,
-      status: 'booked'
-    };
+      if (dayIndex === -1) {
+        const dayName = targetDayStart.toLocaleDateString('en-US', { weekday: 'long' });
+        calendar.days.push({
+          date: targetDayStart,
+          dayName,
+          isHoliday: false,
+          professionals: []
+        });
 
-    // Derive workingHours from weekly availability template (optional)
-    const dayNameLower = targetDayStart
-      .toLocaleDateString('en-US', { weekday: 'long' })
-      .toLowerCase();
+        calendar.days.sort((a, b) => new Date(a.date) - new Date(b.date));
 
-    const dayAvailability = professional?.availability?.find(a => a.day === dayNameLower);
-    const derivedWorkingHours =
-      (dayAvailability?.slots || []).map(s => ({ startTime: s.startTime, endTime: s.endTime }));
+        dayIndex = calendar.days.findIndex(d => {
+          const dStr = new Date(d.date).toISOString().split('T')[0];
+          return dStr === dateStr;
+        });
+      }
 
-    if (professionalIndex === -1) {
-      // Create professional entry with ONLY this booking in bookedSlots
-      calendar.days[dayIndex].professionals.push({
-        professionalId,
-        professionalType,
-        bookedSlots: [bookedSlot],
-        breaks: [],
-        workingHours: derivedWorkingHours, // availability lives here
-        isAvailable: true
-      });
-    } else {
-      const profRef = calendar.days[dayIndex].professionals[professionalIndex];
+      // Find professional entry within the day
+      let professionalIndex = calendar.days[dayIndex].professionals.findIndex(p =>
+        p.professionalId.toString() === professionalId.toString() &&
+        p.professionalType === professionalType
+      );
 
-      // ensure arrays
-      profRef.bookedSlots = profRef.bookedSlots || [];
-      profRef.breaks = profRef.breaks || [];
-      profRef.workingHours = profRef.workingHours || derivedWorkingHours;
+      // A REAL booked slot entry (bookedSlots = ONLY real appointments)
+      const bookedSlot = {
+        appointmentId,
+        patientId,
+        startTime,
+        endTime,
+        bookedAt: new Date(),
+        bookedBy: req.user.id,
+        status: 'booked'
+      };
 
-      // Prevent duplicates
-      const already = profRef.bookedSlots.find(s =>
-        (s.appointmentId && s.appointmentId.toString() === appointmentId.toString()) ||
-        (s.startTime === startTime && s.endTime === endTime && s.status !== 'cancelled')
-      );
+      // Derive workingHours from weekly availability template (optional)
+      const dayNameLower = targetDayStart
+        .toLocaleDateString('en-US', { weekday: 'long' })
+        .toLowerCase();
 
-      if (already) {
-        // If same appointment, refresh fields; if overlap, conflict should have been caught by Appointment query.
-        already.appointmentId = appointmentId;
-        already.patientId = patientId;
-        already.startTime = startTime;
-        already.endTime = endTime;
-        already.bookedAt = new Date();
-        already.bookedBy = req.user.id;
-        already.status = 'booked';
+      const dayAvailability = professional?.availability?.find(a => a.day === dayNameLower);
+      const derivedWorkingHours =
+        (dayAvailability?.slots || []).map(s => ({ startTime: s.startTime, endTime: s.endTime }));
+
+      if (professionalIndex === -1) {
+        // Create professional entry with ONLY this booking in bookedSlots
+        calendar.days[dayIndex].professionals.push({
+          professionalId,
+          professionalType,
+          bookedSlots: [bookedSlot],
+          breaks: [],
+          workingHours: derivedWorkingHours, // availability lives here
+          isAvailable: true
+        });
       } else {
-        profRef.bookedSlots.push(bookedSlot);
-      }
+        const profRef = calendar.days[dayIndex].professionals[professionalIndex];
+
+        // ensure arrays
+        profRef.bookedSlots = profRef.bookedSlots || [];
+        profRef.breaks = profRef.breaks || [];
+        profRef.workingHours = profRef.workingHours || derivedWorkingHours;
+
+        // Prevent duplicates (slots shared up to maxPatients are separate entries)
+        const already = profRef.bookedSlots.find(s =>
+          s.appointmentId && s.appointmentId.toString() === appointmentId.toString()
+        );
+
+        if (already) {
+          // Same appointment: refresh fields; overlaps were already rejected by checkSlotAvailability
+          already.appointmentId = appointmentId;
+          already.patientId = patientId;
+          already.startTime = startTime;
+          already.endTime = endTime;
+          already.bookedAt = new Date();
+          already.bookedBy = req.user.id;
+          already.status = 'booked';
+        } else {
+          profRef.bookedSlots.push(bookedSlot);
+        }
 
-      // Optionally keep workingHours synced (do not touch bookedSlots for availability)
-      if (!profRef.workingHours || profRef.workingHours.length === 0) {
-        profRef.workingHours = derivedWorkingHours;
+        // Optionally keep workingHours synced (do not touch bookedSlots for availability)
+        if (!profRef.workingHours || profRef.workingHours.length === 0) {
+          profRef.workingHours = derivedWorkingHours;
+        }
       }
-    }
 
-    calendar.markModified('days');
-    await calendar.save();
+      calendar.markModified('days');
+      await calendar.save();
+
+      return { availability, bookedSlot, dateStr };
+    });
+
+    if (!availability.available) {
+      return res.status(409).json({
+        success: false,
+        error: availability.reason || 'Selected slot is not available',
+        conflicts: availability.conflicts
+      });
+    }
 
     // Trigger calendar sync (safe now because updateDoctorInCalendar won't write availability into bookedSlots)
     setTimeout(async () => {
@@ -1138,7 +1146,7 @@ exports.bookSlot = async (req, res) => {
     });
   } catch (error) {
     console.error('Error booking slot:', error.message);
-    return res.status(500).json({ success: false, error: error.message });
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 };
 
@@ -1,29 +1,116 @@
+const mongoose = require('mongoose');
 const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
+const ChatAttachment = require('../models/ChatAttachment');
+const Appointment = require('../models/Appointment');
+const PharmacySale = require('../models/PharmacySale');
 const DoctorProfile = require('../models/DoctorProfile');
 const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
 const PathologyProfile = require('../models/PathologyProfile');
 const PharmacyProfile = require('../models/PharmacyProfile');
 const PatientProfile = require('../models/PatientProfile');
+const AuditLog = require('../models/AuditLog');
+const { PROFILE_MODELS, getChatParticipant, loadChatForUser } = require('../utils/chatAccess');
+const { sendChatMessage, getMessagePage, searchChatMessages } = require('../utils/chatMessages');
+const { buildChatTranscriptPdf } = require('../utils/chatExport');
+const {
+  OPEN_APPOINTMENT_STATUSES,
+  PROFESSIONAL_FIELDS,
+  resolveFollowupDays,
+  openChatForAppointment,
+  closeChatSession,
+  reopenChatSession
+} = require('../utils/chatLifecycle');
+const { getIO } = require('../sockets/io');
+const { chatRoom } = require('../sockets/rooms');
+const { getPresence } = require('../sockets/presence');
+const { getFileStorage } = require('../utils/fileStorage');
+const {
+  ATTACHMENT_FIELDS,
+  saveChatAttachment,
+  getAttachmentDownloadUrl,
+  verifyDownloadSignature
+} = require('../utils/chatAttachments');
 
-// Create or Get Chat Session
+// Transcripts beyond this keep only the latest messages
+const MAX_EXPORT_MESSAGES = 5000;
+
+// Unread count for the viewer and the other side's presence on each session
+async function withUnreadAndPresence(sessions, viewerProfileId, getCounterpartUserId) {
+  const unread = await ChatMessage.getUnreadCounts(sessions.map(s => s._id), viewerProfileId);
+  const presence = await getPresence(sessions.map(getCounterpartUserId));
+
+  return sessions.map(session => {
+    const counterpartId = getCounterpartUserId(session);
+    return {
+      ...session,
+      unreadCount: unread[session._id.toString()] || 0,
+      presence: counterpartId ? presence[counterpartId.toString()] : null
+    };
+  });
+}
+
+// Is the user the patient or the assigned professional of the appointment?
+function isAppointmentParty(user, appointment) {
+  return Boolean(getChatParticipant(user, {
+    patientId: appointment.patientId,
+    professionalType: appointment.professionalType,
+    professionalId: appointment[PROFESSIONAL_FIELDS[appointment.professionalType]]
+  }));
+}
+
+// Get a Chat Session. New chats start from a confirmed appointment,
+// or between a pharmacy and a patient who has bought from it.
 exports.getOrCreateSession = async (req, res) => {
   try {
     const { patientId, professionalId, professionalType, appointmentId } = req.body;
-    
+
+    if (appointmentId) {
+      if (!mongoose.isValidObjectId(appointmentId)) {
+        return res.status(400).json({ success: false, error: 'Invalid appointmentId' });
+      }
+
+      const appointment = await Appointment.findById(appointmentId);
+      if (!appointment) {
+        return res.status(404).json({ success: false, error: 'Appointment not found' });
+      }
+      if (!isAppointmentParty(req.user, appointment)) {
+        return res.status(403).json({ success: false, error: 'Not authorized to chat about this appointment' });
+      }
+
+      let session = await ChatSession.findOne({ appointmentId }).populate('lastMessage');
+      if (!session) {
+        if (!OPEN_APPOINTMENT_STATUSES.includes(appointment.status)) {
+          return res.status(403).json({ success: false, error: 'Chat opens once the appointment is confirmed' });
+        }
+        session = await openChatForAppointment(appointment);
+      }
+
+      return res.json({ success: true, session });
+    }
+
     if (!patientId || !professionalId || !professionalType) {
-      return res.status(400).json({ success: false, error: 'patientId, professionalId, and professionalType are required' });
+      return res.status(400).json({ success: false, error: 'appointmentId, or patientId, professionalId and professionalType are required' });
+    }
+    if (!mongoose.isValidObjectId(patientId) || !mongoose.isValidObjectId(professionalId)) {
+      return res.status(400).json({ success: false, error: 'Invalid patientId or professionalId' });
     }
 
     const query = { patientId, professionalId, professionalType };
-    if (appointmentId) query.appointmentId = appointmentId;
+    if (!getChatParticipant(req.user, query)) {
+      return res.status(403).json({ success: false, error: 'You can only open your own chats' });
+    }
 
-    let session = await ChatSession.findOne(query).populate('lastMessage');
+    let session = await ChatSession.findOne(query).sort({ updatedAt: -1 }).populate('lastMessage');
 
-    if (!session) {
+    if (!session && professionalType === 'pharmacy' && await PharmacySale.exists({ pharmacyId: professionalId, patientId })) {
       session = await ChatSession.create(query);
     }
 
+    if (!session) {
+      return res.status(403).json({ success: false, error: 'Chat is available once an appointment is confirmed' });
+    }
+
     res.json({ success: true, session });
   } catch (error) {
     console.error('Error in getOrCreateSession:', error);
@@ -38,11 +125,14 @@ exports.getProfessionalSessions = async (req, res) => {
     if (!professionalId) return res.status(403).json({ success: false, error: 'Profile ID not found in user context' });
 
     const sessions = await ChatSession.find({ professionalId })
-      .populate('patientId', 'name profileImage phone')
+      .populate('patientId', 'name profileImage phone userId')
       .populate('lastMessage')
-      .sort({ updatedAt: -1 });
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const withState = await withUnreadAndPresence(sessions, professionalId, s => s.patientId?.userId);
 
-    res.json({ success: true, sessions });
+    res.json({ success: true, sessions: withState });
   } catch (error) {
     console.error('Error fetching professional sessions:', error);
     res.status(500).json({ success: false, error: 'Internal Server Error' });
@@ -63,45 +153,278 @@ exports.getPatientSessions = async (req, res) => {
     const populatedSessions = await Promise.all(sessions.map(async (session) => {
       let doc = session.toObject();
       if (doc.professionalType === 'doctor') {
-        doc.professional = await DoctorProfile.findById(doc.professionalId).select('name profileImage specialization');
+        doc.professional = await DoctorProfile.findById(doc.professionalId).select('name profileImage specialization userId');
       } else if (doc.professionalType === 'physio') {
-        doc.professional = await PhysiotherapistProfile.findById(doc.professionalId).select('name profileImage specialization');
+        doc.professional = await PhysiotherapistProfile.findById(doc.professionalId).select('name profileImage specialization userId');
       } else if (doc.professionalType === 'pathology') {
-        doc.professional = await PathologyProfile.findById(doc.professionalId).select('name profileImage');
+        doc.professional = await PathologyProfile.findById(doc.professionalId).select('name profileImage userId');
       } else if (doc.professionalType === 'pharmacy') {
-        doc.professional = await PharmacyProfile.findById(doc.professionalId).select('name profileImage');
+        doc.professional = await PharmacyProfile.findById(doc.professionalId).select('name profileImage userId');
       }
       return doc;
     }));
 
-    res.json({ success: true, sessions: populatedSessions });
+    const withState = await withUnreadAndPresence(populatedSessions, patientId, s => s.professional?.userId);
+
+    res.json({ success: true, sessions: withState });
   } catch (error) {
     console.error('Error fetching patient sessions:', error);
     res.status(500).json({ success: false, error: 'Internal Server Error' });
   }
 };
 
-// Fetch Chat History
+// Fetch Chat History (cursor pages: ?before=<messageId> for older, ?after=<messageId> for newer)
 exports.getChatHistory = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = parseInt(req.query.skip) || 0;
+    const { before, after, limit, skip } = req.query;
+
+    const { participant } = await loadChatForUser(req.user, sessionId);
 
-    const messages = await ChatMessage.find({ sessionId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const { messages, pagination } = await getMessagePage(sessionId, { before, after, limit, skip });
 
-    // Mark messages as read based on who is querying (basic implementation)
-    await ChatMessage.updateMany(
-      { sessionId, isRead: false, senderId: { $ne: req.user.profileId } },
-      { $set: { isRead: true } }
-    );
+    // Opening the latest page reads everything the other side sent
+    if (!before) {
+      const { messageIds, at } = await ChatMessage.markRead(sessionId, participant.senderId);
+      if (messageIds.length > 0) {
+        getIO()?.to(chatRoom(sessionId)).emit('message_read', { sessionId, messageIds, by: req.user._id, at });
+      }
+    }
 
-    res.json({ success: true, messages: messages.reverse() });
+    res.json({ success: true, messages, pagination });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Error fetching chat history:', error);
     res.status(500).json({ success: false, error: 'Internal Server Error' });
   }
 };
+
+// Search messages across the user's chats (?q=, optional sessionId, before, limit)
+exports.searchMessages = async (req, res) => {
+  try {
+    const { q, sessionId, before, limit } = req.query;
+    const { results, hasMore } = await searchChatMessages(req.user, { q, sessionId, before, limit });
+
+    res.json({
+      success: true,
+      results,
+      pagination: { hasMore, nextBefore: hasMore ? results[results.length - 1]._id : null }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error searching chat messages:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Export a conversation as a PDF transcript for the medical record
+exports.exportChat = async (req, res) => {
+  try {
+    const { session } = await loadChatForUser(req.user, req.params.sessionId);
+
+    // Latest messages first so a cap keeps the most recent part of the conversation
+    const rows = await ChatMessage.find({ sessionId: session._id })
+      .populate('attachmentId', ATTACHMENT_FIELDS)
+      .sort({ _id: -1 })
+      .limit(MAX_EXPORT_MESSAGES + 1);
+    const truncated = rows.length > MAX_EXPORT_MESSAGES;
+    const messages = rows.slice(0, MAX_EXPORT_MESSAGES).reverse();
+
+    const [patient, professional, appointment] = await Promise.all([
+      PatientProfile.findById(session.patientId).select('name'),
+      mongoose.model(PROFILE_MODELS[session.professionalType]).findById(session.professionalId).select('name labName pharmacyName'),
+      session.appointmentId ? Appointment.findById(session.appointmentId).select('appointmentDate startTime') : null
+    ]);
+
+    const pdf = await buildChatTranscriptPdf({
+      session,
+      messages,
+      truncated,
+      appointment,
+      patientName: patient?.name || 'Patient',
+      professionalName: professional?.name || professional?.labName || professional?.pharmacyName || 'Professional',
+      exportedBy: req.user.name || req.user.email
+    });
+
+    await AuditLog.create({
+      userId: req.user._id,
+      userRole: req.user.role,
+      action: 'CHAT_EXPORTED',
+      entity: 'ChatSession',
+      entityId: session._id,
+      details: { messageCount: messages.length, truncated }
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.attachment(`chat-transcript-${session._id}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error exporting chat:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Send a message over REST (same rules as the socket `send_message`)
+exports.sendMessage = async (req, res) => {
+  try {
+    const message = await sendChatMessage(req.user, { ...req.body, sessionId: req.params.sessionId });
+    res.status(201).json({ success: true, message });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error sending chat message:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Close a chat (professional side only)
+exports.closeSession = async (req, res) => {
+  try {
+    const { session, participant } = await loadChatForUser(req.user, req.params.sessionId);
+
+    if (participant.senderType === 'patient') {
+      return res.status(403).json({ success: false, error: 'Only the professional can close this chat' });
+    }
+    if (session.status === 'closed') {
+      return res.status(400).json({ success: false, error: 'Chat is already closed' });
+    }
+
+    await closeChatSession(session, { reason: 'closed_by_professional', closedBy: req.user._id });
+    res.json({ success: true, session });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error closing chat session:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Reopen a closed chat (professional side only); closesInDays: 0 keeps it open until closed by hand
+exports.reopenSession = async (req, res) => {
+  try {
+    const { session, participant } = await loadChatForUser(req.user, req.params.sessionId);
+
+    if (participant.senderType === 'patient') {
+      return res.status(403).json({ success: false, error: 'Only the professional can reopen this chat' });
+    }
+    if (session.status === 'active') {
+      return res.status(400).json({ success: false, error: 'Chat is already open' });
+    }
+
+    await reopenChatSession(session, { closesInDays: resolveFollowupDays(req.body.closesInDays) });
+    res.json({ success: true, session });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error reopening chat session:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Upload a file to a chat; it is sent by passing the returned id as `attachmentId` to `send_message`
+exports.uploadAttachment = async (req, res) => {
+  try {
+    const { session } = await loadChatForUser(req.user, req.params.sessionId);
+
+    if (session.status !== 'active') {
+      return res.status(409).json({ success: false, error: 'This chat is closed' });
+    }
+
+    const attachment = await saveChatAttachment(req.file, { session, user: req.user });
+
+    res.status(201).json({
+      success: true,
+      attachment: {
+        _id: attachment._id,
+        kind: attachment.kind,
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType,
+        size: attachment.size
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error uploading chat attachment:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Short-lived download URL, only handed out to the chat's participants
+exports.getAttachmentUrl = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid attachment' });
+    }
+
+    const attachment = await ChatAttachment.findById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    await loadChatForUser(req.user, attachment.sessionId);
+
+    const { url, expiresAt } = await getAttachmentDownloadUrl(attachment);
+    res.json({ success: true, url, expiresAt });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error signing attachment URL:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
+
+// Signed download (no auth header, so it works in <img> and download links)
+exports.downloadAttachment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!verifyDownloadSignature(id, expires, signature)) {
+      return res.status(403).json({ success: false, error: 'Download link is invalid or has expired' });
+    }
+
+    const attachment = await ChatAttachment.findById(id);
+    const storage = getFileStorage();
+    if (!attachment || attachment.storage !== storage.name || !storage.createReadStream) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+
+    const stream = storage.createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      console.error('Error reading chat attachment:', error);
+      if (!res.headersSent) {
+        res.status(404).json({ success: false, error: 'Attachment not found' });
+      } else {
+        res.destroy(error);
+      }
+    });
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Cache-Control': 'private, max-age=0, no-store'
+    });
+    res.attachment(attachment.originalName);
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading chat attachment:', error);
+    res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+};
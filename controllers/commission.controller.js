@@ -5,6 +5,7 @@ const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
 const PathologyProfile = require('../models/PathologyProfile');
 const Appointment = require('../models/Appointment');
 const Payout = require('../models/Payout');
+const { can } = require('../middlewares/roleCheck');
 
 const mongoose = require('mongoose');
 
@@ -68,7 +69,7 @@ exports.getCommissions = async (req, res) => {
     const normalizedRole = normalizeRole(req.user.role);
 
     // ---- role based scope ----
-    if (normalizedRole === 'admin') {
+    if (can(req, 'commissions:read')) {
       if (professionalId) {
         if (!mongoose.Types.ObjectId.isValid(professionalId)) {
           return res.status(400).json({ success: false, error: 'Invalid professionalId' });
@@ -207,7 +208,7 @@ exports.getCommissionReport = async (req, res) => {
       
       matchStage.professionalId = profileId;
       matchStage.professionalType = mapUserRoleToProfessionalType(req.user.role);
-    } else if (req.user.role === 'admin') {
+    } else if (can(req, 'commissions:read')) {
       // Admin can filter by professional type
       if (professionalType) {
         matchStage.professionalType = professionalType;
@@ -327,10 +328,10 @@ exports.getCommissionReport = async (req, res) => {
 // Get commission cycles (admin only)
 exports.getCommissionCycles = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!can(req, 'commissions:read')) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: 'Missing permission: commissions:read'
       });
     }
     
@@ -381,10 +382,10 @@ exports.getCommissionCycles = async (req, res) => {
 // Get commission summary (admin only)
 exports.getCommissionSummary = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!can(req, 'commissions:read')) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: 'Missing permission: commissions:read'
       });
     }
     
@@ -538,10 +539,10 @@ exports.getCommissionSummary = async (req, res) => {
 // Process payout (admin only)
 exports.processPayout = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!can(req, 'payouts:approve')) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: 'Missing permission: payouts:approve'
       });
     }
     
@@ -670,10 +671,10 @@ exports.processPayout = async (req, res) => {
 // Generate payout report (admin only)
 exports.generatePayoutReport = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!can(req, 'payouts:approve')) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: 'Missing permission: payouts:approve'
       });
     }
     
@@ -803,10 +804,10 @@ exports.generatePayoutReport = async (req, res) => {
 // Mark payout as paid (admin only)
 exports.markPayoutAsPaid = async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
+    if (!can(req, 'payouts:approve')) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required'
+        error: 'Missing permission: payouts:approve'
       });
     }
     
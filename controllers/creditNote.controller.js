@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const CreditNote = require('../models/CreditNote');
+const Invoice = require('../models/Invoice');
+const { CREDIT_NOTE_REASONS } = require('../models/CreditNote');
+const { issueCreditNote } = require('../utils/creditNotes');
+const { generateCreditNotePDF } = require('../utils/generateInvoice');
+
+/**
+ * @desc    Issue a credit note against an invoice, for given lines or an amount
+ * @route   POST /api/credit-note
+ * @access  Admin
+ */
+exports.createCreditNote = async (req, res) => {
+  try {
+    const { invoiceId, lines, amount, reason, notes } = req.body;
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    if (!invoiceId) {
+      return res.status(400).json({ message: 'invoiceId is required' });
+    }
+    if (!CREDIT_NOTE_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${CREDIT_NOTE_REASONS.join(', ')}` });
+    }
+    if (lines !== undefined && amount !== undefined) {
+      return res.status(400).json({ message: 'Provide either lines or amount, not both' });
+    }
+    if (lines !== undefined && (!Array.isArray(lines) || lines.length === 0)) {
+      return res.status(400).json({ message: 'lines must be a non-empty array' });
+    }
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'amount must be greater than 0' });
+    }
+
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const creditNote = await issueCreditNote({
+      invoice,
+      lines,
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, creditNote, invoice });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * @desc    List credit notes (patients see their own)
+ * @route   GET /api/credit-note
+ * @access  Private
+ */
+exports.getCreditNotes = async (req, res) => {
+  try {
+    const {
+      invoiceId,
+      patientId,
+      reason,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = {};
+    // Aggregation does not cast ids the way find() does
+    const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+    if ([patientId, invoiceId].some(id => id !== undefined && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid patient or invoice id' });
+    }
+
+    if (req.user.role === 'patient') {
+      if (!req.user.profileId) {
+        return res.status(403).json({ message: 'Please complete your patient profile' });
+      }
+      filter.patientId = toObjectId(req.user.profileId);
+    } else if (req.user.role === 'admin') {
+      if (patientId) filter.patientId = toObjectId(patientId);
+    } else {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (invoiceId) filter.invoiceId = toObjectId(invoiceId);
+    if (reason) filter.reason = reason;
+    if (startDate && endDate) {
+      filter.creditNoteDate = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    const creditNotes = await CreditNote.find(filter)
+      .populate('patientId', 'name phone')
+      .sort({ creditNoteDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await CreditNote.countDocuments(filter);
+
+    const totals = await CreditNote.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          totalAmount: { $sum: '$totalAmount' },
+          taxableValue: { $sum: '$taxableValue' },
+          tax: { $sum: '$tax' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      creditNotes,
+      totals: totals[0] || { totalAmount: 0, taxableValue: 0, tax: 0, count: 0 },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.getCreditNoteById = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('invoiceId', 'invoiceNumber status totalAmount creditedAmount reissuedAs')
+      .populate('reissuedInvoiceId', 'invoiceNumber status totalAmount')
+      .populate('refundId', 'status amount gatewayRefundId processedAt')
+      .populate('createdBy', 'name email');
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (!canViewCreditNote(req.user, creditNote)) {
+      return res.status(403).json({ message: 'Not authorized to view this credit note' });
+    }
+
+    res.json({ success: true, creditNote });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.generateCreditNotePDF = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id);
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (!canViewCreditNote(req.user, creditNote)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const pdfBuffer = await generateCreditNotePDF(creditNote);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=credit_note_${creditNote.creditNoteNumber.replace(/\//g, '-')}.pdf`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Helper functions
+function canViewCreditNote(user, creditNote) {
+  if (user.role === 'admin') return true;
+
+  return user.role === 'patient' &&
+    creditNote.patientId?.toString() === user.profileId?.toString();
+}
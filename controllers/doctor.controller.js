@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Calendar = require('../models/Calendar');
 const { initializeCalendarForMonth, updateDoctorInCalendar } = require('../jobs/calendarJob');
 const Appointment = require('../models/Appointment');
+const { isTwoFactorSatisfied } = require('../utils/twoFactor');
 
 // ========== PUBLIC FUNCTIONS ==========
 
@@ -623,7 +624,11 @@ exports.getDoctorAvailability = async (req, res) => {
 // Get current doctor's profile  GET /doctor/me/profile
 exports.getProfile = async (req, res) => {
   try {
+    // Bank details stay hidden until policy-required 2FA is enabled
+    const canViewBankDetails = await isTwoFactorSatisfied(req.user, 'payouts');
+
     const doctor = await DoctorProfile.findOne({ userId: req.user.id })
+      .select(canViewBankDetails ? '' : '-bankDetails')
       .populate('userId', 'email isVerified lastLogin');
 
     if (!doctor) {
@@ -674,6 +679,15 @@ exports.updateProfile = async (req, res) => {
     delete updates.paidCommission;
     delete updates.commissionRate;
 
+    const canViewBankDetails = await isTwoFactorSatisfied(req.user, 'payouts');
+    if (updates.bankDetails && !canViewBankDetails) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please enable two-factor authentication to change bank details',
+        requiresTwoFactor: true
+      });
+    }
+
     // Get current doctor first to check if availability is changing
     const currentDoctor = await DoctorProfile.findOne({ userId: req.user.id });
     if (!currentDoctor) {
@@ -687,7 +701,9 @@ exports.updateProfile = async (req, res) => {
       { userId: req.user.id },
       updates,
       { new: true, runValidators: true }
-    ).populate('userId', 'email');
+    )
+      .select(canViewBankDetails ? '' : '-bankDetails')
+      .populate('userId', 'email');
 
     if (!doctor) {
       return res.status(404).json({
@@ -3,7 +3,11 @@ const Appointment = require('../models/Appointment');
 const PharmacySale = require('../models/PharmacySale');
 const LabTest = require('../models/LabTest');
 const PatientProfile = require('../models/PatientProfile');
-const PDFDocument = require('pdfkit');
+const { recordPayment } = require('../utils/paymentLedger');
+const { generateInvoicePDF } = require('../utils/generateInvoice');
+const { reissueInvoice } = require('../utils/creditNotes');
+const { isValidGstin, getStateCode } = require('../utils/gst');
+const { GSTR1_SECTIONS, buildGstr1, renderGstr1Excel, renderGstr1Csv } = require('../utils/gstr1');
 
 exports.createInvoice = async (req, res) => {
   try {
@@ -15,9 +19,18 @@ exports.createInvoice = async (req, res) => {
       patientId,
       items,
       discount,
-      notes 
+      notes,
+      recipientGstin,
+      placeOfSupply
     } = req.body;
     
+    if (recipientGstin && !isValidGstin(recipientGstin)) {
+      return res.status(400).json({ message: 'Invalid recipient GSTIN' });
+    }
+    if (placeOfSupply && !getStateCode(placeOfSupply)) {
+      return res.status(400).json({ message: 'Invalid place of supply' });
+    }
+    
     // Validate based on invoice type
     let referenceId;
     let patient;
@@ -88,7 +101,8 @@ exports.createInvoice = async (req, res) => {
       unitPrice: item.unitPrice,
       amount: item.quantity * item.unitPrice,
       taxRate: item.taxRate || 0,
-      taxAmount: (item.quantity * item.unitPrice * (item.taxRate || 0)) / 100
+      taxAmount: (item.quantity * item.unitPrice * (item.taxRate || 0)) / 100,
+      hsnSacCode: item.hsnSacCode
     }));
     
     const subtotal = invoiceItems.reduce((sum, item) => sum + item.amount, 0);
@@ -102,6 +116,8 @@ exports.createInvoice = async (req, res) => {
        invoiceType === 'lab_test' ? 'labTestId' : null]: referenceId,
       patientId: patient._id,
       ...customerDetails,
+      recipientGstin,
+      placeOfSupply: getStateCode(placeOfSupply),
       items: invoiceItems,
       subtotal,
       discount: discount || 0,
@@ -248,6 +264,17 @@ exports.updatePayment = async (req, res) => {
     
     await invoice.save();
     
+    await recordPayment({
+      entityType: 'invoice',
+      entity: invoice,
+      transactionType: amount === invoice.totalAmount ? 'charge' : 'partial_payment',
+      amount,
+      method: paymentMethod,
+      reference: paymentReference,
+      description: `Payment against invoice ${invoice.invoiceNumber}`,
+      recordedBy: req.user.id
+    });
+    
     res.json({ success: true, invoice });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -271,7 +298,7 @@ exports.generateInvoicePDF = async (req, res) => {
     
     res.set({
       'Content-Type': 'application/pdf',
-      'Content-Disposition': `attachment; filename=invoice_${invoice.invoiceNumber}.pdf`,
+      'Content-Disposition': `attachment; filename=invoice_${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`,
       'Content-Length': pdfBuffer.length
     });
     
@@ -354,6 +381,103 @@ exports.getInvoiceStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    GSTR-1 outward supplies for a month (B2B, B2CL, B2CS, exempt, HSN summary, documents)
+ * @route   GET /api/invoices/gstr1?month=YYYY-MM&format=json|xlsx|csv&section=b2b
+ * @access  Admin
+ */
+exports.exportGstr1 = async (req, res) => {
+  try {
+    const { month, format = 'json', section } = req.query;
+    
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    if (!['json', 'xlsx', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'format must be json, xlsx or csv' });
+    }
+    if (format === 'csv' && !GSTR1_SECTIONS.includes(section)) {
+      return res.status(400).json({ message: `section must be one of: ${GSTR1_SECTIONS.join(', ')}` });
+    }
+    
+    const gstr1 = await buildGstr1({ month });
+    
+    if (format === 'json') {
+      return res.json({ success: true, gstr1 });
+    }
+    
+    const buffer = format === 'xlsx'
+      ? await renderGstr1Excel(gstr1)
+      : renderGstr1Csv(gstr1, section);
+    const fileName = `GSTR1_${gstr1.returnPeriod}${format === 'csv' ? `_${section}` : ''}.${format}`;
+    
+    res.set({
+      'Content-Type': format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv',
+      'Content-Disposition': `attachment; filename=${fileName}`,
+      'Content-Length': buffer.length
+    });
+    
+    res.send(buffer);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * @desc    Correct an issued invoice: credit it in full and issue a replacement
+ * @route   POST /api/invoice/:id/reissue
+ * @access  Admin
+ */
+exports.reissueInvoice = async (req, res) => {
+  try {
+    const { items, changes, notes } = req.body;
+    
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({ message: 'items must be a non-empty array' });
+    }
+    if (changes?.recipientGstin && !isValidGstin(changes.recipientGstin)) {
+      return res.status(400).json({ message: 'Invalid recipient GSTIN' });
+    }
+    if (changes?.placeOfSupply && !getStateCode(changes.placeOfSupply)) {
+      return res.status(400).json({ message: 'Invalid place of supply' });
+    }
+    
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (['cancelled', 'credited'].includes(invoice.status)) {
+      return res.status(400).json({ message: `Cannot reissue a ${invoice.status} invoice` });
+    }
+    
+    const result = await reissueInvoice({
+      invoice,
+      items,
+      changes: {
+        ...changes,
+        recipientGstin: changes?.recipientGstin?.toUpperCase(),
+        placeOfSupply: changes?.placeOfSupply ? getStateCode(changes.placeOfSupply) : undefined
+      },
+      notes,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      creditNote: result.creditNote,
+      invoice: result.invoice,
+      excessPaid: result.excessPaid
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
 // Helper functions
 function canViewInvoice(user, invoice) {
   if (user.role === 'admin') return true;
@@ -372,8 +496,3 @@ function canViewInvoice(user, invoice) {
   
   return false;
 }
-
-async function generateInvoicePDF(invoice) {
-  // Implementation for PDF generation
-  return Buffer.from('PDF content would be here');
-}
\ No newline at end of file
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const MedicationSchedule = require('../models/MedicationSchedule');
+const MedicationDose = require('../models/MedicationDose');
+const { PROFESSIONAL_FIELDS, getAdherence, logDose } = require('../utils/medicationSchedules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Schedules the user may see: their own as a patient, the ones from their own
+ * prescriptions as a doctor/physio, any as admin. Null when the role has no access
+ * (including patients and professionals who have no profile yet).
+ */
+function getScheduleFilter(user, { patientId, prescriptionId, status }) {
+  let filter;
+  if (user.role !== 'admin' && !user.profileId) {
+    return null;
+  } else if (user.role === 'patient') {
+    filter = { patientId: user.profileId };
+  } else if (PROFESSIONAL_FIELDS[user.role]) {
+    filter = { [PROFESSIONAL_FIELDS[user.role]]: user.profileId };
+    if (patientId) filter.patientId = patientId;
+  } else if (user.role === 'admin') {
+    filter = patientId ? { patientId } : {};
+  } else {
+    return null;
+  }
+
+  if (prescriptionId) filter.prescriptionId = prescriptionId;
+  if (status) filter.status = status;
+  return filter;
+}
+
+const hasInvalidIds = (...ids) => ids.some(id => id !== undefined && !mongoose.isValidObjectId(id));
+
+// Medication schedules with adherence, per schedule and overall
+exports.getSchedules = async (req, res) => {
+  try {
+    const { patientId, prescriptionId, status } = req.query;
+
+    if (hasInvalidIds(patientId, prescriptionId)) {
+      return res.status(400).json({ success: false, error: 'Invalid patient or prescription id' });
+    }
+    if (PROFESSIONAL_FIELDS[req.user.role] && !patientId && !prescriptionId) {
+      return res.status(400).json({ success: false, error: 'patientId or prescriptionId is required' });
+    }
+
+    const filter = getScheduleFilter(req.user, { patientId, prescriptionId, status });
+    if (!filter) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view medication schedules' });
+    }
+
+    const schedules = await MedicationSchedule.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    const { overall, bySchedule } = await getAdherence(schedules.map(schedule => schedule._id));
+
+    res.json({
+      success: true,
+      adherence: overall,
+      schedules: schedules.map(schedule => ({
+        ...schedule,
+        adherence: bySchedule.get(schedule._id.toString())
+      }))
+    });
+  } catch (error) {
+    console.error('Get medication schedules error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch medication schedules' });
+  }
+};
+
+// Doses in a date range (default: today), oldest first
+exports.getDoses = async (req, res) => {
+  try {
+    const { patientId, prescriptionId, scheduleId, status, from, to } = req.query;
+
+    if (hasInvalidIds(patientId, prescriptionId, scheduleId)) {
+      return res.status(400).json({ success: false, error: 'Invalid id' });
+    }
+
+    const filter = getScheduleFilter(req.user, { patientId, prescriptionId });
+    if (!filter) {
+      return res.status(403).json({ success: false, error: 'Not authorized to view medication doses' });
+    }
+    if (scheduleId) filter._id = scheduleId;
+
+    const start = from ? new Date(from) : new Date();
+    if (!from) start.setHours(0, 0, 0, 0);
+    const end = to ? new Date(to) : new Date(start.getTime() + DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+      return res.status(400).json({ success: false, error: 'Invalid date range' });
+    }
+    if (end - start > 92 * DAY_MS) {
+      return res.status(400).json({ success: false, error: 'Date range cannot exceed 92 days' });
+    }
+
+    const schedules = await MedicationSchedule.find(filter).select('_id');
+    const doseFilter = {
+      scheduleId: { $in: schedules.map(schedule => schedule._id) },
+      scheduledAt: { $gte: start, $lt: end }
+    };
+    if (status) doseFilter.status = status;
+
+    const doses = await MedicationDose.find(doseFilter)
+      .sort({ scheduledAt: 1 })
+      .limit(1000);
+
+    res.json({ success: true, from: start, to: end, doses });
+  } catch (error) {
+    console.error('Get medication doses error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch medication doses' });
+  }
+};
+
+// Patient marks a dose as taken or skipped
+exports.logDose = async (req, res) => {
+  try {
+    if (req.user.role !== 'patient' || !req.user.profileId) {
+      return res.status(403).json({ success: false, error: 'Only patients can log their doses' });
+    }
+
+    const { status, note } = req.body;
+    const dose = await logDose(req.user.profileId, req.params.id, { status, note });
+
+    res.json({ success: true, dose });
+  } catch (error) {
+    if (error.statusCode || error.name === 'ValidationError') {
+      return res.status(error.statusCode || 400).json({ success: false, error: error.message });
+    }
+    console.error('Log dose error:', error);
+    res.status(500).json({ success: false, error: 'Failed to log dose' });
+  }
+};
@@ -1,11 +1,22 @@
 const Medicine = require('../models/Medicine');
 const MedicineBatch = require('../models/MedicineBatch');
 const StockAdjustment = require('../models/StockAdjustment');
+const PharmacyProfile = require('../models/PharmacyProfile');
+const { notify } = require('../utils/notifications');
+const { pharmacyScope } = require('../middlewares/scopeToPharmacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// At or below the reorder level
+const LOW_STOCK = { $expr: { $lte: ['$quantity', { $ifNull: ['$reorderLevel', 10] }] } };
 
 exports.createMedicine = async (req, res) => {
   try {
+    const { pharmacyId, ...data } = req.body;
+    
     const medicine = await Medicine.create({
-      ...req.body,
+      ...data,
+      pharmacyId: req.pharmacyId,
       createdBy: req.user.id
     });
     
@@ -26,27 +37,20 @@ exports.getAllMedicines = async (req, res) => {
       limit = 20 
     } = req.query;
     
-    const filter = {};
+    const filter = { ...pharmacyScope(req) };
     
     if (search) {
       filter.$text = { $search: search };
     }
     if (category) filter.category = category;
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (lowStock === 'true') Object.assign(filter, LOW_STOCK);
     
     const medicines = await Medicine.find(filter)
       .sort({ medicineName: 1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
     
-    // Check low stock
-    if (lowStock === 'true') {
-      const lowStockMedicines = medicines.filter(med => 
-        med.quantity <= med.reorderLevel
-      );
-      return res.json({ success: true, medicines: lowStockMedicines });
-    }
-    
     const total = await Medicine.countDocuments(filter);
     
     res.json({
@@ -66,7 +70,8 @@ exports.getAllMedicines = async (req, res) => {
 
 exports.getMedicineById = async (req, res) => {
   try {
-    const medicine = await Medicine.findById(req.params.id)
+    const medicine = await Medicine.findOne({ _id: req.params.id, ...pharmacyScope(req) })
+      .populate('pharmacyId', 'pharmacyName')
       .populate('createdBy', 'name email')
       .populate('updatedBy', 'name email');
     
@@ -77,12 +82,14 @@ exports.getMedicineById = async (req, res) => {
     // Get batches
     const batches = await MedicineBatch.find({ 
       medicineId: medicine._id,
-      isActive: true 
+      isActive: true,
+      ...pharmacyScope(req)
     }).sort({ expiryDate: 1 });
     
     // Get stock adjustments
     const adjustments = await StockAdjustment.find({ 
-      medicineId: medicine._id 
+      medicineId: medicine._id,
+      ...pharmacyScope(req)
     })
     .sort({ createdAt: -1 })
     .limit(10)
@@ -101,9 +108,12 @@ exports.getMedicineById = async (req, res) => {
 
 exports.updateMedicine = async (req, res) => {
   try {
-    const medicine = await Medicine.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedBy: req.user.id },
+    // Stock never moves between pharmacies through an edit
+    const { pharmacyId, ...updates } = req.body;
+    
+    const medicine = await Medicine.findOneAndUpdate(
+      { _id: req.params.id, ...pharmacyScope(req) },
+      { ...updates, updatedBy: req.user.id },
       { new: true, runValidators: true }
     );
     
@@ -119,8 +129,8 @@ exports.updateMedicine = async (req, res) => {
 
 exports.deleteMedicine = async (req, res) => {
   try {
-    const medicine = await Medicine.findByIdAndUpdate(
-      req.params.id,
+    const medicine = await Medicine.findOneAndUpdate(
+      { _id: req.params.id, ...pharmacyScope(req) },
       { isActive: false },
       { new: true }
     );
@@ -139,13 +149,14 @@ exports.addStock = async (req, res) => {
   try {
     const { batchNumber, quantity, purchasePrice, sellingPrice, expiryDate, manufactureDate, supplierId } = req.body;
     
-    const medicine = await Medicine.findById(req.params.id);
+    const medicine = await Medicine.findOne({ _id: req.params.id, ...pharmacyScope(req) });
     if (!medicine) {
       return res.status(404).json({ message: 'Medicine not found' });
     }
     
     // Create batch
     const batch = await MedicineBatch.create({
+      pharmacyId: medicine.pharmacyId,
       medicineId: medicine._id,
       batchNumber,
       quantity,
@@ -164,6 +175,7 @@ exports.addStock = async (req, res) => {
     
     // Record stock adjustment
     await StockAdjustment.create({
+      pharmacyId: medicine.pharmacyId,
       medicineId: medicine._id,
       batchId: batch._id,
       previousQuantity: medicine.quantity - quantity,
@@ -184,8 +196,9 @@ exports.addStock = async (req, res) => {
 exports.getLowStockMedicines = async (req, res) => {
   try {
     const medicines = await Medicine.find({
+      ...pharmacyScope(req),
       isActive: true,
-      quantity: { $lte: { $ifNull: ['$reorderLevel', 10] } }
+      ...LOW_STOCK
     }).sort({ quantity: 1 });
     
     res.json({ success: true, medicines });
@@ -201,6 +214,7 @@ exports.getExpiringMedicines = async (req, res) => {
     expiryDate.setDate(expiryDate.getDate() + days);
     
     const batches = await MedicineBatch.find({
+      ...pharmacyScope(req),
       isActive: true,
       isExpired: false,
       expiryDate: { $lte: expiryDate }
@@ -212,4 +226,146 @@ exports.getExpiringMedicines = async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Low-stock, expiring and expired stock per pharmacy
+ * @route   GET /api/medicine/alerts
+ * @access  Pharmacy (own), Admin (all, or ?pharmacyId=)
+ */
+exports.getInventoryAlerts = async (req, res) => {
+  try {
+    const pharmacies = req.pharmacyId
+      ? [req.pharmacy]
+      : await PharmacyProfile.find({ verificationStatus: 'approved' }).select('_id pharmacyName');
+    
+    const alerts = [];
+    for (const pharmacy of pharmacies) {
+      alerts.push({
+        pharmacyId: pharmacy._id,
+        pharmacyName: pharmacy.pharmacyName,
+        ...(await collectInventoryAlerts(pharmacy._id))
+      });
+    }
+    
+    res.json({ success: true, alerts });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Helper functions
+async function collectInventoryAlerts(pharmacyId) {
+  const now = new Date();
+  
+  const [totalMedicines, lowStock, expiring, expired] = await Promise.all([
+    Medicine.countDocuments({ pharmacyId, isActive: true }),
+    Medicine.find({ pharmacyId, isActive: true, ...LOW_STOCK })
+      .select('medicineName quantity reorderLevel')
+      .sort({ quantity: 1 }),
+    // Each medicine sets how far ahead it wants expiry warnings
+    MedicineBatch.aggregate([
+      {
+        $match: {
+          pharmacyId,
+          isActive: true,
+          isExpired: false,
+          availableQuantity: { $gt: 0 },
+          expiryDate: { $gte: now }
+        }
+      },
+      { $lookup: { from: 'medicines', localField: 'medicineId', foreignField: '_id', as: 'medicine' } },
+      { $unwind: '$medicine' },
+      {
+        $match: {
+          $expr: {
+            $lte: ['$expiryDate', { $add: [now, { $multiply: [{ $ifNull: ['$medicine.expiryAlertDays', 30] }, DAY_MS] }] }]
+          }
+        }
+      },
+      {
+        $project: {
+          medicineId: 1,
+          medicineName: '$medicine.medicineName',
+          batchNumber: 1,
+          expiryDate: 1,
+          availableQuantity: 1
+        }
+      },
+      { $sort: { expiryDate: 1 } }
+    ]),
+    MedicineBatch.find({
+      pharmacyId,
+      isActive: true,
+      availableQuantity: { $gt: 0 },
+      expiryDate: { $lt: now }
+    })
+      .populate('medicineId', 'medicineName')
+      .select('medicineId batchNumber expiryDate availableQuantity')
+      .sort({ expiryDate: 1 })
+  ]);
+  
+  return { totalMedicines, lowStock, expiring, expired };
+}
+
+/**
+ * Daily sweep: flag expired batches, refresh each pharmacy's inventory stats
+ * and notify pharmacies with stock that needs attention
+ */
+async function sendInventoryAlerts() {
+  const pharmacies = await PharmacyProfile.find({ verificationStatus: 'approved' }).select('_id userId pharmacyName');
+  let notified = 0;
+  
+  for (const pharmacy of pharmacies) {
+    try {
+      // isExpired is otherwise only set when a batch is saved; expired stock must not be dispensed
+      await MedicineBatch.updateMany(
+        { pharmacyId: pharmacy._id, isExpired: false, expiryDate: { $lt: new Date() } },
+        { isExpired: true }
+      );
+      
+      const { totalMedicines, lowStock, expiring, expired } = await collectInventoryAlerts(pharmacy._id);
+      
+      await PharmacyProfile.updateOne(
+        { _id: pharmacy._id },
+        {
+          totalMedicines,
+          lowStockAlerts: lowStock.length,
+          expiredMedicines: expired.length,
+          lastInventoryCheckAt: new Date()
+        }
+      );
+      
+      if (!lowStock.length && !expiring.length && !expired.length) continue;
+      
+      const parts = [];
+      if (lowStock.length) parts.push(`${lowStock.length} medicine(s) at or below reorder level`);
+      if (expiring.length) parts.push(`${expiring.length} batch(es) expiring soon`);
+      if (expired.length) parts.push(`${expired.length} expired batch(es) still in stock`);
+      
+      await notify({
+        userId: pharmacy.userId,
+        title: 'Inventory alert',
+        message: `${pharmacy.pharmacyName}: ${parts.join(', ')}`,
+        type: 'inventory',
+        channels: ['in_app', 'email'],
+        priority: expired.length ? 'high' : 'medium',
+        relatedEntity: 'PharmacyProfile',
+        relatedEntityId: pharmacy._id,
+        data: {
+          lowStockMedicineIds: lowStock.map(m => m._id),
+          expiringBatchIds: expiring.map(b => b._id),
+          expiredBatchIds: expired.map(b => b._id)
+        }
+      });
+      notified++;
+    } catch (error) {
+      console.error(`Inventory alerts failed for pharmacy ${pharmacy._id}:`, error);
+    }
+  }
+  
+  return { checked: pharmacies.length, notified };
+}
+
+// Export helper functions for use in other modules
+module.exports.sendInventoryAlerts = sendInventoryAlerts;
@@ -1,12 +1,21 @@
+const mongoose = require('mongoose');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const sendEmail = require('../utils/sendEmail');
+const { DIGEST_TYPES, notExpired, emitUnreadCounts, notify } = require('../utils/notifications');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+const PREFERENCE_CHANNELS = ['email', 'sms', 'push', 'whatsapp', 'digest'];
+
+// Keep the user's other devices in step after a change
+const refreshUnreadCount = (userId) => {
+  emitUnreadCounts([userId]).catch(error => console.error('Error sending unread count:', error));
+};
 
 exports.getNotifications = async (req, res) => {
   try {
     const { read, type, page = 1, limit = 20 } = req.query;
     
-    const filter = { userId: req.user.id };
+    const filter = { userId: req.user.id, ...notExpired() };
     if (read !== undefined) filter.read = read === 'true';
     if (type) filter.type = type;
     
@@ -17,7 +26,8 @@ exports.getNotifications = async (req, res) => {
     
     const unreadCount = await Notification.countDocuments({ 
       userId: req.user.id, 
-      read: false 
+      read: false,
+      ...notExpired()
     });
     
     const total = await Notification.countDocuments(filter);
@@ -38,6 +48,62 @@ exports.getNotifications = async (req, res) => {
   }
 };
 
+// Unread total and per type, for the bell badge
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const counts = await Notification.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.id), read: false, ...notExpired() } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+    
+    const byType = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    const unreadCount = counts.reduce((sum, { count }) => sum + count, 0);
+    
+    res.json({ success: true, unreadCount, byType });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Inbox grouped by type: counts and the latest notification of each
+exports.getNotificationGroups = async (req, res) => {
+  try {
+    const groups = await Notification.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.id), ...notExpired() } },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: '$type',
+          total: { $sum: 1 },
+          unread: { $sum: { $cond: ['$read', 0, 1] } },
+          latest: { $first: '$$ROOT' }
+        }
+      },
+      { $sort: { 'latest.createdAt': -1 } },
+      {
+        $project: {
+          _id: 0,
+          type: '$_id',
+          total: 1,
+          unread: 1,
+          'latest._id': 1,
+          'latest.title': 1,
+          'latest.message': 1,
+          'latest.priority': 1,
+          'latest.read': 1,
+          'latest.actionUrl': 1,
+          'latest.actionText': 1,
+          'latest.createdAt': 1
+        }
+      }
+    ]);
+    
+    res.json({ success: true, groups });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 exports.markAsRead = async (req, res) => {
   try {
     const { id } = req.params;
@@ -52,6 +118,7 @@ exports.markAsRead = async (req, res) => {
       return res.status(404).json({ message: 'Notification not found' });
     }
     
+    refreshUnreadCount(req.user.id);
     res.json({ success: true, notification });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -60,12 +127,23 @@ exports.markAsRead = async (req, res) => {
 
 exports.markAllAsRead = async (req, res) => {
   try {
-    await Notification.updateMany(
-      { userId: req.user.id, read: false },
-      { read: true, readAt: new Date() }
-    );
+    // ?type= marks a single group as read
+    const { type } = req.query;
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({ message: 'Invalid notification type' });
+    }
+    
+    const filter = { userId: req.user.id, read: false };
+    if (type) filter.type = type;
     
-    res.json({ success: true, message: 'All notifications marked as read' });
+    const result = await Notification.updateMany(filter, { read: true, readAt: new Date() });
+    
+    refreshUnreadCount(req.user.id);
+    res.json({
+      success: true,
+      message: type ? `All ${type} notifications marked as read` : 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -84,6 +162,7 @@ exports.deleteNotification = async (req, res) => {
       return res.status(404).json({ message: 'Notification not found' });
     }
     
+    if (!notification.read) refreshUnreadCount(req.user.id);
     res.json({ success: true, message: 'Notification deleted' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -96,52 +175,98 @@ exports.sendNotification = async (req, res) => {
       return res.status(403).json({ message: 'Admin access required' });
     }
     
-    const { userIds, title, message, type, data, channels } = req.body;
-    
-    const notifications = [];
-    
-    for (const userId of userIds) {
-      const notification = await Notification.create({
-        userId,
-        userRole: (await User.findById(userId)).role,
-        title,
-        message,
-        type,
-        data,
-        channels: channels || ['in_app'],
-        priority: 'high'
-      });
-      
-      notifications.push(notification);
-      
-      // Send via other channels
-      if (channels?.includes('email')) {
-        await sendEmailNotification(userId, title, message);
-      }
-      if (channels?.includes('sms')) {
-        await sendSMSNotification(userId, message);
-      }
+    const { userIds, title, message, type, data, channels, priority, actionUrl, actionText } = req.body;
+    
+    if (!Array.isArray(userIds) || userIds.length === 0 || !title || !message || !type) {
+      return res.status(400).json({ message: 'userIds, title, message and type are required' });
+    }
+    if (!userIds.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid user id' });
     }
     
+    const notifications = await notify({
+      userIds,
+      title,
+      message,
+      type,
+      data,
+      channels: channels || ['in_app'],
+      priority: priority || 'high',
+      actionUrl,
+      actionText
+    });
+    
     res.json({ success: true, notifications });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 };
 
-// Helper functions
-async function sendEmailNotification(userId, title, message) {
-  const user = await User.findById(userId);
-  if (user && user.email) {
-    await sendEmail({
-      to: user.email,
-      subject: title,
-      html: `<p>${message}</p>`
+exports.getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('preferences.notifications');
+    
+    res.json({
+      success: true,
+      preferences: user?.preferences?.notifications || {},
+      digestTypes: DIGEST_TYPES
     });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Channel opt-ins and the daily digest choice
+exports.updatePreferences = async (req, res) => {
+  try {
+    const update = {};
+    for (const key of PREFERENCE_CHANNELS) {
+      if (req.body[key] === undefined) continue;
+      if (typeof req.body[key] !== 'boolean') {
+        return res.status(400).json({ message: `${key} must be true or false` });
+      }
+      update[`preferences.notifications.${key}`] = req.body[key];
+    }
+    
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: `Provide at least one of: ${PREFERENCE_CHANNELS.join(', ')}` });
+    }
+    
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+      .select('preferences.notifications');
+    
+    res.json({ success: true, preferences: user.preferences.notifications });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
-}
+};
 
-async function sendSMSNotification(userId, message) {
-  // Implement SMS integration (Twilio, etc.)
-  console.log(`SMS to ${userId}: ${message}`);
-}
\ No newline at end of file
+// Register the FCM token of the device the user is signed in on
+exports.registerDeviceToken = async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Device token is required' });
+    }
+    
+    await User.updateOne({ _id: req.user.id }, { deviceToken: token.trim() });
+    
+    res.json({ success: true, message: 'Device registered for push notifications' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.removeDeviceToken = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { deviceToken: 1 } });
+    
+    res.json({ success: true, message: 'Device unregistered from push notifications' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
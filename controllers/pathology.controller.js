@@ -8,6 +8,7 @@ const User = require('../models/User');
 const PatientProfile = require('../models/PatientProfile');
 
 const { initializeCalendarForMonth } = require('../jobs/calendarJob');
+const { syncChatWithAppointment } = require('../utils/chatLifecycle');
 
 // ===================== helpers =====================
 const normalizeEmail = (v) => (v ? String(v).trim().toLowerCase() : '');
@@ -491,6 +492,9 @@ exports.bookTestSlot = async (req, res) => {
       await calTxn.save({ session });
     });
 
+    // Lab bookings are confirmed on creation, so the chat opens straight away
+    await syncChatWithAppointment(appointmentDoc);
+
     return res.status(201).json({
       success: true,
       message: 'Test slot booked successfully',
@@ -1251,6 +1255,7 @@ exports.updateAppointmentStatusForPathology = async (req, res) => {
     }
 
     await appointment.save();
+    await syncChatWithAppointment(appointment);
 
     return res.json({
       success: true,
@@ -1,11 +1,81 @@
 const Razorpay = require('razorpay');
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
 const LabTest = require('../models/LabTest');
+const Invoice = require('../models/Invoice');
+const PaymentEvent = require('../models/PaymentEvent');
+const Payment = require('../models/Payment');
+const { getPaymentGateway } = require('../utils/paymentGateway');
+const { recordPayment, getLedgerTotals } = require('../utils/paymentLedger');
+const { settleGatewayRefund } = require('../utils/refunds');
 const crypto = require('crypto');
 
+// Webhook events we act on; anything else is logged and acknowledged
+const HANDLED_WEBHOOK_EVENTS = ['payment.captured', 'payment.failed', 'refund.processed', 'order.paid'];
+
+// Reconciliation only looks at orders touched this recently
+const RECONCILIATION_LOOKBACK_DAYS = parseInt(process.env.PAYMENT_RECONCILIATION_DAYS, 10) || 7;
+
+const ENTITY_MODELS = {
+  appointment: Appointment,
+  labtest: LabTest,
+  invoice: Invoice
+};
+
+// Field holding the gateway payment ID on each entity
+const PAYMENT_ID_FIELDS = {
+  appointment: 'razorpayPaymentId',
+  labtest: 'paymentId',
+  invoice: 'razorpayPaymentId'
+};
+
+// Invoices track payment in `status`; appointments and lab tests in `paymentStatus`
+const STATUS_FIELDS = {
+  appointment: 'paymentStatus',
+  labtest: 'paymentStatus',
+  invoice: 'status'
+};
+
+const SETTLED_STATUSES = ['paid', 'refunded', 'partially_refunded'];
+
+// What the patient owes on each entity; the client never sets the amount
+const AMOUNT_DUE = {
+  appointment: doc => doc.totalAmount,
+  labtest: doc => doc.totalAmount,
+  invoice: doc => doc.balanceDue
+};
+
+// Captures short of the amount due by more than this are not applied
+const AMOUNT_TOLERANCE = 0.01;
+
 exports.createPaymentOrder = async (req, res) => {
   try {
-    const { amount, currency = 'INR', entityType, entityId, notes } = req.body;
+    const { currency = 'INR', entityType, entityId, notes } = req.body;
+
+    if (!ENTITY_MODELS[entityType] || !mongoose.isValidObjectId(entityId)) {
+      return res.status(400).json({ success: false, message: 'Valid entityType and entityId are required' });
+    }
+
+    const entity = await ENTITY_MODELS[entityType].findById(entityId);
+    if (!entity) {
+      return res.status(404).json({ success: false, message: 'Payment entity not found' });
+    }
+
+    // Patients pay for their own appointments, lab tests and invoices
+    const isOwner = req.user.role === 'patient' && req.user.profileId &&
+      entity.patientId?.toString() === req.user.profileId.toString();
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to pay for this item' });
+    }
+
+    if (SETTLED_STATUSES.includes(entity[STATUS_FIELDS[entityType]]) || ['cancelled', 'credited'].includes(entity.status)) {
+      return res.status(400).json({ success: false, message: 'This item is not payable' });
+    }
+
+    const amount = Number(AMOUNT_DUE[entityType](entity));
+    if (!(amount > 0)) {
+      return res.status(400).json({ success: false, message: 'Nothing to pay for this item' });
+    }
     
     // Safely retrieve keys inside handler
     const key_id = process.env.RAZORPAY_KEY_ID?.trim();
@@ -19,18 +89,21 @@ exports.createPaymentOrder = async (req, res) => {
     const razorpay = new Razorpay({ key_id, key_secret });
 
     const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
+      amount: Math.round(amount * 100), // Razorpay expects amount in paise
       currency,
       receipt: `receipt_${Date.now()}`,
       notes: {
+        ...notes,
         entityType,
         entityId,
-        userId: req.user.id,
-        ...notes
+        userId: req.user.id
       }
     };
     
     const order = await razorpay.orders.create(options);
+
+    // Remember the order on the entity so webhooks and reconciliation can find it
+    await ENTITY_MODELS[entityType].findByIdAndUpdate(entityId, { razorpayOrderId: order.id });
     
     res.json({ success: true, order });
   } catch (error) {
@@ -55,19 +128,25 @@ exports.verifyPayment = async (req, res) => {
       return res.status(400).json({ message: 'Invalid payment signature' });
     }
     
-    // Update entity based on type
-    if (entityType === 'appointment') {
-      await Appointment.findByIdAndUpdate(entityId, {
-        paymentStatus: 'paid',
-        razorpayOrderId: order_id,
-        razorpayPaymentId: payment_id,
-        paymentDate: new Date()
-      });
-    } else if (entityType === 'labtest') {
-      await LabTest.findByIdAndUpdate(entityId, {
-        paymentStatus: 'paid',
-        paymentId: payment_id
-      });
+    // The signature ties the payment to the order; the order carries the amount we asked for
+    const order = await getPaymentGateway().fetchOrder(order_id);
+    
+    // Same idempotent path as the webhook, so whichever arrives second is a no-op
+    const result = await processPaymentEvent({
+      eventId: `verify_${payment_id}`,
+      event: 'payment.captured',
+      source: 'verify',
+      orderId: order_id,
+      paymentId: payment_id,
+      amount: toRupees(order?.amount_paid || order?.amount),
+      currency: order?.currency,
+      entityType,
+      entityId,
+      payload: { order_id, payment_id, entityType, entityId }
+    });
+    
+    if (result.processingStatus === 'mismatch') {
+      return res.status(400).json({ message: 'Payment does not match this item' });
     }
     
     // Send payment confirmation
@@ -81,67 +160,510 @@ exports.verifyPayment = async (req, res) => {
 
 exports.getPaymentHistory = async (req, res) => {
   try {
-    const { startDate, endDate, page = 1, limit = 20 } = req.query;
-    
-    const filter = {
-      $or: [
-        { patientId: req.user.profileId },
-        { [req.user.role === 'doctor' ? 'doctorId' : 'physioId']: req.user.profileId }
-      ],
-      paymentStatus: 'paid'
-    };
+    const { startDate, endDate, entityType, transactionType, page = 1, limit = 20 } = req.query;
+    
+    // Patients see what they paid; professionals see payments for their services
+    const filter = {};
+    if (req.user.role !== 'admin' && !req.user.profileId) {
+      return res.status(403).json({ success: false, message: 'Please complete your profile to view payment history' });
+    }
+    if (req.user.role === 'patient') {
+      filter.patientId = req.user.profileId;
+    } else if (['doctor', 'physio', 'pathology'].includes(req.user.role)) {
+      filter.professionalId = req.user.profileId;
+    } else if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to view payment history' });
+    }
+    
+    if (entityType) filter.entityType = entityType;
+    if (transactionType) filter.transactionType = transactionType;
     
     if (startDate && endDate) {
-      filter.paymentDate = {
+      filter.paidAt = {
         $gte: new Date(startDate),
         $lte: new Date(endDate)
       };
     }
     
-    // Get payments from appointments
-    const appointments = await Appointment.find(filter)
-      .sort({ paymentDate: -1 })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .select('appointmentDate consultationFee platformCommission professionalEarning paymentDate razorpayPaymentId');
-    
-    // Get payments from lab tests
-    const labTests = await LabTest.find({
-      patientId: req.user.profileId,
-      paymentStatus: 'paid',
-      ...(startDate && endDate ? {
-        createdAt: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate)
-        }
-      } : {})
-    })
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(parseInt(limit))
-    .select('scheduledDate totalAmount paymentStatus createdAt');
-    
-    const combined = [...appointments.map(a => ({
-      type: 'appointment',
-      date: a.paymentDate,
-      amount: a.consultationFee,
-      reference: a.razorpayPaymentId,
-      details: a
-    })), ...labTests.map(lt => ({
-      type: 'labtest',
-      date: lt.createdAt,
-      amount: lt.totalAmount,
-      reference: lt._id,
-      details: lt
-    }))].sort((a, b) => b.date - a.date);
-    
-    res.json({ success: true, payments: combined });
+    const [payments, total, totals] = await Promise.all([
+      Payment.find(filter)
+        .sort({ paidAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate('invoiceId', 'invoiceNumber'),
+      Payment.countDocuments(filter),
+      getLedgerTotals(filter)
+    ]);
+    
+    res.json({
+      success: true,
+      payments,
+      totals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+/**
+ * @desc    Razorpay webhook receiver
+ * @route   POST /api/payment/webhook
+ * @access  Public (signed with RAZORPAY_WEBHOOK_SECRET)
+ */
+exports.handleRazorpayWebhook = async (req, res) => {
+  try {
+    const signature = req.headers['x-razorpay-signature'];
+    if (!verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+    }
+
+    // Parse the raw body; req.body has been through the XSS sanitizer
+    const body = JSON.parse(req.rawBody.toString('utf8'));
+    const eventId = req.headers['x-razorpay-event-id'] || `${body.event}_${body.created_at}_${body.payload?.payment?.entity?.id || body.payload?.refund?.entity?.id || ''}`;
+
+    if (!HANDLED_WEBHOOK_EVENTS.includes(body.event)) {
+      await recordPaymentEvent({
+        eventId,
+        event: body.event,
+        source: 'webhook',
+        processingStatus: 'ignored',
+        note: 'Unhandled event type',
+        payload: body
+      });
+      return res.json({ success: true, status: 'ignored' });
+    }
+
+    const payment = body.payload?.payment?.entity;
+    const order = body.payload?.order?.entity;
+    const refund = body.payload?.refund?.entity;
+    // Refunds we issue carry the entity in their own notes
+    const notes = refund?.notes?.entityType ? refund.notes : (payment?.notes || order?.notes || {});
+
+    const result = await processPaymentEvent({
+      eventId,
+      event: body.event,
+      source: 'webhook',
+      orderId: payment?.order_id || order?.id,
+      paymentId: payment?.id || refund?.payment_id,
+      refundId: refund?.id,
+      amount: toRupees(refund?.amount ?? payment?.amount ?? order?.amount_paid),
+      currency: (refund || payment || order)?.currency,
+      errorDescription: payment?.error_description,
+      entityType: notes.entityType,
+      entityId: notes.entityId,
+      payload: body
+    });
+
+    // Always acknowledge once recorded so the gateway stops retrying
+    res.json({ success: true, status: result.processingStatus, duplicate: result.duplicate || false });
+  } catch (error) {
+    console.error('Razorpay webhook error:', error);
+    // 5xx makes Razorpay retry; the event ID keeps the retry idempotent
+    res.status(500).json({ success: false, error: 'Webhook processing failed' });
+  }
+};
+
+/**
+ * @desc    Payment events ledger
+ * @route   GET /api/payment/events
+ * @access  Admin
+ */
+exports.getPaymentEvents = async (req, res) => {
+  try {
+    const { orderId, paymentId, entityType, entityId, processingStatus, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (orderId) filter.orderId = orderId;
+    if (paymentId) filter.paymentId = paymentId;
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (processingStatus) filter.processingStatus = processingStatus;
+
+    const [events, total] = await Promise.all([
+      PaymentEvent.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      PaymentEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payment events error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * @desc    Run payment reconciliation now
+ * @route   POST /api/payment/reconcile
+ * @access  Admin
+ */
+exports.runReconciliation = async (req, res) => {
+  try {
+    const summary = await reconcilePayments();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Payment reconciliation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
 // Helper function
 async function sendPaymentConfirmation(userId, entityType, entityId) {
   // Implementation for sending payment confirmation
-}
\ No newline at end of file
+}
+
+// ========== PAYMENT EVENT PROCESSING ==========
+
+const toRupees = (paise) => (paise === undefined || paise === null ? undefined : paise / 100);
+
+function verifyWebhookSignature(rawBody, signature) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function recordPaymentEvent(data) {
+  try {
+    return await PaymentEvent.create({ ...data, processedAt: data.processingStatus ? new Date() : undefined });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Find the appointment / lab test / invoice a gateway event belongs to
+ * The named entity (order notes or the verify request) is only used when it
+ * holds the event's order; otherwise the stored order and payment IDs decide.
+ */
+async function resolvePaymentEntity({ entityType, entityId, orderId, paymentId }) {
+  if (ENTITY_MODELS[entityType] && mongoose.isValidObjectId(entityId)) {
+    const doc = await ENTITY_MODELS[entityType].findById(entityId);
+    if (doc && (!orderId || doc.razorpayOrderId === orderId)) return { entityType, doc };
+  }
+
+  for (const [type, Model] of Object.entries(ENTITY_MODELS)) {
+    if (orderId) {
+      const doc = await Model.findOne({ razorpayOrderId: orderId });
+      if (doc) return { entityType: type, doc };
+    }
+    if (paymentId) {
+      const doc = await Model.findOne({ [PAYMENT_ID_FIELDS[type]]: paymentId });
+      if (doc) return { entityType: type, doc };
+    }
+  }
+
+  return null;
+}
+
+function capturedUpdate(entityType, doc, { orderId, paymentId }) {
+  const paidAt = new Date();
+  switch (entityType) {
+    case 'appointment':
+      return { paymentStatus: 'paid', razorpayOrderId: orderId || doc.razorpayOrderId, razorpayPaymentId: paymentId, paymentDate: paidAt };
+    case 'labtest':
+      return { paymentStatus: 'paid', razorpayOrderId: orderId || doc.razorpayOrderId, paymentId, paymentDate: paidAt };
+    case 'invoice':
+      return {
+        status: 'paid',
+        amountPaid: doc.totalAmount,
+        balanceDue: 0,
+        paymentMethod: 'online',
+        paymentReference: paymentId,
+        razorpayOrderId: orderId || doc.razorpayOrderId,
+        razorpayPaymentId: paymentId,
+        paymentDate: paidAt
+      };
+  }
+}
+
+async function applyCaptured(entityType, doc, event) {
+  const statusField = STATUS_FIELDS[entityType];
+  const previousStatus = doc[statusField];
+
+  if (SETTLED_STATUSES.includes(previousStatus)) {
+    const existingPaymentId = doc[PAYMENT_ID_FIELDS[entityType]];
+    if (existingPaymentId && event.paymentId && existingPaymentId !== event.paymentId) {
+      return { processingStatus: 'mismatch', previousStatus, note: `Already settled by payment ${existingPaymentId}` };
+    }
+    // Fills the ledger row if an earlier attempt settled the entity but stopped before recording it
+    await recordGatewayCharge(entityType, doc, event);
+    return { processingStatus: 'ignored', previousStatus, note: 'Already settled' };
+  }
+
+  // Only the order created for this entity, for at least the amount due, settles it
+  if (!event.orderId || event.orderId !== doc.razorpayOrderId) {
+    return { processingStatus: 'mismatch', previousStatus, note: `Order ${event.orderId || '(none)'} was not created for this ${entityType}` };
+  }
+  const amountDue = Number(AMOUNT_DUE[entityType](doc)) || 0;
+  if (event.amount !== undefined && event.amount + AMOUNT_TOLERANCE < amountDue) {
+    return { processingStatus: 'mismatch', previousStatus, note: `Captured ${event.amount} but ${amountDue} is due` };
+  }
+
+  // Conditional update so a concurrent verify/webhook pair only applies once
+  const updated = await ENTITY_MODELS[entityType].findOneAndUpdate(
+    { _id: doc._id, [statusField]: { $nin: SETTLED_STATUSES } },
+    capturedUpdate(entityType, doc, event),
+    { new: true }
+  );
+  if (!updated) {
+    return { processingStatus: 'ignored', previousStatus, note: 'Settled concurrently' };
+  }
+
+  // Keep the matching invoice in step with the appointment / lab test
+  if (entityType !== 'invoice') {
+    const invoiceFilter = entityType === 'appointment' ? { appointmentId: doc._id } : { labTestId: doc._id };
+    const invoice = await Invoice.findOne({ ...invoiceFilter, status: { $nin: ['paid', 'cancelled', 'refunded', 'credited'] } });
+    if (invoice) {
+      await Invoice.updateOne(
+        { _id: invoice._id, status: invoice.status },
+        capturedUpdate('invoice', invoice, event)
+      );
+    }
+  }
+
+  await recordGatewayCharge(entityType, updated, event);
+
+  return { processingStatus: 'processed', previousStatus, newStatus: 'paid' };
+}
+
+function recordGatewayCharge(entityType, doc, event) {
+  return recordPayment({
+    entityType,
+    entity: doc,
+    transactionType: 'charge',
+    amount: event.amount ?? doc.totalAmount ?? 0,
+    currency: event.currency || 'INR',
+    method: 'online',
+    gateway: 'razorpay',
+    gatewayOrderId: event.orderId || doc.razorpayOrderId,
+    gatewayPaymentId: event.paymentId,
+    paymentEventId: event.paymentEventId,
+    description: `Razorpay payment ${event.paymentId || event.orderId}`,
+    idempotencyKey: `razorpay:${event.paymentId || event.orderId}:charge`
+  });
+}
+
+async function applyFailed(entityType, doc, event) {
+  const statusField = STATUS_FIELDS[entityType];
+  const previousStatus = doc[statusField];
+
+  // Invoices have no failed state; a failed attempt leaves them payable
+  if (entityType === 'invoice') {
+    return { processingStatus: 'ignored', previousStatus, note: 'Invoice remains payable' };
+  }
+
+  // A late failure for an earlier attempt must not undo a capture
+  const updated = await ENTITY_MODELS[entityType].findOneAndUpdate(
+    { _id: doc._id, [statusField]: { $in: ['pending', 'failed'] } },
+    { [statusField]: 'failed' },
+    { new: true }
+  );
+  if (!updated) {
+    return { processingStatus: 'ignored', previousStatus, note: `Payment already ${previousStatus}` };
+  }
+
+  return { processingStatus: 'processed', previousStatus, newStatus: 'failed', note: event.errorDescription };
+}
+
+async function applyRefunded(entityType, doc, event) {
+  const statusField = STATUS_FIELDS[entityType];
+  const previousStatus = doc[statusField];
+
+  // Shared with the refund poller; the ledger row is keyed by refund ID so it is booked once
+  const { refund, alreadyProcessed } = await settleGatewayRefund({
+    gatewayRefundId: event.refundId,
+    gatewayPaymentId: event.paymentId,
+    amount: event.amount,
+    currency: event.currency,
+    entityType,
+    entity: doc,
+    paymentEventId: event.paymentEventId
+  });
+
+  if (alreadyProcessed) {
+    return { processingStatus: 'ignored', previousStatus, note: 'Refund already applied' };
+  }
+
+  const updated = await ENTITY_MODELS[entityType].findById(doc._id).select(statusField);
+  return {
+    processingStatus: refund.status === 'processed' ? 'processed' : 'failed',
+    previousStatus,
+    newStatus: updated?.[statusField],
+    note: refund.failureReason
+  };
+}
+
+/**
+ * Apply one gateway event to local state and record it in the ledger
+ * Safe to call repeatedly with the same eventId
+ */
+async function processPaymentEvent(event) {
+  const { eventId, event: eventName, source, payload } = event;
+
+  let ledger = await recordPaymentEvent({
+    eventId,
+    event: eventName,
+    source,
+    orderId: event.orderId,
+    paymentId: event.paymentId,
+    refundId: event.refundId,
+    amount: event.amount,
+    currency: event.currency,
+    payload
+  });
+
+  if (!ledger) {
+    // Seen before; only retry events whose earlier processing did not finish
+    ledger = await PaymentEvent.findOne({ eventId });
+    if (ledger && ledger.processingStatus !== 'received' && ledger.processingStatus !== 'failed') {
+      return { processingStatus: ledger.processingStatus, duplicate: true };
+    }
+  }
+
+  try {
+    event.paymentEventId = ledger._id;
+    const target = await resolvePaymentEntity(event);
+
+    let outcome;
+    if (!target) {
+      outcome = { processingStatus: 'ignored', note: 'No matching appointment, lab test or invoice' };
+    } else if (eventName === 'payment.captured' || eventName === 'order.paid') {
+      outcome = await applyCaptured(target.entityType, target.doc, event);
+    } else if (eventName === 'payment.failed') {
+      outcome = await applyFailed(target.entityType, target.doc, event);
+    } else if (eventName === 'refund.processed') {
+      outcome = await applyRefunded(target.entityType, target.doc, event);
+    } else {
+      outcome = { processingStatus: 'ignored', note: 'Unhandled event type' };
+    }
+
+    ledger.set({
+      ...outcome,
+      entityType: target?.entityType,
+      entityId: target?.doc._id,
+      error: undefined,
+      processedAt: new Date()
+    });
+    await ledger.save();
+
+    return { processingStatus: ledger.processingStatus, entityType: target?.entityType, entityId: target?.doc._id };
+  } catch (error) {
+    ledger.processingStatus = 'failed';
+    ledger.error = error.message;
+    await ledger.save();
+    throw error;
+  }
+}
+
+// ========== RECONCILIATION ==========
+
+/**
+ * Compare recent local orders with the gateway
+ * - pending/failed locally but captured at the gateway -> marked paid
+ * - pending locally and every gateway attempt failed -> marked failed
+ * - paid locally with no captured gateway payment -> logged as a mismatch
+ */
+async function reconcilePayments({ gateway = getPaymentGateway(), lookbackDays = RECONCILIATION_LOOKBACK_DAYS } = {}) {
+  const since = new Date();
+  since.setDate(since.getDate() - lookbackDays);
+
+  const summary = { checked: 0, captured: 0, failed: 0, mismatches: 0, errors: 0 };
+  const runKey = new Date().toISOString().split('T')[0];
+
+  for (const [entityType, Model] of Object.entries(ENTITY_MODELS)) {
+    const statusField = STATUS_FIELDS[entityType];
+    const docs = await Model.find({
+      razorpayOrderId: { $exists: true, $nin: [null, ''] },
+      updatedAt: { $gte: since },
+      [statusField]: { $nin: ['refunded', 'partially_refunded', 'cancelled'] }
+    });
+
+    for (const doc of docs) {
+      summary.checked++;
+      const orderId = doc.razorpayOrderId;
+
+      try {
+        const payments = await gateway.fetchOrderPayments(orderId);
+        const captured = payments.find(p => p.status === 'captured');
+        const localPaid = doc[statusField] === 'paid';
+
+        if (captured && !localPaid) {
+          const result = await processPaymentEvent({
+            eventId: `reconcile_${captured.id}_captured`,
+            event: 'payment.captured',
+            source: 'reconciliation',
+            orderId,
+            paymentId: captured.id,
+            amount: toRupees(captured.amount),
+            currency: captured.currency,
+            entityType,
+            entityId: doc._id,
+            payload: captured
+          });
+          if (result.processingStatus === 'processed') summary.captured++;
+        } else if (!captured && localPaid) {
+          const ledger = await recordPaymentEvent({
+            eventId: `reconcile_${orderId}_mismatch_${runKey}`,
+            event: 'reconciliation.mismatch',
+            source: 'reconciliation',
+            orderId,
+            paymentId: doc[PAYMENT_ID_FIELDS[entityType]],
+            entityType,
+            entityId: doc._id,
+            previousStatus: doc[statusField],
+            processingStatus: 'mismatch',
+            note: 'Paid locally but no captured payment at the gateway'
+          });
+          if (ledger) summary.mismatches++;
+        } else if (!captured && payments.length && payments.every(p => p.status === 'failed') && doc[statusField] === 'pending') {
+          const last = payments[payments.length - 1];
+          const result = await processPaymentEvent({
+            eventId: `reconcile_${last.id}_failed`,
+            event: 'payment.failed',
+            source: 'reconciliation',
+            orderId,
+            paymentId: last.id,
+            amount: toRupees(last.amount),
+            errorDescription: last.error_description,
+            entityType,
+            entityId: doc._id,
+            payload: last
+          });
+          if (result.processingStatus === 'processed') summary.failed++;
+        }
+      } catch (error) {
+        summary.errors++;
+        console.error(`Reconciliation failed for order ${orderId}:`, error.message);
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports.processPaymentEvent = processPaymentEvent;
+module.exports.reconcilePayments = reconcilePayments;
+module.exports.verifyWebhookSignature = verifyWebhookSignature;
\ No newline at end of file
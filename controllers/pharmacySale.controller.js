@@ -2,8 +2,12 @@ const PharmacySale = require('../models/PharmacySale');
 const Medicine = require('../models/Medicine');
 const MedicineBatch = require('../models/MedicineBatch');
 const Prescription = require('../models/Prescription');
+const { getPrescriptionValidity } = require('../utils/prescriptionVerification');
 const PatientProfile = require('../models/PatientProfile');
 const StockAdjustment = require('../models/StockAdjustment');
+const { recordPayment } = require('../utils/paymentLedger');
+const { isValidGstin } = require('../utils/gst');
+const { pharmacyScope } = require('../middlewares/scopeToPharmacy');
 
 exports.createSale = async (req, res) => {
   try {
@@ -13,9 +17,15 @@ exports.createSale = async (req, res) => {
       prescriptionId, 
       items, 
       paymentMethod,
-      notes 
+      notes,
+      recipientGstin,
+      placeOfSupply
     } = req.body;
     
+    if (recipientGstin && !isValidGstin(recipientGstin)) {
+      return res.status(400).json({ message: 'Invalid recipient GSTIN' });
+    }
+    
     let customerDetails = {};
     
     // Validate patient if provided
@@ -28,14 +38,16 @@ exports.createSale = async (req, res) => {
         customerName: patient.name,
         customerPhone: patient.phone,
         customerEmail: patient.userId.email,
-        customerAddress: patient.address
+        customerAddress: patient.address,
+        customerState: patient.address?.state
       };
     } else {
       customerDetails = {
         customerName: req.body.customerName,
         customerPhone: req.body.customerPhone,
         customerEmail: req.body.customerEmail,
-        customerAddress: req.body.customerAddress
+        customerAddress: req.body.customerAddress,
+        customerState: req.body.customerState
       };
     }
     
@@ -56,6 +68,12 @@ exports.createSale = async (req, res) => {
       if (prescription.pharmacyStatus === 'fully_dispensed') {
         return res.status(400).json({ message: 'Prescription already fully dispensed' });
       }
+
+      // Expired, cancelled or replaced by a newer version
+      const validity = await getPrescriptionValidity(prescription);
+      if (!validity.valid) {
+        return res.status(400).json({ message: `Prescription cannot be dispensed: ${validity.status.replace('_', ' ')}` });
+      }
     }
     
     // Validate items and check stock
@@ -63,9 +81,9 @@ exports.createSale = async (req, res) => {
     const validatedItems = [];
     
     for (const item of items) {
-      const medicine = await Medicine.findById(item.medicineId);
+      const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId: req.pharmacyId });
       if (!medicine || !medicine.isActive) {
-        return res.status(400).json({ message: `Medicine ${item.medicineId} not available` });
+        return res.status(400).json({ message: `Medicine ${item.medicineId} not available at this pharmacy` });
       }
       
       if (medicine.quantity < item.quantity) {
@@ -92,20 +110,24 @@ exports.createSale = async (req, res) => {
         unit: medicine.unit,
         sellingPrice: medicine.sellingPrice,
         taxRate: medicine.taxRate,
+        taxAmount: Math.round(itemTotal * (medicine.taxRate || 0)) / 100,
+        hsnSacCode: medicine.hsnCode,
         totalAmount: itemTotal
       });
     }
     
-    const tax = validatedItems.reduce((sum, item) => 
-      sum + (item.totalAmount * item.taxRate / 100), 0);
+    const tax = validatedItems.reduce((sum, item) => sum + item.taxAmount, 0);
     const totalAmount = subtotal + tax;
     
     const sale = await PharmacySale.create({
+      pharmacyId: req.pharmacyId,
       customerType,
       patientId: patientId || undefined,
       prescriptionId: prescriptionId || undefined,
       ...customerDetails,
       ...prescriptionDetails,
+      recipientGstin,
+      placeOfSupply,
       items: validatedItems,
       subtotal,
       tax,
@@ -119,6 +141,21 @@ exports.createSale = async (req, res) => {
       createdBy: req.user.id
     });
     
+    // Nothing to book until money is taken
+    if (sale.paidAmount > 0) {
+      const transactionType = sale.paidAmount < sale.totalAmount ? 'partial_payment' : 'charge';
+      await recordPayment({
+        entityType: 'pharmacy_sale',
+        entity: sale,
+        transactionType,
+        amount: sale.paidAmount,
+        method: paymentMethod,
+        description: `Pharmacy sale ${sale.saleNumber}`,
+        recordedBy: req.user.id,
+        idempotencyKey: `pharmacy_sale:${sale._id}:${transactionType}`
+      });
+    }
+    
     res.status(201).json({ success: true, sale });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -127,7 +164,7 @@ exports.createSale = async (req, res) => {
 
 exports.dispenseSale = async (req, res) => {
   try {
-    const sale = await PharmacySale.findById(req.params.id);
+    const sale = await PharmacySale.findOne({ _id: req.params.id, ...pharmacyScope(req) });
     
     if (!sale) {
       return res.status(404).json({ message: 'Sale not found' });
@@ -139,11 +176,12 @@ exports.dispenseSale = async (req, res) => {
     
     // Process each item
     for (const item of sale.items) {
-      const medicine = await Medicine.findById(item.medicineId);
+      const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId: sale.pharmacyId });
       if (!medicine) continue;
       
       // Find batches (FIFO - First In First Out)
       const batches = await MedicineBatch.find({
+        pharmacyId: sale.pharmacyId,
         medicineId: medicine._id,
         isActive: true,
         isExpired: false,
@@ -169,6 +207,7 @@ exports.dispenseSale = async (req, res) => {
         
         // Record stock adjustment
         await StockAdjustment.create({
+          pharmacyId: sale.pharmacyId,
           medicineId: medicine._id,
           batchId: batch._id,
           previousQuantity: batch.availableQuantity + deductQty,
@@ -224,10 +263,18 @@ exports.getAllSales = async (req, res) => {
       limit = 20 
     } = req.query;
     
-    const filter = {};
+    const filter = { ...pharmacyScope(req) };
     if (status) filter.status = status;
     if (customerType) filter.customerType = customerType;
     if (patientId) filter.patientId = patientId;
+    
+    // Patients only see their own purchases, from any pharmacy
+    if (req.user.role === 'patient') {
+      if (!req.user.profileId) {
+        return res.status(403).json({ message: 'Please complete your patient profile' });
+      }
+      filter.patientId = req.user.profileId;
+    }
     if (startDate && endDate) {
       filter.saleDate = {
         $gte: new Date(startDate),
@@ -276,7 +323,18 @@ exports.getAllSales = async (req, res) => {
 
 exports.getSaleById = async (req, res) => {
   try {
-    const sale = await PharmacySale.findById(req.params.id)
+    const filter = { _id: req.params.id, ...pharmacyScope(req) };
+
+    // Patients can only open their own sales
+    if (req.user.role === 'patient') {
+      if (!req.user.profileId) {
+        return res.status(403).json({ message: 'Please complete your patient profile' });
+      }
+      filter.patientId = req.user.profileId;
+    }
+
+    const sale = await PharmacySale.findOne(filter)
+      .populate('pharmacyId', 'pharmacyName phone address')
       .populate('patientId')
       .populate('prescriptionId')
       .populate('createdBy', 'name email')
@@ -290,7 +348,8 @@ exports.getSaleById = async (req, res) => {
     const itemsWithBatch = [];
     for (const item of sale.items) {
       if (item.batchId) {
-        const batch = await MedicineBatch.findById(item.batchId);
+        // The sale's own pharmacy, also when a patient opens it
+        const batch = await MedicineBatch.findOne({ _id: item.batchId, pharmacyId: sale.pharmacyId?._id || sale.pharmacyId });
         itemsWithBatch.push({ ...item.toObject(), batchDetails: batch });
       } else {
         itemsWithBatch.push(item);
@@ -309,7 +368,7 @@ exports.getSalesReport = async (req, res) => {
   try {
     const { groupBy = 'day', startDate, endDate } = req.query;
     
-    const matchStage = { status: 'dispensed' };
+    const matchStage = { ...pharmacyScope(req), status: 'dispensed' };
     if (startDate && endDate) {
       matchStage.saleDate = {
         $gte: new Date(startDate),
@@ -6,6 +6,7 @@ const User = require('../models/User');
 const Calendar = require('../models/Calendar');
 const Appointment = require('../models/Appointment');
 const Commission = require('../models/Commission');
+const { isTwoFactorSatisfied } = require('../utils/twoFactor');
 
 const { initializeCalendarForMonth, updateDoctorInCalendar } = require('../jobs/calendarJob');
 
@@ -582,7 +583,11 @@ exports.getPhysioAvailability = async (req, res) => {
 // GET /physio/me/profile
 exports.getProfile = async (req, res) => {
   try {
+    // Bank details stay hidden until policy-required 2FA is enabled
+    const canViewBankDetails = await isTwoFactorSatisfied(req.user, 'payouts');
+
     const physio = await PhysiotherapistProfile.findOne({ userId: req.user.id })
+      .select(canViewBankDetails ? '' : '-bankDetails')
       .populate('userId', 'email isVerified lastLogin');
 
     if (!physio) return res.status(404).json({ success: false, error: 'Physiotherapist profile not found' });
@@ -623,6 +628,15 @@ exports.updateProfile = async (req, res) => {
     delete updates.paidCommission;
     delete updates.commissionRate;
 
+    const canViewBankDetails = await isTwoFactorSatisfied(req.user, 'payouts');
+    if (updates.bankDetails && !canViewBankDetails) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please enable two-factor authentication to change bank details',
+        requiresTwoFactor: true
+      });
+    }
+
     if (updates.contactNumber) updates.contactNumber = normalizePhone(updates.contactNumber);
     if (updates.clinicAddress) updates.clinicAddress = normalizeClinicAddress(updates.clinicAddress);
 
@@ -633,7 +647,9 @@ exports.updateProfile = async (req, res) => {
       { userId: req.user.id },
       updates,
       { new: true, runValidators: true }
-    ).populate('userId', 'email');
+    )
+      .select(canViewBankDetails ? '' : '-bankDetails')
+      .populate('userId', 'email');
 
     if (!physio) return res.status(404).json({ success: false, error: 'Physiotherapist profile not found' });
 
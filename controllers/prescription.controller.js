@@ -1,6 +1,20 @@
 const Prescription = require('../models/Prescription');
 const Appointment = require('../models/Appointment');
 const PatientProfile = require('../models/PatientProfile');
+const MedicationSchedule = require('../models/MedicationSchedule');
+const {
+  createSchedulesForPrescription,
+  cancelSchedulesForPrescription,
+  getAdherence
+} = require('../utils/medicationSchedules');
+const {
+  getVerificationCode,
+  isValidVerificationCode,
+  getVerificationUrl,
+  getPrescriptionValidity,
+  attachDigitalCopy
+} = require('../utils/prescriptionVerification');
+const { buildPrescriptionPdf } = require('../utils/prescriptionPdf');
 
 exports.createPrescription = async (req, res) => {
   try {
@@ -12,7 +26,8 @@ exports.createPrescription = async (req, res) => {
       labTests,
       advice,
       followUpDate,
-      exercises
+      exercises,
+      digitalSignature
     } = req.body;
     
     const appointment = await Appointment.findById(appointmentId);
@@ -44,6 +59,7 @@ exports.createPrescription = async (req, res) => {
       advice,
       followUpDate,
       exercises: appointment.professionalType === 'physio' ? exercises : undefined,
+      digitalSignature,
       status: 'issued'
     });
     
@@ -52,9 +68,11 @@ exports.createPrescription = async (req, res) => {
     appointment.status = 'completed';
     await appointment.save();
     
-    // Generate PDF (in real implementation)
-    // prescription.prescriptionPdf = await generatePrescriptionPDF(prescription);
-    // await prescription.save();
+    // Dose schedule and reminders for the prescribed medicines
+    await createSchedulesForPrescription(prescription);
+    
+    // QR code for pharmacy verification and the link to the printable PDF
+    await attachDigitalCopy(prescription);
     
     res.status(201).json({ success: true, prescription });
   } catch (error) {
@@ -144,7 +162,10 @@ exports.getPrescriptionById = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view this prescription' });
     }
     
-    res.json({ success: true, prescription });
+    const schedules = await MedicationSchedule.find({ prescriptionId: prescription._id }).select('_id');
+    const { overall: adherence } = await getAdherence(schedules.map(schedule => schedule._id));
+    
+    res.json({ success: true, prescription, adherence });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -165,6 +186,8 @@ exports.updatePrescription = async (req, res) => {
     const newPrescription = prescription.toObject();
     delete newPrescription._id;
     delete newPrescription.prescriptionNumber;
+    delete newPrescription.qrCode;
+    delete newPrescription.prescriptionPdf;
     
     newPrescription.previousVersion = prescription._id;
     newPrescription.version = prescription.version + 1;
@@ -174,12 +197,116 @@ exports.updatePrescription = async (req, res) => {
     
     const updatedPrescription = await Prescription.create(newPrescription);
     
+    // The new version's medicines replace the old schedule
+    await cancelSchedulesForPrescription(prescription._id);
+    await createSchedulesForPrescription(updatedPrescription);
+    await attachDigitalCopy(updatedPrescription);
+    
     res.json({ success: true, prescription: updatedPrescription });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+// Printable prescription with the verification QR code
+exports.downloadPrescriptionPdf = async (req, res) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id)
+      .populate('patientId', 'name age dateOfBirth gender')
+      .populate('doctorId', 'name qualifications specialization licenseNumber clinicAddress')
+      .populate('physioId', 'name qualifications specialization licenseNumber clinicAddress');
+
+    if (!prescription) {
+      return res.status(404).json({ message: 'Prescription not found' });
+    }
+    if (!canViewPrescription(req.user, prescription)) {
+      return res.status(403).json({ message: 'Not authorized to view this prescription' });
+    }
+    if (prescription.status === 'draft') {
+      return res.status(400).json({ message: 'Prescription has not been issued yet' });
+    }
+
+    if (!prescription.qrCode) await attachDigitalCopy(prescription);
+
+    const pdf = await buildPrescriptionPdf({
+      prescription,
+      patient: prescription.patientId,
+      professional: prescription.professionalType === 'doctor' ? prescription.doctorId : prescription.physioId,
+      qrImage: prescription.qrCode,
+      verificationUrl: getVerificationUrl(prescription.prescriptionNumber),
+      verificationCode: getVerificationCode(prescription.prescriptionNumber)
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.attachment(`prescription-${prescription.prescriptionNumber}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error generating prescription PDF:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Public check for pharmacies: is this prescription genuine and still dispensable?
+// Needs the code from the QR code / printout, and only returns what dispensing requires.
+exports.verifyPrescription = async (req, res) => {
+  try {
+    const { prescriptionNumber } = req.params;
+    const prescription = await Prescription.findOne({ prescriptionNumber, status: { $ne: 'draft' } })
+      .populate('patientId', 'name age gender')
+      .populate('doctorId', 'name specialization licenseNumber')
+      .populate('physioId', 'name specialization licenseNumber');
+
+    // Same answer for unknown numbers and wrong codes
+    if (!prescription || !isValidVerificationCode(prescriptionNumber, req.query.code)) {
+      return res.status(404).json({ success: false, authentic: false, error: 'Prescription not found' });
+    }
+
+    const validity = await getPrescriptionValidity(prescription);
+    const professional = prescription.professionalType === 'doctor' ? prescription.doctorId : prescription.physioId;
+    const patient = prescription.patientId;
+
+    res.json({
+      success: true,
+      authentic: true,
+      ...validity,
+      prescription: {
+        prescriptionNumber: prescription.prescriptionNumber,
+        version: prescription.version,
+        issuedAt: prescription.issuedAt,
+        expiresAt: prescription.expiresAt,
+        pharmacyStatus: prescription.pharmacyStatus,
+        professional: professional && {
+          type: prescription.professionalType,
+          name: professional.name,
+          specialization: professional.specialization,
+          registrationNumber: professional.licenseNumber
+        },
+        patient: patient && {
+          name: patient.name,
+          age: patient.age,
+          gender: patient.gender
+        },
+        medicines: prescription.medicines.map(medicine => ({
+          medicineName: medicine.medicineName,
+          genericName: medicine.genericName,
+          dosage: medicine.dosage,
+          frequency: medicine.frequency,
+          duration: medicine.duration,
+          quantity: medicine.quantity,
+          unit: medicine.unit
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying prescription:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify prescription' });
+  }
+};
+
 // Authorization helpers
 function canCreatePrescription(user, appointment) {
   if (user.role === 'admin') return true;
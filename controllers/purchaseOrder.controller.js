@@ -3,6 +3,7 @@ const Medicine = require('../models/Medicine');
 const MedicineBatch = require('../models/MedicineBatch');
 const Supplier = require('../models/Supplier');
 const StockAdjustment = require('../models/StockAdjustment');
+const { pharmacyScope } = require('../middlewares/scopeToPharmacy');
 
 exports.createPurchaseOrder = async (req, res) => {
   try {
@@ -19,7 +20,7 @@ exports.createPurchaseOrder = async (req, res) => {
     const validatedItems = [];
     
     for (const item of items) {
-      const medicine = await Medicine.findById(item.medicineId);
+      const medicine = await Medicine.findOne({ _id: item.medicineId, pharmacyId: req.pharmacyId });
       if (!medicine) {
         return res.status(400).json({ message: `Medicine ${item.medicineId} not found` });
       }
@@ -41,6 +42,7 @@ exports.createPurchaseOrder = async (req, res) => {
     const totalAmount = subtotal + tax;
     
     const purchaseOrder = await PurchaseOrder.create({
+      pharmacyId: req.pharmacyId,
       supplierId,
       items: validatedItems,
       expectedDeliveryDate,
@@ -69,7 +71,7 @@ exports.getAllPurchaseOrders = async (req, res) => {
       limit = 20 
     } = req.query;
     
-    const filter = {};
+    const filter = { ...pharmacyScope(req) };
     if (status) filter.status = status;
     if (supplierId) filter.supplierId = supplierId;
     if (startDate && endDate) {
@@ -105,7 +107,7 @@ exports.getAllPurchaseOrders = async (req, res) => {
 
 exports.approvePurchaseOrder = async (req, res) => {
   try {
-    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: req.params.id, ...pharmacyScope(req) });
     
     if (!purchaseOrder) {
       return res.status(404).json({ message: 'Purchase order not found' });
@@ -129,7 +131,7 @@ exports.receivePurchaseOrder = async (req, res) => {
   try {
     const { receivedItems, damagedItems = [], notes } = req.body;
     
-    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    const purchaseOrder = await PurchaseOrder.findOne({ _id: req.params.id, ...pharmacyScope(req) });
     
     if (!purchaseOrder) {
       return res.status(404).json({ message: 'Purchase order not found' });
@@ -158,10 +160,11 @@ exports.receivePurchaseOrder = async (req, res) => {
       
       // Add to stock if received
       if (receivedQty > 0) {
-        const medicine = await Medicine.findById(orderItem.medicineId);
+        const medicine = await Medicine.findOne({ _id: orderItem.medicineId, pharmacyId: purchaseOrder.pharmacyId });
         if (medicine) {
           // Create batch
           const batch = await MedicineBatch.create({
+            pharmacyId: purchaseOrder.pharmacyId,
             medicineId: medicine._id,
             batchNumber: receivedItem.batchNumber || `BATCH-${Date.now()}`,
             quantity: receivedQty,
@@ -181,6 +184,7 @@ exports.receivePurchaseOrder = async (req, res) => {
           
           // Record stock adjustment
           await StockAdjustment.create({
+            pharmacyId: purchaseOrder.pharmacyId,
             medicineId: medicine._id,
             batchId: batch._id,
             previousQuantity: medicine.quantity - receivedQty,
@@ -232,7 +236,7 @@ exports.getPurchaseOrderStats = async (req, res) => {
   try {
     const { startDate, endDate, supplierId } = req.query;
     
-    const matchStage = { status: { $ne: 'cancelled' } };
+    const matchStage = { ...pharmacyScope(req), status: { $ne: 'cancelled' } };
     if (startDate && endDate) {
       matchStage.orderDate = {
         $gte: new Date(startDate),
@@ -1,113 +1,116 @@
-const Appointment = require('../models/Appointment');
-const Salary = require('../models/Salary');
 const Invoice = require('../models/Invoice');
-const mongoose = require('mongoose');
+const CreditNote = require('../models/CreditNote');
+const Payout = require('../models/Payout');
+
+const INVOICE_TYPES = ['appointment', 'package', 'lab_test', 'pharmacy', 'other'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Issued invoices count as revenue on their invoice date; drafts and cancelled ones never do
+const billedMatch = (start, end) => ({
+  invoiceDate: { $gte: start, $lte: end },
+  status: { $nin: ['draft', 'cancelled'] }
+});
+
+// Credit notes reduce revenue on their own date, not the original invoice's
+const creditedMatch = (start, end) => ({
+  creditNoteDate: { $gte: start, $lte: end }
+});
+
+// Gross billed, credited and net revenue per invoice type
+async function getRevenueByType(start, end) {
+  const [billed, credited] = await Promise.all([
+    Invoice.aggregate([
+      { $match: billedMatch(start, end) },
+      { $group: { _id: '$invoiceType', total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+    ]),
+    CreditNote.aggregate([
+      { $match: creditedMatch(start, end) },
+      { $group: { _id: '$invoiceType', total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byType = {};
+  INVOICE_TYPES.forEach(type => {
+    const gross = billed.find(row => row._id === type);
+    const credit = credited.find(row => row._id === type);
+    byType[type] = {
+      gross: round2(gross?.total || 0),
+      credited: round2(credit?.total || 0),
+      net: round2((gross?.total || 0) - (credit?.total || 0)),
+      invoices: gross?.count || 0,
+      creditNotes: credit?.count || 0
+    };
+  });
+
+  const sum = (key) => round2(Object.values(byType).reduce((total, row) => total + row[key], 0));
+
+  return {
+    byType,
+    gross: sum('gross'),
+    credited: sum('credited'),
+    net: sum('net'),
+    invoices: sum('invoices'),
+    creditNotes: sum('creditNotes')
+  };
+}
+
+// Professional payouts completed in the period
+async function getPayoutExpenses(start, end) {
+  const payouts = await Payout.aggregate([
+    { $match: { status: 'paid', paidAt: { $gte: start, $lte: end } } },
+    { $group: { _id: null, total: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+  ]);
+  return { total: round2(payouts[0]?.total || 0), count: payouts[0]?.count || 0 };
+}
 
 // Calculate hospital revenue
 exports.calculateHospitalRevenue = async (req, res) => {
   try {
-    const { period, startDate, endDate } = req.query;
-    
-    let dateFilter = {};
+    const { startDate, endDate } = req.query;
+
+    let start;
+    let end;
     if (startDate && endDate) {
-      dateFilter.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+      start = new Date(startDate);
+      end = new Date(endDate);
     } else {
       // Default to current month if no dates provided
       const now = new Date();
-      const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-      const lastDayOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-      dateFilter.createdAt = {
-        $gte: firstDayOfMonth,
-        $lte: lastDayOfMonth
-      };
+      start = new Date(now.getFullYear(), now.getMonth(), 1);
+      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
     }
 
-    // Calculate revenue from appointments (billing)
-    const appointmentRevenue = await Invoice.aggregate([
-      {
-        $match: {
-          ...dateFilter,
-          status: 'Paid',
-          invoice_type: 'Appointment'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$total' },
-          appointmentCount: { $sum: 1 }
-        }
-      }
+    const [revenue, payouts] = await Promise.all([
+      getRevenueByType(start, end),
+      getPayoutExpenses(start, end)
     ]);
 
-    // Calculate revenue from pharmacy sales
-    const pharmacyRevenue = await Invoice.aggregate([
-      {
-        $match: {
-          ...dateFilter,
-          status: 'Paid',
-          invoice_type: 'Pharmacy'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$total' },
-          saleCount: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Calculate doctor salary expenses
-    const salaryExpenses = await Salary.aggregate([
-      {
-        $match: {
-          ...dateFilter,
-          status: 'paid'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalExpenses: { $sum: '$net_amount' },
-          salaryCount: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Calculate net revenue
-    const totalAppointmentRevenue = appointmentRevenue[0]?.totalRevenue || 0;
-    const totalPharmacyRevenue = pharmacyRevenue[0]?.totalRevenue || 0;
-    const totalSalaryExpenses = salaryExpenses[0]?.totalExpenses || 0;
-    
-    const grossRevenue = totalAppointmentRevenue + totalPharmacyRevenue;
-    const netRevenue = grossRevenue - totalSalaryExpenses;
+    const netRevenue = revenue.net - payouts.total;
 
     res.json({
-      period: {
-        start: dateFilter.createdAt?.$gte || new Date(),
-        end: dateFilter.createdAt?.$lte || new Date()
-      },
+      period: { start, end },
       revenue: {
-        appointment: totalAppointmentRevenue,
-        pharmacy: totalPharmacyRevenue,
-        gross: grossRevenue,
-        net: netRevenue
+        appointment: revenue.byType.appointment.net + revenue.byType.package.net,
+        labTest: revenue.byType.lab_test.net,
+        pharmacy: revenue.byType.pharmacy.net,
+        other: revenue.byType.other.net,
+        gross: revenue.gross,
+        credited: revenue.credited,
+        net: revenue.net
       },
+      byType: revenue.byType,
       expenses: {
-        salaries: totalSalaryExpenses
+        payouts: payouts.total
       },
       counts: {
-        appointments: appointmentRevenue[0]?.appointmentCount || 0,
-        pharmacySales: pharmacyRevenue[0]?.saleCount || 0,
-        salariesPaid: salaryExpenses[0]?.salaryCount || 0
+        invoices: revenue.invoices,
+        creditNotes: revenue.creditNotes,
+        payouts: payouts.count
       },
       profitability: {
-        grossMargin: grossRevenue > 0 ? ((grossRevenue - totalSalaryExpenses) / grossRevenue) * 100 : 0,
-        netMargin: grossRevenue > 0 ? (netRevenue / grossRevenue) * 100 : 0
+        netRevenue: round2(netRevenue),
+        netMargin: revenue.net > 0 ? (netRevenue / revenue.net) * 100 : 0
       }
     });
   } catch (error) {
@@ -133,78 +136,32 @@ exports.getDailyRevenueReport = async (req, res) => {
     const startOfDay = targetDate;
     const endOfDay = new Date(targetDate.getTime() + 24 * 60 * 60 * 1000 - 1);
 
-    const [appointmentRevenue, pharmacyRevenue, salaryExpenses] = await Promise.all([
-      // Appointment revenue
-      Invoice.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: startOfDay, $lte: endOfDay },
-            status: 'Paid',
-            invoice_type: 'Appointment'
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$total' },
-            count: { $sum: 1 }
-          }
-        }
-      ]),
-      // Pharmacy revenue
-      Invoice.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: startOfDay, $lte: endOfDay },
-            status: 'Paid',
-            invoice_type: 'Pharmacy'
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$total' },
-            count: { $sum: 1 }
-          }
-        }
-      ]),
-      // Salary expenses
-      Salary.aggregate([
-        {
-          $match: {
-            paid_date: { $gte: startOfDay, $lte: endOfDay },
-            status: 'paid'
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$net_amount' },
-            count: { $sum: 1 }
-          }
-        }
-      ])
+    const [revenue, payouts] = await Promise.all([
+      getRevenueByType(startOfDay, endOfDay),
+      getPayoutExpenses(startOfDay, endOfDay)
     ]);
 
-    const result = {
+    res.json({
       date: startOfDay.toISOString().split('T')[0],
       revenue: {
-        appointment: appointmentRevenue[0]?.total || 0,
-        pharmacy: pharmacyRevenue[0]?.total || 0,
-        total: (appointmentRevenue[0]?.total || 0) + (pharmacyRevenue[0]?.total || 0)
+        appointment: revenue.byType.appointment.net + revenue.byType.package.net,
+        labTest: revenue.byType.lab_test.net,
+        pharmacy: revenue.byType.pharmacy.net,
+        other: revenue.byType.other.net,
+        gross: revenue.gross,
+        credited: revenue.credited,
+        total: revenue.net
       },
       expenses: {
-        salaries: salaryExpenses[0]?.total || 0
+        payouts: payouts.total
       },
-      net: ((appointmentRevenue[0]?.total || 0) + (pharmacyRevenue[0]?.total || 0)) - (salaryExpenses[0]?.total || 0),
+      net: round2(revenue.net - payouts.total),
       counts: {
-        appointments: appointmentRevenue[0]?.count || 0,
-        pharmacySales: pharmacyRevenue[0]?.count || 0,
-        salariesPaid: salaryExpenses[0]?.count || 0
+        invoices: revenue.invoices,
+        creditNotes: revenue.creditNotes,
+        payouts: payouts.count
       }
-    };
-
-    res.json(result);
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -212,155 +169,73 @@ exports.getDailyRevenueReport = async (req, res) => {
 
 // Get monthly revenue report
 exports.getMonthlyRevenueReport = async (req, res) => {
-  try {
-    const { year, month } = req.query;
-    const targetYear = parseInt(year) || new Date().getFullYear();
-    const targetMonth = parseInt(month) || new Date().getMonth() + 1;
-
-    const startOfMonth = new Date(targetYear, targetMonth - 1, 1);
-    const endOfMonth = new Date(targetYear, targetMonth, 0, 23, 59, 59, 999);
-    const daysInMonth = endOfMonth.getDate();
+  try {
+    const { year, month } = req.query;
+    const targetYear = parseInt(year) || new Date().getFullYear();
+    const targetMonth = parseInt(month) || new Date().getMonth() + 1;
 
-    const [revenueByDay, salaryExpenses, appointments, pharmacySales, dailyRevenueTotals] = await Promise.all([
-      // Daily revenue breakdown
-      Invoice.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: startOfMonth, $lte: endOfMonth },
-            status: 'Paid'
-          }
-        },
-        {
-          $group: {
-            _id: {
-              day: { $dayOfMonth: '$createdAt' },
-              type: '$invoice_type'
-            },
-            total: { $sum: '$total' },
-            count: { $sum: 1 }
-          }
-        },
-        { $sort: { '_id.day': 1 } }
-      ]),
-      // Monthly salary expenses
-      Salary.aggregate([
-        {
-          $match: {
-            period_start: { $gte: startOfMonth, $lte: endOfMonth },
-            status: 'paid'
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$net_amount' },
-            count: { $sum: 1 }
-          }
-        }
-      ]),
-      // Total appointments
-      Invoice.countDocuments({
-        createdAt: { $gte: startOfMonth, $lte: endOfMonth },
-        status: 'Paid',
-        invoice_type: 'Appointment'
-      }),
-      // Total pharmacy sales
-      Invoice.countDocuments({
-        createdAt: { $gte: startOfMonth, $lte: endOfMonth },
-        status: 'Paid',
-        invoice_type: 'Pharmacy'
-      }),
-      // Daily revenue totals for average and highest day calculation
-      Invoice.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: startOfMonth, $lte: endOfMonth },
-            status: 'Paid'
-          }
-        },
-        {
-          $group: {
-            _id: {
-              date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
-            },
-            dailyRevenue: { $sum: '$total' }
-          }
-        }
-      ])
-    ]);
+    const startOfMonth = new Date(targetYear, targetMonth - 1, 1);
+    const endOfMonth = new Date(targetYear, targetMonth, 0, 23, 59, 59, 999);
 
-    const appointmentRevenue = await Invoice.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: startOfMonth, $lte: endOfMonth },
-          status: 'Paid',
-          invoice_type: 'Appointment'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$total' },
-        }
-      }
-    ]);
-
-    // Calculate revenue from pharmacy sales
-    const pharmacyRevenue = await Invoice.aggregate([
-      {
-        $match: {
-          createdAt: { $gte: startOfMonth, $lte: endOfMonth },
-          status: 'Paid',
-          invoice_type: 'Pharmacy'
+    const [revenue, payouts, billedByDay, creditedByDay] = await Promise.all([
+      getRevenueByType(startOfMonth, endOfMonth),
+      getPayoutExpenses(startOfMonth, endOfMonth),
+      // Daily revenue breakdown
+      Invoice.aggregate([
+        { $match: billedMatch(startOfMonth, endOfMonth) },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$invoiceDate' } },
+            total: { $sum: '$totalAmount' }
+          }
         }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$total' },
+      ]),
+      CreditNote.aggregate([
+        { $match: creditedMatch(startOfMonth, endOfMonth) },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$creditNoteDate' } },
+            total: { $sum: '$totalAmount' }
+          }
         }
-      }
+      ])
     ]);
 
-    // Process daily revenue data
-    const dailyBreakdown = {};
-    const totalAppointmentRevenue = appointmentRevenue[0]?.totalRevenue || 0;
-    const totalPharmacyRevenue = pharmacyRevenue[0]?.totalRevenue || 0;
-    const businessDays = new Set();
-
-    revenueByDay.forEach(item => {
-      const day = item._id.day;
-      businessDays.add(day);
-      if (!dailyBreakdown[day]) {
-        dailyBreakdown[day] = { appointment: 0, pharmacy: 0, total: 0 };
-      }
-      dailyBreakdown[day][item._id.type.toLowerCase()] = item.total;
-      dailyBreakdown[day].total += item.total;
-    });
+    // Net revenue per day: billed minus credited
+    const dailyBreakdown = {};
+    billedByDay.forEach(day => {
+      dailyBreakdown[day._id] = (dailyBreakdown[day._id] || 0) + day.total;
+    });
+    creditedByDay.forEach(day => {
+      dailyBreakdown[day._id] = (dailyBreakdown[day._id] || 0) - day.total;
+    });
 
-    const highestRevenueDay = dailyRevenueTotals.sort((a, b) => b.dailyRevenue - a.dailyRevenue)[0] || { _id: { date: '' }, dailyRevenue: 0 };
-    const totalSalariesPaid = salaryExpenses[0]?.total || 0;
-    const totalRevenue = Object.values(dailyBreakdown).reduce((sum, day) => sum + day.total, 0);
-    const netRevenue = totalRevenue - totalSalariesPaid;
+    const days = Object.entries(dailyBreakdown)
+      .map(([date, amount]) => ({ date, amount: round2(amount) }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const highestRevenueDay = [...days].sort((a, b) => b.amount - a.amount)[0] || { date: '', amount: 0 };
+    const businessDays = billedByDay.length;
+    const netRevenue = revenue.net - payouts.total;
 
-    res.json({
-        appointmentRevenue: totalAppointmentRevenue,
-        pharmacyRevenue: totalPharmacyRevenue,
-        totalRevenue: totalRevenue,
-        averageDailyRevenue: businessDays.size > 0 ? totalRevenue / businessDays.size : 0,
-        highestRevenueDay: {
-          amount: highestRevenueDay.dailyRevenue,
-          date: highestRevenueDay._id.date,
-        },
-        profitMargin: totalRevenue > 0 ? (netRevenue / totalRevenue) * 100 : 0,
-        totalAppointments: appointments,
-        totalPharmacySales: pharmacySales,
-        businessDays: businessDays.size,
-        totalSalariesPaid: totalSalariesPaid,
-        netRevenue: netRevenue,
-        salaryExpenses: totalSalariesPaid
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-};
\ No newline at end of file
+    res.json({
+      appointmentRevenue: revenue.byType.appointment.net + revenue.byType.package.net,
+      labTestRevenue: revenue.byType.lab_test.net,
+      pharmacyRevenue: revenue.byType.pharmacy.net,
+      grossRevenue: revenue.gross,
+      creditedRevenue: revenue.credited,
+      totalRevenue: revenue.net,
+      byType: revenue.byType,
+      dailyBreakdown: days,
+      averageDailyRevenue: businessDays > 0 ? round2(revenue.net / businessDays) : 0,
+      highestRevenueDay,
+      profitMargin: revenue.net > 0 ? (netRevenue / revenue.net) * 100 : 0,
+      totalInvoices: revenue.invoices,
+      totalCreditNotes: revenue.creditNotes,
+      businessDays,
+      totalPayouts: payouts.total,
+      netRevenue: round2(netRevenue)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,5 +1,7 @@
 const StockAdjustment = require('../models/StockAdjustment');
 const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const { pharmacyScope } = require('../middlewares/scopeToPharmacy');
 
 exports.getAllAdjustments = async (req, res) => {
   try {
@@ -12,7 +14,7 @@ exports.getAllAdjustments = async (req, res) => {
       limit = 20 
     } = req.query;
     
-    const filter = {};
+    const filter = { ...pharmacyScope(req) };
     if (medicineId) filter.medicineId = medicineId;
     if (adjustmentType) filter.adjustmentType = adjustmentType;
     if (startDate && endDate) {
@@ -72,7 +74,7 @@ exports.createAdjustment = async (req, res) => {
       notes 
     } = req.body;
     
-    const medicine = await Medicine.findById(medicineId);
+    const medicine = await Medicine.findOne({ _id: medicineId, ...pharmacyScope(req) });
     if (!medicine) {
       return res.status(404).json({ message: 'Medicine not found' });
     }
@@ -90,7 +92,7 @@ exports.createAdjustment = async (req, res) => {
     
     // Update batch if provided
     if (batchId) {
-      const batch = await MedicineBatch.findById(batchId);
+      const batch = await MedicineBatch.findOne({ _id: batchId, pharmacyId: medicine.pharmacyId });
       if (batch) {
         batch.availableQuantity += adjustmentQuantity;
         if (batch.availableQuantity <= 0) {
@@ -102,6 +104,7 @@ exports.createAdjustment = async (req, res) => {
     
     // Create adjustment record
     const adjustment = await StockAdjustment.create({
+      pharmacyId: medicine.pharmacyId,
       medicineId,
       batchId,
       previousQuantity,
@@ -123,7 +126,7 @@ exports.getAdjustmentStats = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
-    const matchStage = {};
+    const matchStage = { ...pharmacyScope(req) };
     if (startDate && endDate) {
       matchStage.createdAt = {
         $gte: new Date(startDate),
@@ -1,5 +1,6 @@
 const Supplier = require('../models/Supplier');
 const PurchaseOrder = require('../models/PurchaseOrder');
+const { pharmacyScope } = require('../middlewares/scopeToPharmacy');
 
 exports.createSupplier = async (req, res) => {
   try {
@@ -59,16 +60,17 @@ exports.getSupplierById = async (req, res) => {
       return res.status(404).json({ message: 'Supplier not found' });
     }
     
-    // Get purchase orders
+    // Get purchase orders (this pharmacy's only)
     const purchaseOrders = await PurchaseOrder.find({ 
-      supplierId: supplier._id 
+      supplierId: supplier._id,
+      ...pharmacyScope(req)
     })
     .sort({ orderDate: -1 })
     .limit(10);
     
     // Calculate total purchases
     const purchaseStats = await PurchaseOrder.aggregate([
-      { $match: { supplierId: supplier._id, status: { $ne: 'cancelled' } } },
+      { $match: { supplierId: supplier._id, status: { $ne: 'cancelled' }, ...pharmacyScope(req) } },
       {
         $group: {
           _id: null,
@@ -0,0 +1,632 @@
+const Appointment = require('../models/Appointment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const DoctorProfile = require('../models/DoctorProfile');
+const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
+const PathologyProfile = require('../models/PathologyProfile');
+const PatientProfile = require('../models/PatientProfile');
+const Commission = require('../models/Commission');
+const CommissionSettings = require('../models/CommissionSettings');
+const Notification = require('../models/Notification');
+const { notify } = require('../utils/notifications');
+const { checkSlotAvailability, withSlotLock, calculateEndTime, timeToMinutes } = require('../utils/slotAvailability');
+
+// How long a patient has to claim a freed slot
+const OFFER_TTL_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+// ========== WAITLIST FUNCTIONS ==========
+
+// Join the waitlist for a professional and date range
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const {
+      professionalId,
+      professionalType,
+      dateFrom,
+      dateTo,
+      preferredStartTime,
+      preferredEndTime,
+      type = 'clinic',
+      address,
+      location,
+      reason
+    } = req.body;
+
+    if (!professionalId || !professionalType || !dateFrom) {
+      return res.status(400).json({
+        success: false,
+        error: 'Professional ID, professional type and start date are required'
+      });
+    }
+
+    if (!['doctor', 'physio', 'pathology'].includes(professionalType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid professional type. Must be "doctor", "physio" or "pathology"'
+      });
+    }
+
+    if (req.user.role !== 'patient') {
+      return res.status(403).json({ success: false, error: 'Only patients can join a waitlist' });
+    }
+
+    const patientProfile = await PatientProfile.findOne({ userId: req.user.id });
+    if (!patientProfile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Patient profile not found. Please complete your profile first.'
+      });
+    }
+
+    const from = new Date(dateFrom);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(dateTo || dateFrom);
+    to.setHours(23, 59, 59, 999);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({ success: false, error: 'Invalid date range' });
+    }
+
+    if (to < today) {
+      return res.status(400).json({ success: false, error: 'Date range cannot be in the past' });
+    }
+
+    const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    if ((preferredStartTime && !timeRegex.test(preferredStartTime)) ||
+      (preferredEndTime && !timeRegex.test(preferredEndTime))) {
+      return res.status(400).json({ success: false, error: 'Invalid time format. Use HH:MM (24-hour format)' });
+    }
+
+    if (type === 'home' && !address) {
+      return res.status(400).json({ success: false, error: 'Address is required for home visits' });
+    }
+
+    const professional = await getProfessional(professionalType, professionalId);
+    if (!professional) {
+      return res.status(404).json({ success: false, error: 'Professional not found' });
+    }
+
+    const idField = getProfessionalField(professionalType);
+
+    const existing = await WaitlistEntry.findOne({
+      patientId: patientProfile._id,
+      [idField]: professionalId,
+      status: { $in: ['waiting', 'offered'] },
+      dateFrom: { $lte: to },
+      dateTo: { $gte: from }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'You are already on the waitlist for this professional in that date range',
+        entry: existing
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patientId: patientProfile._id,
+      [idField]: professionalId,
+      professionalType,
+      dateFrom: from < today ? today : from,
+      dateTo: to,
+      preferredStartTime,
+      preferredEndTime,
+      type,
+      address: type === 'home' ? address : undefined,
+      location: type === 'home' ? location : undefined,
+      reason
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      [idField]: professionalId,
+      status: { $in: ['waiting', 'offered'] },
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to waitlist successfully',
+      entry,
+      position
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Get waitlist entries (role-based)
+exports.getWaitlist = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = {};
+
+    if (req.user.role === 'patient') {
+      const patientProfile = await PatientProfile.findOne({ userId: req.user.id });
+      if (!patientProfile) {
+        return res.json({ success: true, entries: [] });
+      }
+      filter.patientId = patientProfile._id;
+    } else if (['doctor', 'physio', 'pathology'].includes(req.user.role)) {
+      const profile = await getUserProfessionalProfile(req.user);
+      if (!profile) {
+        return res.status(404).json({ success: false, error: 'Professional profile not found' });
+      }
+      filter[getProfessionalField(req.user.role)] = profile._id;
+    } else if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Unauthorized to view waitlist' });
+    }
+
+    filter.status = status ? status : { $in: ['waiting', 'offered'] };
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('patientId', 'name phone')
+      .populate('doctorId', 'name specialization')
+      .populate('physioId', 'name services')
+      .populate('pathologyId', 'labName')
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error.message);
+    res.status(500).json({ success: false, error: 'Failed to fetch waitlist' });
+  }
+};
+
+// Leave the waitlist
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    }
+
+    if (!(await isEntryOwner(req.user, entry)) && req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Not authorized to modify this waitlist entry' });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ success: false, error: `Waitlist entry is already ${entry.status}` });
+    }
+
+    const pendingOffer = entry.status === 'offered' ? entry.offer : null;
+
+    entry.status = 'cancelled';
+    entry.offer = undefined;
+    await entry.save();
+
+    // A slot held for this patient goes to the next person in line
+    if (pendingOffer) {
+      await offerFreedSlot(slotFromEntry(entry, pendingOffer));
+    }
+
+    res.json({ success: true, message: 'Removed from waitlist', entry });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Accept the current slot offer and book it
+exports.acceptOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    }
+
+    if (!(await isEntryOwner(req.user, entry))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to accept this offer' });
+    }
+
+    if (entry.status !== 'offered' || !entry.offer) {
+      return res.status(400).json({ success: false, error: 'There is no active offer on this waitlist entry' });
+    }
+
+    if (entry.offer.expiresAt < new Date()) {
+      await expireOffer(entry);
+      return res.status(410).json({ success: false, error: 'This offer has expired' });
+    }
+
+    const offer = entry.offer;
+    const professionalId = entry[getProfessionalField(entry.professionalType)];
+    const slot = { professionalId, professionalType: entry.professionalType, date: offer.date };
+
+    const { availability, appointment } = await withSlotLock(slot, async () => {
+      const availability = await checkSlotAvailability({
+        ...slot,
+        startTime: offer.startTime,
+        endTime: offer.endTime,
+        duration: offer.duration
+      });
+      if (!availability.available) return { availability };
+
+      const appointment = await bookOfferedSlot(entry, req.user.id);
+      return { availability, appointment };
+    });
+
+    if (!availability.available) {
+      entry.offerHistory.push({ date: offer.date, startTime: offer.startTime, outcome: 'unavailable', at: new Date() });
+      entry.status = 'waiting';
+      entry.offer = undefined;
+      await entry.save();
+
+      return res.status(409).json({
+        success: false,
+        error: 'Sorry, this slot is no longer available. You remain on the waitlist.'
+      });
+    }
+
+    entry.status = 'booked';
+    entry.appointmentId = appointment._id;
+    await entry.save();
+
+    if (offer.notificationId) {
+      await Notification.findByIdAndUpdate(offer.notificationId, { read: true, readAt: new Date() });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot booked successfully',
+      appointment,
+      paymentRequired: appointment.consultationFee > 0
+    });
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Decline the current offer; patient stays on the waitlist
+exports.declineOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Waitlist entry not found' });
+    }
+
+    if (!(await isEntryOwner(req.user, entry))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to decline this offer' });
+    }
+
+    if (entry.status !== 'offered' || !entry.offer) {
+      return res.status(400).json({ success: false, error: 'There is no active offer on this waitlist entry' });
+    }
+
+    const offer = entry.offer;
+    entry.offerHistory.push({ date: offer.date, startTime: offer.startTime, outcome: 'declined', at: new Date() });
+    entry.status = 'waiting';
+    entry.offer = undefined;
+    await entry.save();
+
+    await offerFreedSlot(slotFromEntry(entry, offer));
+
+    res.json({ success: true, message: 'Offer declined. You remain on the waitlist.', entry });
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// ========== OFFER ENGINE ==========
+
+/**
+ * Offer a freed slot to the first eligible waitlisted patient
+ * Called when a cancellation/reschedule releases a slot and when an offer lapses
+ * @param {object} slot - { professionalId, professionalType, date, startTime, endTime, duration, sourceAppointmentId }
+ * @returns {Promise<object|null>} The entry that received the offer
+ */
+async function offerFreedSlot(slot) {
+  try {
+    const { professionalId, professionalType, startTime } = slot;
+    if (!professionalId || !professionalType || !slot.date || !startTime) return null;
+
+    const duration = slot.duration || 30;
+    const endTime = slot.endTime || calculateEndTime(startTime, duration);
+
+    // Slot must still be in the future
+    const slotStart = new Date(slot.date);
+    const [h, m] = startTime.split(':').map(Number);
+    slotStart.setHours(h, m, 0, 0);
+    if (slotStart <= new Date()) return null;
+
+    const idField = getProfessionalField(professionalType);
+    const dayStart = new Date(slot.date);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(slot.date);
+    dayEnd.setHours(23, 59, 59, 999);
+
+    // Only one live offer per slot
+    const alreadyOffered = await WaitlistEntry.exists({
+      [idField]: professionalId,
+      status: 'offered',
+      'offer.date': { $gte: dayStart, $lte: dayEnd },
+      'offer.startTime': startTime,
+      'offer.expiresAt': { $gt: new Date() }
+    });
+    if (alreadyOffered) return null;
+
+    const availability = await checkSlotAvailability({ professionalId, professionalType, date: slot.date, startTime, endTime, duration });
+    if (!availability.available) return null;
+
+    const candidates = await WaitlistEntry.find({
+      [idField]: professionalId,
+      status: 'waiting',
+      dateFrom: { $lte: dayEnd },
+      dateTo: { $gte: dayStart }
+    }).sort({ createdAt: 1 });
+
+    const slotStartMin = timeToMinutes(startTime);
+    const slotEndMin = slotStartMin + duration;
+
+    for (const candidate of candidates) {
+      const alreadySeen = candidate.offerHistory.some(h =>
+        h.startTime === startTime && h.date && new Date(h.date).getTime() === new Date(slot.date).getTime()
+      );
+      if (alreadySeen) continue;
+
+      if (candidate.preferredStartTime && slotStartMin < timeToMinutes(candidate.preferredStartTime)) continue;
+      if (candidate.preferredEndTime && slotEndMin > timeToMinutes(candidate.preferredEndTime)) continue;
+
+      const expiresAt = new Date(Date.now() + OFFER_TTL_MINUTES * 60 * 1000);
+
+      // Claim atomically so concurrent cancellations cannot double-offer the same patient
+      const claimed = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offer: {
+              date: slot.date,
+              startTime,
+              endTime,
+              duration,
+              offeredAt: new Date(),
+              expiresAt,
+              sourceAppointmentId: slot.sourceAppointmentId
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const notification = await sendOfferNotification(claimed);
+      if (notification) {
+        claimed.offer.notificationId = notification._id;
+        await claimed.save();
+      }
+
+      return claimed;
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error offering freed slot:', error);
+    return null;
+  }
+}
+
+// Lapse an unclaimed offer and pass the slot to the next person in line
+async function expireOffer(entry) {
+  const offer = entry.offer;
+  if (!offer) return;
+
+  const updated = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    {
+      $set: { status: 'waiting' },
+      $unset: { offer: 1 },
+      $push: { offerHistory: { date: offer.date, startTime: offer.startTime, outcome: 'expired', at: new Date() } }
+    },
+    { new: true }
+  );
+  if (!updated) return;
+
+  await offerFreedSlot(slotFromEntry(updated, offer));
+}
+
+/**
+ * Periodic sweep: lapse expired offers and close entries whose date range has passed
+ */
+async function processExpiredOffers() {
+  const now = new Date();
+
+  const lapsed = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+  for (const entry of lapsed) {
+    try {
+      await expireOffer(entry);
+    } catch (error) {
+      console.error('Error expiring waitlist offer:', error);
+    }
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const closed = await WaitlistEntry.updateMany(
+    { status: 'waiting', dateTo: { $lt: today } },
+    { $set: { status: 'expired' } }
+  );
+
+  return { lapsedOffers: lapsed.length, closedEntries: closed.modifiedCount || 0 };
+}
+
+// ========== HELPER FUNCTIONS ==========
+
+function getProfessionalField(professionalType) {
+  return professionalType === 'doctor' ? 'doctorId' :
+    professionalType === 'physio' ? 'physioId' :
+    'pathologyId';
+}
+
+async function getProfessional(professionalType, professionalId) {
+  const Model =
+    professionalType === 'doctor' ? DoctorProfile :
+    professionalType === 'physio' ? PhysiotherapistProfile :
+    PathologyProfile;
+
+  return Model.findById(professionalId).populate('userId', 'isVerified isActive');
+}
+
+async function getUserProfessionalProfile(user) {
+  if (user.role === 'doctor') return DoctorProfile.findOne({ userId: user.id });
+  if (user.role === 'physio') return PhysiotherapistProfile.findOne({ userId: user.id });
+  if (user.role === 'pathology') return PathologyProfile.findOne({ userId: user.id });
+  return null;
+}
+
+async function isEntryOwner(user, entry) {
+  if (user.role !== 'patient') return false;
+  const patientProfile = await PatientProfile.findOne({ userId: user.id });
+  return !!patientProfile && entry.patientId.toString() === patientProfile._id.toString();
+}
+
+function slotFromEntry(entry, offer) {
+  return {
+    professionalId: entry[getProfessionalField(entry.professionalType)],
+    professionalType: entry.professionalType,
+    date: offer.date,
+    startTime: offer.startTime,
+    endTime: offer.endTime,
+    duration: offer.duration,
+    sourceAppointmentId: offer.sourceAppointmentId
+  };
+}
+
+// Create the appointment for an accepted offer (caller holds the slot lock)
+async function bookOfferedSlot(entry, userId) {
+  // Lazy require: appointment.controller hands freed slots to this module
+  const { generateMeetingLink, updateCalendarForAppointment } = require('./appointment.controller');
+
+  const { professionalType, offer, type } = entry;
+  const professionalId = entry[getProfessionalField(professionalType)];
+
+  const professional = await getProfessional(professionalType, professionalId);
+  if (!professional || !professional.userId?.isVerified || !professional.userId?.isActive) {
+    const unavailable = new Error('Professional is not available for appointments');
+    unavailable.statusCode = 400;
+    throw unavailable;
+  }
+
+  let consultationFee = professional.consultationFee || 0;
+  if (type === 'home') {
+    consultationFee = professionalType === 'physio'
+      ? (professional.homeVisitFee || 0)
+      : (professional.homeVisitFee || professional.consultationFee || 0);
+  } else if (type === 'video') {
+    consultationFee = professional.videoCallFee || professional.consultationFee || 0;
+  }
+
+  const settings = await CommissionSettings.getSettings();
+  const commissionRate =
+    professionalType === 'doctor'
+      ? (professional.commissionRate || settings.defaultDoctorCommission)
+      : professionalType === 'physio'
+        ? (professional.commissionRate || settings.defaultPhysioCommission)
+        : (professional.commissionRate || settings.defaultPathologyCommission || settings.defaultDoctorCommission);
+
+  const platformCommission = Math.round((consultationFee * commissionRate) / 100);
+  const professionalEarning = consultationFee - platformCommission;
+
+  const appointment = await Appointment.create({
+    patientId: entry.patientId,
+    [getProfessionalField(professionalType)]: professionalId,
+    professionalType,
+    appointmentDate: offer.date,
+    startTime: offer.startTime,
+    endTime: offer.endTime,
+    duration: offer.duration,
+    type,
+    meetingLink: type === 'video' ? generateMeetingLink() : undefined,
+    address: type === 'home' ? entry.address : undefined,
+    location: type === 'home' ? entry.location : undefined,
+    reason: entry.reason || '',
+    consultationFee,
+    platformCommission,
+    professionalEarning,
+    totalAmount: consultationFee,
+    status: 'pending',
+    paymentStatus: 'pending'
+  });
+
+  const professionalModel =
+    professionalType === 'doctor'
+      ? 'DoctorProfile'
+      : professionalType === 'physio'
+        ? 'PhysiotherapistProfile'
+        : 'PathologyProfile';
+
+  await Commission.create({
+    appointmentId: appointment._id,
+    professionalId,
+    professionalModel,
+    professionalType,
+    patientId: entry.patientId,
+    consultationFee,
+    platformCommission,
+    professionalEarning,
+    commissionRate,
+    payoutStatus: 'pending',
+    commissionCycle: {
+      month: new Date().getUTCMonth() + 1,
+      year: new Date().getUTCFullYear(),
+      cycleNumber: `${String(new Date().getUTCMonth() + 1).padStart(2, '0')}${new Date().getUTCFullYear()}`
+    },
+    createdBy: userId
+  });
+
+  await updateCalendarForAppointment(appointment);
+
+  if (professional.userId?._id) {
+    await notify({
+      userId: professional.userId._id,
+      type: 'appointment',
+      template: 'waitlist_booked',
+      data: { date: offer.date, startTime: offer.startTime },
+      channels: ['in_app', 'push'],
+      relatedEntity: 'Appointment',
+      relatedEntityId: appointment._id
+    }).catch(err => console.error('Error sending waitlist booking notification:', err.message));
+  }
+
+  return appointment;
+}
+
+async function sendOfferNotification(entry) {
+  try {
+    const patientProfile = await PatientProfile.findById(entry.patientId).select('userId');
+    if (!patientProfile?.userId) return null;
+
+    const { offer } = entry;
+    const [notification] = await notify({
+      userId: patientProfile.userId,
+      template: 'waitlist_offer',
+      data: {
+        waitlistEntryId: entry._id,
+        date: offer.date,
+        startTime: offer.startTime,
+        endTime: offer.endTime,
+        ttlMinutes: OFFER_TTL_MINUTES
+      },
+      type: 'appointment',
+      channels: ['in_app', 'push', 'sms'],
+      priority: 'high',
+      expiresAt: offer.expiresAt,
+      actionUrl: `/waitlist/${entry._id}`,
+      actionText: 'Book now',
+      relatedEntity: 'WaitlistEntry',
+      relatedEntityId: entry._id
+    });
+    return notification || null;
+  } catch (error) {
+    console.error('Error sending waitlist offer notification:', error);
+    return null;
+  }
+}
+
+// Export helper functions for use in other modules
+module.exports.offerFreedSlot = offerFreedSlot;
+module.exports.processExpiredOffers = processExpiredOffers;
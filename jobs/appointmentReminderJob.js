@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { sendDueAppointmentReminders } = require('../utils/appointmentReminders');
+
+let isProcessing = false;
+
+/**
+ * Appointment reminder sweep
+ * Runs every minute: sends the 24h, 2h and 15 minute reminders that are due
+ */
+async function appointmentReminderJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const sent = await sendDueAppointmentReminders();
+    if (sent) {
+      console.log(`⏰ Reminder sweep: ${sent} appointment reminders sent`);
+    }
+  } catch (error) {
+    console.error('❌ Appointment reminder job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('* * * * *', appointmentReminderJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  appointmentReminderJob
+};
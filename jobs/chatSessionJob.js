@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { closeExpiredChats } = require('../utils/chatLifecycle');
+
+let isProcessing = false;
+
+/**
+ * Chat follow-up sweep
+ * Runs every 15 minutes: closes chats whose post-appointment window has ended
+ */
+async function chatFollowupJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const closed = await closeExpiredChats();
+    if (closed) {
+      console.log(`💬 Chat sweep: ${closed} follow-up chats closed`);
+    }
+  } catch (error) {
+    console.error('❌ Chat follow-up job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('*/15 * * * *', chatFollowupJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  chatFollowupJob
+};
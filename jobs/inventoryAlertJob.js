@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { sendInventoryAlerts } = require('../controllers/medicine.controller');
+
+let isProcessing = false;
+
+/**
+ * Pharmacy inventory alerts
+ * Runs daily at 08:00: flags expired batches and tells each pharmacy
+ * about its low-stock, expiring and expired medicines
+ */
+async function inventoryAlertJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const { checked, notified } = await sendInventoryAlerts();
+    console.log(`💊 Inventory alerts: ${checked} pharmacies checked, ${notified} notified`);
+  } catch (error) {
+    console.error('❌ Inventory alert job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('0 8 * * *', inventoryAlertJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  inventoryAlertJob
+};
@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const { sendDueMedicationReminders, sweepMedicationSchedules } = require('../utils/medicationSchedules');
+
+let isProcessing = false;
+
+/**
+ * Medication reminder sweep
+ * Runs every minute: reminds opted-in patients of due doses, then marks
+ * unlogged doses missed and finished schedules completed
+ */
+async function medicationReminderJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const reminded = await sendDueMedicationReminders();
+    const { missed, completed } = await sweepMedicationSchedules();
+    if (reminded || missed || completed) {
+      console.log(`💊 Medication sweep: ${reminded} reminders sent, ${missed} doses missed, ${completed} schedules completed`);
+    }
+  } catch (error) {
+    console.error('❌ Medication reminder job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('* * * * *', medicationReminderJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  medicationReminderJob
+};
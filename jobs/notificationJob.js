@@ -0,0 +1,78 @@
+const cron = require('node-cron');
+const {
+  processDueNotifications,
+  sendNotificationDigests,
+  purgeExpiredNotifications
+} = require('../utils/notifications');
+
+// Local hour the daily digest emails go out
+const DIGEST_HOUR = Math.min(Math.max(parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10) || 8, 0), 23);
+
+let isProcessing = false;
+let isSendingDigests = false;
+
+/**
+ * Notification delivery sweep
+ * Runs every minute: retries email/SMS/push/WhatsApp deliveries that are due
+ */
+async function notificationDeliveryJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const processed = await processDueNotifications();
+    if (processed) {
+      console.log(`🔔 Notification sweep: ${processed} notifications dispatched`);
+    }
+  } catch (error) {
+    console.error('❌ Notification delivery job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Daily digest
+ * One email per user who chose the digest, covering their low-priority notifications
+ */
+async function notificationDigestJob() {
+  if (isSendingDigests) return;
+
+  isSendingDigests = true;
+  try {
+    const sent = await sendNotificationDigests();
+    console.log(`📬 Notification digest: ${sent} digests sent`);
+  } catch (error) {
+    console.error('❌ Notification digest job failed:', error);
+  } finally {
+    isSendingDigests = false;
+  }
+}
+
+/**
+ * Hourly cleanup of expired and old read notifications
+ */
+async function notificationPurgeJob() {
+  try {
+    const deleted = await purgeExpiredNotifications();
+    if (deleted) {
+      console.log(`🧹 Notification purge: ${deleted} notifications deleted`);
+    }
+  } catch (error) {
+    console.error('❌ Notification purge job failed:', error);
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('* * * * *', notificationDeliveryJob);
+cron.schedule(`0 ${DIGEST_HOUR} * * *`, notificationDigestJob);
+cron.schedule('30 * * * *', notificationPurgeJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  notificationDeliveryJob,
+  notificationDigestJob,
+  notificationPurgeJob
+};
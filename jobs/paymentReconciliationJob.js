@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const { reconcilePayments } = require('../controllers/payment.controller');
+
+let isProcessing = false;
+
+/**
+ * Nightly payment reconciliation
+ * Runs at 02:30: compares recent Razorpay orders with local payment state
+ */
+async function paymentReconciliationJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    console.log('💳 Starting payment reconciliation...');
+    const summary = await reconcilePayments();
+    console.log(
+      `✅ Payment reconciliation: ${summary.checked} checked, ${summary.captured} captured, ` +
+      `${summary.failed} failed, ${summary.mismatches} mismatches, ${summary.errors} errors`
+    );
+  } catch (error) {
+    console.error('❌ Payment reconciliation job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('30 2 * * *', paymentReconciliationJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  paymentReconciliationJob
+};
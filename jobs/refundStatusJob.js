@@ -0,0 +1,38 @@
+const cron = require('node-cron');
+const { syncRefundStatuses } = require('../utils/refunds');
+
+let isProcessing = false;
+
+/**
+ * Refund status sync
+ * Runs every 10 minutes: polls the gateway for refunds still processing
+ * and resubmits refunds that never reached it
+ */
+async function refundStatusJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const summary = await syncRefundStatuses();
+    if (summary.checked || summary.resubmitted) {
+      console.log(
+        `💸 Refund sync: ${summary.checked} checked, ${summary.processed} processed, ` +
+        `${summary.failed} failed, ${summary.resubmitted} resubmitted, ${summary.errors} errors`
+      );
+    }
+  } catch (error) {
+    console.error('❌ Refund status job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('*/10 * * * *', refundStatusJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  refundStatusJob
+};
@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { processDueReportSchedules } = require('../controllers/admin.controller');
+
+let isProcessing = false;
+
+/**
+ * Scheduled reports runner
+ * Runs every minute: generates, stores and emails every report whose nextRun has passed
+ */
+async function scheduledReportJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const { generated, failed } = await processDueReportSchedules();
+    if (generated || failed) {
+      console.log(`📊 Scheduled reports: ${generated} generated, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Scheduled report job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('* * * * *', scheduledReportJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  scheduledReportJob
+};
@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { processExpiredOffers } = require('../controllers/waitlist.controller');
+
+let isProcessing = false;
+
+/**
+ * Waitlist offer sweep
+ * Runs every minute: unclaimed offers pass to the next patient in line
+ */
+async function waitlistOfferJob() {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  try {
+    const { lapsedOffers, closedEntries } = await processExpiredOffers();
+    if (lapsedOffers || closedEntries) {
+      console.log(`⏳ Waitlist sweep: ${lapsedOffers} offers lapsed, ${closedEntries} entries closed`);
+    }
+  } catch (error) {
+    console.error('❌ Waitlist offer job failed:', error);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+// ========== SCHEDULE JOBS ==========
+
+cron.schedule('* * * * *', waitlistOfferJob);
+
+// ========== EXPORTS ==========
+
+module.exports = {
+  waitlistOfferJob
+};
@@ -1,5 +1,54 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyToken } = require('../utils/generateToken');
+const { isTwoFactorSatisfied } = require('../utils/twoFactor');
+
+const authError = (message, flags = {}) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  Object.assign(error, flags);
+  return error;
+};
+
+/**
+ * Resolve an access token to its active user and live session.
+ * Shared by `protect` and the Socket.IO handshake; throws a 401 error
+ * (flagged `expired` or `revoked` where the client should re-login).
+ */
+exports.authenticateToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      throw authError('Session expired. Please login again.', { expired: true });
+    }
+    throw authError('Invalid token');
+  }
+  
+  // Access tokens are only good while their session is live
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  
+  if (!session || session.userId.toString() !== decoded.id) {
+    throw authError('Session expired. Please login again.', { expired: true });
+  }
+  
+  if (!session.isActive()) {
+    throw authError('This session has been signed out. Please login again.', { revoked: true });
+  }
+  
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (!user) {
+    throw authError('User not found');
+  }
+  
+  if (!user.isActive) {
+    throw authError('Your account has been deactivated');
+  }
+  
+  return { user, session };
+};
 
 /**
  * Protect routes - verify JWT token
@@ -20,47 +69,23 @@ exports.protect = async (req, res, next) => {
       });
     }
     
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from database
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: 'User not found'
-        });
-      }
-      
-      if (!user.isActive) {
-        return res.status(401).json({
-          success: false,
-          error: 'Your account has been deactivated'
-        });
-      }
-      
-      // Attach user to request
-      req.user = user;
-      next();
-      
-    } catch (jwtError) {
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          error: 'Session expired. Please login again.',
-          expired: true
-        });
-      }
-      
+    const { user, session } = await exports.authenticateToken(token);
+    
+    // Attach user and session to request
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+    
+  } catch (error) {
+    if (error.statusCode === 401) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid token'
+        error: error.message,
+        ...(error.expired && { expired: true }),
+        ...(error.revoked && { revoked: true })
       });
     }
     
-  } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({
       success: false,
@@ -92,6 +117,32 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * Require 2FA enrollment where the security policy makes it mandatory
+ * @param {string} scope - 'admin' or 'payouts'
+ */
+exports.requireTwoFactor = (scope) => {
+  return async (req, res, next) => {
+    try {
+      if (await isTwoFactorSatisfied(req.user, scope)) {
+        return next();
+      }
+      
+      return res.status(403).json({
+        success: false,
+        error: 'Please enable two-factor authentication to access this resource',
+        requiresTwoFactor: true
+      });
+    } catch (error) {
+      console.error('Two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed'
+      });
+    }
+  };
+};
+
 /**
  * Check if profile is completed
  */
@@ -111,10 +162,10 @@ exports.requireProfile = async (req, res, next) => {
  * Check if email is verified
  */
 exports.requireVerification = async (req, res, next) => {
-  if (!req.user.isVerified) {
+  if (!req.user.hasVerifiedContact()) {
     return res.status(403).json({
       success: false,
-      error: 'Please verify your email to access this resource',
+      error: 'Please verify your email or phone number to access this resource',
       requiresVerification: true
     });
   }
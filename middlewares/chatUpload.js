@@ -0,0 +1,40 @@
+/**
+ * Chat attachment upload
+ * Single `file` field held in memory so it can be scanned before it is stored
+ */
+
+const multer = require('multer');
+const { MAX_SIZE_BYTES, getAttachmentType } = require('../utils/chatAttachments');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!getAttachmentType(file)) {
+      const error = new Error('Unsupported file type');
+      error.statusCode = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+exports.uploadChatAttachment = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Please attach a file' });
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${Math.round(MAX_SIZE_BYTES / 1024 / 1024)} MB)`
+        : error.message;
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: message });
+    }
+
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  });
+};
@@ -0,0 +1,138 @@
+const rateLimit = require('express-rate-limit');
+const { MongoRateLimitStore } = require('../utils/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Build a named limiter. Each name keeps its own counters, so hitting the
+ * login limit does not use up the OTP or payment allowance.
+ */
+const createLimiter = ({ name, windowMs, max, message, keyGenerator, skip }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoRateLimitStore({ prefix: name }) : undefined,
+  keyGenerator,
+  skip,
+  handler: (req, res, next, options) => {
+    const resetTime = req.rateLimit?.resetTime;
+    res.status(options.statusCode).json({
+      success: false,
+      error: message,
+      retryAfter: resetTime ? Math.max(Math.ceil((resetTime.getTime() - Date.now()) / 1000), 0) : undefined
+    });
+  }
+});
+
+// Per-account limits key on the submitted email, so rotating IPs does not help
+const byEmail = (req) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `email:${email}` : `ip:${req.ip}`;
+};
+
+// Signed-in flows key on the user, so colleagues behind one NAT don't share a counter
+const byUser = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// Everything under /api; gateway webhooks are signed and retried, so never limited
+exports.apiLimiter = createLimiter({
+  name: 'api',
+  windowMs: 15 * MINUTE,
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 300,
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  skip: (req) => req.originalUrl.startsWith('/api/payment/webhook')
+});
+
+// Code and password submissions: one limiter per flow, so a normal login
+// (password, then 2FA code) doesn't use up the allowance of the others
+exports.loginLimiter = createLimiter({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many login attempts, please try again later'
+});
+
+exports.twoFactorLoginLimiter = createLimiter({
+  name: 'login-2fa',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many verification attempts, please try again later'
+});
+
+exports.otpVerifyLimiter = createLimiter({
+  name: 'otp-verify',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many OTP attempts, please try again later'
+});
+
+exports.phoneVerifyLimiter = createLimiter({
+  name: 'phone-verify',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many verification attempts, please try again later',
+  keyGenerator: byUser
+});
+
+exports.passwordChangeLimiter = createLimiter({
+  name: 'password-change',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many password change attempts, please try again later',
+  keyGenerator: byUser
+});
+
+exports.twoFactorDisableLimiter = createLimiter({
+  name: '2fa-disable',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many attempts, please try again later',
+  keyGenerator: byUser
+});
+
+exports.registerLimiter = createLimiter({
+  name: 'register',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many accounts created from this IP, please try again later'
+});
+
+exports.refreshLimiter = createLimiter({
+  name: 'refresh',
+  windowMs: 15 * MINUTE,
+  max: 60,
+  message: 'Too many session refreshes, please try again later'
+});
+
+// Forgot password, reset and resend verification: per IP and per email
+exports.accountEmailLimiter = createLimiter({
+  name: 'account-email-ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many requests, please try again later'
+});
+
+exports.accountEmailPerAddressLimiter = createLimiter({
+  name: 'account-email',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  message: 'Too many emails requested for this address, please try again later',
+  keyGenerator: byEmail
+});
+
+// SMS sends cost money; the per-phone limits in utils/phoneOtp still apply on top
+exports.otpLimiter = createLimiter({
+  name: 'otp',
+  windowMs: 15 * MINUTE,
+  max: 5,
+  message: 'Too many OTP requests from this IP, please try again later'
+});
+
+exports.paymentLimiter = createLimiter({
+  name: 'payment',
+  windowMs: 15 * MINUTE,
+  max: 30,
+  message: 'Too many payment requests, please try again later'
+});
+
+exports.createLimiter = createLimiter;
@@ -1 +1,49 @@
-// roleCheck.js placeholder
\ No newline at end of file
+/**
+ * Permission Middleware
+ * Finer-grained than authorize(...roles): checks named permissions granted
+ * to the user's role or custom staff role (see utils/permissions.js)
+ */
+
+const { hasPermission, getUserPermissions } = require('../utils/permissions');
+
+/**
+ * Resolve the user's grants once per request into req.permissions
+ */
+exports.loadPermissions = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+    if (!req.permissions) {
+      req.permissions = await getUserPermissions(req.user);
+    }
+    next();
+  } catch (error) {
+    console.error('Load permissions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check permissions' });
+  }
+};
+
+/**
+ * Require every listed permission
+ * @example router.post('/payout', requirePermission('payouts:approve'), handler)
+ */
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    exports.loadPermissions(req, res, () => {
+      const missing = permissions.filter(permission => !hasPermission(req.permissions, permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: `Missing permission: ${missing.join(', ')}`
+        });
+      }
+      next();
+    });
+  };
+};
+
+/**
+ * Check a permission inside a controller (after loadPermissions/requirePermission)
+ */
+exports.can = (req, permission) => hasPermission(req.permissions, permission);
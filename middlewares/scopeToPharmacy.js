@@ -0,0 +1,79 @@
+/**
+ * Pharmacy Scope Middleware
+ * Ties inventory requests to the pharmacy of the authenticated user
+ */
+
+const mongoose = require('mongoose');
+const PharmacyProfile = require('../models/PharmacyProfile');
+
+exports.scopeToPharmacy = async (req, res, next) => {
+  try {
+    // Skip if user is not authenticated (should come after auth middleware)
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    // Pharmacy users only ever see their own pharmacy
+    if (req.user.role === 'pharmacy') {
+      const pharmacy = await PharmacyProfile.findOne({ userId: req.user.id }).select('_id pharmacyName userId');
+      if (!pharmacy) {
+        return res.status(403).json({
+          success: false,
+          error: 'Please complete your pharmacy profile to manage inventory',
+          requiresProfile: true
+        });
+      }
+      req.pharmacyId = pharmacy._id;
+      req.pharmacy = pharmacy;
+      return next();
+    }
+
+    // Staff work only at the pharmacy they are assigned to
+    if (req.user.role === 'staff') {
+      if (!req.user.pharmacyId) {
+        return res.status(403).json({ success: false, error: 'No pharmacy assigned to this staff account' });
+      }
+      const pharmacy = await PharmacyProfile.findById(req.user.pharmacyId).select('_id pharmacyName userId');
+      if (!pharmacy) {
+        return res.status(403).json({ success: false, error: 'Assigned pharmacy no longer exists' });
+      }
+      req.pharmacyId = pharmacy._id;
+      req.pharmacy = pharmacy;
+      return next();
+    }
+
+    // Admins (and prescribers placing a sale) may name a pharmacy; admins see all without one
+    const requestedPharmacyId = req.query.pharmacyId || req.body?.pharmacyId;
+    if (requestedPharmacyId) {
+      if (!mongoose.isValidObjectId(requestedPharmacyId)) {
+        return res.status(400).json({ success: false, error: 'Invalid pharmacyId' });
+      }
+      const pharmacy = await PharmacyProfile.findById(requestedPharmacyId).select('_id pharmacyName userId');
+      if (!pharmacy) {
+        return res.status(400).json({ success: false, error: 'Pharmacy not found' });
+      }
+      req.pharmacyId = pharmacy._id;
+      req.pharmacy = pharmacy;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Pharmacy scope error:', error);
+    res.status(500).json({ success: false, error: 'Failed to determine pharmacy context' });
+  }
+};
+
+/**
+ * Middleware to require pharmacy context for operations that create inventory
+ */
+exports.requirePharmacyContext = (req, res, next) => {
+  if (!req.pharmacyId) {
+    return res.status(400).json({ success: false, error: 'pharmacyId is required for this operation' });
+  }
+  next();
+};
+
+/**
+ * Query filter for the current pharmacy scope ({} for an unfiltered admin view)
+ */
+exports.pharmacyScope = (req) => (req.pharmacyId ? { pharmacyId: req.pharmacyId } : {});
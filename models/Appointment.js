@@ -221,6 +221,17 @@ const appointmentSchema = new mongoose.Schema(
       ref: 'Appointment',
     },
 
+    // Recurring treatment plan this appointment belongs to
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentSeries',
+    },
+
+    seriesIndex: {
+      type: Number,
+      min: 1,
+    },
+
     actualStartTime: Date,
     actualEndTime: Date,
     consultationNotes: String,
@@ -230,17 +241,22 @@ const appointmentSchema = new mongoose.Schema(
       ref: 'Prescription',
     },
 
+    // Written by utils/appointmentReminders.js; cleared when the slot moves
     remindersSent: [
       {
-        type: String,
-        enum: ['24h_before', '2h_before', '15min_before'],
+        _id: false,
+        type: {
+          type: String,
+          enum: ['24h_before', '2h_before', '15min_before'],
+          required: true,
+        },
         sentAt: Date,
       },
     ],
 
     bookedBy: {
       type: String,
-      enum: ['patient', 'admin', 'assistant'],
+      enum: ['patient', 'professional', 'admin', 'assistant'],
       default: 'patient',
     },
 
@@ -259,6 +275,8 @@ appointmentSchema.index({ pathologyId: 1, status: 1 });
 
 appointmentSchema.index({ appointmentDate: 1, startTime: 1 });
 appointmentSchema.index({ status: 1, paymentStatus: 1 });
+appointmentSchema.index({ seriesId: 1, seriesIndex: 1 });
+appointmentSchema.index({ razorpayOrderId: 1 });
 
 appointmentSchema.index(
   { location: '2dsphere' },
@@ -279,6 +297,15 @@ appointmentSchema.pre('validate', function (next) {
   next();
 });
 
+// A rescheduled appointment gets its reminders again for the new slot,
+// unless the caller sets them itself (e.g. putting a session back)
+appointmentSchema.pre('save', function (next) {
+  if (!this.isNew && (this.isModified('appointmentDate') || this.isModified('startTime')) && !this.isModified('remindersSent')) {
+    this.remindersSent = [];
+  }
+  next();
+});
+
 appointmentSchema.pre('save', function (next) {
   if (
     this.isModified('consultationFee') ||
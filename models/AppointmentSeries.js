@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+const DAYS_OF_WEEK = [
+  'monday', 'tuesday', 'wednesday',
+  'thursday', 'friday', 'saturday', 'sunday'
+];
+
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  // Every N days / weeks
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Weekly only, e.g. ['monday', 'wednesday', 'friday']
+  daysOfWeek: [{
+    type: String,
+    enum: DAYS_OF_WEEK
+  }],
+  // One of count / until is required
+  count: {
+    type: Number,
+    min: 1
+  },
+  until: Date
+}, { _id: false });
+
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientProfile',
+      required: true,
+    },
+
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DoctorProfile',
+    },
+
+    physioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PhysiotherapistProfile',
+    },
+
+    pathologyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PathologyProfile',
+    },
+
+    professionalType: {
+      type: String,
+      enum: ['doctor', 'physio', 'pathology'],
+      required: true,
+    },
+
+    // Schedule
+    recurrence: {
+      type: recurrenceSchema,
+      required: true,
+    },
+
+    startDate: {
+      type: Date,
+      required: true,
+    },
+
+    startTime: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):([0-5]\d)$/, // HH:MM
+    },
+
+    duration: {
+      type: Number,
+      default: 60,
+      min: 5,
+    },
+
+    type: {
+      type: String,
+      enum: ['clinic', 'home', 'video'],
+      required: true,
+    },
+
+    address: String,
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: [Number],
+    },
+
+    title: String, // e.g. "Post-op knee rehab"
+    reason: String,
+    symptoms: [String],
+
+    totalSessions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    skippedDates: [
+      {
+        date: Date,
+        reason: String,
+      },
+    ],
+
+    // Billing
+    consultationFee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    billingMode: {
+      type: String,
+      enum: ['per_session', 'upfront'],
+      default: 'per_session',
+    },
+
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'cancelled', 'completed'],
+      default: 'active',
+    },
+
+    cancellationReason: String,
+    cancelledAt: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+appointmentSeriesSchema.index({ patientId: 1, status: 1 });
+appointmentSeriesSchema.index({ doctorId: 1, status: 1 });
+appointmentSeriesSchema.index({ physioId: 1, status: 1 });
+appointmentSeriesSchema.index({ pathologyId: 1, status: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+module.exports.DAYS_OF_WEEK = DAYS_OF_WEEK;
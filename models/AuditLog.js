@@ -40,6 +40,7 @@ const AuditLogSchema = new mongoose.Schema(
 
     responseTime: { type: Number },
     changes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    details: { type: mongoose.Schema.Types.Mixed },
 
     timestamp: { type: Date, default: Date.now },
   },
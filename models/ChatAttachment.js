@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const chatAttachmentSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChatSession',
+      required: true,
+      index: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Set once the attachment is sent in a message; each upload can be sent once
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChatMessage',
+    },
+    kind: {
+      type: String,
+      enum: ['image', 'document'],
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // Where the file lives (see utils/fileStorage.js)
+    storage: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    storageMeta: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Result of the pre-save scan; infected files are never stored
+    scanStatus: {
+      type: String,
+      enum: ['clean', 'not_scanned'],
+      required: true,
+    },
+    scanner: String,
+    scannedAt: Date,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ChatAttachment', chatAttachmentSchema);
@@ -29,6 +29,19 @@ const chatMessageSchema = new mongoose.Schema(
     fileUrl: {
       type: String, // Valid if messageType is image/document
     },
+    // Uploaded file (image/document); fetch it through a signed URL
+    attachmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChatAttachment',
+    },
+    // Delivery state: sent -> delivered (reached a recipient device) -> read
+    status: {
+      type: String,
+      enum: ['sent', 'delivered', 'read'],
+      default: 'sent',
+    },
+    deliveredAt: Date,
+    readAt: Date,
     isRead: {
       type: Boolean,
       default: false,
@@ -37,4 +50,80 @@ const chatMessageSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+chatMessageSchema.index({ sessionId: 1, isRead: 1, senderId: 1 });
+chatMessageSchema.index({ content: 'text' });
+
+// Messages in a session from the other side, optionally limited to the given ids
+const incomingFilter = (sessionId, recipientId, messageIds) => {
+  const filter = { sessionId, senderId: { $ne: recipientId } };
+  if (Array.isArray(messageIds) && messageIds.length > 0) {
+    filter._id = { $in: messageIds.filter(id => mongoose.isValidObjectId(id)) };
+  }
+  return filter;
+};
+
+// Move matching messages to a new state; returns the ids that changed and when
+async function advanceStatus(Model, filter, update) {
+  const changed = await Model.find(filter).select('_id');
+  const messageIds = changed.map(message => message._id);
+  if (messageIds.length > 0) {
+    await Model.updateMany({ _id: { $in: messageIds } }, update);
+  }
+  return messageIds;
+}
+
+/**
+ * Mark incoming messages as delivered to the recipient
+ */
+chatMessageSchema.statics.markDelivered = async function (sessionId, recipientId, messageIds) {
+  const at = new Date();
+  const ids = await advanceStatus(
+    this,
+    { ...incomingFilter(sessionId, recipientId, messageIds), status: 'sent' },
+    { $set: { status: 'delivered', deliveredAt: at } }
+  );
+  return { messageIds: ids, at };
+};
+
+/**
+ * Mark incoming messages as read by the recipient (read implies delivered)
+ */
+chatMessageSchema.statics.markRead = async function (sessionId, recipientId, messageIds) {
+  const at = new Date();
+  const ids = await advanceStatus(
+    this,
+    { ...incomingFilter(sessionId, recipientId, messageIds), isRead: false },
+    [{
+      $set: {
+        status: 'read',
+        isRead: true,
+        readAt: at,
+        deliveredAt: { $ifNull: ['$deliveredAt', at] },
+      },
+    }]
+  );
+  return { messageIds: ids, at };
+};
+
+/**
+ * Unread incoming message count per session, as { [sessionId]: count }
+ */
+chatMessageSchema.statics.getUnreadCounts = async function (sessionIds, recipientId) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        sessionId: { $in: sessionIds.map(id => new mongoose.Types.ObjectId(id)) },
+        senderId: { $ne: new mongoose.Types.ObjectId(recipientId) },
+        isRead: false,
+      },
+    },
+    { $group: { _id: '$sessionId', count: { $sum: 1 } } },
+  ]);
+
+  return counts.reduce((acc, row) => {
+    acc[row._id.toString()] = row.count;
+    return acc;
+  }, {});
+};
+
 module.exports = mongoose.model('ChatMessage', chatMessageSchema);
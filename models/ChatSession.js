@@ -30,8 +30,22 @@ const chatSessionSchema = new mongoose.Schema(
       enum: ['active', 'closed'],
       default: 'active',
     },
+    // End of the follow-up window after the appointment; the chat auto-closes then
+    closesAt: Date,
+    closedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    closeReason: {
+      type: String,
+      enum: ['followup_expired', 'closed_by_professional', 'appointment_cancelled'],
+    },
   },
   { timestamps: true }
 );
 
+chatSessionSchema.index({ appointmentId: 1 });
+chatSessionSchema.index({ status: 1, closesAt: 1 });
+
 module.exports = mongoose.model('ChatSession', chatSessionSchema);
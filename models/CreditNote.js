@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const TaxSettings = require('./TaxSettings');
+const { nextDocumentNumber, getFinancialYear } = require('../utils/gst');
+
+const CREDIT_NOTE_REASONS = ['refund', 'cancellation', 'correction', 'discount', 'other'];
+
+// Reversal of (part of) one invoice line
+const creditNoteItemSchema = new mongoose.Schema({
+  invoiceItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  hsnSacCode: String,
+  codeType: {
+    type: String,
+    enum: ['HSN', 'SAC']
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  unitPrice: Number,
+  taxableValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  amount: {
+    type: Number,
+    required: true
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  // Assigned in pre('save'), see below
+  creditNoteNumber: {
+    type: String,
+    unique: true
+  },
+  creditNoteDate: {
+    type: Date,
+    default: Date.now
+  },
+  financialYear: String,
+
+  // Original invoice
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: String,
+  invoiceDate: Date,
+  invoiceType: String,
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientProfile'
+  },
+
+  // Copied from the invoice so the note prints and reports on its own
+  customerName: String,
+  customerPhone: String,
+  customerAddress: String,
+  supplier: {
+    legalName: String,
+    tradeName: String,
+    gstin: String,
+    stateCode: String,
+    address: String
+  },
+  recipientGstin: String,
+  placeOfSupply: String,
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
+
+  reason: {
+    type: String,
+    enum: CREDIT_NOTE_REASONS,
+    required: true
+  },
+  notes: String,
+
+  items: [creditNoteItemSchema],
+
+  // Financials
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+
+  // Links
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  reissuedInvoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  commissionReversed: {
+    type: Number,
+    default: 0
+  },
+
+  // Audit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ invoiceId: 1 });
+creditNoteSchema.index({ creditNoteDate: -1 });
+creditNoteSchema.index({ patientId: 1, creditNoteDate: -1 });
+creditNoteSchema.index({ refundId: 1 }, { unique: true, sparse: true });
+
+creditNoteSchema.pre('validate', function(next) {
+  this.financialYear = getFinancialYear(this.creditNoteDate);
+  next();
+});
+
+// Own number series per financial year: CN/26-27/00001
+// Taken once validation has passed, so a rejected note leaves no gap in the series
+creditNoteSchema.pre('save', async function(next) {
+  if (!this.creditNoteNumber) {
+    const settings = await TaxSettings.getSettings();
+    this.creditNoteNumber = await nextDocumentNumber(settings.creditNotePrefix, this.creditNoteDate);
+  }
+  next();
+});
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
+module.exports.CREDIT_NOTE_REASONS = CREDIT_NOTE_REASONS;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Atomic counters for document numbering (one per series and financial year)
+const documentSequenceSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+documentSequenceSchema.statics.next = async function(key) {
+  const sequence = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return sequence.seq;
+};
+
+module.exports = mongoose.model('DocumentSequence', documentSequenceSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { REPORT_TYPES, REPORT_FORMATS, REPORT_TIME_RANGES } = require('./ReportSchedule');
+
+const generatedReportSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: REPORT_TYPES,
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+    },
+
+    description: String,
+
+    timeRange: {
+      type: String,
+      enum: REPORT_TIME_RANGES,
+      default: 'month',
+    },
+
+    periodStart: Date,
+    periodEnd: Date,
+
+    format: {
+      type: String,
+      enum: REPORT_FORMATS,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['generating', 'completed', 'failed'],
+      default: 'generating',
+    },
+
+    error: String,
+
+    // Stored file
+    fileName: String,
+    filePath: String,
+    mimeType: String,
+    fileSize: {
+      type: Number,
+      default: 0,
+    },
+    pageCount: Number,
+
+    // Headline figures, so the list view needs no file access
+    summary: mongoose.Schema.Types.Mixed,
+
+    // Source
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportSchedule',
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    generatedByName: {
+      type: String,
+      default: 'System',
+    },
+
+    // Email delivery
+    emailedTo: [String],
+    emailStatus: {
+      type: String,
+      enum: ['not_requested', 'sent', 'failed'],
+      default: 'not_requested',
+    },
+    emailError: String,
+
+    generatedAt: Date,
+  },
+  { timestamps: true }
+);
+
+generatedReportSchema.index({ createdAt: -1 });
+generatedReportSchema.index({ type: 1, createdAt: -1 });
+generatedReportSchema.index({ scheduleId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GeneratedReport', generatedReportSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const TaxSettings = require('./TaxSettings');
+const { applyGst, nextDocumentNumber } = require('../utils/gst');
 
 const invoiceItemSchema = new mongoose.Schema({
   description: {
@@ -25,13 +27,27 @@ const invoiceItemSchema = new mongoose.Schema({
   taxAmount: {
     type: Number,
     default: 0
-  }
+  },
+  
+  // GST
+  hsnSacCode: String,
+  codeType: {
+    type: String,
+    enum: ['HSN', 'SAC']
+  },
+  taxableValue: Number,
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 }
 });
 
 const invoiceSchema = new mongoose.Schema({
+  // Assigned in pre('save'), see below
   invoiceNumber: {
     type: String,
-    required: true,
     unique: true
   },
   invoiceType: {
@@ -53,6 +69,10 @@ const invoiceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'LabTest'
   },
+  professionalType: {
+    type: String,
+    enum: ['doctor', 'physio', 'pathology']
+  },
   patientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PatientProfile',
@@ -67,6 +87,31 @@ const invoiceSchema = new mongoose.Schema({
   customerPhone: String,
   customerEmail: String,
   customerAddress: String,
+  customerState: String,
+  
+  // GST
+  financialYear: String,
+  supplier: {
+    legalName: String,
+    tradeName: String,
+    gstin: String,
+    stateCode: String,
+    address: String
+  },
+  recipientGstin: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  placeOfSupply: String, // GST state code
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
   
   // Items
   items: [invoiceItemSchema],
@@ -84,6 +129,10 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxableValue: Number,
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
   totalAmount: {
     type: Number,
     required: true
@@ -108,16 +157,34 @@ const invoiceSchema = new mongoose.Schema({
   // Status
   status: {
     type: String,
-    enum: ['draft', 'sent', 'paid', 'partial', 'overdue', 'cancelled', 'refunded'],
+    enum: ['draft', 'sent', 'paid', 'partial', 'overdue', 'cancelled', 'refunded', 'credited'],
     default: 'draft'
   },
   
+  // Credit notes (status 'credited' = fully reversed, see CreditNote)
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  reissuedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  reissuedAs: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Set while a credit note is being issued against the invoice
+  creditLockedUntil: { type: Date, select: false },
+  
   // Payment
   paymentMethod: {
     type: String,
     enum: ['cash', 'card', 'upi', 'online', 'insurance', 'credit']
   },
   paymentReference: String,
+  razorpayOrderId: String,
+  razorpayPaymentId: String,
   
   // Commission
   commissionIncluded: {
@@ -154,15 +221,44 @@ invoiceSchema.index({ invoiceNumber: 1 });
 invoiceSchema.index({ patientId: 1, invoiceDate: -1 });
 invoiceSchema.index({ status: 1, dueDate: 1 });
 invoiceSchema.index({ invoiceType: 1 });
+invoiceSchema.index({ razorpayOrderId: 1 });
+invoiceSchema.index({ invoiceDate: 1, status: 1 });
 
-// Generate invoice number
-invoiceSchema.pre('save', async function(next) {
-  if (!this.invoiceNumber) {
-    const count = await mongoose.model('Invoice').countDocuments();
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    this.invoiceNumber = `INV${year}${month}${(count + 1).toString().padStart(4, '0')}`;
+// Default HSN/SAC code per invoice type
+function getDefaultCode(invoice, settings) {
+  switch (invoice.invoiceType) {
+    case 'pharmacy':
+      return settings.defaultMedicineHsn;
+    case 'lab_test':
+      return settings.sacCodes.diagnostics;
+    case 'appointment':
+    case 'package':
+      if (invoice.professionalType === 'physio') return settings.sacCodes.physiotherapy;
+      if (invoice.professionalType === 'pathology') return settings.sacCodes.diagnostics;
+      return settings.sacCodes.consultation;
+    default:
+      return settings.sacCodes.other;
+  }
+}
+
+invoiceSchema.statics.getDefaultCode = getDefaultCode;
+
+invoiceSchema.pre('validate', async function(next) {
+  // Issued invoices are corrected with a credit note and reissue, never edited
+  if (!this.isNew && this.isModified('items') && this.status !== 'draft') {
+    const error = new Error('Issued invoices cannot be edited; issue a credit note and reissue instead');
+    error.statusCode = 400;
+    return next(error);
+  }
+  
+  const settings = await TaxSettings.getSettings();
+  
+  // GST split (CGST/SGST or IGST) per item
+  if (this.isNew || this.isModified('items') || this.isModified('recipientGstin') || this.isModified('placeOfSupply')) {
+    applyGst(this, settings, {
+      getTaxableValue: item => item.amount,
+      getDefaultCode: () => getDefaultCode(this, settings)
+    });
   }
   
   // Calculate totals
@@ -176,4 +272,14 @@ invoiceSchema.pre('save', async function(next) {
   next();
 });
 
+// Sequential per financial year: INV/26-27/00001
+// Taken once validation has passed, so a rejected invoice leaves no gap in the series
+invoiceSchema.pre('save', async function(next) {
+  if (!this.invoiceNumber) {
+    const settings = await TaxSettings.getSettings();
+    this.invoiceNumber = await nextDocumentNumber(settings.invoicePrefix, this.invoiceDate);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
@@ -92,10 +92,12 @@ const labTestSchema = new mongoose.Schema({
   totalAmount: Number,
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
   paymentId: String,
+  razorpayOrderId: String,
+  paymentDate: Date,
   
   // Status
   status: {
@@ -136,6 +138,7 @@ labTestSchema.index({ patientId: 1, status: 1 });
 labTestSchema.index({ pathologyId: 1, scheduledDate: 1 });
 labTestSchema.index({ appointmentId: 1 });
 labTestSchema.index({ labTestNumber: 1 });
+labTestSchema.index({ razorpayOrderId: 1 });
 
 // Generate lab test number
 labTestSchema.pre('save', async function(next) {
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One scheduled dose of a MedicationSchedule, logged by the patient
+const medicationDoseSchema = new mongoose.Schema({
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicationSchedule',
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientProfile',
+    required: true
+  },
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription',
+    required: true
+  },
+  medicineName: String,
+  amount: Number,
+  unit: String,
+
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+
+  // missed: never logged; cancelled: the prescription was replaced
+  status: {
+    type: String,
+    enum: ['pending', 'taken', 'skipped', 'missed', 'cancelled'],
+    default: 'pending'
+  },
+  loggedAt: Date,
+  note: {
+    type: String,
+    maxlength: 500
+  },
+
+  reminderSentAt: Date
+}, {
+  timestamps: true
+});
+
+medicationDoseSchema.index({ scheduleId: 1, scheduledAt: 1 }, { unique: true });
+medicationDoseSchema.index({ patientId: 1, scheduledAt: 1 });
+medicationDoseSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('MedicationDose', medicationDoseSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Dose plan for one medicine on an issued prescription (see utils/medicationSchedules.js)
+const medicationScheduleSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PatientProfile',
+    required: true
+  },
+  prescriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription',
+    required: true
+  },
+  // Prescription.medicines entry this was built from
+  medicineItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  professionalType: {
+    type: String,
+    enum: ['doctor', 'physio'],
+    required: true
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoctorProfile'
+  },
+  physioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PhysiotherapistProfile'
+  },
+
+  // Copied from the prescription
+  medicineName: {
+    type: String,
+    required: true
+  },
+  dosage: String,
+  unit: String,
+  instructions: String,
+  frequency: String,
+  duration: String,
+
+  // Parsed plan
+  doseTimes: [{
+    _id: false,
+    time: String, // HH:MM
+    amount: Number
+  }],
+  intervalDays: {
+    type: Number,
+    default: 1
+  },
+  totalDoses: {
+    type: Number,
+    default: 0
+  },
+  startDate: Date,
+  endDate: Date,
+
+  // as_needed and unparsed schedules have no doses
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled', 'as_needed', 'unparsed'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+medicationScheduleSchema.index({ prescriptionId: 1, medicineItemId: 1 }, { unique: true });
+medicationScheduleSchema.index({ patientId: 1, status: 1 });
+medicationScheduleSchema.index({ status: 1, endDate: 1 });
+
+module.exports = mongoose.model('MedicationSchedule', medicationScheduleSchema);
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const medicineSchema = new mongoose.Schema({
+  // Owning pharmacy
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyProfile',
+    required: true
+  },
   medicineName: {
     type: String,
     required: true,
@@ -51,6 +57,11 @@ const medicineSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: /^\d{4}(\d{2}){0,2}$/ // 4, 6 or 8 digits
+  },
   discount: {
     type: Number,
     default: 0
@@ -108,7 +119,7 @@ const medicineSchema = new mongoose.Schema({
 });
 
 medicineSchema.index({ medicineName: 'text', genericName: 'text', brandName: 'text' });
-medicineSchema.index({ category: 1, isActive: 1 });
-medicineSchema.index({ quantity: 1 });
+medicineSchema.index({ pharmacyId: 1, category: 1, isActive: 1 });
+medicineSchema.index({ pharmacyId: 1, quantity: 1 });
 
 module.exports = mongoose.model('Medicine', medicineSchema);
\ No newline at end of file
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const medicineBatchSchema = new mongoose.Schema({
+  // Owning pharmacy
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyProfile',
+    required: true
+  },
   medicineId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Medicine',
@@ -81,7 +87,7 @@ const medicineBatchSchema = new mongoose.Schema({
 });
 
 medicineBatchSchema.index({ medicineId: 1, batchNumber: 1 });
-medicineBatchSchema.index({ expiryDate: 1 });
+medicineBatchSchema.index({ pharmacyId: 1, expiryDate: 1 });
 medicineBatchSchema.index({ isExpired: 1, isActive: 1 });
 
 // Update expired status
@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+// One external channel of a notification, retried by jobs/notificationJob.js
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['push', 'email', 'sms', 'whatsapp'],
+    required: true
+  },
+  status: {
+    type: String,
+    // digest: waiting for the user's daily digest email
+    enum: ['pending', 'digest', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  // Why a delivery was not attempted
+  skipReason: {
+    type: String,
+    enum: ['opted_out', 'no_address', 'expired']
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  sentAt: Date,
+  provider: String,
+  providerMessageId: String,
+  lastError: String
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,7 +35,7 @@ const notificationSchema = new mongoose.Schema({
   },
   userRole: {
     type: String,
-    enum: ['admin', 'doctor', 'physio', 'patient', 'pathology'],
+    enum: ['admin', 'staff', 'doctor', 'physio', 'patient', 'pathology', 'pharmacy'],
     required: true
   },
   
@@ -22,6 +49,7 @@ const notificationSchema = new mongoose.Schema({
     required: true
   },
   data: mongoose.Schema.Types.Mixed, // Additional data for deep linking
+  template: String, // utils/notificationTemplates.js name the content was rendered from
   
   // Type
   type: {
@@ -35,7 +63,8 @@ const notificationSchema = new mongoose.Schema({
       'commission',
       'system',
       'marketing',
-      'reminder'
+      'reminder',
+      'inventory'
     ],
     required: true
   },
@@ -50,7 +79,7 @@ const notificationSchema = new mongoose.Schema({
   // Channels
   channels: [{
     type: String,
-    enum: ['push', 'email', 'sms', 'in_app'],
+    enum: ['push', 'email', 'sms', 'whatsapp', 'in_app'],
     required: true
   }],
   
@@ -59,6 +88,10 @@ const notificationSchema = new mongoose.Schema({
   pushDelivered: { type: Boolean, default: false },
   emailSent: { type: Boolean, default: false },
   smsSent: { type: Boolean, default: false },
+  whatsappSent: { type: Boolean, default: false },
+  deliveries: [deliverySchema],
+  // Set while a dispatcher holds the notification
+  dispatchLockedUntil: { type: Date, select: false },
   
   // Read Status
   read: {
@@ -91,6 +124,7 @@ const notificationSchema = new mongoose.Schema({
 
 notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, status: 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -245,6 +245,10 @@ const patientSchema = new mongoose.Schema({
       push: {
         type: Boolean,
         default: true
+      },
+      whatsapp: {
+        type: Boolean,
+        default: false
       }
     },
     reminderPreferences: {
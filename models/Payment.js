@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Ledger of money movements: one row per charge, partial payment, refund or adjustment
+const paymentSchema = new mongoose.Schema(
+  {
+    transactionType: {
+      type: String,
+      enum: ['charge', 'partial_payment', 'refund', 'adjustment'],
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'completed',
+    },
+
+    // Positive for charges and refunds (refunds are subtracted when totalling);
+    // adjustments carry their own sign
+    amount: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: function (value) {
+          return this.transactionType === 'adjustment' || value >= 0;
+        },
+        message: 'Only adjustments can have a negative amount',
+      },
+    },
+
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+
+    method: {
+      type: String,
+      enum: ['cash', 'card', 'upi', 'online', 'insurance', 'credit'],
+    },
+
+    // Gateway references (empty for cash / manual entries)
+    gateway: {
+      type: String,
+      enum: ['razorpay', 'manual'],
+      default: 'manual',
+    },
+    gatewayOrderId: String,
+    gatewayPaymentId: String,
+    gatewayRefundId: String,
+    reference: String, // cheque no., UPI ref, receipt no. for manual entries
+
+    // What was paid for
+    entityType: {
+      type: String,
+      enum: ['appointment', 'labtest', 'invoice', 'pharmacy_sale'],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+
+    // Who paid / who earned it, for history views
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientProfile',
+    },
+    professionalId: mongoose.Schema.Types.ObjectId,
+    professionalType: {
+      type: String,
+      enum: ['doctor', 'physio', 'pathology'],
+    },
+
+    description: String,
+    notes: String,
+
+    paymentEventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentEvent',
+    },
+
+    // Stops the same movement being recorded twice (e.g. webhook + verify)
+    idempotencyKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    paidAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ patientId: 1, paidAt: -1 });
+paymentSchema.index({ professionalId: 1, paidAt: -1 });
+paymentSchema.index({ entityType: 1, entityId: 1 });
+paymentSchema.index({ invoiceId: 1 });
+paymentSchema.index({ gatewayPaymentId: 1 });
+paymentSchema.index({ transactionType: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
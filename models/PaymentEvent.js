@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Ledger of every payment state change reported by the gateway or the client
+const paymentEventSchema = new mongoose.Schema(
+  {
+    // Gateway event ID (x-razorpay-event-id); synthetic for verify/reconciliation entries
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    event: {
+      type: String,
+      required: true, // payment.captured, payment.failed, refund.processed, order.paid, ...
+    },
+
+    source: {
+      type: String,
+      enum: ['webhook', 'verify', 'reconciliation'],
+      required: true,
+    },
+
+    gateway: {
+      type: String,
+      default: 'razorpay',
+    },
+
+    orderId: String,
+    paymentId: String,
+    refundId: String,
+
+    // In rupees (gateway amounts are converted from paise)
+    amount: Number,
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+
+    // Entity whose payment state this event changed
+    entityType: {
+      type: String,
+      enum: ['appointment', 'labtest', 'invoice'],
+    },
+    entityId: mongoose.Schema.Types.ObjectId,
+
+    previousStatus: String,
+    newStatus: String,
+
+    processingStatus: {
+      type: String,
+      enum: ['received', 'processed', 'ignored', 'failed', 'mismatch'],
+      default: 'received',
+    },
+    note: String,
+    error: String,
+
+    payload: mongoose.Schema.Types.Mixed,
+
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+paymentEventSchema.index({ orderId: 1, createdAt: -1 });
+paymentEventSchema.index({ paymentId: 1 });
+paymentEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+paymentEventSchema.index({ processingStatus: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const DocumentSequence = require('./DocumentSequence');
 
 const pharmacyProfileSchema = new mongoose.Schema({
   userId: {
@@ -119,6 +120,14 @@ const pharmacyProfileSchema = new mongoose.Schema({
   expiredMedicines: {
     type: Number,
     default: 0
+  },
+  lastInventoryCheckAt: Date,
+  
+  // Own sale number series: PS3/26-27/00001
+  saleSeries: {
+    type: Number,
+    unique: true,
+    sparse: true
   }
 }, {
   timestamps: true
@@ -128,4 +137,20 @@ pharmacyProfileSchema.index({ 'address.location': '2dsphere' });
 pharmacyProfileSchema.index({ verificationStatus: 1 });
 pharmacyProfileSchema.index({ pharmacyName: 'text' });
 
+// Series number of a pharmacy, assigned on its first sale
+pharmacyProfileSchema.statics.getSaleSeries = async function(pharmacyId) {
+  const pharmacy = await this.findById(pharmacyId).select('saleSeries');
+  if (!pharmacy) throw new Error('Pharmacy not found');
+  if (pharmacy.saleSeries) return pharmacy.saleSeries;
+  
+  const saleSeries = await DocumentSequence.next('pharmacy');
+  const updated = await this.findOneAndUpdate(
+    { _id: pharmacyId, saleSeries: { $exists: false } },
+    { saleSeries },
+    { new: true }
+  );
+  // Another sale got there first
+  return updated ? updated.saleSeries : (await this.findById(pharmacyId).select('saleSeries')).saleSeries;
+};
+
 module.exports = mongoose.model('PharmacyProfile', pharmacyProfileSchema);
\ No newline at end of file
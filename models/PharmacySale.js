@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const TaxSettings = require('./TaxSettings');
+const PharmacyProfile = require('./PharmacyProfile');
+const { applyGst, nextDocumentNumber } = require('../utils/gst');
 
 const pharmacySaleItemSchema = new mongoose.Schema({
   medicineId: {
@@ -33,15 +36,36 @@ const pharmacySaleItemSchema = new mongoose.Schema({
   totalAmount: {
     type: Number,
     required: true
-  }
+  },
+  
+  // GST
+  hsnSacCode: String,
+  codeType: {
+    type: String,
+    enum: ['HSN', 'SAC']
+  },
+  taxableValue: Number,
+  taxAmount: Number,
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 }
 });
 
 const pharmacySaleSchema = new mongoose.Schema({
+  // Assigned in pre('save'), see below
   saleNumber: {
     type: String,
-    required: true,
     unique: true
   },
+  // Owning pharmacy
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyProfile',
+    required: true
+  },
   
   // Customer
   customerType: {
@@ -63,6 +87,27 @@ const pharmacySaleSchema = new mongoose.Schema({
   customerPhone: String,
   customerEmail: String,
   customerAddress: String,
+  customerState: String,
+  
+  // GST
+  financialYear: String,
+  supplier: {
+    legalName: String,
+    tradeName: String,
+    gstin: String,
+    stateCode: String,
+    address: String
+  },
+  recipientGstin: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  placeOfSupply: String, // GST state code
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
   
   // Items
   items: [pharmacySaleItemSchema],
@@ -88,6 +133,10 @@ const pharmacySaleSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  taxableValue: Number,
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
   roundOff: {
     type: Number,
     default: 0
@@ -155,17 +204,29 @@ const pharmacySaleSchema = new mongoose.Schema({
 
 pharmacySaleSchema.index({ saleNumber: 1 });
 pharmacySaleSchema.index({ customerPhone: 1 });
-pharmacySaleSchema.index({ saleDate: -1 });
+pharmacySaleSchema.index({ pharmacyId: 1, saleDate: -1 });
 pharmacySaleSchema.index({ patientId: 1, prescriptionId: 1 });
 
-// Generate sale number
+pharmacySaleSchema.pre('validate', async function(next) {
+  const settings = await TaxSettings.getSettings();
+  
+  // GST split (CGST/SGST or IGST) per item
+  if (this.isNew || this.isModified('items') || this.isModified('recipientGstin') || this.isModified('placeOfSupply')) {
+    applyGst(this, settings, {
+      getTaxableValue: item => item.totalAmount - (item.discount || 0),
+      getDefaultCode: () => settings.defaultMedicineHsn
+    });
+  }
+  next();
+});
+
+// Sequential per pharmacy and financial year: PS3/26-27/00001
+// Taken once validation has passed, so a rejected sale leaves no gap in the series
 pharmacySaleSchema.pre('save', async function(next) {
   if (!this.saleNumber) {
-    const count = await mongoose.model('PharmacySale').countDocuments();
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    this.saleNumber = `PS${year}${month}${(count + 1).toString().padStart(4, '0')}`;
+    const settings = await TaxSettings.getSettings();
+    const saleSeries = await PharmacyProfile.getSaleSeries(this.pharmacyId);
+    this.saleNumber = await nextDocumentNumber(`${settings.pharmacyInvoicePrefix}${saleSeries}`, this.saleDate);
   }
   next();
 });
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['login', 'verify_phone'];
+
+// One SMS one-time password; the code itself is only stored hashed
+const phoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    match: /^[0-9]{10}$/
+  },
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set once verified or superseded; a code is never accepted twice
+  consumedAt: Date,
+
+  // Delivery
+  provider: String,
+  providerMessageId: String,
+  ip: String
+}, {
+  timestamps: true
+});
+
+phoneOtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep a day of history for send limits, then let MongoDB drop it
+phoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+phoneOtpSchema.methods.isUsable = function() {
+  return !this.consumedAt && this.expiresAt > new Date() && this.attempts < this.maxAttempts;
+};
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
+module.exports.OTP_PURPOSES = OTP_PURPOSES;
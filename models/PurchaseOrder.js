@@ -42,6 +42,12 @@ const purchaseOrderSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Owning pharmacy
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyProfile',
+    required: true
+  },
   supplierId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Supplier',
@@ -128,7 +134,7 @@ const purchaseOrderSchema = new mongoose.Schema({
 
 purchaseOrderSchema.index({ orderNumber: 1 });
 purchaseOrderSchema.index({ supplierId: 1, status: 1 });
-purchaseOrderSchema.index({ orderDate: -1 });
+purchaseOrderSchema.index({ pharmacyId: 1, orderDate: -1 });
 
 // Generate order number
 purchaseOrderSchema.pre('save', async function(next) {
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// A refund request and its progress through the payment gateway
+const refundSchema = new mongoose.Schema(
+  {
+    // What is being refunded
+    entityType: {
+      type: String,
+      enum: ['appointment', 'labtest', 'invoice'],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientProfile',
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+
+    reason: String,
+
+    source: {
+      type: String,
+      enum: ['cancellation', 'admin'],
+      required: true,
+    },
+
+    // Cancellation-fee policy applied (cancellation refunds only)
+    policy: {
+      hoursBeforeStart: Number,
+      feePercent: Number,
+      cancellationFee: Number,
+      paidAmount: Number,
+    },
+
+    // pending -> processing -> processed | failed
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'processed', 'failed'],
+      default: 'pending',
+    },
+
+    gateway: {
+      type: String,
+      enum: ['razorpay', 'manual'],
+      default: 'razorpay',
+    },
+    gatewayPaymentId: String,
+    gatewayRefundId: String,
+    gatewayStatus: String,
+
+    failureReason: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastCheckedAt: Date,
+    processedAt: Date,
+
+    // Ledger row written once the money has moved
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+refundSchema.index({ status: 1, lastCheckedAt: 1 });
+refundSchema.index({ gatewayRefundId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const REPORT_TYPES = ['financial', 'user', 'appointment', 'pharmacy'];
+const REPORT_FORMATS = ['pdf', 'excel'];
+const REPORT_TIME_RANGES = ['day', 'week', 'month', 'quarter', 'year'];
+
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    reportType: {
+      type: String,
+      enum: REPORT_TYPES,
+      required: true,
+    },
+
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'quarterly'],
+      required: true,
+    },
+
+    // Weekly only
+    dayOfWeek: {
+      type: String,
+      enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    },
+
+    // Monthly / quarterly only; clamped to the last day of short months
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+
+    time: {
+      type: String,
+      required: true,
+      match: /^([01]\d|2[0-3]):([0-5]\d)$/, // HH:MM
+    },
+
+    // Period covered by each run, ending at run time
+    timeRange: {
+      type: String,
+      enum: REPORT_TIME_RANGES,
+      default: 'month',
+    },
+
+    format: {
+      type: String,
+      enum: REPORT_FORMATS,
+      default: 'pdf',
+    },
+
+    includeCharts: {
+      type: Boolean,
+      default: false,
+    },
+
+    includeDetails: {
+      type: Boolean,
+      default: true,
+    },
+
+    recipients: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    nextRun: {
+      type: Date,
+      required: true,
+    },
+
+    lastRunAt: Date,
+    lastReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GeneratedReport',
+    },
+    lastError: String,
+
+    // Set while the runner is generating, so overlapping ticks skip it
+    lockedUntil: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+reportScheduleSchema.index({ isActive: 1, nextRun: 1 });
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
+module.exports.REPORT_TYPES = REPORT_TYPES;
+module.exports.REPORT_FORMATS = REPORT_FORMATS;
+module.exports.REPORT_TIME_RANGES = REPORT_TIME_RANGES;
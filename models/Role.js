@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Custom staff role (finance, support, pharmacist assistant, ...) with named permissions
+const roleSchema = new mongoose.Schema({
+  // Stable identifier, e.g. "finance"
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]{1,39}$/
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+
+  permissions: {
+    type: [String],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Audit
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
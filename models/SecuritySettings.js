@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Account security policy
+const securitySettingsSchema = new mongoose.Schema({
+  twoFactor: {
+    // Admins and staff must enroll before using any admin route
+    requiredForAdmins: {
+      type: Boolean,
+      default: false
+    },
+    // Professionals must enroll before seeing earnings or bank details
+    requiredForPayouts: {
+      type: Boolean,
+      default: false
+    },
+    // Account label shown in authenticator apps
+    issuer: {
+      type: String,
+      default: 'AadyaPlus',
+      trim: true
+    }
+  },
+
+  // Audit
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure only one document exists
+securitySettingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+  return settings;
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = ['logout', 'user_revoked', 'password_changed', 'password_reset', 'two_factor_enabled', 'deactivated', 'admin_revoked', 'token_reuse'];
+
+// One login on one device; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Only hashes are stored; the raw refresh token lives with the client
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Token it replaced, kept to detect replay of a rotated token
+  previousTokenHash: String,
+
+  // Where the login came from
+  device: String,
+  ip: String,
+  userAgent: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// MongoDB drops sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every live session of a user, optionally keeping one (the caller's own)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
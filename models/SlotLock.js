@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Short-lived mutex for a professional's day, so that the "check for overlap"
+// and "create appointment" steps of a booking cannot interleave between requests.
+const slotLockSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Stale locks (crashed request) are removed by MongoDB automatically
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
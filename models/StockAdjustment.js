@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 
 const stockAdjustmentSchema = new mongoose.Schema({
+  // Owning pharmacy
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyProfile',
+    required: true
+  },
   medicineId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Medicine',
@@ -59,5 +65,6 @@ const stockAdjustmentSchema = new mongoose.Schema({
 
 stockAdjustmentSchema.index({ medicineId: 1, createdAt: -1 });
 stockAdjustmentSchema.index({ adjustmentType: 1 });
+stockAdjustmentSchema.index({ pharmacyId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
\ No newline at end of file
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// GST registration details printed on tax invoices
+const taxSettingsSchema = new mongoose.Schema({
+  // Supplier (the registered business issuing invoices)
+  supplier: {
+    legalName: {
+      type: String,
+      default: 'AADYAMED'
+    },
+    tradeName: String,
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+    },
+    // Two-digit GST state code, e.g. "07" for Delhi
+    stateCode: {
+      type: String,
+      match: /^\d{2}$/
+    },
+    address: String,
+    phone: String,
+    email: String
+  },
+
+  // Invoice number series, reset every financial year: INV/26-27/00001
+  invoicePrefix: {
+    type: String,
+    default: 'INV',
+    match: /^[A-Z0-9-]{1,6}$/
+  },
+  pharmacyInvoicePrefix: {
+    type: String,
+    default: 'PS',
+    match: /^[A-Z0-9-]{1,6}$/
+  },
+  creditNotePrefix: {
+    type: String,
+    default: 'CN',
+    match: /^[A-Z0-9-]{1,6}$/
+  },
+
+  // Default SAC codes for services (chapter 9993 - human health services)
+  sacCodes: {
+    consultation: { type: String, default: '999312' },
+    physiotherapy: { type: String, default: '999314' },
+    diagnostics: { type: String, default: '999316' },
+    other: { type: String, default: '999319' }
+  },
+
+  // Default HSN code for medicines without one (chapter 3004 - medicaments)
+  defaultMedicineHsn: {
+    type: String,
+    default: '3004'
+  },
+
+  // Audit
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Ensure only one document exists
+taxSettingsSchema.statics.getSettings = async function() {
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+  return settings;
+};
+
+module.exports = mongoose.model('TaxSettings', taxSettingsSchema);
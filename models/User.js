@@ -22,10 +22,20 @@ const userSchema = new mongoose.Schema({
   // Role Management
   role: {
     type: String,
-    enum: ['admin', 'doctor', 'physio', 'patient', 'pathology', 'pharmacy'],
+    enum: ['admin', 'doctor', 'physio', 'patient', 'pathology', 'pharmacy', 'staff'],
     required: [true, 'Role is required'],
     default: 'patient'
   },
+  // Staff only: custom role carrying their permissions
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  },
+  // Staff only: pharmacy they work at (limits inventory access to it)
+  pharmacyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyProfile'
+  },
   
   // Basic Profile Info (collected during registration)
   name: {
@@ -44,6 +54,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Proven by SMS OTP; counts as verification on its own
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -73,12 +89,54 @@ const userSchema = new mongoose.Schema({
   // Device & Session Management
   deviceToken: String,
   lastLogin: Date,
+  // Last time the user's final chat socket disconnected
+  lastSeenAt: Date,
   lastIp: String,
   loginCount: {
     type: Number,
     default: 0
   },
   
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Lockouts since the last successful login; each one lasts longer
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  
+  // Two-Factor Authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret issued by setup, confirmed by the first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
   // Preferences
   preferences: {
     language: {
@@ -93,7 +151,11 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: true },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      // Opt-in: WhatsApp requires explicit consent
+      whatsapp: { type: Boolean, default: false },
+      // One daily email for low-priority notifications instead of one each
+      digest: { type: Boolean, default: false }
     }
   },
   
@@ -133,11 +195,23 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A new phone number has to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('phone') && !this.isModified('phoneVerified')) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Update last login timestamp
 userSchema.methods.updateLastLogin = function(ipAddress) {
   this.lastLogin = new Date();
   this.lastIp = ipAddress;
   this.loginCount += 1;
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
   return this.save();
 };
 
@@ -174,10 +248,20 @@ userSchema.methods.createEmailVerificationToken = function() {
   return verificationToken;
 };
 
+// Verified email or verified phone
+userSchema.methods.hasVerifiedContact = function() {
+  return !!(this.isVerified || this.phoneVerified);
+};
+
+userSchema.methods.markPhoneVerified = function() {
+  this.phoneVerified = true;
+  this.phoneVerifiedAt = new Date();
+};
+
 // Virtual for user status
 userSchema.virtual('status').get(function() {
   if (!this.isActive) return 'inactive';
-  if (!this.isVerified) return 'unverified';
+  if (!this.hasVerifiedContact()) return 'unverified';
   if (!this.profileCompleted) return 'profile_incomplete';
   return 'active';
 });
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const offerSchema = new mongoose.Schema({
+  date: Date,
+  startTime: String,
+  endTime: String,
+  duration: Number,
+  offeredAt: Date,
+  expiresAt: Date,
+  // Appointment whose cancellation freed the slot
+  sourceAppointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  }
+}, { _id: false });
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PatientProfile',
+      required: true,
+    },
+
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DoctorProfile',
+    },
+
+    physioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PhysiotherapistProfile',
+    },
+
+    pathologyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PathologyProfile',
+    },
+
+    professionalType: {
+      type: String,
+      enum: ['doctor', 'physio', 'pathology'],
+      required: true,
+    },
+
+    // Date range the patient can attend
+    dateFrom: {
+      type: Date,
+      required: true,
+    },
+
+    dateTo: {
+      type: Date,
+      required: true,
+    },
+
+    // Optional time-of-day window (HH:MM)
+    preferredStartTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):([0-5]\d)$/,
+    },
+
+    preferredEndTime: {
+      type: String,
+      match: /^([01]\d|2[0-3]):([0-5]\d)$/,
+    },
+
+    type: {
+      type: String,
+      enum: ['clinic', 'home', 'video'],
+      default: 'clinic',
+    },
+
+    address: String,
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: [Number],
+    },
+
+    reason: String,
+
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+
+    // Current time-limited offer (status = offered)
+    offer: offerSchema,
+
+    // Offers this patient let lapse or declined; never re-offered the same slot
+    offerHistory: [
+      {
+        date: Date,
+        startTime: String,
+        outcome: { type: String, enum: ['declined', 'expired', 'unavailable'] },
+        at: Date,
+      },
+    ],
+
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ physioId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ pathologyId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patientId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,95 +1,121 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requireTwoFactor } = require('../middlewares/auth');
+const { requirePermission } = require('../middlewares/roleCheck');
 const { auditLogger } = require('../middlewares/auditLogger');
 
-router.use(protect, authorize('admin'));
+// Admins hold every permission; staff get what their custom role grants
+router.use(protect, authorize('admin', 'staff'), requireTwoFactor('admin'));
 
 // ========== DASHBOARD ==========
-router.get('/dashboard', adminController.getDashboardStats);
-router.get('/recent-activities', adminController.getRecentActivities);
-router.get('/analytics/chart', adminController.getChartData);
+router.get('/dashboard', requirePermission('dashboard:read'), adminController.getDashboardStats);
+router.get('/recent-activities', requirePermission('dashboard:read'), adminController.getRecentActivities);
+router.get('/analytics/chart', requirePermission('dashboard:read'), adminController.getChartData);
 
 // ========== USERS MANAGEMENT ==========
-router.get('/users', adminController.getUsers);
-router.get('/users/:id', adminController.getUserById);
-router.put('/users/:id/toggle-active', auditLogger('ADMIN_TOGGLE_USER_ACTIVE', 'user'), adminController.toggleUserActive);
-router.put('/users/:id/force-verify', auditLogger('ADMIN_FORCE_VERIFY_USER', 'user'), adminController.forceVerifyUser);
+router.get('/users', requirePermission('users:read'), adminController.getUsers);
+router.get('/users/:id', requirePermission('users:read'), adminController.getUserById);
+router.put('/users/:id/toggle-active', requirePermission('users:manage'), auditLogger('ADMIN_TOGGLE_USER_ACTIVE', 'user'), adminController.toggleUserActive);
+router.put('/users/:id/force-verify', requirePermission('users:manage'), auditLogger('ADMIN_FORCE_VERIFY_USER', 'user'), adminController.forceVerifyUser);
+router.put('/users/:id/unlock', requirePermission('users:manage'), auditLogger('ADMIN_UNLOCK_USER', 'user'), adminController.unlockUser);
+router.delete('/users/:id/sessions', requirePermission('users:manage'), auditLogger('ADMIN_REVOKE_USER_SESSIONS', 'user'), adminController.revokeUserSessions);
+
+// ========== STAFF, ROLES & PERMISSIONS ==========
+router.get('/permissions', requirePermission('roles:manage'), adminController.getPermissionCatalogue);
+router.get('/roles', requirePermission('roles:manage'), adminController.getRoles);
+router.post('/roles', requirePermission('roles:manage'), auditLogger('ADMIN_CREATE_ROLE', 'role'), adminController.createRole);
+router.put('/roles/:id', requirePermission('roles:manage'), auditLogger('ADMIN_UPDATE_ROLE', 'role'), adminController.updateRole);
+router.delete('/roles/:id', requirePermission('roles:manage'), auditLogger('ADMIN_DELETE_ROLE', 'role'), adminController.deleteRole);
+router.post('/staff', requirePermission('staff:manage'), auditLogger('ADMIN_CREATE_STAFF', 'user'), adminController.createStaffUser);
+router.put('/users/:id/staff-role', requirePermission('staff:manage'), auditLogger('ADMIN_ASSIGN_STAFF_ROLE', 'user'), adminController.assignStaffRole);
 
 // ========== PROFESSIONALS MANAGEMENT ==========
-router.get('/professionals', adminController.getProfessionals);
-router.get('/professionals/:type/:id', adminController.getProfessionalById);
-router.post('/professionals/:type/:id/verify', auditLogger('ADMIN_VERIFY_PROFESSIONAL', 'professional'), adminController.verifyProfessional);
-router.put('/professionals/:type/:id/notes', auditLogger('ADMIN_UPDATE_PROFESSIONAL_NOTES', 'professional'), adminController.updateProfessionalNotes);
+router.get('/professionals', requirePermission('professionals:read'), adminController.getProfessionals);
+router.get('/professionals/:type/:id', requirePermission('professionals:read'), adminController.getProfessionalById);
+router.post('/professionals/:type/:id/verify', requirePermission('professionals:verify'), auditLogger('ADMIN_VERIFY_PROFESSIONAL', 'professional'), adminController.verifyProfessional);
+router.put('/professionals/:type/:id/notes', requirePermission('professionals:manage'), auditLogger('ADMIN_UPDATE_PROFESSIONAL_NOTES', 'professional'), adminController.updateProfessionalNotes);
 
 // ========== APPOINTMENTS MANAGEMENT ==========
-router.get('/appointments', adminController.getAppointments);
-router.get('/appointments/:id', adminController.getAppointmentById);
-router.put('/appointments/:id/status', auditLogger('ADMIN_UPDATE_APPOINTMENT_STATUS', 'appointment'), adminController.updateAppointmentStatus);
-router.put('/appointments/:id/payment', auditLogger('ADMIN_UPDATE_APPOINTMENT_PAYMENT', 'appointment'), adminController.updateAppointmentPayment);
+router.get('/appointments', requirePermission('appointments:read'), adminController.getAppointments);
+router.get('/appointments/:id', requirePermission('appointments:read'), adminController.getAppointmentById);
+router.put('/appointments/:id/status', requirePermission('appointments:manage'), auditLogger('ADMIN_UPDATE_APPOINTMENT_STATUS', 'appointment'), adminController.updateAppointmentStatus);
+router.put('/appointments/:id/payment', requirePermission('appointments:manage'), auditLogger('ADMIN_UPDATE_APPOINTMENT_PAYMENT', 'appointment'), adminController.updateAppointmentPayment);
 
 // ========== PAYMENTS & COMMISSIONS ==========
-router.get('/payments', adminController.getPayments);
-router.get('/payments/commissions', adminController.getCommissionReport);
-router.post('/payments/payout', auditLogger('ADMIN_PROCESS_PAYOUT', 'payment'), adminController.processPayout);
-router.get('/payments/cycles', adminController.getCommissionCycles);
-router.get('/payments/summary', adminController.getCommissionSummary);
-router.post('/payments/payout/generate-report', auditLogger('ADMIN_GENERATE_PAYOUT_REPORT', 'payment'), adminController.generatePayoutReport);
-router.post('/payments/payout/:payoutId/mark-paid', auditLogger('ADMIN_MARK_PAYOUT_PAID', 'payment'), adminController.markPayoutAsPaid);
+router.get('/payments', requirePermission('payments:read'), adminController.getPayments);
+router.get('/payments/commissions', requirePermission('commissions:read'), adminController.getCommissionReport);
+router.get('/payments/transactions', requirePermission('payments:read'), adminController.getPaymentTransactions);
+router.post('/payments/adjustments', requirePermission('payments:adjust'), auditLogger('ADMIN_PAYMENT_ADJUSTMENT', 'payment'), adminController.createPaymentAdjustment);
+router.post('/payments/ledger/backfill', requirePermission('payments:adjust'), auditLogger('ADMIN_BACKFILL_PAYMENT_LEDGER', 'payment'), adminController.runPaymentLedgerBackfill);
+router.post('/payments/payout', requirePermission('payouts:approve'), auditLogger('ADMIN_PROCESS_PAYOUT', 'payment'), adminController.processPayout);
+router.get('/payments/cycles', requirePermission('commissions:read'), adminController.getCommissionCycles);
+router.get('/payments/summary', requirePermission('commissions:read'), adminController.getCommissionSummary);
+router.post('/payments/payout/generate-report', requirePermission('payouts:approve'), auditLogger('ADMIN_GENERATE_PAYOUT_REPORT', 'payment'), adminController.generatePayoutReport);
+router.post('/payments/payout/:payoutId/mark-paid', requirePermission('payouts:approve'), auditLogger('ADMIN_MARK_PAYOUT_PAID', 'payment'), adminController.markPayoutAsPaid);
 
 // ========== COMMISSION SETTINGS ==========
-router.get('/commission-settings', adminController.getCommissionSettings);
-router.put('/commission-settings', auditLogger('ADMIN_UPDATE_COMMISSION_SETTINGS', 'commission_settings'), adminController.updateCommissionSettings);
+router.get('/commission-settings', requirePermission('settings:read'), adminController.getCommissionSettings);
+router.put('/commission-settings', requirePermission('settings:write'), auditLogger('ADMIN_UPDATE_COMMISSION_SETTINGS', 'commission_settings'), adminController.updateCommissionSettings);
+
+// ========== TAX SETTINGS ==========
+router.get('/tax-settings', requirePermission('settings:read'), adminController.getTaxSettings);
+router.put('/tax-settings', requirePermission('settings:write'), auditLogger('ADMIN_UPDATE_TAX_SETTINGS', 'tax_settings'), adminController.updateTaxSettings);
+
+// ========== SECURITY SETTINGS ==========
+router.get('/security-settings', requirePermission('settings:read'), adminController.getSecuritySettings);
+router.put('/security-settings', requirePermission('security:manage'), auditLogger('ADMIN_UPDATE_SECURITY_SETTINGS', 'security_settings'), adminController.updateSecuritySettings);
 
 // ========== VERIFICATIONS ==========
-router.get('/verifications', adminController.getPendingVerifications);
-router.get('/verifications/stats', adminController.getVerificationStats);
+router.get('/verifications', requirePermission('professionals:read'), adminController.getPendingVerifications);
+router.get('/verifications/stats', requirePermission('professionals:read'), adminController.getVerificationStats);
 
 // ========== PATHOLOGY MANAGEMENT ==========
-router.get('/pathology', adminController.getPathologyLabs);
-router.get('/pathology/:id', adminController.getPathologyById);
-router.put('/pathology/:id', auditLogger('ADMIN_UPDATE_PATHOLOGY', 'pathology'), adminController.updatePathologyLab);
-router.delete('/pathology/:id', auditLogger('ADMIN_DELETE_PATHOLOGY', 'pathology'), adminController.deletePathologyLab);
+router.get('/pathology', requirePermission('professionals:read'), adminController.getPathologyLabs);
+router.get('/pathology/:id', requirePermission('professionals:read'), adminController.getPathologyById);
+router.put('/pathology/:id', requirePermission('professionals:manage'), auditLogger('ADMIN_UPDATE_PATHOLOGY', 'pathology'), adminController.updatePathologyLab);
+router.delete('/pathology/:id', requirePermission('professionals:manage'), auditLogger('ADMIN_DELETE_PATHOLOGY', 'pathology'), adminController.deletePathologyLab);
 
 // ========== PHARMACY MANAGEMENT ==========
-router.get('/pharmacy', adminController.getPharmacies);
-router.get('/pharmacy/:id', adminController.getPharmacyById);
-router.put('/pharmacy/:id', auditLogger('ADMIN_UPDATE_PHARMACY', 'pharmacy'), adminController.updatePharmacy);
-router.delete('/pharmacy/:id', auditLogger('ADMIN_DELETE_PHARMACY', 'pharmacy'), adminController.deletePharmacy);
+router.get('/pharmacy', requirePermission('professionals:read'), adminController.getPharmacies);
+router.post('/pharmacy/inventory/backfill', requirePermission('professionals:manage'), auditLogger('ADMIN_BACKFILL_PHARMACY_INVENTORY', 'pharmacy'), adminController.runPharmacyInventoryBackfill);
+router.get('/pharmacy/:id', requirePermission('professionals:read'), adminController.getPharmacyById);
+router.put('/pharmacy/:id', requirePermission('professionals:manage'), auditLogger('ADMIN_UPDATE_PHARMACY', 'pharmacy'), adminController.updatePharmacy);
+router.delete('/pharmacy/:id', requirePermission('professionals:manage'), auditLogger('ADMIN_DELETE_PHARMACY', 'pharmacy'), adminController.deletePharmacy);
 
 // ========== REPORTS & ANALYTICS ==========
-router.get('/reports', adminController.getReports);
-router.post('/reports/generate', auditLogger('ADMIN_GENERATE_REPORT', 'report'), adminController.generateReport);
-router.get('/reports/scheduled', adminController.getScheduledReports);
-router.post('/reports/schedule', auditLogger('ADMIN_SCHEDULE_REPORT', 'report'), adminController.scheduleReport);
-router.delete('/reports/schedule/:id', auditLogger('ADMIN_DELETE_SCHEDULED_REPORT', 'report'), adminController.deleteScheduledReport);
-router.delete('/reports/:id', auditLogger('ADMIN_DELETE_REPORT', 'report'), adminController.deleteReport);
+router.get('/reports', requirePermission('reports:read'), adminController.getReports);
+router.post('/reports/generate', requirePermission('reports:generate'), auditLogger('ADMIN_GENERATE_REPORT', 'report'), adminController.generateReport);
+router.get('/reports/:id/download', requirePermission('reports:read'), adminController.downloadReport);
+router.get('/reports/scheduled', requirePermission('reports:read'), adminController.getScheduledReports);
+router.post('/reports/schedule', requirePermission('reports:generate'), auditLogger('ADMIN_SCHEDULE_REPORT', 'report'), adminController.scheduleReport);
+router.delete('/reports/schedule/:id', requirePermission('reports:generate'), auditLogger('ADMIN_DELETE_SCHEDULED_REPORT', 'report'), adminController.deleteScheduledReport);
+router.delete('/reports/:id', requirePermission('reports:generate'), auditLogger('ADMIN_DELETE_REPORT', 'report'), adminController.deleteReport);
 
 // ========== KPI ENDPOINTS ==========
-router.get('/kpis/users', adminController.getUserKpis);
-router.get('/kpis/funnel', adminController.getFunnelKpis);
-router.get('/kpis/appointments', adminController.getAppointmentKpis);
-router.get('/kpis/labtests', adminController.getLabTestKpis);
-router.get('/kpis/pharmacy', adminController.getPharmacyKpis);
-router.get('/kpis/revenue', adminController.getRevenueKpis);
-router.get('/kpis/top-medicines', adminController.getTopMedicinesKpi);
+router.get('/kpis/users', requirePermission('dashboard:read'), adminController.getUserKpis);
+router.get('/kpis/funnel', requirePermission('dashboard:read'), adminController.getFunnelKpis);
+router.get('/kpis/appointments', requirePermission('dashboard:read'), adminController.getAppointmentKpis);
+router.get('/kpis/labtests', requirePermission('dashboard:read'), adminController.getLabTestKpis);
+router.get('/kpis/pharmacy', requirePermission('dashboard:read'), adminController.getPharmacyKpis);
+router.get('/kpis/revenue', requirePermission('dashboard:read'), adminController.getRevenueKpis);
+router.get('/kpis/top-medicines', requirePermission('dashboard:read'), adminController.getTopMedicinesKpi);
 
 // ========== ANALYTICS ENDPOINTS ==========
-router.get('/analytics/devices', adminController.getDeviceAnalytics);
-router.get('/analytics/geographic', adminController.getGeographicAnalytics);
-router.get('/analytics/traffic', adminController.getTrafficAnalytics);
-router.get('/analytics/performance', adminController.getPerformanceAnalytics);
+router.get('/analytics/devices', requirePermission('dashboard:read'), adminController.getDeviceAnalytics);
+router.get('/analytics/geographic', requirePermission('dashboard:read'), adminController.getGeographicAnalytics);
+router.get('/analytics/traffic', requirePermission('dashboard:read'), adminController.getTrafficAnalytics);
+router.get('/analytics/performance', requirePermission('dashboard:read'), adminController.getPerformanceAnalytics);
 
 // ========== INVENTORY ALERTS ==========
 // router.get('/inventory/alerts', adminController.getInventoryAlerts);
 
 // ========== AUDIT LOGS ==========
-router.delete('/audit-logs/clear', auditLogger('ADMIN_CLEAR_AUDIT_LOGS', 'audit'), adminController.clearAuditLogs);
+router.delete('/audit-logs/clear', requirePermission('audit:clear'), auditLogger('ADMIN_CLEAR_AUDIT_LOGS', 'audit'), adminController.clearAuditLogs);
 
 // ========== SYSTEM & AUDIT ==========
-router.get('/audit-logs', adminController.getAuditLogs);
-router.get('/system-metrics', adminController.getSystemMetrics);
-router.get('/export/report', adminController.exportReport);
+router.get('/audit-logs', requirePermission('audit:read'), adminController.getAuditLogs);
+router.get('/system-metrics', requirePermission('audit:read'), adminController.getSystemMetrics);
+router.get('/export/report', requirePermission('reports:read'), adminController.exportReport);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const appointmentSeriesController = require('../controllers/appointmentSeries.controller');
+const { protect } = require('../middlewares/auth');
+
+// ========== PROTECTED ROUTES ==========
+router.use(protect);
+
+// Create a recurring series (treatment plan)
+router.post('/', appointmentSeriesController.createSeries);
+
+// Get series (role-based)
+router.get('/', appointmentSeriesController.getSeriesList);
+
+// Get series with its appointments
+router.get('/:id', appointmentSeriesController.getSeriesById);
+
+// Billing summary for a series
+router.get('/:id/billing', appointmentSeriesController.getSeriesBilling);
+
+// Cancel this and following sessions
+router.post('/:id/cancel', appointmentSeriesController.cancelSeries);
+
+// Reschedule this and following sessions
+router.post('/:id/reschedule', appointmentSeriesController.rescheduleSeries);
+
+module.exports = router;
@@ -2,20 +2,39 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const { protect } = require('../middlewares/auth');
+const {
+  loginLimiter,
+  twoFactorLoginLimiter,
+  otpVerifyLimiter,
+  phoneVerifyLimiter,
+  passwordChangeLimiter,
+  twoFactorDisableLimiter,
+  registerLimiter,
+  refreshLimiter,
+  accountEmailLimiter,
+  accountEmailPerAddressLimiter,
+  otpLimiter
+} = require('../middlewares/rateLimiter');
 
 // ========== PUBLIC ROUTES ==========
 
 // Registration & Verification
-router.post('/register', authController.register);
+router.post('/register', registerLimiter, authController.register);
 router.get('/verify-email/:token', authController.verifyEmail);
-router.post('/resend-verification', authController.resendVerification);
+router.post('/resend-verification', accountEmailLimiter, accountEmailPerAddressLimiter, authController.resendVerification);
 
 // Login
-router.post('/login', authController.login);
+router.post('/login', loginLimiter, authController.login);
+router.post('/refresh', refreshLimiter, authController.refreshToken);
+router.post('/2fa/verify', twoFactorLoginLimiter, authController.verifyTwoFactorLogin);
+
+// Phone OTP login (patients)
+router.post('/otp/request', otpLimiter, authController.requestLoginOtp);
+router.post('/otp/verify', otpVerifyLimiter, authController.verifyLoginOtp);
 
 // Password Management
-router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password/:token', authController.resetPassword);
+router.post('/forgot-password', accountEmailLimiter, accountEmailPerAddressLimiter, authController.forgotPassword);
+router.post('/reset-password/:token', accountEmailLimiter, authController.resetPassword);
 
 // ========== PROTECTED ROUTES ==========
 router.use(protect);
@@ -26,10 +45,24 @@ router.get('/profile-status', authController.getProfileStatus);
 router.post('/complete-profile', authController.completeProfile);
 router.put('/profile', authController.updateProfile);
 
+// Phone Verification
+router.post('/phone/verify/request', otpLimiter, authController.requestPhoneVerification);
+router.post('/phone/verify/confirm', phoneVerifyLimiter, authController.confirmPhoneVerification);
+
 // Password Management (authenticated)
-router.put('/change-password', authController.changePassword);
+router.put('/change-password', passwordChangeLimiter, authController.changePassword);
+
+// Two-Factor Authentication
+router.get('/2fa', authController.getTwoFactorStatus);
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post('/2fa/enable', authController.enableTwoFactor);
+router.post('/2fa/disable', twoFactorDisableLimiter, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', authController.regenerateBackupCodes);
 
 // Session Management
 router.post('/logout', authController.logout);
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeAllSessions);
+router.delete('/sessions/:id', authController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
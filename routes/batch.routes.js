@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const batchController = require('../controllers/batch.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
+const { scopeToPharmacy } = require('../middlewares/scopeToPharmacy');
 
-router.use(protect);
-router.use(authorize('admin', 'pharmacy'));
+router.use(protect, loadPermissions);
+router.use(scopeToPharmacy);
 
-router.get('/', batchController.getAllBatches);
-router.put('/:id', batchController.updateBatch);
-router.post('/:id/adjust', batchController.adjustBatchQuantity);
+router.get('/', requirePermission('pharmacy:inventory:read'), batchController.getAllBatches);
+router.put('/:id', requirePermission('pharmacy:inventory:write'), batchController.updateBatch);
+router.post('/:id/adjust', requirePermission('pharmacy:inventory:write'), batchController.adjustBatchQuantity);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const billingController = require('../controllers/billing.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, requireTwoFactor } = require('../middlewares/auth');
 
 router.use(protect);
 
@@ -19,6 +19,9 @@ router.post('/refund', protect, (req, res, next) => {
     return res.status(403).json({ message: 'Admin access required' });
   }
   next();
-}, billingController.processRefund);
+}, requireTwoFactor('admin'), billingController.processRefund);
+router.get('/refunds', requireTwoFactor('admin'), billingController.getRefunds);
+router.get('/refunds/:id', requireTwoFactor('admin'), billingController.getRefundById);
+router.post('/refunds/:id/retry', requireTwoFactor('admin'), billingController.retryRefund);
 
 module.exports = router;
\ No newline at end of file
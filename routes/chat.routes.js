@@ -2,10 +2,14 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
 const { protect } = require('../middlewares/auth');
+const { uploadChatAttachment } = require('../middlewares/chatUpload');
 
-router.use(protect); // Require authentication for all chat routes
+// Signed attachment download (the signature stands in for authentication)
+router.get('/attachments/:id/download', chatController.downloadAttachment);
 
-// Create or Get a chat session between a patient and professional
+router.use(protect); // Require authentication for all other chat routes
+
+// Get the chat for an appointment, or an existing chat between a patient and professional
 router.post('/session', chatController.getOrCreateSession);
 
 // Get list of chat sessions for a professional
@@ -14,7 +18,26 @@ router.get('/professional/sessions', chatController.getProfessionalSessions);
 // Get list of chat sessions for a patient
 router.get('/patient/sessions', chatController.getPatientSessions);
 
-// Get chat history for a specific session
+// Search messages across the user's chats
+router.get('/search', chatController.searchMessages);
+
+// Get chat history for a specific session (cursor paginated)
 router.get('/session/:sessionId/messages', chatController.getChatHistory);
 
+// Export a chat as a PDF transcript
+router.get('/session/:sessionId/export', chatController.exportChat);
+
+// Send a message (closed chats refuse new messages)
+router.post('/session/:sessionId/messages', chatController.sendMessage);
+
+// Close / reopen a chat (professional only)
+router.put('/session/:sessionId/close', chatController.closeSession);
+router.put('/session/:sessionId/reopen', chatController.reopenSession);
+
+// Upload a file to a chat session
+router.post('/session/:sessionId/attachments', uploadChatAttachment, chatController.uploadAttachment);
+
+// Get a short-lived download URL for an attachment
+router.get('/attachments/:id/url', chatController.getAttachmentUrl);
+
 module.exports = router;
@@ -1,30 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const commissionController = require('../controllers/commission.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, requireTwoFactor } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
 
 // ========== PROTECTED ROUTES ==========
-router.use(protect);
+router.use(protect, loadPermissions);
 
-// Get commissions (admin and professionals)
+// Get commissions (commissions:read sees all; professionals see their own)
 router.get('/', commissionController.getCommissions);
 
-// Get commission report (admin and professionals)
+// Get commission report (commissions:read sees all; professionals see their own)
 router.get('/report', commissionController.getCommissionReport);
 
-// Get commission cycles (admin only)
-router.get('/cycles', authorize('admin'), commissionController.getCommissionCycles);
+// Get commission cycles
+router.get('/cycles', requirePermission('commissions:read'), commissionController.getCommissionCycles);
 
-// Get commission summary (admin only)
-router.get('/summary', authorize('admin'), commissionController.getCommissionSummary);
+// Get commission summary
+router.get('/summary', requirePermission('commissions:read'), commissionController.getCommissionSummary);
 
-// Process payout (admin only)
-router.post('/payout', authorize('admin'), commissionController.processPayout);
+// Process payout
+router.post('/payout', requirePermission('payouts:approve'), requireTwoFactor('admin'), commissionController.processPayout);
 
-// Generate payout report (admin only)
-router.post('/payout/generate-report', authorize('admin'), commissionController.generatePayoutReport);
+// Generate payout report
+router.post('/payout/generate-report', requirePermission('payouts:approve'), requireTwoFactor('admin'), commissionController.generatePayoutReport);
 
-// Mark payout as paid (admin only)
-router.post('/payout/:payoutId/mark-paid', authorize('admin'), commissionController.markPayoutAsPaid);
+// Mark payout as paid
+router.post('/payout/:payoutId/mark-paid', requirePermission('payouts:approve'), requireTwoFactor('admin'), commissionController.markPayoutAsPaid);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const creditNoteController = require('../controllers/creditNote.controller');
+const { protect, requireTwoFactor } = require('../middlewares/auth');
+
+// The admin 2FA policy applies to admin and staff; patients reading their notes pass through
+router.use(protect, requireTwoFactor('admin'));
+
+// Issue credit notes
+router.post('/', creditNoteController.createCreditNote);
+
+// Get credit notes
+router.get('/', creditNoteController.getCreditNotes);
+router.get('/:id', creditNoteController.getCreditNoteById);
+router.get('/:id/pdf', creditNoteController.generateCreditNotePDF);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const doctorController = require('../controllers/doctor.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requireTwoFactor } = require('../middlewares/auth');
 
 // ========== PUBLIC ROUTES ==========
 router.get('/specialization/:specialization', doctorController.getDoctorsBySpecialization);
@@ -17,8 +17,8 @@ router.get('/me/profile', doctorController.getProfile);
 router.put('/me/profile', doctorController.updateProfile);
 router.put('/me/availability', doctorController.updateAvailability);
 router.get('/me/appointments', doctorController.getAppointments);
-router.get('/me/earnings/report', doctorController.getDoctorEarnings);
-router.get('/me/earnings', doctorController.getEarnings);
+router.get('/me/earnings/report', requireTwoFactor('payouts'), doctorController.getDoctorEarnings);
+router.get('/me/earnings', requireTwoFactor('payouts'), doctorController.getEarnings);
 router.get('/me/dashboard', doctorController.getDoctorDashboard);
 router.post('/me/profile', doctorController.createDoctor);
 router.get('/patients/:id', doctorController.getPatientById);
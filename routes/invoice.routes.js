@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const invoiceController = require('../controllers/invoice.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, requireTwoFactor } = require('../middlewares/auth');
 
 router.use(protect);
 
@@ -11,10 +11,14 @@ router.post('/', invoiceController.createInvoice);
 // Get invoices
 router.get('/', invoiceController.getAllInvoices);
 router.get('/stats', invoiceController.getInvoiceStats);
+router.get('/gstr1', invoiceController.exportGstr1);
 router.get('/:id', invoiceController.getInvoiceById);
 router.get('/:id/pdf', invoiceController.generateInvoicePDF);
 
 // Update payment
 router.put('/:id/payment', invoiceController.updatePayment);
 
+// Corrections: credit note + replacement invoice
+router.post('/:id/reissue', requireTwoFactor('admin'), invoiceController.reissueInvoice);
+
 module.exports = router;
\ No newline at end of file
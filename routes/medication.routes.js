@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const medicationController = require('../controllers/medication.controller');
+const { protect } = require('../middlewares/auth');
+
+// ========== PROTECTED ROUTES ==========
+router.use(protect);
+
+// Dose schedules built from issued prescriptions, with adherence
+router.get('/schedules', medicationController.getSchedules);
+
+// Scheduled doses (default: today)
+router.get('/doses', medicationController.getDoses);
+
+// Log a dose as taken / skipped
+router.put('/doses/:id', medicationController.logDose);
+
+module.exports = router;
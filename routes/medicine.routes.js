@@ -1,20 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const medicineController = require('../controllers/medicine.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
+const { scopeToPharmacy, requirePharmacyContext } = require('../middlewares/scopeToPharmacy');
 
-router.use(protect);
+router.use(protect, loadPermissions);
 
-// Admin and Pharmacy staff only
-router.use(authorize('admin', 'pharmacy'));
+// Pharmacy users see their own stock; admins filter with ?pharmacyId=
+router.use(scopeToPharmacy);
 
-router.post('/', medicineController.createMedicine);
-router.get('/', medicineController.getAllMedicines);
-router.get('/low-stock', medicineController.getLowStockMedicines);
-router.get('/expiring', medicineController.getExpiringMedicines);
-router.get('/:id', medicineController.getMedicineById);
-router.put('/:id', medicineController.updateMedicine);
-router.delete('/:id', medicineController.deleteMedicine);
-router.post('/:id/stock', medicineController.addStock);
+const canRead = requirePermission('pharmacy:inventory:read');
+const canWrite = requirePermission('pharmacy:inventory:write');
+
+router.post('/', canWrite, requirePharmacyContext, medicineController.createMedicine);
+router.get('/', canRead, medicineController.getAllMedicines);
+router.get('/low-stock', canRead, medicineController.getLowStockMedicines);
+router.get('/expiring', canRead, medicineController.getExpiringMedicines);
+router.get('/alerts', canRead, medicineController.getInventoryAlerts);
+router.get('/:id', canRead, medicineController.getMedicineById);
+router.put('/:id', canWrite, medicineController.updateMedicine);
+router.delete('/:id', canWrite, medicineController.deleteMedicine);
+router.post('/:id/stock', canWrite, medicineController.addStock);
 
 module.exports = router;
\ No newline at end of file
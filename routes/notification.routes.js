@@ -6,6 +6,12 @@ const { protect } = require('../middlewares/auth');
 router.use(protect);
 
 router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.get('/groups', notificationController.getNotificationGroups);
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
+router.put('/device-token', notificationController.registerDeviceToken);
+router.delete('/device-token', notificationController.removeDeviceToken);
 router.put('/:id/read', notificationController.markAsRead);
 router.put('/read-all', notificationController.markAllAsRead);
 router.delete('/:id', notificationController.deleteNotification);
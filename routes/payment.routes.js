@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, authorize } = require('../middlewares/auth');
+const { paymentLimiter } = require('../middlewares/rateLimiter');
+
+// Gateway callback: authenticated by signature, not by user token
+router.post('/webhook', paymentController.handleRazorpayWebhook);
 
 router.use(protect);
 
-router.post('/create-order', paymentController.createPaymentOrder);
-router.post('/verify', paymentController.verifyPayment);
+router.post('/create-order', paymentLimiter, paymentController.createPaymentOrder);
+router.post('/verify', paymentLimiter, paymentController.verifyPayment);
 router.get('/history', paymentController.getPaymentHistory);
+router.get('/events', authorize('admin'), paymentController.getPaymentEvents);
+router.post('/reconcile', authorize('admin'), paymentController.runReconciliation);
 
 module.exports = router;
\ No newline at end of file
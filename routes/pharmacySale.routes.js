@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const pharmacySaleController = require('../controllers/pharmacySale.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
+const { scopeToPharmacy, requirePharmacyContext } = require('../middlewares/scopeToPharmacy');
 
-router.use(protect);
+router.use(protect, loadPermissions);
+router.use(scopeToPharmacy);
 
 // Different access levels
-router.post('/', authorize('admin', 'pharmacy', 'doctor', 'physio'), pharmacySaleController.createSale);
-router.get('/', authorize('admin', 'pharmacy', 'patient'), pharmacySaleController.getAllSales);
-router.get('/report', authorize('admin', 'pharmacy'), pharmacySaleController.getSalesReport);
-router.get('/:id', authorize('admin', 'pharmacy'), pharmacySaleController.getSaleById);
-router.post('/:id/dispense', authorize('admin', 'pharmacy'), pharmacySaleController.dispenseSale);
+router.post('/', requirePermission('pharmacy:sales:create'), requirePharmacyContext, pharmacySaleController.createSale);
+router.get('/', requirePermission('pharmacy:sales:read'), pharmacySaleController.getAllSales);
+router.get('/report', requirePermission('pharmacy:reports:read'), pharmacySaleController.getSalesReport);
+router.get('/:id', requirePermission('pharmacy:sales:read'), pharmacySaleController.getSaleById);
+router.post('/:id/dispense', requirePermission('pharmacy:sales:dispense'), pharmacySaleController.dispenseSale);
 
 module.exports = router;
\ No newline at end of file
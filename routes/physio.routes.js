@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 
 const physioController = require('../controllers/physio.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect, authorize, requireTwoFactor } = require('../middlewares/auth');
 
 // List / search
 router.get('/', physioController.getAllPhysios);
@@ -26,8 +26,8 @@ router.post('/me/break', physioController.addBreak);
 router.get('/me/appointments', physioController.getAppointments);
 router.get('/me/patients', physioController.getMyPatients);
 router.get('/me/patients/:id', physioController.getPatientById);
-router.get('/me/earnings', physioController.getEarnings);
-router.get('/me/earnings/report', physioController.getPhysioEarnings);
+router.get('/me/earnings', requireTwoFactor('payouts'), physioController.getEarnings);
+router.get('/me/earnings/report', requireTwoFactor('payouts'), physioController.getPhysioEarnings);
 router.get('/me/dashboard', physioController.getPhysioDashboard);
 
 // ========== PUBLIC "BY ID" ROUTE ==========
@@ -3,11 +3,15 @@ const router = express.Router();
 const prescriptionController = require('../controllers/prescription.controller');
 const { protect } = require('../middlewares/auth');
 
+// Public: pharmacies scan the QR code on the printout
+router.get('/verify/:prescriptionNumber', prescriptionController.verifyPrescription);
+
 router.use(protect);
 
 router.post('/', prescriptionController.createPrescription);
 router.get('/patient/:id', prescriptionController.getPrescriptionsByPatientId);
 router.get('/', prescriptionController.getPrescriptions);
+router.get('/:id/pdf', prescriptionController.downloadPrescriptionPdf);
 router.get('/:id', prescriptionController.getPrescriptionById);
 router.put('/:id', prescriptionController.updatePrescription);
 
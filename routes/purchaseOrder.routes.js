@@ -1,15 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const purchaseOrderController = require('../controllers/purchaseOrder.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
+const { scopeToPharmacy, requirePharmacyContext } = require('../middlewares/scopeToPharmacy');
 
-router.use(protect);
-router.use(authorize('admin', 'pharmacy'));
+router.use(protect, loadPermissions);
+router.use(scopeToPharmacy);
 
-router.post('/', purchaseOrderController.createPurchaseOrder);
-router.get('/', purchaseOrderController.getAllPurchaseOrders);
-router.get('/stats', purchaseOrderController.getPurchaseOrderStats);
-router.post('/:id/approve', purchaseOrderController.approvePurchaseOrder);
-router.post('/:id/receive', purchaseOrderController.receivePurchaseOrder);
+router.post('/', requirePermission('pharmacy:purchase:write'), requirePharmacyContext, purchaseOrderController.createPurchaseOrder);
+router.get('/', requirePermission('pharmacy:inventory:read'), purchaseOrderController.getAllPurchaseOrders);
+router.get('/stats', requirePermission('pharmacy:inventory:read'), purchaseOrderController.getPurchaseOrderStats);
+router.post('/:id/approve', requirePermission('pharmacy:purchase:approve'), purchaseOrderController.approvePurchaseOrder);
+router.post('/:id/receive', requirePermission('pharmacy:purchase:write'), purchaseOrderController.receivePurchaseOrder);
 
 module.exports = router;
\ No newline at end of file
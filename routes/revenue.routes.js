@@ -5,6 +5,9 @@ const {
   getDailyRevenueReport,
   getMonthlyRevenueReport
 } = require('../controllers/revenue.controller');
+const { protect, authorize, requireTwoFactor } = require('../middlewares/auth');
+
+router.use(protect, authorize('admin'), requireTwoFactor('admin'));
 
 // Revenue routes
 router.get('/', calculateHospitalRevenue);
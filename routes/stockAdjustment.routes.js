@@ -1,13 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const stockAdjustmentController = require('../controllers/stockAdjustment.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
+const { scopeToPharmacy } = require('../middlewares/scopeToPharmacy');
 
-router.use(protect);
-router.use(authorize('admin', 'pharmacy'));
+router.use(protect, loadPermissions);
+router.use(scopeToPharmacy);
 
-router.get('/', stockAdjustmentController.getAllAdjustments);
-router.get('/stats', stockAdjustmentController.getAdjustmentStats);
-router.post('/', stockAdjustmentController.createAdjustment);
+router.get('/', requirePermission('pharmacy:inventory:read'), stockAdjustmentController.getAllAdjustments);
+router.get('/stats', requirePermission('pharmacy:inventory:read'), stockAdjustmentController.getAdjustmentStats);
+router.post('/', requirePermission('pharmacy:inventory:write'), stockAdjustmentController.createAdjustment);
 
 module.exports = router;
\ No newline at end of file
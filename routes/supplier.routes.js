@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const supplierController = require('../controllers/supplier.controller');
-const { protect, authorize } = require('../middlewares/auth');
+const { protect } = require('../middlewares/auth');
+const { loadPermissions, requirePermission } = require('../middlewares/roleCheck');
+const { scopeToPharmacy } = require('../middlewares/scopeToPharmacy');
 
-router.use(protect);
-router.use(authorize('admin', 'pharmacy'));
+router.use(protect, loadPermissions);
 
-router.post('/', supplierController.createSupplier);
-router.get('/', supplierController.getAllSuppliers);
-router.get('/:id', supplierController.getSupplierById);
-router.put('/:id', supplierController.updateSupplier);
+// Suppliers are shared; their order history is per pharmacy
+router.use(scopeToPharmacy);
+
+router.post('/', requirePermission('pharmacy:suppliers:write'), supplierController.createSupplier);
+router.get('/', requirePermission('pharmacy:inventory:read'), supplierController.getAllSuppliers);
+router.get('/:id', requirePermission('pharmacy:inventory:read'), supplierController.getSupplierById);
+router.put('/:id', requirePermission('pharmacy:suppliers:write'), supplierController.updateSupplier);
 
 module.exports = router;
\ No newline at end of file
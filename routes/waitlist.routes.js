@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlist.controller');
+const { protect } = require('../middlewares/auth');
+
+// ========== PROTECTED ROUTES ==========
+router.use(protect);
+
+// Join waitlist for a professional and date range
+router.post('/', waitlistController.joinWaitlist);
+
+// Get waitlist entries (role-based)
+router.get('/', waitlistController.getWaitlist);
+
+// Accept / decline a slot offer
+router.post('/:id/accept', waitlistController.acceptOffer);
+router.post('/:id/decline', waitlistController.declineOffer);
+
+// Leave waitlist
+router.delete('/:id', waitlistController.leaveWaitlist);
+
+module.exports = router;
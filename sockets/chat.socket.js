@@ -0,0 +1,112 @@
+const ChatMessage = require('../models/ChatMessage');
+const { loadChatForUser, getCounterpartUserId } = require('../utils/chatAccess');
+const { sendChatMessage } = require('../utils/chatMessages');
+const { getPresence } = require('./presence');
+const { chatRoom } = require('./rooms');
+
+// Report through the ack callback when the client passed one, else the legacy `error` event
+const reply = (socket, ack, payload) => {
+  if (typeof ack === 'function') return ack(payload);
+  if (!payload.success) socket.emit('error', payload.error);
+};
+
+const replyError = (socket, ack, error, fallback) => {
+  if (!error.statusCode) console.error(`${fallback}:`, error);
+  reply(socket, ack, { success: false, error: error.statusCode ? error.message : fallback });
+};
+
+/**
+ * Chat events. Membership is checked against the ChatSession on every event
+ * (typing only needs the room joined through `join_chat`) and the sender is
+ * always the authenticated user.
+ */
+module.exports = (io, socket) => {
+  const { user } = socket.data;
+
+  // Join a chat room specific to the session
+  socket.on('join_chat', async (data = {}, ack) => {
+    try {
+      const { session, participant } = await loadChatForUser(user, data.sessionId);
+      socket.join(chatRoom(session._id));
+
+      const counterpartId = await getCounterpartUserId(session, participant);
+      const presence = await getPresence([counterpartId]);
+
+      reply(socket, ack, {
+        success: true,
+        sessionId: session._id,
+        presence: counterpartId ? presence[counterpartId.toString()] : null
+      });
+    } catch (error) {
+      replyError(socket, ack, error, 'Failed to join chat');
+    }
+  });
+
+  socket.on('leave_chat', (data = {}, ack) => {
+    if (data.sessionId) socket.leave(chatRoom(data.sessionId));
+    reply(socket, ack, { success: true });
+  });
+
+  // Handle sending messages
+  socket.on('send_message', async (data = {}, ack) => {
+    try {
+      const msg = await sendChatMessage(user, data);
+      reply(socket, ack, { success: true, message: msg.toJSON() });
+    } catch (error) {
+      replyError(socket, ack, error, 'Failed to send message');
+    }
+  });
+
+  // Typing indicator, relayed to the rest of the room and never stored
+  socket.on('typing', (data = {}) => {
+    const { sessionId, isTyping = true } = data;
+    if (!sessionId || !socket.rooms.has(chatRoom(sessionId))) return;
+
+    socket.to(chatRoom(sessionId)).emit('typing', {
+      sessionId,
+      userId: user._id,
+      isTyping: Boolean(isTyping)
+    });
+  });
+
+  // Receipts: `messageIds` limits the update, otherwise every incoming message in the session
+  const handleReceipt = (event, mark) => async (data = {}, ack) => {
+    try {
+      const { session, participant } = await loadChatForUser(user, data.sessionId);
+      const { messageIds, at } = await mark(session._id, participant.senderId, data.messageIds);
+
+      if (messageIds.length > 0) {
+        io.to(chatRoom(session._id)).emit(event, {
+          sessionId: session._id,
+          messageIds,
+          by: user._id,
+          at
+        });
+      }
+
+      reply(socket, ack, { success: true, count: messageIds.length });
+    } catch (error) {
+      replyError(socket, ack, error, 'Failed to update message status');
+    }
+  };
+
+  socket.on('message_delivered', handleReceipt('message_delivered', ChatMessage.markDelivered.bind(ChatMessage)));
+  socket.on('message_read', handleReceipt('message_read', ChatMessage.markRead.bind(ChatMessage)));
+
+  // Presence of the other participant of a chat
+  socket.on('get_presence', async (data = {}, ack) => {
+    try {
+      const { session, participant } = await loadChatForUser(user, data.sessionId);
+      const counterpartId = await getCounterpartUserId(session, participant);
+      const presence = await getPresence([counterpartId]);
+
+      reply(socket, ack, {
+        success: true,
+        userId: counterpartId,
+        presence: counterpartId ? presence[counterpartId.toString()] : null
+      });
+    } catch (error) {
+      replyError(socket, ack, error, 'Failed to load presence');
+    }
+  });
+};
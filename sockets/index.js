@@ -0,0 +1,110 @@
+const { Server } = require('socket.io');
+const { authenticateToken } = require('../middlewares/auth');
+const registerChatHandlers = require('./chat.socket');
+const presence = require('./presence');
+const { userRoom } = require('./rooms');
+const { setIO, getIO, emitToUser } = require('./io');
+const { getChatContactUserIds } = require('../utils/chatAccess');
+const { emitUnreadCounts } = require('../utils/notifications');
+
+// Tell the user's chat contacts that they came online or went offline
+const broadcastPresence = async (user, online, lastSeenAt = null) => {
+  try {
+    const contactIds = await getChatContactUserIds(user);
+    const payload = { userId: user._id, online, lastSeenAt };
+    contactIds.forEach(contactId => emitToUser(contactId, 'presence', payload));
+  } catch (error) {
+    console.error('Presence broadcast error:', error);
+  }
+};
+
+// Token from `io(url, { auth: { token } })`, or a Bearer header for non-browser clients
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+
+  return null;
+};
+
+/**
+ * Handshake authentication - same checks as `protect`
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) {
+      const error = new Error('Not authorized');
+      error.data = { statusCode: 401 };
+      return next(error);
+    }
+
+    const { user, session } = await authenticateToken(token);
+    socket.data.user = user;
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    if (error.statusCode !== 401) {
+      console.error('Socket auth error:', error);
+    }
+    const refused = new Error(error.statusCode === 401 ? error.message : 'Authentication failed');
+    refused.data = {
+      statusCode: error.statusCode || 500,
+      ...(error.expired && { expired: true }),
+      ...(error.revoked && { revoked: true })
+    };
+    next(refused);
+  }
+};
+
+/**
+ * Attach Socket.IO to the HTTP server
+ */
+const initSocket = (server) => {
+  const io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+      credentials: true
+    }
+  });
+
+  setIO(io);
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log(`🔌 Socket connected: ${socket.id} (user ${user._id})`);
+
+    // Every connection of a user shares one room, so other code can reach all their devices
+    socket.join(userRoom(user._id));
+
+    if (presence.markOnline(user._id)) {
+      broadcastPresence(user, true);
+    }
+
+    // New notifications arrive as `notification`, the badge as `notification_count`
+    emitUnreadCounts([user._id]).catch(error => console.error('Unread count error:', error));
+
+    registerChatHandlers(io, socket);
+
+    socket.on('disconnect', async () => {
+      console.log('❌ Socket disconnected:', socket.id);
+      try {
+        const lastSeenAt = await presence.markOffline(user._id);
+        if (lastSeenAt) broadcastPresence(user, false, lastSeenAt);
+      } catch (error) {
+        console.error('Presence update error:', error);
+      }
+    });
+  });
+
+  return io;
+};
+
+module.exports = {
+  initSocket,
+  getIO,
+  emitToUser,
+  userRoom
+};
@@ -0,0 +1,47 @@
+const { userRoom } = require('./rooms');
+
+// The running Socket.IO server, set by initSocket; null in scripts and jobs started without it
+let io = null;
+
+const setIO = (server) => {
+  io = server;
+};
+
+const getIO = () => io;
+
+/**
+ * Push an event to every connected device of a user.
+ * No-op when sockets are not running.
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) return false;
+  io.to(userRoom(userId)).emit(event, payload);
+  return true;
+};
+
+/**
+ * Drop a user's live connections opened with one session (or all but one).
+ * Sockets are authenticated once at the handshake, so revoking the session
+ * alone would leave them receiving events.
+ * @returns {Promise<number>} sockets disconnected
+ */
+const disconnectUserSockets = async (userId, { sessionId = null, exceptSessionId = null } = {}) => {
+  if (!io) return 0;
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  const targets = sockets.filter(socket => {
+    if (sessionId) return socket.data.sessionId === String(sessionId);
+    return !exceptSessionId || socket.data.sessionId !== String(exceptSessionId);
+  });
+  targets.forEach(socket => {
+    socket.emit('session_revoked', { sessionId: socket.data.sessionId });
+    socket.disconnect(true);
+  });
+  return targets.length;
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  emitToUser,
+  disconnectUserSockets
+};
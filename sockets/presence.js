@@ -0,0 +1,57 @@
+const User = require('../models/User');
+
+/**
+ * Online presence, counted per user across their open sockets.
+ * Kept in memory, so it reflects this process only; last-seen is persisted
+ * on the user when their final socket disconnects.
+ */
+const connections = new Map();
+
+const isOnline = (userId) => connections.has(userId.toString());
+
+// Returns true when this is the user's first open socket
+const markOnline = (userId) => {
+  const key = userId.toString();
+  const count = connections.get(key) || 0;
+  connections.set(key, count + 1);
+  return count === 0;
+};
+
+// Returns the last-seen time when the user's final socket closed, else null
+const markOffline = async (userId) => {
+  const key = userId.toString();
+  const count = (connections.get(key) || 1) - 1;
+
+  if (count > 0) {
+    connections.set(key, count);
+    return null;
+  }
+
+  connections.delete(key);
+  const lastSeenAt = new Date();
+  await User.updateOne({ _id: userId }, { $set: { lastSeenAt } });
+  return lastSeenAt;
+};
+
+/**
+ * Presence for a list of users, as { [userId]: { online, lastSeenAt } }
+ */
+const getPresence = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return {};
+
+  const users = await User.find({ _id: { $in: ids } }).select('lastSeenAt');
+  const lastSeen = new Map(users.map(user => [user._id.toString(), user.lastSeenAt || null]));
+
+  return ids.reduce((acc, id) => {
+    acc[id] = { online: isOnline(id), lastSeenAt: lastSeen.get(id) || null };
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  isOnline,
+  markOnline,
+  markOffline,
+  getPresence
+};
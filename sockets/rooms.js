@@ -0,0 +1,5 @@
+// Room names shared by the socket handlers
+const userRoom = (userId) => `user:${userId}`;
+const chatRoom = (sessionId) => `chat:${sessionId}`;
+
+module.exports = { userRoom, chatRoom };
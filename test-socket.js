@@ -1,12 +1,21 @@
 const io = require('socket.io-client');
-const socket = io('http://13.48.49.45', { transports: ['websocket'] });
+// Usage: SOCKET_TOKEN=<access token> CHAT_SESSION_ID=<id> node test-socket.js
+const socket = io('http://13.48.49.45', {
+    transports: ['websocket'],
+    auth: { token: process.env.SOCKET_TOKEN }
+});
+
+socket.on('connect_error', (err) => {
+    console.error('CONNECT ERROR:', err.message, err.data || '');
+    process.exit(1);
+});
 
 socket.on('connect', () => {
     console.log('Test Socket Connected. Joining room...');
-    // We need a dummy session id that resembles a mongo id
-    const dummySessionId = '6620ca123456789012345678';
+    // Must be a chat session the token's user participates in
+    const sessionId = process.env.CHAT_SESSION_ID;
     
-    socket.emit('join_chat', { sessionId: dummySessionId });
+    socket.emit('join_chat', { sessionId });
 
     socket.on('receive_message', (data) => {
         console.log('RECEIVED MESSAGE:', JSON.stringify(data, null, 2));
@@ -21,9 +30,7 @@ socket.on('connect', () => {
     setTimeout(() => {
         console.log('Sending test message...');
         socket.emit('send_message', {
-            sessionId: dummySessionId,
-            senderId: '6620ca123456789012345679',
-            senderType: 'patient',
+            sessionId,
             content: 'Hello world from test script',
             messageType: 'text'
         });
@@ -0,0 +1,113 @@
+const AuditLog = require('../models/AuditLog');
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// 15 min, 30 min, 1 h, ... capped at a day
+const lockMinutes = (lockoutCount) =>
+  Math.min(BASE_LOCK_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCK_MINUTES);
+
+const requestContext = (req) => ({
+  endpoint: req.originalUrl,
+  method: req.method,
+  ipAddress: (req.headers['x-forwarded-for'] || req.ip || '').split(',')[0].trim(),
+  userAgent: req.get('user-agent')
+});
+
+async function audit(user, action, req, details) {
+  try {
+    await AuditLog.create({
+      userId: user._id,
+      userRole: user.role,
+      action,
+      entity: 'User',
+      entityId: user._id,
+      ...(req ? requestContext(req) : {}),
+      details,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Lockout audit log error:', error);
+  }
+}
+
+/**
+ * Current lock, or null. An expired lock is cleared here and its unlock recorded,
+ * so the failure counter starts fresh for the next attempt.
+ */
+async function checkAccountLock(user, req) {
+  if (!user.lockUntil) return null;
+
+  if (user.lockUntil > new Date()) {
+    return {
+      lockedUntil: user.lockUntil,
+      retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  const expiredLock = user.lockUntil;
+  user.lockUntil = undefined;
+  user.failedLoginAttempts = 0;
+  await user.save();
+  await audit(user, 'ACCOUNT_UNLOCKED', req, { reason: 'Lock expired', lockedUntil: expiredLock });
+  return null;
+}
+
+/**
+ * Count a failed password or second-factor attempt. Locks the account once
+ * the limit is reached and returns the new lock, or null.
+ */
+async function recordFailedLogin(user, req, reason = 'Invalid password') {
+  user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+
+  if (user.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    await user.save();
+    return null;
+  }
+
+  user.lockoutCount = (user.lockoutCount || 0) + 1;
+  const minutes = lockMinutes(user.lockoutCount);
+  user.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  user.failedLoginAttempts = 0;
+  await user.save();
+
+  console.warn(`🔒 Account ${user.email} locked for ${minutes} minutes after ${MAX_FAILED_LOGINS} failed attempts`);
+  await audit(user, 'ACCOUNT_LOCKED', req, {
+    reason,
+    failedAttempts: MAX_FAILED_LOGINS,
+    lockoutCount: user.lockoutCount,
+    lockMinutes: minutes,
+    lockedUntil: user.lockUntil
+  });
+
+  return {
+    lockedUntil: user.lockUntil,
+    retryAfter: minutes * 60
+  };
+}
+
+// Admin unlock; also forgets earlier lockouts so the next one starts short again
+async function unlockAccount(user, req, admin, reason) {
+  const wasLocked = !!(user.lockUntil && user.lockUntil > new Date());
+
+  user.lockUntil = undefined;
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  await user.save();
+
+  await audit(user, 'ACCOUNT_UNLOCKED', req, {
+    reason: reason || 'Unlocked by admin',
+    unlockedBy: admin._id,
+    wasLocked
+  });
+
+  return wasLocked;
+}
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  checkAccountLock,
+  recordFailedLogin,
+  unlockAccount
+};
@@ -0,0 +1,152 @@
+const Appointment = require('../models/Appointment');
+const PatientProfile = require('../models/PatientProfile');
+const DoctorProfile = require('../models/DoctorProfile');
+const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
+const PathologyProfile = require('../models/PathologyProfile');
+const { notify } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest lead time first; names match Appointment.remindersSent
+const REMINDERS = [
+  { type: '24h_before', minutesBefore: 24 * 60, channels: ['in_app', 'push', 'email', 'whatsapp'] },
+  { type: '2h_before', minutesBefore: 2 * 60, channels: ['in_app', 'push', 'sms', 'whatsapp'] },
+  { type: '15min_before', minutesBefore: 15, channels: ['in_app', 'push'] }
+];
+
+const PROFESSIONALS = {
+  doctor: { model: DoctorProfile, idField: 'doctorId', nameField: 'name' },
+  physio: { model: PhysiotherapistProfile, idField: 'physioId', nameField: 'name' },
+  pathology: { model: PathologyProfile, idField: 'pathologyId', nameField: 'labName' }
+};
+
+// Start time in server local time, as used for cancellation terms
+function getAppointmentStart(appointment) {
+  const start = new Date(appointment.appointmentDate);
+  const [hours, minutes] = (appointment.startTime || '00:00').split(':').map(Number);
+  start.setHours(hours, minutes, 0, 0);
+  return start;
+}
+
+/**
+ * The reminder an appointment is due for: the shortest lead time whose window
+ * has opened, unless it (or a shorter one) was already sent. Reminders the
+ * appointment was booked too late for are skipped rather than sent late.
+ */
+function getDueReminder(appointment, now = new Date()) {
+  const start = getAppointmentStart(appointment);
+  const minutesLeft = (start - now) / 60000;
+  if (minutesLeft <= 0) return null;
+
+  const index = REMINDERS.findLastIndex(reminder => minutesLeft <= reminder.minutesBefore);
+  if (index === -1) return null;
+
+  const sent = new Set((appointment.remindersSent || []).map(entry => entry.type));
+  const coveredBy = REMINDERS.slice(index).map(reminder => reminder.type);
+  if (coveredBy.some(type => sent.has(type))) return null;
+
+  return { ...REMINDERS[index], coveredBy, start, minutesLeft };
+}
+
+async function sendReminder(appointment, reminder) {
+  const professionalConfig = PROFESSIONALS[appointment.professionalType];
+  const [patient, professional] = await Promise.all([
+    PatientProfile.findById(appointment.patientId).select('userId name preferences.reminderPreferences'),
+    professionalConfig
+      ? professionalConfig.model.findById(appointment[professionalConfig.idField]).select(`userId ${professionalConfig.nameField}`)
+      : null
+  ]);
+
+  const end = new Date(reminder.start.getTime() + (appointment.duration || 30) * 60 * 1000);
+  const details = {
+    visitType: appointment.type,
+    date: appointment.appointmentDate,
+    startTime: appointment.startTime,
+    minutesBefore: reminder.minutesLeft,
+    meetingLink: appointment.meetingLink,
+    address: appointment.address,
+    reminder: reminder.type
+  };
+  const common = {
+    type: 'reminder',
+    template: 'appointment_reminder',
+    channels: reminder.channels,
+    priority: reminder.type === '15min_before' ? 'high' : 'medium',
+    // Stale once the visit is over; undelivered retries are dropped too
+    expiresAt: end,
+    actionUrl: `/appointments/${appointment._id}`,
+    actionText: appointment.type === 'video' ? 'Join' : 'View appointment',
+    relatedEntity: 'Appointment',
+    relatedEntityId: appointment._id
+  };
+
+  if (patient?.userId && patient.preferences?.reminderPreferences?.appointmentReminders !== false) {
+    await notify({
+      ...common,
+      userId: patient.userId,
+      data: { ...details, audience: 'patient', counterpartName: professional?.[professionalConfig.nameField] }
+    });
+  }
+
+  if (professional?.userId) {
+    await notify({
+      ...common,
+      userId: professional.userId,
+      data: { ...details, audience: 'professional', counterpartName: patient?.name }
+    });
+  }
+}
+
+/**
+ * Send the reminders that are due for confirmed appointments
+ * Each reminder is claimed on the appointment before it is sent, so it goes out
+ * once however many instances run this; a failed send releases the claim.
+ * @returns {Promise<number>} reminders sent
+ */
+async function sendDueAppointmentReminders(now = new Date()) {
+  const candidates = await Appointment.find({
+    status: 'confirmed',
+    // appointmentDate is the day; the start can be up to a day later
+    appointmentDate: { $gte: new Date(now.getTime() - DAY_MS), $lte: new Date(now.getTime() + DAY_MS) },
+    'remindersSent.type': { $ne: '15min_before' }
+  }).select('appointmentDate startTime remindersSent');
+
+  let sent = 0;
+  for (const candidate of candidates) {
+    const reminder = getDueReminder(candidate, now);
+    if (!reminder) continue;
+
+    const appointment = await Appointment.findOneAndUpdate(
+      {
+        _id: candidate._id,
+        status: 'confirmed',
+        appointmentDate: candidate.appointmentDate,
+        startTime: candidate.startTime,
+        'remindersSent.type': { $nin: reminder.coveredBy }
+      },
+      { $push: { remindersSent: { type: reminder.type, sentAt: now } } },
+      { new: true }
+    );
+    // Claimed elsewhere, or cancelled/rescheduled since the query
+    if (!appointment) continue;
+
+    try {
+      await sendReminder(appointment, reminder);
+      sent++;
+    } catch (error) {
+      console.error(`Appointment ${appointment._id} ${reminder.type} reminder failed:`, error);
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $pull: { remindersSent: { type: reminder.type, sentAt: now } } }
+      );
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  REMINDERS,
+  getDueReminder,
+  sendDueAppointmentReminders
+};
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const ChatSession = require('../models/ChatSession');
+
+// Profile model behind each side of a chat (patient, or ChatSession.professionalType)
+const PROFILE_MODELS = {
+  patient: 'PatientProfile',
+  doctor: 'DoctorProfile',
+  physio: 'PhysiotherapistProfile',
+  pathology: 'PathologyProfile',
+  pharmacy: 'PharmacyProfile'
+};
+
+/**
+ * Which side of a chat session the user is on, as it should be recorded on
+ * their messages. Returns null when the user is not a participant.
+ */
+function getChatParticipant(user, session) {
+  if (!user.profileId) return null;
+  const profileId = user.profileId.toString();
+
+  if (user.role === 'patient' && session.patientId?.toString() === profileId) {
+    return { senderId: user.profileId, senderType: 'patient' };
+  }
+
+  // ChatSession.professionalType uses the same names as User.role
+  if (user.role === session.professionalType && session.professionalId?.toString() === profileId) {
+    return { senderId: user.profileId, senderType: session.professionalType };
+  }
+
+  return null;
+}
+
+/**
+ * Load a chat session the user participates in.
+ * Throws an error with `statusCode` (400/404/403) otherwise.
+ */
+async function loadChatForUser(user, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    const error = new Error('Invalid chat session');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const session = await ChatSession.findById(sessionId);
+  if (!session) {
+    const error = new Error('Chat session not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const participant = getChatParticipant(user, session);
+  if (!participant) {
+    const error = new Error('You are not a participant in this chat');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return { session, participant };
+}
+
+/**
+ * User id behind the other side of a chat, from the participant's point of view
+ */
+async function getCounterpartUserId(session, participant) {
+  const [type, profileId] = participant.senderType === 'patient'
+    ? [session.professionalType, session.professionalId]
+    : ['patient', session.patientId];
+
+  const profile = await mongoose.model(PROFILE_MODELS[type]).findById(profileId).select('userId');
+  return profile?.userId || null;
+}
+
+/**
+ * ChatSession filter for every chat the user is part of, or null if they can't chat
+ */
+function getUserChatFilter(user) {
+  if (!user.profileId || !PROFILE_MODELS[user.role]) return null;
+
+  return user.role === 'patient'
+    ? { patientId: user.profileId }
+    : { professionalId: user.profileId, professionalType: user.role };
+}
+
+/**
+ * User ids of everyone the user has an active chat with
+ */
+async function getChatContactUserIds(user) {
+  const filter = getUserChatFilter(user);
+  if (!filter) return [];
+
+  const isPatient = user.role === 'patient';
+  const sessions = await ChatSession.find({ ...filter, status: 'active' })
+    .select('patientId professionalId professionalType');
+
+  // Group the other side's profile ids by model so each model is queried once
+  const byType = {};
+  for (const session of sessions) {
+    const [type, profileId] = isPatient
+      ? [session.professionalType, session.professionalId]
+      : ['patient', session.patientId];
+    (byType[type] = byType[type] || []).push(profileId);
+  }
+
+  const userIds = new Set();
+  for (const [type, profileIds] of Object.entries(byType)) {
+    const profiles = await mongoose.model(PROFILE_MODELS[type])
+      .find({ _id: { $in: profileIds } })
+      .select('userId');
+    profiles.forEach(profile => profile.userId && userIds.add(profile.userId.toString()));
+  }
+
+  return [...userIds];
+}
+
+module.exports = {
+  PROFILE_MODELS,
+  getChatParticipant,
+  getUserChatFilter,
+  loadChatForUser,
+  getCounterpartUserId,
+  getChatContactUserIds
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const path = require('path');
+const ChatAttachment = require('../models/ChatAttachment');
+const { getFileStorage } = require('./fileStorage');
+const { getFileScanner } = require('./fileScanner');
+
+const MAX_SIZE_MB = parseInt(process.env.CHAT_ATTACHMENT_MAX_MB) || 10;
+const MAX_SIZE_BYTES = MAX_SIZE_MB * 1024 * 1024;
+// How long a signed download URL stays valid
+const URL_TTL_SECONDS = parseInt(process.env.CHAT_ATTACHMENT_URL_TTL) || 300;
+
+// Accepted uploads; `magic` is checked against the file's first bytes where the format has one
+const ATTACHMENT_TYPES = {
+  'image/jpeg': { kind: 'image', extensions: ['.jpg', '.jpeg'], magic: [Buffer.from([0xff, 0xd8, 0xff])] },
+  'image/png': { kind: 'image', extensions: ['.png'], magic: [Buffer.from([0x89, 0x50, 0x4e, 0x47])] },
+  'image/webp': { kind: 'image', extensions: ['.webp'], magic: [Buffer.from('RIFF')] },
+  'application/pdf': { kind: 'document', extensions: ['.pdf'], magic: [Buffer.from('%PDF')] },
+  'application/msword': { kind: 'document', extensions: ['.doc'] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    kind: 'document',
+    extensions: ['.docx'],
+    magic: [Buffer.from([0x50, 0x4b, 0x03, 0x04])]
+  },
+  'text/plain': { kind: 'document', extensions: ['.txt'] }
+};
+
+// What clients see of an attachment; storage details stay server-side
+const ATTACHMENT_FIELDS = 'kind originalName mimeType size';
+
+const attachmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Type check on the declared mime type and extension (used by the multer file filter)
+function getAttachmentType(file) {
+  const type = ATTACHMENT_TYPES[file.mimetype];
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!type || !type.extensions.includes(extension)) return null;
+  return type;
+}
+
+/**
+ * Scan, store and record an uploaded chat file (multer memory file)
+ */
+async function saveChatAttachment(file, { session, user }) {
+  const type = getAttachmentType(file);
+  if (!type) {
+    throw attachmentError('Unsupported file type', 415);
+  }
+  if (type.magic && !type.magic.some(signature => file.buffer.subarray(0, signature.length).equals(signature))) {
+    throw attachmentError('File content does not match its type', 415);
+  }
+
+  // Pre-save hook: nothing reaches storage unless the scanner passes it
+  let scan;
+  try {
+    scan = await getFileScanner().scan(file.buffer, { filename: file.originalname, mimeType: file.mimetype });
+  } catch (error) {
+    console.error('Attachment scan error:', error);
+    throw attachmentError('File could not be scanned. Please try again later.', 503);
+  }
+  if (!scan.clean) {
+    console.warn(`Rejected infected chat upload from user ${user._id}: ${scan.signature || 'unknown'}`);
+    throw attachmentError('File failed the virus scan', 422);
+  }
+
+  const storage = getFileStorage();
+  const extension = path.extname(file.originalname).toLowerCase();
+  const { key, meta } = await storage.put(file.buffer, {
+    key: `chat/${session._id}/${crypto.randomBytes(16).toString('hex')}${extension}`,
+    mimeType: file.mimetype
+  });
+
+  try {
+    return await ChatAttachment.create({
+      sessionId: session._id,
+      uploadedBy: user._id,
+      kind: type.kind,
+      originalName: path.basename(file.originalname),
+      mimeType: file.mimetype,
+      size: file.size,
+      storage: storage.name,
+      storageKey: key,
+      storageMeta: meta,
+      scanStatus: scan.scanner === 'none' ? 'not_scanned' : 'clean',
+      scanner: scan.scanner,
+      scannedAt: new Date()
+    });
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(key, meta).catch(() => {});
+    throw error;
+  }
+}
+
+const signDownload = (attachmentId, expires) => {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${attachmentId}.${expires}`).digest('hex');
+};
+
+/**
+ * Expiring download URL for an attachment. Callers must have checked that
+ * the user participates in the attachment's chat session.
+ */
+async function getAttachmentDownloadUrl(attachment) {
+  const expiresAt = new Date(Date.now() + URL_TTL_SECONDS * 1000);
+  const storage = getFileStorage();
+
+  if (storage.name === attachment.storage && storage.getSignedUrl) {
+    const url = await storage.getSignedUrl(attachment.storageKey, attachment.storageMeta || {}, { expiresAt });
+    return { url, expiresAt };
+  }
+
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  const params = new URLSearchParams({ expires: String(expires), signature: signDownload(attachment._id, expires) });
+  return { url: `/api/chat/attachments/${attachment._id}/download?${params.toString()}`, expiresAt };
+}
+
+// Validate the query of a URL built by getAttachmentDownloadUrl
+function verifyDownloadSignature(attachmentId, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signDownload(attachmentId, expiresAt));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+module.exports = {
+  MAX_SIZE_BYTES,
+  ATTACHMENT_FIELDS,
+  ATTACHMENT_TYPES,
+  getAttachmentType,
+  saveChatAttachment,
+  getAttachmentDownloadUrl,
+  verifyDownloadSignature
+};
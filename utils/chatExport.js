@@ -0,0 +1,120 @@
+const PDFDocument = require('pdfkit');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Chat transcript PDF for the patient's medical record
+ * @param {object} transcript - { session, messages, patientName, professionalName, appointment, exportedBy, truncated }
+ *   messages are oldest first, with `attachmentId` populated where present
+ * @returns {Promise<Buffer>}
+ */
+function buildChatTranscriptPdf(transcript) {
+  const { session, messages, patientName, professionalName, appointment, exportedBy, truncated } = transcript;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const exportedAt = new Date();
+
+    const senderName = (message) => {
+      if (message.senderType === 'system') return 'System';
+      return message.senderType === 'patient' ? patientName : professionalName;
+    };
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text('Chat Transcript', { align: 'center' });
+    doc.moveDown(0.5);
+
+    const details = [
+      ['Patient', patientName],
+      ['Professional', `${professionalName} (${session.professionalType})`],
+      appointment && ['Appointment', `${formatDate(appointment.appointmentDate)} ${appointment.startTime || ''}`.trim()],
+      ['Chat started', formatDateTime(session.createdAt)],
+      ['Status', session.status === 'closed' && session.closedAt ? `Closed ${formatDateTime(session.closedAt)}` : session.status],
+      ['Messages', truncated ? `${messages.length} (latest only)` : String(messages.length)],
+      ['Exported', `${formatDateTime(exportedAt)} by ${exportedBy}`]
+    ].filter(Boolean);
+
+    doc.fontSize(10);
+    details.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(label, left, y, { width: 90 });
+      doc.font('Helvetica').text(String(value), left + 90, y, { width: usableWidth - 90 });
+    });
+
+    doc.moveDown(0.5);
+    doc.moveTo(left, doc.y).lineTo(left + usableWidth, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown(0.5);
+
+    if (messages.length === 0) {
+      doc.fontSize(10).font('Helvetica-Oblique').text('No messages in this conversation', left);
+    }
+
+    // Messages
+    messages.forEach(message => {
+      const attachment = message.attachmentId;
+      const body = attachment
+        ? `[${attachment.kind === 'image' ? 'Image' : 'Document'}: ${attachment.originalName}${attachment.size ? `, ${formatSize(attachment.size)}` : ''}]` +
+          (message.content && message.content !== attachment.originalName ? `\n${message.content}` : '')
+        : message.content;
+
+      doc.fontSize(9);
+      const height = doc.heightOfString(body, { width: usableWidth }) + 18;
+      if (doc.y + Math.min(height, 60) > bottom()) doc.addPage();
+
+      doc.font('Helvetica-Bold').fillColor(message.senderType === 'patient' ? '#1f4e79' : '#2e6b30')
+        .text(senderName(message), left, doc.y, { continued: true })
+        .font('Helvetica').fillColor('gray')
+        .text(`  ${formatDateTime(message.createdAt)}${message.readAt ? '  ·  read' : ''}`);
+      doc.font('Helvetica').fillColor('black').text(body, left, doc.y, { width: usableWidth });
+      doc.moveDown(0.6);
+    });
+
+    // Page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom: marginBottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc.fontSize(8).font('Helvetica').fillColor('gray').text(
+        `Confidential medical communication  ·  Page ${i + 1} of ${range.count}`,
+        left,
+        doc.page.height - marginBottom + 10,
+        { width: usableWidth, align: 'center', lineBreak: false }
+      );
+      doc.page.margins.bottom = marginBottom;
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildChatTranscriptPdf
+};
@@ -0,0 +1,153 @@
+const ChatSession = require('../models/ChatSession');
+const { getIO } = require('../sockets/io');
+const { chatRoom } = require('../sockets/rooms');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a chat stays open after the appointment is completed; 0 closes it right away
+const DEFAULT_FOLLOWUP_DAYS = Number.isInteger(parseInt(process.env.CHAT_FOLLOWUP_DAYS))
+  ? parseInt(process.env.CHAT_FOLLOWUP_DAYS)
+  : 7;
+const MAX_FOLLOWUP_DAYS = 30;
+
+// Appointment statuses during which the chat is open
+const OPEN_APPOINTMENT_STATUSES = ['confirmed', 'in_progress'];
+const CLOSED_APPOINTMENT_STATUSES = ['cancelled', 'rejected', 'no_show'];
+
+const PROFESSIONAL_FIELDS = {
+  doctor: 'doctorId',
+  physio: 'physioId',
+  pathology: 'pathologyId'
+};
+
+const idOf = (value) => value?._id || value;
+
+// Follow-up days from a request, clamped; undefined falls back to the default
+function resolveFollowupDays(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_FOLLOWUP_DAYS;
+  const days = parseInt(value);
+  if (!Number.isInteger(days) || days < 0) return DEFAULT_FOLLOWUP_DAYS;
+  return Math.min(days, MAX_FOLLOWUP_DAYS);
+}
+
+// Let clients in the chat update their view
+function emitChatState(session, event) {
+  getIO()?.to(chatRoom(session._id)).emit(event, {
+    sessionId: session._id,
+    status: session.status,
+    closesAt: session.closesAt || null,
+    closedAt: session.closedAt || null,
+    closeReason: session.closeReason || null
+  });
+}
+
+async function closeChatSession(session, { reason, closedBy } = {}) {
+  session.status = 'closed';
+  session.closedAt = new Date();
+  session.closedBy = closedBy;
+  session.closeReason = reason;
+  session.closesAt = undefined;
+  await session.save();
+
+  emitChatState(session, 'chat_closed');
+  return session;
+}
+
+/**
+ * Reopen a closed chat; with `closesInDays` it closes again after that many days
+ */
+async function reopenChatSession(session, { closesInDays } = {}) {
+  session.status = 'active';
+  session.closedAt = undefined;
+  session.closedBy = undefined;
+  session.closeReason = undefined;
+  session.closesAt = closesInDays > 0 ? new Date(Date.now() + closesInDays * DAY_MS) : undefined;
+  await session.save();
+
+  emitChatState(session, 'chat_reopened');
+  return session;
+}
+
+/**
+ * Chat session for an appointment, created (or reopened) when the appointment is confirmed
+ */
+async function openChatForAppointment(appointment) {
+  const professionalId = idOf(appointment[PROFESSIONAL_FIELDS[appointment.professionalType]]);
+  if (!professionalId) return null;
+
+  const session = await ChatSession.findOne({ appointmentId: appointment._id });
+  if (!session) {
+    return ChatSession.create({
+      patientId: idOf(appointment.patientId),
+      professionalId,
+      professionalType: appointment.professionalType,
+      appointmentId: appointment._id
+    });
+  }
+
+  if (session.status !== 'active' || session.closesAt) {
+    return reopenChatSession(session);
+  }
+  return session;
+}
+
+/**
+ * Keep the appointment's chat in step with its status:
+ * open while confirmed, follow-up window once completed, closed when cancelled.
+ * Never blocks the appointment change; failures are logged.
+ */
+async function syncChatWithAppointment(appointment, { followupDays } = {}) {
+  try {
+    if (OPEN_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      return await openChatForAppointment(appointment);
+    }
+
+    const session = await ChatSession.findOne({ appointmentId: appointment._id, status: 'active' });
+    if (!session) return null;
+
+    if (appointment.status === 'completed') {
+      const days = resolveFollowupDays(followupDays);
+      if (days === 0) {
+        return await closeChatSession(session, { reason: 'followup_expired' });
+      }
+      session.closesAt = new Date(Date.now() + days * DAY_MS);
+      await session.save();
+      emitChatState(session, 'chat_updated');
+      return session;
+    }
+
+    if (CLOSED_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      return await closeChatSession(session, { reason: 'appointment_cancelled' });
+    }
+
+    return session;
+  } catch (error) {
+    console.error(`Chat sync failed for appointment ${appointment._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Close chats whose follow-up window has ended
+ */
+async function closeExpiredChats(now = new Date()) {
+  const sessions = await ChatSession.find({ status: 'active', closesAt: { $lte: now } });
+
+  for (const session of sessions) {
+    await closeChatSession(session, { reason: 'followup_expired' });
+  }
+  return sessions.length;
+}
+
+module.exports = {
+  DEFAULT_FOLLOWUP_DAYS,
+  MAX_FOLLOWUP_DAYS,
+  OPEN_APPOINTMENT_STATUSES,
+  PROFESSIONAL_FIELDS,
+  resolveFollowupDays,
+  openChatForAppointment,
+  closeChatSession,
+  reopenChatSession,
+  syncChatWithAppointment,
+  closeExpiredChats
+};
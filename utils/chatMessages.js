@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const ChatSession = require('../models/ChatSession');
+const ChatAttachment = require('../models/ChatAttachment');
+const { loadChatForUser, getCounterpartUserId, getUserChatFilter } = require('./chatAccess');
+const { ATTACHMENT_FIELDS } = require('./chatAttachments');
+const { getIO } = require('../sockets/io');
+const { userRoom, chatRoom } = require('../sockets/rooms');
+
+const MESSAGE_TYPES = ['text', 'image', 'document'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const messageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Send a message as `user` (socket `send_message` and the REST endpoint).
+ * The sender comes from the user, never the payload; closed chats refuse
+ * new messages. Throws errors with `statusCode`.
+ */
+async function sendChatMessage(user, { sessionId, content, messageType = 'text', fileUrl, attachmentId }) {
+  if (!sessionId || (!content && !attachmentId)) {
+    throw messageError('Missing required fields for message', 400);
+  }
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    throw messageError('Invalid message type', 400);
+  }
+
+  const { session, participant } = await loadChatForUser(user, sessionId);
+
+  if (session.status !== 'active') {
+    throw messageError('This chat is closed', 409);
+  }
+
+  // Only the uploader can send an attachment, once, into the chat it was uploaded to
+  const messageId = new mongoose.Types.ObjectId();
+  let attachment = null;
+  if (attachmentId) {
+    if (!mongoose.isValidObjectId(attachmentId)) {
+      throw messageError('Attachment not found', 404);
+    }
+    // Claim it atomically so concurrent sends cannot both use it
+    attachment = await ChatAttachment.findOneAndUpdate(
+      { _id: attachmentId, sessionId: session._id, uploadedBy: user._id, messageId: { $exists: false } },
+      { $set: { messageId } },
+      { new: true }
+    );
+    if (!attachment) {
+      throw messageError('Attachment not found', 404);
+    }
+    messageType = attachment.kind;
+    content = content || attachment.originalName;
+  }
+
+  // Create new chat message
+  const msg = await ChatMessage.create({
+    _id: messageId,
+    sessionId: session._id,
+    senderId: participant.senderId,
+    senderType: participant.senderType,
+    content,
+    messageType,
+    fileUrl: attachment ? undefined : fileUrl,
+    attachmentId: attachment?._id,
+    isRead: false
+  });
+
+  if (attachment) {
+    await msg.populate('attachmentId', ATTACHMENT_FIELDS);
+  }
+
+  // Update session lastMessage
+  await ChatSession.findByIdAndUpdate(session._id, {
+    lastMessage: msg._id,
+    updatedAt: new Date()
+  });
+
+  const io = getIO();
+  if (io) {
+    // Broadcast to everyone in the room (including sender to confirm)
+    io.to(chatRoom(session._id)).emit('receive_message', msg.toJSON());
+
+    // Reach the other side's devices that are not viewing this chat, so they can report delivery
+    const counterpartId = await getCounterpartUserId(session, participant);
+    if (counterpartId) {
+      io.to(userRoom(counterpartId)).except(chatRoom(session._id)).emit('receive_message', msg.toJSON());
+    }
+  }
+
+  return msg;
+}
+
+const pageSize = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+const checkCursor = (cursor, name) => {
+  if (cursor && !mongoose.isValidObjectId(cursor)) {
+    throw messageError(`Invalid ${name} cursor`, 400);
+  }
+};
+
+/**
+ * One page of a session's messages, oldest first.
+ * `before`/`after` are message ids; with neither, the latest page is returned.
+ * Message ids increase with send time, so they double as the sort key.
+ */
+async function getMessagePage(sessionId, { before, after, limit, skip } = {}) {
+  checkCursor(before, 'before');
+  checkCursor(after, 'after');
+  if (before && after) {
+    throw messageError('Use either before or after, not both', 400);
+  }
+
+  const size = pageSize(limit);
+  const filter = { sessionId };
+  if (before) filter._id = { $lt: before };
+  if (after) filter._id = { $gt: after };
+
+  // One extra row tells us whether there is more in that direction
+  let query = ChatMessage.find(filter)
+    .populate('attachmentId', ATTACHMENT_FIELDS)
+    .sort({ _id: after ? 1 : -1 })
+    .limit(size + 1);
+
+  // Offset paging is kept for older clients; cursors are preferred
+  if (!before && !after && parseInt(skip) > 0) {
+    query = query.skip(parseInt(skip));
+  }
+
+  const rows = await query;
+  const hasMore = rows.length > size;
+  const messages = rows.slice(0, size);
+  if (!after) messages.reverse();
+
+  return {
+    messages,
+    pagination: {
+      limit: size,
+      hasOlder: after ? true : hasMore,
+      hasNewer: after ? hasMore : Boolean(before),
+      oldestId: messages[0]?._id || null,
+      newestId: messages[messages.length - 1]?._id || null
+    }
+  };
+}
+
+/**
+ * Full-text search over the messages of every chat the user is part of
+ * (or just `sessionId`), newest first; page with `before` = last result id.
+ */
+async function searchChatMessages(user, { q, sessionId, before, limit } = {}) {
+  const text = String(q || '').trim();
+  if (text.length < 2) {
+    throw messageError('Search text must be at least 2 characters', 400);
+  }
+  checkCursor(before, 'before');
+
+  let sessionIds;
+  if (sessionId) {
+    const { session } = await loadChatForUser(user, sessionId);
+    sessionIds = [session._id];
+  } else {
+    const filter = getUserChatFilter(user);
+    if (!filter) return { results: [], hasMore: false };
+    const sessions = await ChatSession.find(filter).select('_id');
+    sessionIds = sessions.map(session => session._id);
+  }
+
+  const size = pageSize(limit);
+  const rows = await ChatMessage.find({
+    sessionId: { $in: sessionIds },
+    $text: { $search: text },
+    ...(before && { _id: { $lt: before } })
+  })
+    .populate('sessionId', 'patientId professionalId professionalType appointmentId status')
+    .populate('attachmentId', ATTACHMENT_FIELDS)
+    .sort({ _id: -1 })
+    .limit(size + 1);
+
+  return {
+    results: rows.slice(0, size),
+    hasMore: rows.length > size
+  };
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  sendChatMessage,
+  getMessagePage,
+  searchChatMessages
+};
@@ -0,0 +1,512 @@
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Commission = require('../models/Commission');
+const Appointment = require('../models/Appointment');
+const { splitGst } = require('./gst');
+
+// Reasons where money goes back to the patient; the refund flow owns the invoice status then
+const MONEY_BACK_REASONS = ['refund', 'cancellation'];
+
+// Fields a reissued invoice may change
+const REISSUE_FIELDS = [
+  'customerName',
+  'customerPhone',
+  'customerEmail',
+  'customerAddress',
+  'customerState',
+  'recipientGstin',
+  'placeOfSupply',
+  'discount',
+  'dueDate',
+  'notes'
+];
+
+// Per-invoice credit lock: held while a note is issued, so two requests never credit the same remainder
+const CREDIT_LOCK_MS = 30 * 1000;
+const CREDIT_LOCK_RETRY_MS = 100;
+const CREDIT_LOCK_MAX_WAIT_MS = 5 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// ========== CREDIT LOCK ==========
+
+/**
+ * Run fn while holding the invoice's credit lock
+ * fn gets the invoice as it stands once the lock is held.
+ */
+async function withCreditLock(invoiceId, fn) {
+  const waitUntil = Date.now() + CREDIT_LOCK_MAX_WAIT_MS;
+  let lockedUntil;
+  let current;
+
+  for (;;) {
+    const now = new Date();
+    lockedUntil = new Date(now.getTime() + CREDIT_LOCK_MS);
+    current = await Invoice.findOneAndUpdate(
+      {
+        _id: invoiceId,
+        $or: [
+          { creditLockedUntil: { $exists: false } },
+          { creditLockedUntil: null },
+          { creditLockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { creditLockedUntil: lockedUntil } },
+      { new: true }
+    );
+    if (current) break;
+
+    if (!(await Invoice.exists({ _id: invoiceId }))) {
+      const error = new Error('Invoice not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (Date.now() > waitUntil) {
+      const busy = new Error('Another credit note for this invoice is in progress. Please try again.');
+      busy.statusCode = 409;
+      throw busy;
+    }
+    await sleep(CREDIT_LOCK_RETRY_MS);
+  }
+
+  try {
+    return await fn(current);
+  } finally {
+    await Invoice.updateOne(
+      { _id: invoiceId, creditLockedUntil: lockedUntil },
+      { $unset: { creditLockedUntil: 1 } }
+    ).catch(err => console.error('Error releasing credit lock:', err.message));
+  }
+}
+
+// ========== LINE REVERSALS ==========
+
+/**
+ * Invoice lines with what earlier credit notes left to credit
+ */
+async function getCreditableLines(invoice) {
+  const credited = await CreditNote.aggregate([
+    { $match: { invoiceId: invoice._id } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.invoiceItemId',
+        taxableValue: { $sum: '$items.taxableValue' },
+        taxAmount: { $sum: '$items.taxAmount' },
+        quantity: { $sum: '$items.quantity' }
+      }
+    }
+  ]);
+  const creditedByItem = new Map(credited.map(c => [String(c._id), c]));
+
+  return invoice.items.map(item => {
+    const taxableValue = item.taxableValue ?? item.amount;
+    const taxAmount = item.taxAmount || 0;
+    const done = creditedByItem.get(String(item._id)) || { taxableValue: 0, taxAmount: 0, quantity: 0 };
+    return {
+      item,
+      taxableValue,
+      taxAmount,
+      remainingTaxable: round2(taxableValue - done.taxableValue),
+      remainingTax: round2(taxAmount - done.taxAmount),
+      remainingQuantity: item.quantity - done.quantity
+    };
+  });
+}
+
+function buildCreditItem(line, taxableValue, taxAmount, quantity, interState) {
+  const split = splitGst(taxableValue, line.item.taxRate, interState, taxAmount);
+
+  // Later reversals of the same line see what this one used up
+  line.remainingTaxable = round2(line.remainingTaxable - taxableValue);
+  line.remainingTax = round2(line.remainingTax - split.taxAmount);
+  line.remainingQuantity -= quantity;
+
+  return {
+    invoiceItemId: line.item._id,
+    description: line.item.description,
+    hsnSacCode: line.item.hsnSacCode,
+    codeType: line.item.codeType,
+    quantity,
+    unitPrice: line.item.unitPrice,
+    taxableValue,
+    taxRate: line.item.taxRate || 0,
+    ...split,
+    amount: round2(taxableValue + split.taxAmount)
+  };
+}
+
+/**
+ * Explicit reversals: [{ itemId, quantity }] or [{ itemId, amount }] (amount = taxable value)
+ * Without lines, everything still open on the invoice is reversed.
+ */
+function buildLineReversals(lines, requested, interState) {
+  if (!requested || !requested.length) {
+    return lines
+      .filter(line => line.remainingTaxable > 0 || line.remainingTax > 0)
+      .map(line => buildCreditItem(line, line.remainingTaxable, line.remainingTax, Math.max(0, line.remainingQuantity), interState));
+  }
+
+  return requested.map(request => {
+    const line = lines.find(l => String(l.item._id) === String(request.itemId));
+    if (!line) {
+      throw badRequest(`Invoice item ${request.itemId} not found`);
+    }
+
+    let taxableValue;
+    let quantity = 0;
+    if (request.quantity !== undefined) {
+      quantity = Number(request.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.remainingQuantity) {
+        throw badRequest(`Quantity for "${line.item.description}" must be between 1 and ${line.remainingQuantity}`);
+      }
+      taxableValue = round2(line.taxableValue * quantity / line.item.quantity);
+    } else if (request.amount !== undefined) {
+      taxableValue = round2(Number(request.amount));
+      if (!(taxableValue > 0)) {
+        throw badRequest(`Amount for "${line.item.description}" must be greater than zero`);
+      }
+    } else {
+      throw badRequest('Each line needs a quantity or an amount');
+    }
+
+    if (taxableValue > line.remainingTaxable) {
+      throw badRequest(`Credit for "${line.item.description}" exceeds the remaining ${line.remainingTaxable}`);
+    }
+
+    // The last reversal of a line takes whatever tax is left, so rounding never leaves a residue
+    const taxAmount = taxableValue === line.remainingTaxable
+      ? line.remainingTax
+      : round2(line.taxableValue ? (line.taxAmount * taxableValue) / line.taxableValue : 0);
+
+    return buildCreditItem(line, taxableValue, taxAmount, quantity, interState);
+  });
+}
+
+/**
+ * Spread a tax-inclusive amount (e.g. a refund) over the open lines, pro rata
+ */
+function allocateAmount(lines, amount, interState) {
+  const open = lines.filter(line => line.remainingTaxable + line.remainingTax > 0);
+  const openTotal = round2(open.reduce((sum, line) => sum + line.remainingTaxable + line.remainingTax, 0));
+
+  if (amount > openTotal) {
+    throw badRequest(`Credit exceeds the remaining invoice value of ${openTotal}`);
+  }
+
+  let left = round2(amount);
+  return open
+    .map((line, index) => {
+      const gross = line.remainingTaxable + line.remainingTax;
+      const share = index === open.length - 1 ? left : Math.min(left, round2((amount * gross) / openTotal));
+      left = round2(left - share);
+
+      const taxableValue = round2((share * line.remainingTaxable) / gross);
+      return buildCreditItem(line, taxableValue, round2(share - taxableValue), 0, interState);
+    })
+    .filter(item => item.amount > 0);
+}
+
+// ========== COMMISSION ==========
+
+/**
+ * Reverse the professional's share of a credited appointment invoice
+ * Pro rata to the part of the invoice still open before this note.
+ * @returns {number} platform commission reversed
+ */
+async function reverseCommission(invoice, creditNote, openTaxableBefore) {
+  if (!invoice.appointmentId) return 0;
+
+  const commission = await Commission.findOne({ appointmentId: invoice.appointmentId });
+  if (!commission || commission.payoutStatus === 'cancelled') return 0;
+
+  const ratio = openTaxableBefore > 0 ? Math.min(1, creditNote.taxableValue / openTaxableBefore) : 1;
+  const earning = round2((commission.professionalEarning || 0) * ratio);
+  const platform = round2((commission.platformCommission || 0) * ratio);
+  const reason = `Credit note ${creditNote.creditNoteNumber} against invoice ${invoice.invoiceNumber}`;
+
+  if (['paid', 'processing'].includes(commission.payoutStatus)) {
+    // Already paid out: record what to recover from the next payout
+    commission.adjustments.push({
+      amount: -earning,
+      reason,
+      type: 'refund',
+      notes: 'Recover from next payout',
+      appliedBy: creditNote.createdBy,
+      appliedAt: new Date()
+    });
+  } else if (ratio >= 1) {
+    commission.payoutStatus = 'cancelled';
+    commission.notes = `Commission reversed: ${reason}`;
+  } else {
+    commission.professionalEarning = round2((commission.professionalEarning || 0) - earning);
+    commission.platformCommission = round2((commission.platformCommission || 0) - platform);
+    commission.adjustments.push({
+      amount: -earning,
+      reason,
+      type: 'refund',
+      appliedBy: creditNote.createdBy,
+      appliedAt: new Date()
+    });
+  }
+
+  await commission.save();
+  return platform;
+}
+
+// ========== PUBLIC API ==========
+
+/**
+ * Issue a credit note against an invoice
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice document
+ * @param {Array} [params.lines] - [{ itemId, quantity }] / [{ itemId, amount }]; omit for a full reversal
+ * @param {number} [params.amount] - tax-inclusive amount spread over open lines (instead of lines)
+ * @param {string} params.reason - refund | cancellation | correction | discount | other
+ * @param {boolean} [params.capToRemaining] - clip amount to what is left instead of failing
+ */
+async function issueCreditNote(params) {
+  return withCreditLock(params.invoice._id, current => createCreditNote(params, current));
+}
+
+// Body of issueCreditNote; `current` is the invoice as read under the credit lock
+async function createCreditNote({ invoice, lines, amount, reason, notes, refundId, createdBy, capToRemaining = false }, current) {
+  if (['draft', 'cancelled', 'credited'].includes(current.status)) {
+    throw badRequest(`A ${current.status} invoice cannot be credited`);
+  }
+
+  // One credit note per refund, however often settlement runs
+  if (refundId) {
+    const existing = await CreditNote.findOne({ refundId });
+    if (existing) return existing;
+  }
+
+  const creditable = await getCreditableLines(invoice);
+  const openTaxableBefore = round2(creditable.reduce((sum, line) => sum + line.remainingTaxable, 0));
+  const openTotal = round2(creditable.reduce((sum, line) => sum + line.remainingTaxable + line.remainingTax, 0));
+  const interState = invoice.supplyType === 'inter_state';
+
+  let items;
+  if (amount !== undefined) {
+    const creditAmount = capToRemaining ? Math.min(round2(amount), openTotal) : round2(amount);
+    if (!(creditAmount > 0)) {
+      if (capToRemaining) return null;
+      throw badRequest('Credit amount must be greater than zero');
+    }
+    items = allocateAmount(creditable, creditAmount, interState);
+  } else {
+    items = buildLineReversals(creditable, lines, interState);
+  }
+
+  if (!items.length) {
+    throw badRequest('Nothing left to credit on this invoice');
+  }
+
+  const sum = (key) => round2(items.reduce((total, item) => total + (item[key] || 0), 0));
+
+  const creditNote = await CreditNote.create({
+    invoiceId: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    invoiceDate: invoice.invoiceDate,
+    invoiceType: invoice.invoiceType,
+    patientId: invoice.patientId?._id || invoice.patientId,
+    customerName: invoice.customerName,
+    customerPhone: invoice.customerPhone,
+    customerAddress: invoice.customerAddress,
+    supplier: invoice.supplier,
+    recipientGstin: invoice.recipientGstin,
+    placeOfSupply: invoice.placeOfSupply,
+    supplyType: invoice.supplyType,
+    reason,
+    notes,
+    items,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgstAmount'),
+    sgst: sum('sgstAmount'),
+    igst: sum('igstAmount'),
+    tax: sum('taxAmount'),
+    totalAmount: sum('amount'),
+    refundId,
+    createdBy
+  });
+
+  invoice.creditedAmount = round2((current.creditedAmount || 0) + creditNote.totalAmount);
+  const fullyCredited = creditable.every(line => line.remainingTaxable <= 0 && line.remainingTax <= 0);
+  if (fullyCredited && !MONEY_BACK_REASONS.includes(reason)) {
+    invoice.status = 'credited';
+  }
+  await invoice.save();
+
+  // A correction is reissued straight away, so the professional keeps their share
+  if (reason !== 'correction' && invoice.commissionIncluded) {
+    creditNote.commissionReversed = await reverseCommission(invoice, creditNote, openTaxableBefore);
+    if (creditNote.commissionReversed) await creditNote.save();
+  }
+
+  return creditNote;
+}
+
+/**
+ * Check corrected items and price them: amounts and tax are always worked out here
+ */
+function buildReissueItems(items) {
+  return items.map((item, index) => {
+    const description = typeof item.description === 'string' ? item.description.trim() : '';
+    if (!description) {
+      throw badRequest(`Item ${index + 1} needs a description`);
+    }
+
+    const quantity = Number(item.quantity);
+    const unitPrice = Number(item.unitPrice);
+    const taxRate = Number(item.taxRate ?? 0);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw badRequest(`Quantity for "${description}" must be a whole number of at least 1`);
+    }
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw badRequest(`Unit price for "${description}" must be zero or more`);
+    }
+    if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+      throw badRequest(`Tax rate for "${description}" must be between 0 and 100`);
+    }
+
+    return { description, quantity, unitPrice, amount: round2(quantity * unitPrice), taxRate, hsnSacCode: item.hsnSacCode };
+  });
+}
+
+// Take back a credit note whose follow-up failed (reissue only: corrections reverse no commission)
+async function undoCreditNote(invoice, creditNote, previousStatus) {
+  await CreditNote.deleteOne({ _id: creditNote._id });
+  invoice.creditedAmount = round2((invoice.creditedAmount || 0) - creditNote.totalAmount);
+  invoice.status = previousStatus;
+  await invoice.save();
+}
+
+/**
+ * Correct an issued invoice: credit it in full and issue a new one
+ * Payments move to the new invoice; anything paid beyond its total is returned as excessPaid.
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice document
+ * @param {Array} [params.items] - corrected items; defaults to the original items
+ * @param {Object} [params.changes] - customer / GST fields to change (see REISSUE_FIELDS)
+ */
+async function reissueInvoice({ invoice, items, changes = {}, notes, createdBy }) {
+  if (invoice.status === 'draft') {
+    throw badRequest('Draft invoices can be edited directly');
+  }
+
+  const newItems = (items ? buildReissueItems(items) : invoice.items).map(item => ({
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    amount: item.amount,
+    taxRate: item.taxRate || 0,
+    taxAmount: splitGst(item.amount, item.taxRate).taxAmount,
+    hsnSacCode: item.hsnSacCode
+  }));
+
+  const fields = {
+    customerName: invoice.customerName,
+    customerPhone: invoice.customerPhone,
+    customerEmail: invoice.customerEmail,
+    customerAddress: invoice.customerAddress,
+    customerState: invoice.customerState,
+    recipientGstin: invoice.recipientGstin,
+    placeOfSupply: invoice.placeOfSupply,
+    discount: invoice.discount,
+    dueDate: invoice.dueDate,
+    notes: invoice.notes
+  };
+  REISSUE_FIELDS.forEach(key => {
+    if (changes[key] !== undefined) fields[key] = changes[key];
+  });
+  // Let the new invoice work out its place of supply again from the corrected details
+  if (changes.placeOfSupply === undefined && (changes.recipientGstin !== undefined || changes.customerState !== undefined || changes.customerAddress !== undefined)) {
+    fields.placeOfSupply = undefined;
+  }
+
+  const subtotal = newItems.reduce((sum, item) => sum + item.amount, 0);
+  const tax = newItems.reduce((sum, item) => sum + item.taxAmount, 0);
+  const totalAmount = subtotal + tax - (fields.discount || 0);
+  const amountPaid = Math.min(invoice.amountPaid || 0, totalAmount);
+
+  const reissued = new Invoice({
+    ...fields,
+    invoiceType: invoice.invoiceType,
+    appointmentId: invoice.appointmentId,
+    pharmacySaleId: invoice.pharmacySaleId,
+    labTestId: invoice.labTestId,
+    professionalType: invoice.professionalType,
+    patientId: invoice.patientId?._id || invoice.patientId,
+    items: newItems,
+    subtotal,
+    tax,
+    totalAmount,
+    amountPaid,
+    balanceDue: totalAmount - amountPaid,
+    status: amountPaid >= totalAmount ? 'paid' : amountPaid > 0 ? 'partial' : 'sent',
+    paymentDate: amountPaid >= totalAmount ? invoice.paymentDate : undefined,
+    paymentMethod: invoice.paymentMethod,
+    paymentReference: invoice.paymentReference,
+    razorpayOrderId: invoice.razorpayOrderId,
+    razorpayPaymentId: invoice.razorpayPaymentId,
+    commissionIncluded: invoice.commissionIncluded,
+    commissionAmount: invoice.commissionAmount,
+    termsAndConditions: invoice.termsAndConditions,
+    reissuedFrom: invoice._id,
+    createdBy
+  });
+  // Validated before the original is credited, so a bad replacement stops here
+  await reissued.validate().catch(error => {
+    if (error.name === 'ValidationError') error.statusCode = 400;
+    throw error;
+  });
+
+  const previousStatus = invoice.status;
+  const creditNote = await issueCreditNote({ invoice, reason: 'correction', notes, createdBy });
+
+  // Without a replacement the original must not stay credited
+  try {
+    await reissued.save();
+  } catch (error) {
+    await undoCreditNote(invoice, creditNote, previousStatus).catch(undoError =>
+      console.error(`Error undoing credit note ${creditNote.creditNoteNumber}:`, undoError)
+    );
+    throw error;
+  }
+
+  const excessPaid = round2((invoice.amountPaid || 0) - amountPaid);
+
+  // Payment now sits on the reissued invoice
+  invoice.reissuedAs = reissued._id;
+  invoice.amountPaid = 0;
+  invoice.balanceDue = 0;
+  await invoice.save();
+
+  creditNote.reissuedInvoiceId = reissued._id;
+  await creditNote.save();
+
+  if (invoice.appointmentId) {
+    await Appointment.updateOne(
+      { _id: invoice.appointmentId, invoiceId: invoice._id },
+      { invoiceId: reissued._id }
+    );
+  }
+
+  return { creditNote, invoice: reissued, excessPaid };
+}
+
+module.exports = {
+  MONEY_BACK_REASONS,
+  getCreditableLines,
+  issueCreditNote,
+  reissueInvoice,
+  reverseCommission
+};
@@ -0,0 +1,169 @@
+/**
+ * Turns the free-text frequency/duration written on a prescription into
+ * dose times, e.g. "1-0-1 for 5 days", "BD x 7 days", "1/2-0-1", "q8h",
+ * "TDS", "at bedtime", "weekly for 1 month".
+ */
+
+// Clock time used for each part of the day
+const SLOT_TIMES = {
+  morning: '08:00',
+  afternoon: '14:00',
+  evening: '18:00',
+  night: '21:00'
+};
+
+// Longer prescriptions ("continue", "3 months") are scheduled this far ahead
+const MAX_SCHEDULE_DAYS = 90;
+
+// Dash patterns: 1-0-1 is morning-afternoon-night, 1-0-0-1 adds evening
+const PATTERN_SLOTS = {
+  3: ['morning', 'afternoon', 'night'],
+  4: ['morning', 'afternoon', 'evening', 'night']
+};
+
+const AMOUNT = '(?:\\d+(?:\\.\\d+)?|\\d\\/\\d|½|¼|¾)';
+const DASH_PATTERN = new RegExp(`(?:^|[^\\d.\\/])(${AMOUNT}(?:\\s*-\\s*${AMOUNT}){2,3})(?![\\d.\\/])`);
+
+// Checked in order; the first match wins
+const ABBREVIATIONS = [
+  { pattern: /\b(qid|qds|four\s+times)\b/, slots: ['morning', 'afternoon', 'evening', 'night'] },
+  { pattern: /\b(tds|tid|thrice|three\s+times)\b/, slots: ['morning', 'afternoon', 'night'] },
+  { pattern: /\b(bd|bid|twice)\b/, slots: ['morning', 'night'] },
+  { pattern: /\b(hs|qhs|at\s+bed\s*time|at\s+night|night)\b/, slots: ['night'] },
+  { pattern: /\b(od|qd|once|daily|morning|weekly|alternate|every\s+other\s+day|eod|qod)\b/, slots: ['morning'] }
+];
+
+const AS_NEEDED = /\b(sos|prn|as\s+needed|as\s+required|when\s+required|if\s+needed|stat)\b/;
+
+const parseAmount = (value) => {
+  const fractions = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+  if (fractions[value]) return fractions[value];
+  if (value.includes('/')) {
+    const [numerator, denominator] = value.split('/').map(Number);
+    return denominator ? numerator / denominator : NaN;
+  }
+  return Number(value);
+};
+
+const intervalDaysOf = (text) => {
+  if (/\b(weekly|once\s+a\s+week)\b/.test(text)) return 7;
+  if (/\b(alternate\s+days?|every\s+other\s+day|eod|qod)\b/.test(text)) return 2;
+  return 1;
+};
+
+/**
+ * Dose times per day from a frequency
+ * @returns {{ doses: Array<{ time: string, amount: number }>, intervalDays: number }
+ *   | { asNeeded: true } | null} null when the text can't be read
+ */
+function parseFrequency(frequency) {
+  const text = String(frequency || '').toLowerCase().trim();
+  if (!text) return null;
+  if (AS_NEEDED.test(text)) return { asNeeded: true };
+
+  const intervalDays = intervalDaysOf(text);
+
+  const dash = text.match(DASH_PATTERN);
+  if (dash) {
+    const amounts = dash[1].split('-').map(part => parseAmount(part.trim()));
+    if (amounts.some(amount => Number.isNaN(amount))) return null;
+
+    const doses = PATTERN_SLOTS[amounts.length]
+      .map((slot, index) => ({ time: SLOT_TIMES[slot], amount: amounts[index] }))
+      .filter(dose => dose.amount > 0);
+    return doses.length ? { doses, intervalDays } : null;
+  }
+
+  const hourly = text.match(/\b(?:every|q)\s*(\d{1,2})\s*(?:h|hrs?|hours?)\b/);
+  if (hourly) {
+    const hours = Number(hourly[1]);
+    if (hours < 1 || hours > 24) return null;
+
+    const [firstHour] = SLOT_TIMES.morning.split(':').map(Number);
+    const doses = [];
+    for (let hour = firstHour; hour < firstHour + 24; hour += hours) {
+      doses.push({ time: `${String(hour % 24).padStart(2, '0')}:00`, amount: 1 });
+    }
+    doses.sort((a, b) => a.time.localeCompare(b.time));
+    return { doses, intervalDays };
+  }
+
+  const abbreviation = ABBREVIATIONS.find(({ pattern }) => pattern.test(text));
+  if (abbreviation) {
+    return {
+      doses: abbreviation.slots.map(slot => ({ time: SLOT_TIMES[slot], amount: 1 })),
+      intervalDays
+    };
+  }
+
+  return null;
+}
+
+const DURATION_UNITS = { d: 1, w: 7, m: 30 };
+
+/**
+ * Number of days from a duration ("5 days", "x 2 weeks", "1 month", "10d", "7")
+ * or from the duration part of a frequency ("1-0-1 for 5 days").
+ * Returns null when no duration is written.
+ */
+function parseDuration(duration, frequency) {
+  const read = (value, allowBareNumber) => {
+    const text = String(value || '').toLowerCase();
+    if (/\b(continue|ongoing|long\s*term|lifelong)\b/.test(text)) return MAX_SCHEDULE_DAYS;
+
+    const match = text.match(/(\d+)\s*(d|days?|w|wks?|weeks?|m|mths?|months?)\b/);
+    if (match) return Number(match[1]) * DURATION_UNITS[match[2][0]];
+
+    if (allowBareNumber && /^\s*\d+\s*$/.test(text)) return Number(text);
+    return null;
+  };
+
+  const days = read(duration, true) ?? read(frequency, false);
+  if (!days) return null;
+  return Math.min(days, MAX_SCHEDULE_DAYS);
+}
+
+/**
+ * Dose times for one prescribed medicine, starting with the first slot after `from`
+ * A "5 day" course gets 5 days' worth of doses even when it starts mid-day.
+ * @returns {{ status: 'scheduled', doses: Array<{ scheduledAt: Date, amount: number }>, doseTimes, intervalDays, days }
+ *   | { status: 'as_needed' | 'unparsed' }}
+ */
+function buildDoseSchedule({ frequency, duration }, from = new Date()) {
+  const parsed = parseFrequency(frequency);
+  if (parsed?.asNeeded) return { status: 'as_needed' };
+
+  const days = parseDuration(duration, frequency);
+  if (!parsed || !days) return { status: 'unparsed' };
+
+  const { doses: doseTimes, intervalDays } = parsed;
+  const total = Math.ceil(days / intervalDays) * doseTimes.length;
+
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  const doses = [];
+  // Bounded loop: the first day may have no slots left
+  for (let offset = 0; doses.length < total && offset <= days + intervalDays; offset += intervalDays) {
+    const date = new Date(day);
+    date.setDate(day.getDate() + offset);
+    for (const { time, amount } of doseTimes) {
+      const scheduledAt = new Date(date);
+      const [hours, minutes] = time.split(':').map(Number);
+      scheduledAt.setHours(hours, minutes, 0, 0);
+      if (scheduledAt <= from) continue;
+      doses.push({ scheduledAt, amount });
+      if (doses.length === total) break;
+    }
+  }
+
+  return { status: 'scheduled', doses, doseTimes, intervalDays, days };
+}
+
+module.exports = {
+  SLOT_TIMES,
+  MAX_SCHEDULE_DAYS,
+  parseFrequency,
+  parseDuration,
+  buildDoseSchedule
+};
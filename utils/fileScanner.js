@@ -0,0 +1,101 @@
+const net = require('net');
+
+/**
+ * Malware scanner run on uploads before they are stored
+ * Every scanner exposes:
+ *   scan(buffer, { filename, mimeType }) -> { clean, scanner, signature? }
+ * and throws when the scan itself could not be completed.
+ */
+
+// Accepts everything; the upload is recorded as not scanned
+function createNoopScanner() {
+  return {
+    name: 'none',
+    scan: async () => ({ clean: true, scanner: 'none' })
+  };
+}
+
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * clamd over TCP using the INSTREAM command
+ */
+function createClamavScanner({ host, port = 3310, timeoutMs = 15000 }) {
+  return {
+    name: 'clamav',
+    scan: (buffer) => new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      let response = '';
+
+      socket.setTimeout(timeoutMs);
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        // Zero-length chunk ends the stream
+        socket.end(Buffer.alloc(4));
+      });
+
+      socket.on('data', (data) => {
+        response += data.toString();
+      });
+
+      socket.on('end', () => {
+        // "stream: OK" or "stream: <signature> FOUND"
+        const result = response.replace(/\0/g, '').trim();
+        if (result.endsWith('OK')) {
+          return resolve({ clean: true, scanner: 'clamav' });
+        }
+        if (result.endsWith('FOUND')) {
+          return resolve({
+            clean: false,
+            scanner: 'clamav',
+            signature: result.replace(/^stream:\s*/, '').replace(/\s*FOUND$/, '')
+          });
+        }
+        reject(new Error(`ClamAV scan failed: ${result || 'no response'}`));
+      });
+
+      socket.on('timeout', () => {
+        socket.destroy();
+        reject(new Error('ClamAV scan timed out'));
+      });
+
+      socket.on('error', reject);
+    })
+  };
+}
+
+let scanner = null;
+
+/**
+ * Active scanner
+ * CLAMAV_HOST (and optional CLAMAV_PORT) selects clamd; otherwise nothing is scanned
+ */
+function getFileScanner() {
+  if (scanner) return scanner;
+
+  const host = process.env.CLAMAV_HOST?.trim();
+  scanner = host
+    ? createClamavScanner({ host, port: parseInt(process.env.CLAMAV_PORT) || 3310 })
+    : createNoopScanner();
+  return scanner;
+}
+
+// Swap the active scanner (e.g. a custom hook or a stub in tests)
+function setFileScanner(client) {
+  scanner = client;
+}
+
+module.exports = {
+  createNoopScanner,
+  createClamavScanner,
+  getFileScanner,
+  setFileScanner
+};
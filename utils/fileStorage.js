@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage backend for uploads
+ * Every backend exposes the same shape:
+ *   put(buffer, { key, mimeType }) -> { key, meta }
+ *   remove(key, meta)
+ * and either
+ *   createReadStream(key)                   - served by our own signed download route
+ * or
+ *   getSignedUrl(key, meta, { expiresAt })  - the backend signs its own expiring URL
+ */
+
+function createLocalStorage({ root }) {
+  const resolve = (key) => {
+    const fullPath = path.resolve(root, key);
+    // Keys are generated by us, but never let one escape the storage root
+    if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+    put: async (buffer, { key }) => {
+      const fullPath = resolve(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+      return { key, meta: {} };
+    },
+    createReadStream: (key) => fs.createReadStream(resolve(key)),
+    remove: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Cloudinary backend; files are uploaded as `authenticated` so they are only
+ * reachable through signed, expiring download URLs.
+ */
+function createCloudinaryStorage({ cloudinary, folder = 'chat' }) {
+  return {
+    name: 'cloudinary',
+    put: (buffer, { key, mimeType }) => new Promise((resolve, reject) => {
+      const resourceType = mimeType.startsWith('image/') ? 'image' : 'raw';
+      const upload = cloudinary.uploader.upload_stream(
+        {
+          public_id: `${folder}/${key}`,
+          resource_type: resourceType,
+          type: 'authenticated',
+          overwrite: false
+        },
+        (error, result) => {
+          if (error) return reject(error);
+          resolve({
+            key: result.public_id,
+            meta: { resourceType, format: result.format || '' }
+          });
+        }
+      );
+      upload.end(buffer);
+    }),
+    getSignedUrl: async (key, meta, { expiresAt }) =>
+      cloudinary.utils.private_download_url(key, meta.format || '', {
+        resource_type: meta.resourceType,
+        type: 'authenticated',
+        expires_at: Math.floor(expiresAt.getTime() / 1000)
+      }),
+    remove: async (key, meta) => {
+      await cloudinary.uploader.destroy(key, {
+        resource_type: meta.resourceType,
+        type: 'authenticated',
+        invalidate: true
+      });
+    }
+  };
+}
+
+let storage = null;
+
+/**
+ * Active storage backend
+ * FILE_STORAGE=cloudinary selects Cloudinary when its credentials are set;
+ * otherwise files go to UPLOADS_DIR (default ./uploads)
+ */
+function getFileStorage() {
+  if (storage) return storage;
+
+  if (process.env.FILE_STORAGE === 'cloudinary') {
+    const { cloudinary, isConfigured } = require('../config/cloudinary');
+    if (isConfigured) {
+      storage = createCloudinaryStorage({ cloudinary });
+      return storage;
+    }
+    console.warn('FILE_STORAGE=cloudinary but Cloudinary credentials are missing; using local storage');
+  }
+
+  storage = createLocalStorage({
+    root: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads')
+  });
+  return storage;
+}
+
+// Swap the active backend (e.g. a temp directory in tests)
+function setFileStorage(backend) {
+  storage = backend;
+}
+
+module.exports = {
+  createLocalStorage,
+  createCloudinaryStorage,
+  getFileStorage,
+  setFileStorage
+};
@@ -1 +1,292 @@
-// generateInvoice.js placeholder
\ No newline at end of file
+const PDFDocument = require('pdfkit');
+const { GST_STATES, formatPlaceOfSupply } = require('./gst');
+
+// Standard fonts have no rupee glyph
+const formatAmount = (n) => `Rs. ${(Number(n) || 0).toFixed(2)}`;
+const formatNumber = (n) => (Number(n) || 0).toFixed(2);
+const formatDate = (d) => (d ? new Date(d).toLocaleDateString('en-IN') : '');
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const words = [];
+  if (hundreds) words.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) words.push(`${TENS[Math.floor(rest / 10)]}${rest % 10 ? ` ${ONES[rest % 10]}` : ''}`);
+  else if (rest) words.push(ONES[rest]);
+  return words.join(' ');
+}
+
+// Indian system: thousand, lakh, crore
+function numberInWords(n) {
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  const parts = [];
+  if (crore) parts.push(`${numberInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowThousand(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowThousand(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+}
+
+function amountInWords(amount) {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+
+  let words = `Rupees ${numberInWords(rupees) || 'Zero'}`;
+  if (paise) words += ` and ${belowThousand(paise)} Paise`;
+  return `${words} Only`;
+}
+
+/**
+ * Shared layout for GST documents: supplier and recipient, HSN/SAC table, totals
+ * @param {Object} source - Invoice or CreditNote document
+ * @param {Object} layout
+ * @param {String} layout.title
+ * @param {String} layout.reference - document number, used in the page footer
+ * @param {Array} layout.meta - [label, value] pairs shown top right
+ * @param {Array} layout.totals - [label, value] pairs below the table
+ * @param {String} layout.totalLabel - row printed in bold
+ * @param {Number} layout.totalAmount - amount spelt out in words
+ * @param {Array} layout.remarks - extra lines printed under the totals
+ * @returns {Promise<Buffer>}
+ */
+function renderGstDocument(source, layout) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensureSpace = (height) => {
+      if (doc.y + height > bottom()) doc.addPage();
+    };
+
+    const supplier = source.supplier || {};
+    const items = source.items || [];
+    const interState = source.supplyType === 'inter_state';
+
+    // Header
+    doc.fontSize(16).font('Helvetica-Bold').text(layout.title, { align: 'center' });
+    doc.moveDown(0.5);
+
+    const headerY = doc.y;
+    doc.fontSize(11).font('Helvetica-Bold').text(supplier.tradeName || supplier.legalName || 'AADYAMED', left, headerY, { width: usableWidth / 2 });
+    doc.fontSize(9).font('Helvetica');
+    if (supplier.tradeName && supplier.legalName) doc.text(supplier.legalName, { width: usableWidth / 2 });
+    if (supplier.address) doc.text(supplier.address, { width: usableWidth / 2 });
+    if (supplier.gstin) doc.text(`GSTIN: ${supplier.gstin}`, { width: usableWidth / 2 });
+    if (supplier.stateCode) doc.text(`State: ${GST_STATES[supplier.stateCode] || ''} (${supplier.stateCode})`, { width: usableWidth / 2 });
+    const supplierBottom = doc.y;
+
+    const metaX = left + usableWidth / 2;
+    layout.meta.forEach(([label, value], index) => {
+      const text = `${label}: ${value}`;
+      if (index === 0) doc.text(text, metaX, headerY, { width: usableWidth / 2, align: 'right' });
+      else doc.text(text, { width: usableWidth / 2, align: 'right' });
+    });
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, supplierBottom) + 10;
+
+    // Recipient
+    doc.fontSize(10).font('Helvetica-Bold').text('Bill To', left);
+    doc.fontSize(9).font('Helvetica');
+    doc.text(source.customerName || '');
+    if (source.customerAddress) doc.text(String(source.customerAddress), { width: usableWidth / 2 });
+    if (source.customerPhone) doc.text(`Phone: ${source.customerPhone}`);
+    if (source.recipientGstin) doc.text(`GSTIN: ${source.recipientGstin}`);
+    doc.moveDown();
+
+    // Items table, columns scaled to the page width
+    const columns = [
+      { header: '#', width: 3 },
+      { header: 'Description', width: 22 },
+      { header: 'HSN/SAC', width: 8 },
+      { header: 'Qty', width: 5, align: 'right' },
+      { header: 'Rate', width: 9, align: 'right' },
+      { header: 'Taxable', width: 10, align: 'right' },
+      ...(interState
+        ? [{ header: 'IGST %', width: 7, align: 'right' }, { header: 'IGST', width: 9, align: 'right' }]
+        : [
+          { header: 'CGST %', width: 7, align: 'right' }, { header: 'CGST', width: 8, align: 'right' },
+          { header: 'SGST %', width: 7, align: 'right' }, { header: 'SGST', width: 8, align: 'right' }
+        ]),
+      { header: 'Total', width: 10, align: 'right' }
+    ];
+    const totalWidth = columns.reduce((sum, c) => sum + c.width, 0);
+    const widths = columns.map(c => (c.width / totalWidth) * usableWidth);
+
+    const drawRow = (values, font) => {
+      ensureSpace(14);
+      const y = doc.y;
+      let x = left;
+      doc.font(font).fontSize(8);
+      values.forEach((value, i) => {
+        doc.text(value === undefined || value === null ? '' : String(value), x, y, {
+          width: widths[i] - 4,
+          align: columns[i].align || 'left',
+          ellipsis: true,
+          lineBreak: false
+        });
+        x += widths[i];
+      });
+      doc.x = left;
+      doc.y = y + 13;
+    };
+
+    drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+    doc.moveTo(left, doc.y - 2).lineTo(left + usableWidth, doc.y - 2).stroke();
+
+    items.forEach((item, index) => {
+      const taxableValue = item.taxableValue ?? item.amount;
+      const taxValues = interState
+        ? [item.igstRate || 0, formatNumber(item.igstAmount)]
+        : [item.cgstRate || 0, formatNumber(item.cgstAmount), item.sgstRate || 0, formatNumber(item.sgstAmount)];
+      drawRow([
+        index + 1,
+        item.description,
+        item.hsnSacCode,
+        item.quantity || '',
+        item.unitPrice !== undefined ? formatNumber(item.unitPrice) : '',
+        formatNumber(taxableValue),
+        ...taxValues,
+        formatNumber(taxableValue + (item.taxAmount || 0))
+      ], 'Helvetica');
+    });
+    doc.moveTo(left, doc.y).lineTo(left + usableWidth, doc.y).stroke();
+    doc.moveDown();
+
+    // Totals
+    doc.fontSize(9);
+    layout.totals.forEach(([label, value]) => {
+      ensureSpace(14);
+      const y = doc.y;
+      const bold = label === layout.totalLabel;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, left + usableWidth / 2, y, { width: usableWidth / 4 })
+        .text(value, left + (usableWidth * 3) / 4, y, { width: usableWidth / 4, align: 'right' });
+      doc.x = left;
+      doc.y = y + 13;
+    });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Oblique').text(`Amount in words: ${amountInWords(layout.totalAmount)}`, left, doc.y, { width: usableWidth });
+
+    layout.remarks.filter(Boolean).forEach(remark => {
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(8).text(remark, { width: usableWidth });
+    });
+
+    ensureSpace(50);
+    doc.moveDown(2);
+    doc.fontSize(9).font('Helvetica')
+      .text(`For ${supplier.legalName || 'AADYAMED'}`, left, doc.y, { width: usableWidth, align: 'right' })
+      .moveDown(1.5)
+      .text('Authorised Signatory', { width: usableWidth, align: 'right' });
+
+    // Page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom: marginBottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc.fontSize(8).font('Helvetica').fillColor('gray').text(
+        `${layout.reference} - Page ${i + 1} of ${range.count}`,
+        left,
+        doc.page.height - marginBottom + 10,
+        { width: usableWidth, align: 'center', lineBreak: false }
+      );
+      doc.page.margins.bottom = marginBottom;
+    }
+
+    doc.end();
+  });
+}
+
+const taxTotals = (source) => (source.supplyType === 'inter_state'
+  ? [['IGST', formatAmount(source.igst)]]
+  : [['CGST', formatAmount(source.cgst)], ['SGST', formatAmount(source.sgst)]]);
+
+/**
+ * GST tax invoice (or bill of supply when every line is exempt)
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+function generateInvoicePDF(invoice) {
+  const taxable = (invoice.items || []).some(item => (item.taxRate || 0) > 0);
+
+  return renderGstDocument(invoice, {
+    title: taxable ? 'TAX INVOICE' : 'BILL OF SUPPLY',
+    reference: invoice.invoiceNumber,
+    meta: [
+      ['Invoice No', invoice.invoiceNumber],
+      ['Invoice Date', formatDate(invoice.invoiceDate)],
+      ...(invoice.placeOfSupply ? [['Place of Supply', formatPlaceOfSupply(invoice.placeOfSupply)]] : []),
+      ['Reverse Charge', invoice.reverseCharge ? 'Yes' : 'No']
+    ],
+    totals: [
+      ['Taxable Value', formatAmount(invoice.taxableValue ?? invoice.subtotal)],
+      ...taxTotals(invoice),
+      ...(invoice.discount ? [['Discount', `- ${formatAmount(invoice.discount)}`]] : []),
+      ['Invoice Total', formatAmount(invoice.totalAmount)],
+      ...(invoice.creditedAmount ? [['Credited', `- ${formatAmount(invoice.creditedAmount)}`]] : []),
+      ['Amount Paid', formatAmount(invoice.amountPaid)],
+      ['Balance Due', formatAmount(invoice.balanceDue)]
+    ],
+    totalLabel: 'Invoice Total',
+    totalAmount: invoice.totalAmount,
+    remarks: [
+      !taxable && 'Exempt supply of healthcare services / goods; no GST charged.',
+      invoice.notes,
+      invoice.termsAndConditions
+    ]
+  });
+}
+
+/**
+ * GST credit note against an earlier invoice
+ * @param {Object} creditNote - CreditNote document
+ * @returns {Promise<Buffer>}
+ */
+function generateCreditNotePDF(creditNote) {
+  const reason = creditNote.reason.charAt(0).toUpperCase() + creditNote.reason.slice(1);
+
+  return renderGstDocument(creditNote, {
+    title: 'CREDIT NOTE',
+    reference: creditNote.creditNoteNumber,
+    meta: [
+      ['Credit Note No', creditNote.creditNoteNumber],
+      ['Credit Note Date', formatDate(creditNote.creditNoteDate)],
+      ['Against Invoice', creditNote.invoiceNumber],
+      ['Invoice Date', formatDate(creditNote.invoiceDate)],
+      ...(creditNote.placeOfSupply ? [['Place of Supply', formatPlaceOfSupply(creditNote.placeOfSupply)]] : []),
+      ['Reason', reason]
+    ],
+    totals: [
+      ['Taxable Value', formatAmount(creditNote.taxableValue)],
+      ...taxTotals(creditNote),
+      ['Credit Total', formatAmount(creditNote.totalAmount)]
+    ],
+    totalLabel: 'Credit Total',
+    totalAmount: creditNote.totalAmount,
+    remarks: [creditNote.notes]
+  });
+}
+
+module.exports = {
+  generateInvoicePDF,
+  generateCreditNotePDF,
+  amountInWords
+};
@@ -1,14 +1,17 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
- * Generate JWT token
+ * Generate short-lived JWT access token bound to a session
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
  * @param {string} role - User role
  * @returns {string} JWT token
  */
-const generateToken = (userId, role = null) => {
+const generateToken = (userId, sessionId, role = null) => {
   const payload = {
-    id: userId
+    id: userId,
+    sid: sessionId
   };
   
   // Add role to payload if provided
@@ -20,13 +23,48 @@ const generateToken = (userId, role = null) => {
     payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || '30d',
+      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
       issuer: 'AadyaPlus-api',
       audience: 'AadyaPlus-users'
     }
   );
 };
 
+/**
+ * Generate token for the second login step; it carries no session, so
+ * `protect` refuses it everywhere else
+ * @param {string} userId - User ID
+ * @returns {string} JWT token
+ */
+const generateChallengeToken = (userId) => {
+  return jwt.sign(
+    { id: userId, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '5m',
+      issuer: 'AadyaPlus-api',
+      audience: 'AadyaPlus-users'
+    }
+  );
+};
+
+/**
+ * Generate opaque refresh token
+ * @returns {string} Random token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hash refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token
@@ -48,6 +86,9 @@ const decodeToken = (token) => {
 // Export as default object
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  generateRefreshToken,
+  hashToken,
   verifyToken,
   decodeToken
 };
\ No newline at end of file
@@ -0,0 +1,225 @@
+const DocumentSequence = require('../models/DocumentSequence');
+
+// GST state codes (first two digits of a GSTIN)
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const normalizeStateName = (name) => name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATE_CODES_BY_NAME = Object.entries(GST_STATES).reduce((map, [code, name]) => {
+  map[normalizeStateName(name)] = code;
+  return map;
+}, { orissa: '21', pondicherry: '34', newdelhi: '07' });
+
+// ========== STATES & FINANCIAL YEAR ==========
+
+function isValidGstin(gstin) {
+  return GSTIN_PATTERN.test(String(gstin || '').toUpperCase());
+}
+
+/**
+ * Two-digit state code from a code, a state name or a GSTIN
+ */
+function getStateCode(value) {
+  if (!value) return undefined;
+  const text = String(value).trim();
+
+  if (/^\d{2}$/.test(text)) return GST_STATES[text] ? text : undefined;
+  if (isValidGstin(text)) return text.slice(0, 2);
+
+  return STATE_CODES_BY_NAME[normalizeStateName(text)];
+}
+
+// "07-Delhi", the place-of-supply format used by the GST portal
+function formatPlaceOfSupply(stateCode) {
+  return stateCode ? `${stateCode}-${GST_STATES[stateCode] || ''}` : '';
+}
+
+/**
+ * Indian financial year (April - March) of a date, e.g. "2026-27"
+ */
+function getFinancialYear(date = new Date()) {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Next number in a series for the date's financial year: INV/26-27/00001
+ * Kept within the 16 characters GST allows for an invoice number.
+ */
+async function nextDocumentNumber(prefix, date = new Date()) {
+  const financialYear = getFinancialYear(date);
+  const seq = await DocumentSequence.next(`${prefix}:${financialYear}`);
+  return `${prefix}/${financialYear.slice(2)}/${String(seq).padStart(5, '0')}`;
+}
+
+// ========== TAX COMPUTATION ==========
+
+/**
+ * Place of supply: recipient's GSTIN state, else the state on their address,
+ * else the supplier's own state (over-the-counter supplies)
+ */
+function resolvePlaceOfSupply({ placeOfSupply, recipientGstin, customerState, customerAddress }, supplierStateCode) {
+  return getStateCode(placeOfSupply)
+    || (isValidGstin(recipientGstin) ? recipientGstin.slice(0, 2).toUpperCase() : undefined)
+    || getStateCode(customerState)
+    || getStateCodeFromAddress(customerAddress)
+    || supplierStateCode;
+}
+
+function getStateCodeFromAddress(address) {
+  if (!address) return undefined;
+  if (typeof address === 'object') return getStateCode(address.state);
+
+  // Free-text address: try each comma-separated part, last first
+  const parts = String(address).split(',').map(part => part.replace(/\d{6}/, '').trim()).reverse();
+  for (const part of parts) {
+    const code = getStateCode(part);
+    if (code) return code;
+  }
+  return undefined;
+}
+
+/**
+ * CGST + SGST for intra-state supplies, IGST for inter-state
+ * An existing taxAmount is split rather than recomputed, so totals never drift.
+ */
+function splitGst(taxableValue, taxRate = 0, interState = false, taxAmount) {
+  const rate = taxRate || 0;
+  const tax = taxAmount !== undefined && taxAmount !== null
+    ? taxAmount
+    : round2(taxableValue * rate / 100);
+
+  if (interState) {
+    return {
+      taxAmount: tax,
+      cgstRate: 0, cgstAmount: 0,
+      sgstRate: 0, sgstAmount: 0,
+      igstRate: rate, igstAmount: round2(tax)
+    };
+  }
+
+  const cgstAmount = round2(tax / 2);
+  return {
+    taxAmount: tax,
+    cgstRate: rate / 2, cgstAmount,
+    sgstRate: rate / 2, sgstAmount: round2(tax - cgstAmount),
+    igstRate: 0, igstAmount: 0
+  };
+}
+
+// SAC codes are 6 digits starting with 99; everything else is an HSN code
+function getCodeType(code) {
+  return /^99\d{4}$/.test(code || '') ? 'SAC' : 'HSN';
+}
+
+/**
+ * Snapshot of the supplier's registration, stored on each document
+ */
+function getSupplierSnapshot(settings) {
+  const supplier = settings.supplier || {};
+  return {
+    legalName: supplier.legalName,
+    tradeName: supplier.tradeName,
+    gstin: supplier.gstin,
+    stateCode: supplier.stateCode,
+    address: supplier.address
+  };
+}
+
+/**
+ * Fill GST fields on an Invoice or PharmacySale and its items
+ * @param {Object} doc - document being validated
+ * @param {Object} settings - TaxSettings
+ * @param {Object} options
+ * @param {Function} options.getTaxableValue - item => pre-tax line value
+ * @param {Function} options.getDefaultCode - item => HSN/SAC code when the item has none
+ */
+function applyGst(doc, settings, { getTaxableValue, getDefaultCode }) {
+  if (!doc.supplier?.stateCode && !doc.supplier?.gstin) {
+    doc.supplier = getSupplierSnapshot(settings);
+  }
+  const supplierStateCode = doc.supplier?.stateCode || getStateCode(doc.supplier?.gstin);
+
+  doc.placeOfSupply = resolvePlaceOfSupply(doc, supplierStateCode);
+  const interState = Boolean(supplierStateCode && doc.placeOfSupply && supplierStateCode !== doc.placeOfSupply);
+  doc.supplyType = interState ? 'inter_state' : 'intra_state';
+
+  const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+
+  for (const item of doc.items) {
+    item.hsnSacCode = item.hsnSacCode || getDefaultCode(item);
+    item.codeType = getCodeType(item.hsnSacCode);
+    item.taxableValue = round2(getTaxableValue(item));
+
+    const split = splitGst(item.taxableValue, item.taxRate, interState, item.taxAmount);
+    Object.assign(item, split);
+
+    totals.taxableValue += item.taxableValue;
+    totals.cgst += split.cgstAmount;
+    totals.sgst += split.sgstAmount;
+    totals.igst += split.igstAmount;
+  }
+
+  doc.taxableValue = round2(totals.taxableValue);
+  doc.cgst = round2(totals.cgst);
+  doc.sgst = round2(totals.sgst);
+  doc.igst = round2(totals.igst);
+  doc.financialYear = getFinancialYear(doc.invoiceDate || doc.saleDate);
+}
+
+module.exports = {
+  GST_STATES,
+  isValidGstin,
+  getStateCode,
+  formatPlaceOfSupply,
+  getFinancialYear,
+  nextDocumentNumber,
+  resolvePlaceOfSupply,
+  splitGst,
+  getCodeType,
+  getSupplierSnapshot,
+  applyGst
+};
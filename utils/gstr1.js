@@ -0,0 +1,524 @@
+const ExcelJS = require('exceljs');
+const Invoice = require('../models/Invoice');
+const PharmacySale = require('../models/PharmacySale');
+const CreditNote = require('../models/CreditNote');
+const TaxSettings = require('../models/TaxSettings');
+const { formatPlaceOfSupply, getCodeType, getStateCode, splitGst } = require('./gst');
+
+// Inter-state B2C invoices above this value are reported individually (B2CL)
+const B2CL_THRESHOLD = 100000;
+
+const GSTR1_SECTIONS = ['b2b', 'b2cl', 'b2cs', 'cdnr', 'cdnur', 'exemp', 'hsn', 'docs'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Date format used by the GST offline tool: 05-Oct-2026
+const formatPortalDate = (d) => {
+  const date = new Date(d);
+  return `${String(date.getDate()).padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+};
+
+/**
+ * Calendar month from "YYYY-MM" (defaults to the previous month, the usual filing period)
+ */
+function getReturnPeriod(month) {
+  let year;
+  let monthIndex;
+
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      const error = new Error('month must be in YYYY-MM format');
+      error.statusCode = 400;
+      throw error;
+    }
+    year = Number(match[1]);
+    monthIndex = Number(match[2]) - 1;
+  } else {
+    const now = new Date();
+    year = now.getMonth() === 0 ? now.getFullYear() - 1 : now.getFullYear();
+    monthIndex = now.getMonth() === 0 ? 11 : now.getMonth() - 1;
+  }
+
+  return {
+    month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+    returnPeriod: `${String(monthIndex + 1).padStart(2, '0')}${year}`, // MMYYYY, as filed
+    start: new Date(year, monthIndex, 1),
+    end: new Date(year, monthIndex + 1, 1)
+  };
+}
+
+// ========== NORMALISATION ==========
+
+// Documents saved before GST fields existed are split on the fly
+function toLine({ description, quantity, code, taxableValue, taxRate, taxAmount, stored }, interState) {
+  const split = stored?.cgstAmount !== undefined && stored.taxableValue !== undefined
+    ? stored
+    : splitGst(taxableValue, taxRate, interState, taxAmount);
+
+  return {
+    description,
+    quantity: quantity || 0,
+    code,
+    codeType: getCodeType(code),
+    rate: taxRate || 0,
+    taxableValue: round2(taxableValue),
+    cgst: split.cgstAmount || 0,
+    sgst: split.sgstAmount || 0,
+    igst: split.igstAmount || 0
+  };
+}
+
+function normaliseInvoice(invoice, settings) {
+  const supplierState = invoice.supplier?.stateCode || settings.supplier?.stateCode;
+  const placeOfSupply = invoice.placeOfSupply || supplierState;
+  const interState = invoice.supplyType
+    ? invoice.supplyType === 'inter_state'
+    : Boolean(supplierState && placeOfSupply && supplierState !== placeOfSupply);
+
+  const defaultCode = Invoice.getDefaultCode(invoice, settings);
+
+  return {
+    type: 'invoice',
+    number: invoice.invoiceNumber,
+    date: invoice.invoiceDate,
+    cancelled: invoice.status === 'cancelled',
+    recipientGstin: invoice.recipientGstin,
+    customerName: invoice.customerName,
+    placeOfSupply,
+    interState,
+    value: invoice.totalAmount || 0,
+    lines: (invoice.items || []).map(item => toLine({
+      description: item.description,
+      quantity: item.quantity,
+      code: item.hsnSacCode || defaultCode,
+      taxableValue: item.taxableValue ?? item.amount,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      stored: item.taxableValue !== undefined ? item : null
+    }, interState))
+  };
+}
+
+function normaliseSale(sale, settings) {
+  const supplierState = sale.supplier?.stateCode || settings.supplier?.stateCode;
+  const placeOfSupply = sale.placeOfSupply || supplierState;
+  const interState = sale.supplyType
+    ? sale.supplyType === 'inter_state'
+    : Boolean(supplierState && placeOfSupply && supplierState !== placeOfSupply);
+
+  return {
+    type: 'invoice',
+    number: sale.saleNumber,
+    date: sale.saleDate,
+    cancelled: sale.status === 'cancelled',
+    recipientGstin: sale.recipientGstin,
+    customerName: sale.customerName,
+    placeOfSupply,
+    interState,
+    value: sale.totalAmount || 0,
+    lines: (sale.items || []).map(item => toLine({
+      description: item.medicineName,
+      quantity: item.quantity,
+      code: item.hsnSacCode || settings.defaultMedicineHsn,
+      taxableValue: item.taxableValue ?? ((item.totalAmount || 0) - (item.discount || 0)),
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      stored: item.taxableValue !== undefined ? item : null
+    }, interState))
+  };
+}
+
+// Credit notes always carry the GST split of the invoice lines they reverse
+function normaliseCreditNote(note) {
+  return {
+    type: 'credit_note',
+    number: note.creditNoteNumber,
+    date: note.creditNoteDate,
+    cancelled: false,
+    recipientGstin: note.recipientGstin,
+    customerName: note.customerName,
+    placeOfSupply: note.placeOfSupply,
+    interState: note.supplyType === 'inter_state',
+    value: note.totalAmount || 0,
+    invoiceValue: note.invoiceId?.totalAmount || 0,
+    lines: (note.items || []).map(item => toLine({
+      description: item.description,
+      quantity: item.quantity,
+      code: item.hsnSacCode,
+      taxableValue: item.taxableValue,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      stored: item
+    }, note.supplyType === 'inter_state'))
+  };
+}
+
+// Lines grouped by tax rate, the granularity of B2B / B2CL rows
+function groupByRate(lines) {
+  const groups = new Map();
+  lines.forEach(line => {
+    const group = groups.get(line.rate) || { rate: line.rate, taxableValue: 0 };
+    group.taxableValue += line.taxableValue;
+    groups.set(line.rate, group);
+  });
+  return [...groups.values()];
+}
+
+// ========== SECTIONS ==========
+
+const SECTION_COLUMNS = {
+  b2b: [
+    { header: 'GSTIN/UIN of Recipient', key: 'gstin', width: 20 },
+    { header: 'Receiver Name', key: 'receiverName', width: 24 },
+    { header: 'Invoice Number', key: 'invoiceNumber', width: 18 },
+    { header: 'Invoice date', key: 'invoiceDate', width: 14 },
+    { header: 'Invoice Value', key: 'invoiceValue', width: 14 },
+    { header: 'Place Of Supply', key: 'placeOfSupply', width: 22 },
+    { header: 'Reverse Charge', key: 'reverseCharge', width: 10 },
+    { header: 'Applicable % of Tax Rate', key: 'applicablePercent', width: 10 },
+    { header: 'Invoice Type', key: 'invoiceType', width: 14 },
+    { header: 'E-Commerce GSTIN', key: 'ecommerceGstin', width: 18 },
+    { header: 'Rate', key: 'rate', width: 8 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+    { header: 'Cess Amount', key: 'cess', width: 10 }
+  ],
+  b2cl: [
+    { header: 'Invoice Number', key: 'invoiceNumber', width: 18 },
+    { header: 'Invoice date', key: 'invoiceDate', width: 14 },
+    { header: 'Invoice Value', key: 'invoiceValue', width: 14 },
+    { header: 'Place Of Supply', key: 'placeOfSupply', width: 22 },
+    { header: 'Applicable % of Tax Rate', key: 'applicablePercent', width: 10 },
+    { header: 'Rate', key: 'rate', width: 8 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+    { header: 'Cess Amount', key: 'cess', width: 10 },
+    { header: 'E-Commerce GSTIN', key: 'ecommerceGstin', width: 18 }
+  ],
+  b2cs: [
+    { header: 'Type', key: 'type', width: 8 },
+    { header: 'Place Of Supply', key: 'placeOfSupply', width: 22 },
+    { header: 'Applicable % of Tax Rate', key: 'applicablePercent', width: 10 },
+    { header: 'Rate', key: 'rate', width: 8 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+    { header: 'Cess Amount', key: 'cess', width: 10 },
+    { header: 'E-Commerce GSTIN', key: 'ecommerceGstin', width: 18 }
+  ],
+  cdnr: [
+    { header: 'GSTIN/UIN of Recipient', key: 'gstin', width: 20 },
+    { header: 'Receiver Name', key: 'receiverName', width: 24 },
+    { header: 'Note Number', key: 'noteNumber', width: 18 },
+    { header: 'Note Date', key: 'noteDate', width: 14 },
+    { header: 'Note Type', key: 'noteType', width: 8 },
+    { header: 'Place Of Supply', key: 'placeOfSupply', width: 22 },
+    { header: 'Reverse Charge', key: 'reverseCharge', width: 10 },
+    { header: 'Note Supply Type', key: 'noteSupplyType', width: 14 },
+    { header: 'Note Value', key: 'noteValue', width: 14 },
+    { header: 'Applicable % of Tax Rate', key: 'applicablePercent', width: 10 },
+    { header: 'Rate', key: 'rate', width: 8 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+    { header: 'Cess Amount', key: 'cess', width: 10 }
+  ],
+  cdnur: [
+    { header: 'UR Type', key: 'urType', width: 8 },
+    { header: 'Note Number', key: 'noteNumber', width: 18 },
+    { header: 'Note Date', key: 'noteDate', width: 14 },
+    { header: 'Note Type', key: 'noteType', width: 8 },
+    { header: 'Place Of Supply', key: 'placeOfSupply', width: 22 },
+    { header: 'Note Value', key: 'noteValue', width: 14 },
+    { header: 'Applicable % of Tax Rate', key: 'applicablePercent', width: 10 },
+    { header: 'Rate', key: 'rate', width: 8 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+    { header: 'Cess Amount', key: 'cess', width: 10 }
+  ],
+  exemp: [
+    { header: 'Description', key: 'description', width: 44 },
+    { header: 'Nil Rated Supplies', key: 'nilRated', width: 16 },
+    { header: 'Exempted(other than nil rated/non GST supply)', key: 'exempted', width: 16 },
+    { header: 'Non-GST supplies', key: 'nonGst', width: 16 }
+  ],
+  hsn: [
+    { header: 'HSN', key: 'hsn', width: 10 },
+    { header: 'Description', key: 'description', width: 28 },
+    { header: 'UQC', key: 'uqc', width: 8 },
+    { header: 'Total Quantity', key: 'quantity', width: 12 },
+    { header: 'Total Value', key: 'totalValue', width: 14 },
+    { header: 'Rate', key: 'rate', width: 8 },
+    { header: 'Taxable Value', key: 'taxableValue', width: 14 },
+    { header: 'Integrated Tax Amount', key: 'igst', width: 14 },
+    { header: 'Central Tax Amount', key: 'cgst', width: 14 },
+    { header: 'State/UT Tax Amount', key: 'sgst', width: 14 },
+    { header: 'Cess Amount', key: 'cess', width: 10 }
+  ],
+  docs: [
+    { header: 'Nature of Document', key: 'nature', width: 30 },
+    { header: 'Sr. No. From', key: 'from', width: 18 },
+    { header: 'Sr. No. To', key: 'to', width: 18 },
+    { header: 'Total Number', key: 'total', width: 12 },
+    { header: 'Cancelled', key: 'cancelled', width: 10 }
+  ]
+};
+
+const EXEMPT_DESCRIPTIONS = {
+  interRegistered: 'Inter-State supplies to registered persons',
+  intraRegistered: 'Intra-State supplies to registered persons',
+  interUnregistered: 'Inter-State supplies to unregistered persons',
+  intraUnregistered: 'Intra-State supplies to unregistered persons'
+};
+
+function buildSections(documents) {
+  const b2b = [];
+  const b2cl = [];
+  const b2csMap = new Map();
+  const cdnr = [];
+  const cdnur = [];
+  const exempt = Object.keys(EXEMPT_DESCRIPTIONS).reduce((map, key) => ({ ...map, [key]: 0 }), {});
+  const hsnMap = new Map();
+  const series = new Map();
+
+  documents.forEach(doc => {
+    // Document series summary counts cancelled documents too
+    const prefix = doc.number.replace(/\d+$/, '');
+    const entry = series.get(prefix) || { type: doc.type, numbers: [], cancelled: 0 };
+    entry.numbers.push(doc.number);
+    if (doc.cancelled) entry.cancelled++;
+    series.set(prefix, entry);
+
+    if (doc.cancelled) return;
+
+    // Credit notes reduce the period's supplies
+    const sign = doc.type === 'credit_note' ? -1 : 1;
+    const registered = Boolean(doc.recipientGstin);
+    const taxedLines = doc.lines.filter(line => line.rate > 0);
+    const exemptValue = doc.lines.filter(line => !(line.rate > 0)).reduce((sum, line) => sum + line.taxableValue, 0);
+
+    const exemptKey = `${doc.interState ? 'inter' : 'intra'}${registered ? 'Registered' : 'Unregistered'}`;
+    exempt[exemptKey] += sign * exemptValue;
+
+    const common = {
+      placeOfSupply: formatPlaceOfSupply(doc.placeOfSupply),
+      applicablePercent: '',
+      ecommerceGstin: '',
+      cess: 0
+    };
+
+    if (doc.type === 'credit_note' && registered) {
+      groupByRate(taxedLines).forEach(group => cdnr.push({
+        ...common,
+        gstin: doc.recipientGstin,
+        receiverName: doc.customerName,
+        noteNumber: doc.number,
+        noteDate: formatPortalDate(doc.date),
+        noteType: 'C',
+        reverseCharge: 'N',
+        noteSupplyType: 'Regular B2B',
+        noteValue: round2(doc.value),
+        rate: group.rate,
+        taxableValue: round2(group.taxableValue)
+      }));
+    } else if (doc.type === 'credit_note' && doc.interState && doc.invoiceValue > B2CL_THRESHOLD) {
+      groupByRate(taxedLines).forEach(group => cdnur.push({
+        ...common,
+        urType: 'B2CL',
+        noteNumber: doc.number,
+        noteDate: formatPortalDate(doc.date),
+        noteType: 'C',
+        noteValue: round2(doc.value),
+        rate: group.rate,
+        taxableValue: round2(group.taxableValue)
+      }));
+    } else if (registered) {
+      groupByRate(taxedLines).forEach(group => b2b.push({
+        ...common,
+        gstin: doc.recipientGstin,
+        receiverName: doc.customerName,
+        invoiceNumber: doc.number,
+        invoiceDate: formatPortalDate(doc.date),
+        invoiceValue: round2(doc.value),
+        reverseCharge: 'N',
+        invoiceType: 'Regular B2B',
+        rate: group.rate,
+        taxableValue: round2(group.taxableValue)
+      }));
+    } else if (doc.interState && doc.value > B2CL_THRESHOLD) {
+      groupByRate(taxedLines).forEach(group => b2cl.push({
+        ...common,
+        invoiceNumber: doc.number,
+        invoiceDate: formatPortalDate(doc.date),
+        invoiceValue: round2(doc.value),
+        rate: group.rate,
+        taxableValue: round2(group.taxableValue)
+      }));
+    } else {
+      // Small B2C supplies are reported in aggregate per place of supply and rate,
+      // net of credit notes against them
+      groupByRate(taxedLines).forEach(group => {
+        const key = `${doc.placeOfSupply}:${group.rate}`;
+        const row = b2csMap.get(key) || { ...common, type: 'OE', rate: group.rate, taxableValue: 0 };
+        row.taxableValue += sign * group.taxableValue;
+        b2csMap.set(key, row);
+      });
+    }
+
+    doc.lines.forEach(line => {
+      const key = `${line.code}:${line.rate}`;
+      const row = hsnMap.get(key) || {
+        hsn: line.code,
+        description: line.description,
+        uqc: line.codeType === 'SAC' ? 'NA' : 'NOS-NUMBERS',
+        quantity: 0,
+        totalValue: 0,
+        rate: line.rate,
+        taxableValue: 0,
+        igst: 0,
+        cgst: 0,
+        sgst: 0,
+        cess: 0
+      };
+      row.quantity += line.codeType === 'SAC' ? 0 : sign * line.quantity;
+      row.taxableValue += sign * line.taxableValue;
+      row.igst += sign * line.igst;
+      row.cgst += sign * line.cgst;
+      row.sgst += sign * line.sgst;
+      row.totalValue += sign * (line.taxableValue + line.igst + line.cgst + line.sgst);
+      hsnMap.set(key, row);
+    });
+  });
+
+  const roundRow = (row, keys) => keys.forEach(key => { row[key] = round2(row[key]); });
+
+  const b2cs = [...b2csMap.values()];
+  b2cs.forEach(row => roundRow(row, ['taxableValue']));
+
+  const hsn = [...hsnMap.values()].sort((a, b) => a.hsn.localeCompare(b.hsn));
+  hsn.forEach(row => roundRow(row, ['totalValue', 'taxableValue', 'igst', 'cgst', 'sgst']));
+
+  const exemp = Object.entries(EXEMPT_DESCRIPTIONS).map(([key, description]) => ({
+    description,
+    nilRated: 0,
+    exempted: round2(exempt[key]),
+    nonGst: 0
+  }));
+
+  const docs = [...series.values()].map(entry => {
+    const sorted = entry.numbers.sort();
+    return {
+      nature: entry.type === 'credit_note' ? 'Credit Note' : 'Invoices for outward supply',
+      from: sorted[0],
+      to: sorted[sorted.length - 1],
+      total: sorted.length,
+      cancelled: entry.cancelled
+    };
+  });
+
+  return { b2b, b2cl, b2cs, cdnr, cdnur, exemp, hsn, docs };
+}
+
+// ========== PUBLIC API ==========
+
+/**
+ * GSTR-1 data for a month, from invoices, pharmacy sales and credit notes
+ * Pharmacy sales billed through an Invoice are only counted once, via the invoice.
+ * @param {Object} params
+ * @param {string} [params.month] - YYYY-MM, defaults to the previous month
+ */
+async function buildGstr1({ month } = {}) {
+  const period = getReturnPeriod(month);
+  const settings = await TaxSettings.getSettings();
+  const dateRange = { $gte: period.start, $lt: period.end };
+
+  const invoices = await Invoice.find({ invoiceDate: dateRange, status: { $ne: 'draft' } })
+    .sort({ invoiceDate: 1 })
+    .lean();
+
+  const invoicedSaleIds = invoices.filter(inv => inv.pharmacySaleId).map(inv => inv.pharmacySaleId);
+  const sales = await PharmacySale.find({ saleDate: dateRange, _id: { $nin: invoicedSaleIds } })
+    .sort({ saleDate: 1 })
+    .lean();
+
+  const creditNotes = await CreditNote.find({ creditNoteDate: dateRange })
+    .populate('invoiceId', 'totalAmount')
+    .sort({ creditNoteDate: 1 })
+    .lean();
+
+  const documents = [
+    ...invoices.map(invoice => normaliseInvoice(invoice, settings)),
+    ...sales.map(sale => normaliseSale(sale, settings)),
+    ...creditNotes.map(note => normaliseCreditNote(note))
+  ];
+
+  const sections = buildSections(documents);
+  const active = documents.filter(doc => !doc.cancelled);
+  const sign = (doc) => (doc.type === 'credit_note' ? -1 : 1);
+  const sum = (key) => round2(active.reduce((total, doc) => total + sign(doc) * doc.lines.reduce((s, line) => s + line[key], 0), 0));
+  const value = (type) => round2(active.filter(doc => doc.type === type).reduce((total, doc) => total + doc.value, 0));
+
+  return {
+    gstin: settings.supplier?.gstin,
+    legalName: settings.supplier?.legalName,
+    stateCode: getStateCode(settings.supplier?.stateCode || settings.supplier?.gstin),
+    month: period.month,
+    returnPeriod: period.returnPeriod,
+    summary: {
+      documents: documents.length,
+      cancelled: documents.length - active.length,
+      invoiceValue: value('invoice'),
+      creditNoteValue: value('credit_note'),
+      taxableValue: sum('taxableValue'),
+      igst: sum('igst'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst')
+    },
+    sections
+  };
+}
+
+async function renderGstr1Excel(gstr1) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'AADYAMED';
+
+  const summarySheet = workbook.addWorksheet('summary');
+  summarySheet.columns = [
+    { header: 'Field', key: 'label', width: 24 },
+    { header: 'Value', key: 'value', width: 24 }
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+  summarySheet.addRows([
+    { label: 'GSTIN', value: gstr1.gstin || '' },
+    { label: 'Legal name', value: gstr1.legalName || '' },
+    { label: 'Return period', value: gstr1.returnPeriod },
+    ...Object.entries(gstr1.summary).map(([label, value]) => ({ label, value }))
+  ]);
+
+  GSTR1_SECTIONS.forEach(section => {
+    const sheet = workbook.addWorksheet(section);
+    sheet.columns = SECTION_COLUMNS[section];
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(gstr1.sections[section]);
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+}
+
+function renderGstr1Csv(gstr1, section) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const columns = SECTION_COLUMNS[section];
+  const lines = [
+    columns.map(c => escape(c.header)).join(','),
+    ...gstr1.sections[section].map(row => columns.map(c => escape(row[c.key])).join(','))
+  ];
+  return Buffer.from(lines.join('\n'));
+}
+
+module.exports = {
+  GSTR1_SECTIONS,
+  getReturnPeriod,
+  buildGstr1,
+  renderGstr1Excel,
+  renderGstr1Csv
+};
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const MedicationSchedule = require('../models/MedicationSchedule');
+const MedicationDose = require('../models/MedicationDose');
+const PatientProfile = require('../models/PatientProfile');
+const { buildDoseSchedule } = require('./dosageSchedule');
+const { notify } = require('./notifications');
+
+// A dose nobody logged within this long counts as missed
+const MISSED_AFTER_MS = 12 * 60 * 60 * 1000;
+// Reminders are not sent for doses later than this (e.g. after downtime)
+const REMINDER_WINDOW_MS = 60 * 60 * 1000;
+// How early a dose can be logged as taken
+const EARLY_LOG_MS = 60 * 60 * 1000;
+
+const LOGGED_STATUSES = ['taken', 'skipped'];
+
+const PROFESSIONAL_FIELDS = {
+  doctor: 'doctorId',
+  physio: 'physioId'
+};
+
+/**
+ * Build dose schedules for the medicines on an issued prescription
+ * Medicines that already have a schedule are left alone, so this can be re-run.
+ * Never throws: issuing the prescription must not fail on a schedule error.
+ */
+async function createSchedulesForPrescription(prescription, { from = new Date() } = {}) {
+  try {
+    if (prescription.status !== 'issued' || !prescription.medicines?.length) return [];
+
+    const existing = await MedicationSchedule.find({ prescriptionId: prescription._id }).select('medicineItemId');
+    const scheduled = new Set(existing.map(schedule => schedule.medicineItemId.toString()));
+
+    const professionalField = PROFESSIONAL_FIELDS[prescription.professionalType];
+    const schedules = [];
+
+    for (const medicine of prescription.medicines) {
+      if (!medicine.medicineName || scheduled.has(medicine._id.toString())) continue;
+
+      const plan = buildDoseSchedule(medicine, from);
+      const doses = plan.doses || [];
+
+      const schedule = await MedicationSchedule.create({
+        patientId: prescription.patientId,
+        prescriptionId: prescription._id,
+        medicineItemId: medicine._id,
+        professionalType: prescription.professionalType,
+        [professionalField]: prescription[professionalField],
+        medicineName: medicine.medicineName,
+        dosage: medicine.dosage,
+        unit: medicine.unit,
+        instructions: medicine.instructions,
+        frequency: medicine.frequency,
+        duration: medicine.duration,
+        doseTimes: plan.doseTimes,
+        intervalDays: plan.intervalDays,
+        totalDoses: doses.length,
+        startDate: doses[0]?.scheduledAt,
+        endDate: doses[doses.length - 1]?.scheduledAt,
+        status: plan.status === 'scheduled' ? 'active' : plan.status
+      });
+
+      if (doses.length) {
+        await MedicationDose.insertMany(doses.map(dose => ({
+          scheduleId: schedule._id,
+          patientId: schedule.patientId,
+          prescriptionId: schedule.prescriptionId,
+          medicineName: schedule.medicineName,
+          amount: dose.amount,
+          unit: schedule.unit,
+          scheduledAt: dose.scheduledAt
+        })));
+      }
+
+      schedules.push(schedule);
+    }
+
+    return schedules;
+  } catch (error) {
+    console.error('Error creating medication schedules:', error);
+    return [];
+  }
+}
+
+/**
+ * Stop a prescription's schedules, e.g. when a new version replaces it
+ * Doses already logged or missed are kept for adherence.
+ */
+async function cancelSchedulesForPrescription(prescriptionId) {
+  try {
+    const now = new Date();
+    await MedicationSchedule.updateMany(
+      { prescriptionId, status: 'active' },
+      { status: 'cancelled', cancelledAt: now }
+    );
+    await MedicationDose.updateMany(
+      { prescriptionId, status: 'pending', scheduledAt: { $gt: now } },
+      { status: 'cancelled' }
+    );
+  } catch (error) {
+    console.error('Error cancelling medication schedules:', error);
+  }
+}
+
+const toAdherence = ({ taken = 0, skipped = 0, missed = 0 } = {}) => {
+  const due = taken + skipped + missed;
+  return {
+    taken,
+    skipped,
+    missed,
+    // null until a dose has come due
+    percentage: due ? Math.round((taken / due) * 1000) / 10 : null
+  };
+};
+
+/**
+ * Adherence per schedule and overall: taken doses out of those taken,
+ * skipped or missed. Pending doses don't count yet.
+ * @returns {Promise<{ overall, bySchedule: Map<string, object> }>}
+ */
+async function getAdherence(scheduleIds) {
+  const rows = await MedicationDose.aggregate([
+    {
+      $match: {
+        scheduleId: { $in: scheduleIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        status: { $in: ['taken', 'skipped', 'missed'] }
+      }
+    },
+    { $group: { _id: { scheduleId: '$scheduleId', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map();
+  const totals = {};
+  for (const { _id, count } of rows) {
+    const key = _id.scheduleId.toString();
+    if (!counts.has(key)) counts.set(key, {});
+    counts.get(key)[_id.status] = count;
+    totals[_id.status] = (totals[_id.status] || 0) + count;
+  }
+
+  const bySchedule = new Map();
+  scheduleIds.forEach(id => bySchedule.set(String(id), toAdherence(counts.get(String(id)))));
+
+  return { overall: toAdherence(totals), bySchedule };
+}
+
+/**
+ * Record a dose as taken or skipped by the patient it belongs to
+ * Throws an error with `statusCode` (400/404/409) otherwise.
+ */
+async function logDose(patientId, doseId, { status, note }) {
+  if (!LOGGED_STATUSES.includes(status)) {
+    const error = new Error('Status must be "taken" or "skipped"');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!mongoose.isValidObjectId(doseId)) {
+    const error = new Error('Invalid dose');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const dose = await MedicationDose.findOne({ _id: doseId, patientId });
+  if (!dose) {
+    const error = new Error('Dose not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (dose.status === 'cancelled') {
+    const error = new Error('This dose is no longer part of your schedule');
+    error.statusCode = 409;
+    throw error;
+  }
+  if (dose.scheduledAt.getTime() - Date.now() > EARLY_LOG_MS) {
+    const error = new Error('This dose is not due yet');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  dose.status = status;
+  dose.loggedAt = new Date();
+  if (note !== undefined) dose.note = note;
+  await dose.save();
+
+  return dose;
+}
+
+/**
+ * Remind patients who opted in to medication reminders about doses due now
+ * Doses due at the same time are combined into one notification. Each dose is
+ * claimed before sending so it is reminded about once.
+ * @returns {Promise<number>} notifications sent
+ */
+async function sendDueMedicationReminders(now = new Date()) {
+  const due = await MedicationDose.find({
+    status: 'pending',
+    reminderSentAt: null,
+    scheduledAt: { $lte: now, $gte: new Date(now.getTime() - REMINDER_WINDOW_MS) }
+  }).select('patientId scheduleId medicineName amount unit scheduledAt');
+  if (due.length === 0) return 0;
+
+  const patients = await PatientProfile.find({
+    _id: { $in: [...new Set(due.map(dose => dose.patientId.toString()))] },
+    'preferences.reminderPreferences.medicationReminders': true
+  }).select('userId');
+  const userByPatient = new Map(patients.map(patient => [patient._id.toString(), patient.userId]));
+
+  const groups = new Map();
+  for (const dose of due) {
+    if (!userByPatient.get(dose.patientId.toString())) continue;
+    const key = `${dose.patientId}:${dose.scheduledAt.getTime()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(dose);
+  }
+
+  let sent = 0;
+  for (const doses of groups.values()) {
+    const claimed = [];
+    for (const dose of doses) {
+      const result = await MedicationDose.updateOne(
+        { _id: dose._id, status: 'pending', reminderSentAt: null },
+        { reminderSentAt: now }
+      );
+      if (result.modifiedCount) claimed.push(dose);
+    }
+    if (claimed.length === 0) continue;
+
+    const [{ patientId, scheduledAt }] = claimed;
+    try {
+      await notify({
+        userId: userByPatient.get(patientId.toString()),
+        type: 'reminder',
+        template: 'medication_reminder',
+        data: {
+          scheduledAt,
+          doses: claimed.map(dose => ({
+            doseId: dose._id,
+            medicineName: dose.medicineName,
+            amount: dose.amount,
+            unit: dose.unit
+          }))
+        },
+        channels: ['in_app', 'push', 'whatsapp'],
+        priority: 'high',
+        expiresAt: new Date(scheduledAt.getTime() + MISSED_AFTER_MS),
+        actionUrl: '/medications',
+        actionText: 'Log dose',
+        relatedEntity: 'MedicationSchedule',
+        relatedEntityId: claimed[0].scheduleId
+      });
+      sent++;
+    } catch (error) {
+      console.error('Medication reminder failed:', error);
+      await MedicationDose.updateMany(
+        { _id: { $in: claimed.map(dose => dose._id) } },
+        { $unset: { reminderSentAt: 1 } }
+      );
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Close out past doses nobody logged, and schedules whose last dose has passed
+ * @returns {Promise<{ missed: number, completed: number }>}
+ */
+async function sweepMedicationSchedules(now = new Date()) {
+  const cutoff = new Date(now.getTime() - MISSED_AFTER_MS);
+
+  const missed = await MedicationDose.updateMany(
+    { status: 'pending', scheduledAt: { $lt: cutoff } },
+    { status: 'missed' }
+  );
+  const completed = await MedicationSchedule.updateMany(
+    { status: 'active', endDate: { $lt: cutoff } },
+    { status: 'completed' }
+  );
+
+  return { missed: missed.modifiedCount, completed: completed.modifiedCount };
+}
+
+module.exports = {
+  PROFESSIONAL_FIELDS,
+  createSchedulesForPrescription,
+  cancelSchedulesForPrescription,
+  getAdherence,
+  logDose,
+  sendDueMedicationReminders,
+  sweepMedicationSchedules
+};
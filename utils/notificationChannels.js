@@ -0,0 +1,222 @@
+const fs = require('fs');
+const sendEmail = require('./sendEmail');
+const { toE164, getSmsProvider } = require('./smsProvider');
+
+/**
+ * Delivery adapters for the notification channels other than in_app
+ * Every adapter exposes the same shape:
+ *   send({ to, content, notification }) -> { id }
+ * `to` is the channel address (email, phone or device token) and `content`
+ * the channel's rendering from utils/notificationTemplates.js.
+ * Errors flagged `permanent` are not retried; `invalidAddress` also means
+ * the address should not be used again.
+ */
+
+const CHANNELS = ['email', 'sms', 'push', 'whatsapp'];
+
+const permanentError = (error, { invalidAddress = false } = {}) => {
+  error.permanent = true;
+  if (invalidAddress) error.invalidAddress = true;
+  return error;
+};
+
+function createSmtpEmailAdapter() {
+  return {
+    name: 'smtp',
+    send: async ({ to, content }) => {
+      try {
+        await sendEmail({ to, subject: content.subject, text: content.text, html: content.html });
+      } catch (error) {
+        // 5xx SMTP replies (unknown mailbox, rejected message) will not succeed on retry
+        if (error.responseCode >= 500) throw permanentError(error, { invalidAddress: error.responseCode === 550 });
+        throw error;
+      }
+      return { id: null };
+    }
+  };
+}
+
+// SMS goes through the shared SMS client so OTPs and notifications use one provider
+function createSmsAdapter() {
+  return {
+    get name() {
+      return getSmsProvider().name;
+    },
+    send: ({ to, content }) => getSmsProvider().send(to, content.body)
+  };
+}
+
+const FCM_INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+/**
+ * Firebase Cloud Messaging to the device token saved on the user
+ * @param {object} serviceAccount - parsed service account JSON
+ */
+function createFcmAdapter({ serviceAccount }) {
+  const { initializeApp, getApps, cert } = require('firebase-admin/app');
+  const { getMessaging } = require('firebase-admin/messaging');
+
+  const appName = 'notifications';
+  const app = getApps().find(existing => existing.name === appName)
+    || initializeApp({ credential: cert(serviceAccount) }, appName);
+  const messaging = getMessaging(app);
+
+  return {
+    name: 'fcm',
+    send: async ({ to, content }) => {
+      try {
+        const id = await messaging.send({
+          token: to,
+          notification: { title: content.title, body: content.body },
+          data: content.data
+        });
+        return { id };
+      } catch (error) {
+        if (FCM_INVALID_TOKEN_CODES.includes(error.code)) throw permanentError(error, { invalidAddress: true });
+        if (error.code === 'messaging/invalid-argument') throw permanentError(error);
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * WhatsApp through Twilio
+ * `from` is the WhatsApp-enabled sender number in E.164
+ */
+function createTwilioWhatsAppAdapter({ accountSid, authToken, from }) {
+  const twilio = require('twilio')(accountSid, authToken);
+
+  return {
+    name: 'twilio_whatsapp',
+    send: async ({ to, content }) => {
+      try {
+        const message = await twilio.messages.create({
+          to: `whatsapp:${toE164(to)}`,
+          from: `whatsapp:${from}`,
+          body: content.body
+        });
+        return { id: message.sid };
+      } catch (error) {
+        // 4xx other than rate limiting: bad number, not on WhatsApp, opted out
+        if (error.status >= 400 && error.status < 500 && error.status !== 429) throw permanentError(error);
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Stand-in for a channel with no provider in production
+ * Every send fails permanently, so the delivery is marked `failed` rather
+ * than `sent` with nothing delivered.
+ */
+function createUnconfiguredAdapter(channel, missing) {
+  console.error(`❌ ${channel} notifications are not configured: set ${missing}`);
+
+  return {
+    name: 'unconfigured',
+    send: async () => {
+      throw permanentError(new Error(`${channel} is not configured`));
+    }
+  };
+}
+
+/**
+ * Console adapter for local development and tests
+ * Deliveries are logged and kept in `sent`.
+ */
+function createConsoleAdapter(channel) {
+  const sent = [];
+
+  return {
+    name: 'console',
+    sent,
+    reset() {
+      sent.length = 0;
+    },
+    send: async ({ to, content }) => {
+      const message = { id: `${channel}_console_${Date.now()}${sent.length}`, to, content };
+      sent.push(message);
+      console.log(`🔔 ${channel} to ${to}: ${content.subject || content.title || content.body}`);
+      return { id: message.id };
+    }
+  };
+}
+
+function loadFirebaseServiceAccount() {
+  const inline = process.env.FIREBASE_SERVICE_ACCOUNT?.trim();
+  if (inline) return JSON.parse(inline);
+
+  const path = process.env.FIREBASE_SERVICE_ACCOUNT_PATH?.trim();
+  if (path) return JSON.parse(fs.readFileSync(path, 'utf8'));
+
+  return null;
+}
+
+// Outside production, a console provider or missing credentials use the console adapter
+const fallbackAdapter = (channel, missing) => (process.env.NODE_ENV === 'production'
+  ? createUnconfiguredAdapter(channel, missing)
+  : createConsoleAdapter(channel));
+
+const useConsole = (variable) => process.env[variable] === 'console' && process.env.NODE_ENV !== 'production';
+
+const factories = {
+  email: () => {
+    if (useConsole('EMAIL_PROVIDER') || !process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      return fallbackAdapter('email', 'EMAIL_USER and EMAIL_PASS');
+    }
+    return createSmtpEmailAdapter();
+  },
+  sms: () => createSmsAdapter(),
+  push: () => {
+    const serviceAccount = useConsole('PUSH_PROVIDER') ? null : loadFirebaseServiceAccount();
+    return serviceAccount
+      ? createFcmAdapter({ serviceAccount })
+      : fallbackAdapter('push', 'FIREBASE_SERVICE_ACCOUNT or FIREBASE_SERVICE_ACCOUNT_PATH');
+  },
+  whatsapp: () => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID?.trim();
+    const authToken = process.env.TWILIO_AUTH_TOKEN?.trim();
+    const from = process.env.TWILIO_WHATSAPP_FROM?.trim();
+
+    if (useConsole('WHATSAPP_PROVIDER') || !accountSid || !authToken || !from) {
+      return fallbackAdapter('whatsapp', 'TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_WHATSAPP_FROM');
+    }
+    return createTwilioWhatsAppAdapter({ accountSid, authToken, from });
+  }
+};
+
+const adapters = {};
+
+/**
+ * Active adapter for a channel
+ * Outside production each channel falls back to the console adapter when its
+ * credentials are missing or its *_PROVIDER variable is `console`. In
+ * production a channel without credentials fails its deliveries instead.
+ */
+function getChannelAdapter(channel) {
+  if (!factories[channel]) throw new Error(`Unknown notification channel: ${channel}`);
+  if (!adapters[channel]) adapters[channel] = factories[channel]();
+  return adapters[channel];
+}
+
+// Swap the adapter for a channel (e.g. a stub in tests)
+function setChannelAdapter(channel, adapter) {
+  if (!factories[channel]) throw new Error(`Unknown notification channel: ${channel}`);
+  adapters[channel] = adapter;
+}
+
+module.exports = {
+  CHANNELS,
+  createSmtpEmailAdapter,
+  createSmsAdapter,
+  createFcmAdapter,
+  createTwilioWhatsAppAdapter,
+  createConsoleAdapter,
+  getChannelAdapter,
+  setChannelAdapter
+};
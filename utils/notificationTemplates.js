@@ -0,0 +1,240 @@
+/**
+ * Notification content
+ * Named templates turn event data into the stored title/message; the
+ * channel renderers then lay that out per channel, styled by notification type.
+ */
+
+const APP_NAME = process.env.APP_NAME || 'AadyaPlus';
+
+// SMS/WhatsApp bodies are cut to two SMS segments
+const MAX_TEXT_LENGTH = 306;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+// "in 15 minutes", "in 2 hours"
+const formatLeadTime = (minutes) => {
+  if (minutes < 60) {
+    const rounded = Math.max(1, Math.round(minutes));
+    return `in ${rounded} minute${rounded === 1 ? '' : 's'}`;
+  }
+  const hours = Math.round(minutes / 60);
+  return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const FRACTIONS = { 0.25: '¼', 0.5: '½', 0.75: '¾' };
+const formatDose = ({ medicineName, amount, unit }) => {
+  if (!amount) return medicineName;
+  return `${medicineName} (${FRACTIONS[amount] || amount}${unit ? ` ${unit}` : ''})`;
+};
+
+const VISIT_LABELS = {
+  clinic: 'clinic appointment',
+  home: 'home visit',
+  video: 'video consultation'
+};
+
+const STATUS_PHRASES = {
+  accepted: 'has been accepted',
+  rejected: 'has been rejected',
+  confirmed: 'has been confirmed',
+  in_progress: 'has started',
+  completed: 'has been completed',
+  cancelled: 'has been cancelled',
+  rescheduled: 'has been rescheduled'
+};
+
+/**
+ * Named templates: data -> { title, message }
+ * Unknown or missing data fields fall back to neutral wording rather than "undefined".
+ */
+const TEMPLATES = {
+  appointment_booked: (data) => ({
+    title: 'Appointment Created',
+    message: `Your appointment with ${data.professionalName || 'your professional'} is scheduled for ${formatDate(data.date)} at ${data.startTime}`
+  }),
+  appointment_requested: (data) => ({
+    title: 'New Appointment Request',
+    message: `New appointment request from ${data.patientName || 'a patient'} for ${formatDate(data.date)} at ${data.startTime}`
+  }),
+  appointment_status: (data) => ({
+    title: 'Appointment Status Update',
+    message: `Your appointment ${STATUS_PHRASES[data.status] || `is now ${data.status}`}`
+  }),
+  appointment_cancelled: (data) => ({
+    title: 'Appointment Cancelled',
+    message: data.refundAmount !== undefined
+      ? `Your appointment has been cancelled. Refund amount: ${formatAmount(data.refundAmount)}`
+      : `Appointment with ${data.patientName || 'patient'} has been cancelled`
+  }),
+  appointment_rescheduled: (data) => ({
+    title: 'Appointment Rescheduled',
+    message: `Appointment with ${data.patientName || 'patient'} has been rescheduled to ${formatDate(data.date)} at ${data.startTime}`
+  }),
+  appointment_completed: () => ({
+    title: 'Appointment Completed',
+    message: 'Your appointment has been completed. Prescription will be available shortly.'
+  }),
+  appointment_reminder: (data) => {
+    const details = [
+      `Your ${VISIT_LABELS[data.visitType] || 'appointment'} with ${data.counterpartName || (data.audience === 'patient' ? 'your professional' : 'your patient')} starts ${formatLeadTime(data.minutesBefore)} (${formatDate(data.date)} at ${data.startTime}).`
+    ];
+    if (data.visitType === 'video') {
+      details.push(data.meetingLink ? `Join: ${data.meetingLink}` : 'The meeting link will be shared before the call.');
+    }
+    if (data.visitType === 'home' && data.address) {
+      details.push(`Address: ${data.address}`);
+    }
+    return { title: 'Appointment Reminder', message: details.join(' ') };
+  },
+  medication_reminder: (data) => ({
+    title: 'Medication Reminder',
+    message: `Time to take ${(data.doses || []).map(formatDose).join(', ')}. Log it in the app once done.`
+  }),
+  waitlist_offer: (data) => ({
+    title: 'A slot has opened up',
+    message: `A slot on ${formatDate(data.date)} at ${data.startTime} is available. Accept within ${data.ttlMinutes} minutes to book it.`
+  }),
+  waitlist_booked: (data) => ({
+    title: 'Waitlist Slot Booked',
+    message: `A waitlisted patient booked the freed slot on ${formatDate(data.date)} at ${data.startTime}`
+  })
+};
+
+function renderTemplate(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+  return template(data);
+}
+
+// Heading and accent colour of the email layout per notification type
+const TYPE_STYLES = {
+  appointment: { label: 'Appointment', color: '#1f4e79' },
+  payment: { label: 'Payment', color: '#2e6b30' },
+  prescription: { label: 'Prescription', color: '#1f4e79' },
+  lab_report: { label: 'Lab Report', color: '#5b2c6f' },
+  verification: { label: 'Account', color: '#7d6608' },
+  commission: { label: 'Earnings', color: '#2e6b30' },
+  system: { label: 'Account', color: '#555555' },
+  marketing: { label: 'News', color: '#a04000' },
+  reminder: { label: 'Reminder', color: '#a04000' },
+  inventory: { label: 'Inventory', color: '#922b21' }
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Relative action URLs point into the frontend
+const absoluteUrl = (url) => {
+  if (!url || /^https?:\/\//i.test(url)) return url;
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+const renderers = {
+  email: (notification) => {
+    const style = TYPE_STYLES[notification.type] || TYPE_STYLES.system;
+    const link = absoluteUrl(notification.actionUrl);
+    const actionText = notification.actionText || 'Open';
+
+    return {
+      subject: `${style.label}: ${notification.title}`,
+      text: [notification.message, link && `${actionText}: ${link}`, `— ${APP_NAME}`].filter(Boolean).join('\n\n'),
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 560px;">
+          <p style="color: ${style.color}; font-size: 12px; text-transform: uppercase; margin: 0;">${escapeHtml(style.label)}</p>
+          <h2 style="margin: 4px 0 12px;">${escapeHtml(notification.title)}</h2>
+          <p>${escapeHtml(notification.message)}</p>
+          ${link ? `<p><a href="${escapeHtml(link)}" style="background: ${style.color}; color: #ffffff; padding: 8px 16px; text-decoration: none; border-radius: 4px;">${escapeHtml(actionText)}</a></p>` : ''}
+          <p style="color: #888888; font-size: 12px;">${escapeHtml(APP_NAME)}</p>
+        </div>`
+    };
+  },
+  sms: (notification) => ({
+    body: truncate(`${APP_NAME}: ${notification.title}. ${notification.message}`, MAX_TEXT_LENGTH)
+  }),
+  whatsapp: (notification) => {
+    const link = absoluteUrl(notification.actionUrl);
+    return {
+      body: truncate(`*${notification.title}*\n${notification.message}${link ? `\n${link}` : ''}`, MAX_TEXT_LENGTH)
+    };
+  },
+  push: (notification) => ({
+    title: notification.title,
+    body: notification.message,
+    // FCM data values must be strings
+    data: {
+      notificationId: String(notification._id),
+      type: notification.type,
+      ...(notification.actionUrl && { actionUrl: notification.actionUrl }),
+      ...(notification.relatedEntity && { relatedEntity: notification.relatedEntity }),
+      ...(notification.relatedEntityId && { relatedEntityId: String(notification.relatedEntityId) })
+    }
+  })
+};
+
+/**
+ * One email summarising a user's digest notifications, grouped by type
+ * @param {Array} notifications - newest first
+ */
+function renderDigestEmail(notifications, { name } = {}) {
+  const groups = new Map();
+  notifications.forEach(notification => {
+    const label = (TYPE_STYLES[notification.type] || TYPE_STYLES.system).label;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(notification);
+  });
+
+  const greeting = `Hi${name ? ` ${name}` : ''}, here are your latest updates.`;
+  const inboxUrl = absoluteUrl('/notifications');
+
+  const textSections = [...groups].map(([label, items]) => [
+    `${label} (${items.length})`,
+    ...items.map(item => `- ${item.title}: ${item.message}`)
+  ].join('\n'));
+
+  const htmlSections = [...groups].map(([label, items]) => `
+          <h3 style="margin: 16px 0 4px;">${escapeHtml(label)} (${items.length})</h3>
+          <ul style="padding-left: 18px; margin: 0;">
+            ${items.map(item => `<li><strong>${escapeHtml(item.title)}</strong>: ${escapeHtml(item.message)}</li>`).join('')}
+          </ul>`).join('');
+
+  return {
+    subject: `Your ${APP_NAME} digest: ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+    text: [greeting, ...textSections, `View all: ${inboxUrl}`, `— ${APP_NAME}`].join('\n\n'),
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 560px;">
+          <p>${escapeHtml(greeting)}</p>${htmlSections}
+          <p><a href="${escapeHtml(inboxUrl)}">View all notifications</a></p>
+          <p style="color: #888888; font-size: 12px;">${escapeHtml(APP_NAME)}</p>
+        </div>`
+  };
+}
+
+/**
+ * Content for one delivery channel of a stored notification
+ */
+function renderForChannel(channel, notification) {
+  const renderer = renderers[channel];
+  if (!renderer) throw new Error(`No renderer for notification channel: ${channel}`);
+  return renderer(notification);
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  renderForChannel,
+  renderDigestEmail
+};
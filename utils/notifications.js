@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const PatientProfile = require('../models/PatientProfile');
+const { emitToUser } = require('../sockets/io');
+const { CHANNELS, getChannelAdapter } = require('./notificationChannels');
+const { renderTemplate, renderForChannel, renderDigestEmail } = require('./notificationTemplates');
+
+/**
+ * Notification dispatcher
+ * notify() stores the in-app notification and queues one delivery per
+ * external channel; deliveries are sent straight away in the background and
+ * retried with backoff by jobs/notificationJob.js.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+// 1 min, 4 min, 16 min, ... capped at 6 hours
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_FACTOR = 4;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// A dispatcher that crashed mid-send releases its claim after this long
+const LOCK_MS = 2 * 60 * 1000;
+const SEND_TIMEOUT_MS = 30 * 1000;
+
+// Channels that need explicit consent rather than an opt-out
+const OPT_IN_CHANNELS = ['whatsapp'];
+
+// Emailed in the daily digest, for users who chose it, instead of one by one
+const DIGEST_TYPES = ['marketing', 'system'];
+// Read notifications are deleted after this many days
+const READ_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90;
+
+const CHANNEL_ADDRESSES = {
+  email: user => user.email,
+  sms: user => user.phone,
+  whatsapp: user => user.phone,
+  push: user => user.deviceToken
+};
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * RETRY_FACTOR ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Whether the user accepts a channel, from User.preferences.notifications and,
+ * for patients, PatientProfile.preferences.notificationPreferences.
+ * Either place can turn a channel off; opt-in channels are on when either says yes.
+ */
+function isChannelAllowed(channel, user, patientProfile) {
+  const userChoice = user.preferences?.notifications?.[channel];
+  const patientChoice = patientProfile?.preferences?.notificationPreferences?.[channel];
+
+  if (OPT_IN_CHANNELS.includes(channel)) {
+    return userChoice === true || patientChoice === true;
+  }
+  return userChoice !== false && patientChoice !== false;
+}
+
+const isDigestEligible = (notification) => (
+  !['high', 'urgent'].includes(notification.priority)
+  && (DIGEST_TYPES.includes(notification.type) || notification.priority === 'low')
+);
+
+// Notifications still shown in the inbox; expired ones linger until the TTL monitor runs
+const notExpired = (now = new Date()) => ({
+  $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+/**
+ * Push the current unread count to each user's connected devices
+ */
+async function emitUnreadCounts(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.length === 0) return;
+
+  const counts = await Notification.aggregate([
+    {
+      $match: {
+        userId: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) },
+        read: false,
+        ...notExpired()
+      }
+    },
+    { $group: { _id: '$userId', count: { $sum: 1 } } }
+  ]);
+  const countByUser = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+  ids.forEach(id => emitToUser(id, 'notification_count', { unreadCount: countByUser.get(id) || 0 }));
+}
+
+// Socket payload for the in-app bell
+const toInAppPayload = (notification) => ({
+  _id: notification._id,
+  title: notification.title,
+  message: notification.message,
+  type: notification.type,
+  priority: notification.priority,
+  data: notification.data,
+  actionUrl: notification.actionUrl,
+  actionText: notification.actionText,
+  relatedEntity: notification.relatedEntity,
+  relatedEntityId: notification.relatedEntityId,
+  createdAt: notification.createdAt
+});
+
+/**
+ * Queue a notification for one or more users
+ * @param {object} options
+ *   userIds | userId, type, channels (default ['in_app']),
+ *   template + data, or title + message,
+ *   priority, expiresAt, actionUrl, actionText, relatedEntity, relatedEntityId, metadata
+ * @returns {Promise<Notification[]>} one per user found
+ */
+async function notify(options) {
+  const {
+    userId,
+    userIds = userId ? [userId] : [],
+    type,
+    template,
+    data,
+    channels = ['in_app'],
+    ...rest
+  } = options;
+
+  const content = template
+    ? renderTemplate(template, data)
+    : { title: options.title, message: options.message };
+
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids } })
+    .select('role preferences.notifications')
+    .lean();
+  if (users.length === 0) return [];
+
+  const patientUserIds = users.filter(user => user.role === 'patient').map(user => user._id);
+  const patientProfiles = patientUserIds.length
+    ? await PatientProfile.find({ userId: { $in: patientUserIds } })
+      .select('userId preferences.notificationPreferences')
+      .lean()
+    : [];
+  const profileByUser = new Map(patientProfiles.map(profile => [profile.userId.toString(), profile]));
+
+  const requested = [...new Set(channels)];
+  const external = requested.filter(channel => CHANNELS.includes(channel));
+  const now = new Date();
+
+  const digestEligible = isDigestEligible({ type, priority: rest.priority });
+
+  const docs = users.map(user => ({
+    ...rest,
+    userId: user._id,
+    userRole: user.role,
+    type,
+    template,
+    data,
+    title: content.title,
+    message: content.message,
+    channels: requested,
+    deliveries: external.map(channel => {
+      if (!isChannelAllowed(channel, user, profileByUser.get(user._id.toString()))) {
+        return { channel, status: 'skipped', skipReason: 'opted_out' };
+      }
+      if (channel === 'email' && digestEligible && user.preferences?.notifications?.digest === true) {
+        return { channel, status: 'digest' };
+      }
+      return { channel, status: 'pending', nextAttemptAt: now };
+    })
+  }));
+
+  const notifications = await Notification.insertMany(docs);
+
+  if (requested.includes('in_app')) {
+    notifications.forEach(notification => {
+      emitToUser(notification.userId, 'notification', toInAppPayload(notification));
+    });
+    emitUnreadCounts(notifications.map(notification => notification.userId))
+      .catch(error => console.error('Error sending unread counts:', error));
+  }
+
+  const queued = notifications
+    .filter(notification => notification.deliveries.some(delivery => delivery.status === 'pending'))
+    .map(notification => notification._id);
+  if (queued.length) dispatchInBackground(queued);
+
+  return notifications;
+}
+
+// First attempt right away; anything left over is picked up by the job
+function dispatchInBackground(notificationIds) {
+  setImmediate(async () => {
+    for (const id of notificationIds) {
+      try {
+        await processNotification(id);
+      } catch (error) {
+        console.error(`Notification ${id} dispatch failed:`, error);
+      }
+    }
+  });
+}
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const dueDeliveryFilter = (now) => ({
+  deliveries: { $elemMatch: { status: 'pending', nextAttemptAt: { $lte: now } } },
+  $or: [
+    { dispatchLockedUntil: { $exists: false } },
+    { dispatchLockedUntil: null },
+    { dispatchLockedUntil: { $lte: now } }
+  ]
+});
+
+async function attemptDelivery(notification, delivery, user, now) {
+  if (notification.expiresAt && notification.expiresAt <= now) {
+    delivery.status = 'skipped';
+    delivery.skipReason = 'expired';
+    delivery.nextAttemptAt = undefined;
+    return;
+  }
+
+  const address = user && CHANNEL_ADDRESSES[delivery.channel](user);
+  if (!address) {
+    delivery.status = 'skipped';
+    delivery.skipReason = 'no_address';
+    delivery.nextAttemptAt = undefined;
+    return;
+  }
+
+  const adapter = getChannelAdapter(delivery.channel);
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  delivery.provider = adapter.name;
+
+  try {
+    const result = await withTimeout(
+      adapter.send({ to: address, content: renderForChannel(delivery.channel, notification), notification }),
+      SEND_TIMEOUT_MS
+    );
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.providerMessageId = result?.id || undefined;
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+    notification[`${delivery.channel}Sent`] = true;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (error.permanent || delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + retryDelay(delivery.attempts));
+    }
+
+    // Stop pushing to tokens FCM says are gone
+    if (error.invalidAddress && delivery.channel === 'push') {
+      await User.updateOne({ _id: user._id, deviceToken: address }, { $unset: { deviceToken: 1 } });
+    }
+  }
+}
+
+/**
+ * Send the due deliveries of one notification
+ * The notification is claimed first so the job and the background kick never
+ * send the same delivery twice. Returns the notification, or null if there was
+ * nothing to do or another dispatcher holds it.
+ */
+async function processNotification(notificationId) {
+  const now = new Date();
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, ...dueDeliveryFilter(now) },
+    { $set: { dispatchLockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+  if (!notification) return null;
+
+  try {
+    const user = await User.findById(notification.userId).select('email phone deviceToken').lean();
+
+    for (const delivery of notification.deliveries) {
+      if (delivery.status !== 'pending' || delivery.nextAttemptAt > now) continue;
+      await attemptDelivery(notification, delivery, user, now);
+    }
+
+    // Nothing reached the user on any channel
+    const finished = notification.deliveries.every(delivery => !['pending', 'digest'].includes(delivery.status));
+    const anySent = notification.deliveries.some(delivery => delivery.status === 'sent');
+    if (finished && !anySent && !notification.channels.includes('in_app')
+      && notification.deliveries.some(delivery => delivery.status === 'failed')) {
+      notification.status = 'failed';
+    }
+  } finally {
+    notification.dispatchLockedUntil = undefined;
+    await notification.save();
+  }
+
+  return notification;
+}
+
+/**
+ * Work through notifications with deliveries due, oldest first
+ * @returns {Promise<number>} notifications processed
+ */
+async function processDueNotifications({ limit = 100 } = {}) {
+  const due = await Notification.find(dueDeliveryFilter(new Date()))
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  let processed = 0;
+  for (const { _id } of due) {
+    try {
+      if (await processNotification(_id)) processed++;
+    } catch (error) {
+      console.error(`Notification ${_id} dispatch failed:`, error);
+    }
+  }
+  return processed;
+}
+
+const DIGEST_FILTER = { deliveries: { $elemMatch: { channel: 'email', status: 'digest' } } };
+
+/**
+ * Send each user with digest emails waiting one email covering all of them
+ * A user's waiting deliveries are claimed under a run id first, so two runs
+ * never email the same notification; a failed send puts them back for tomorrow.
+ * @returns {Promise<number>} digests sent
+ */
+async function sendNotificationDigests(now = new Date()) {
+  const userIds = await Notification.distinct('userId', DIGEST_FILTER);
+
+  let sent = 0;
+  for (const userId of userIds) {
+    const runId = `digest_${new mongoose.Types.ObjectId()}`;
+    const claim = await Notification.updateMany(
+      { userId, ...DIGEST_FILTER, ...notExpired(now) },
+      {
+        $set: {
+          'deliveries.$[delivery].status': 'sent',
+          'deliveries.$[delivery].providerMessageId': runId,
+          'deliveries.$[delivery].lastAttemptAt': now
+        },
+        $inc: { 'deliveries.$[delivery].attempts': 1 }
+      },
+      { arrayFilters: [{ 'delivery.channel': 'email', 'delivery.status': 'digest' }] }
+    );
+    if (!claim.modifiedCount) continue;
+
+    const claimedFilter = { userId, 'deliveries.providerMessageId': runId };
+    const runFilter = { arrayFilters: [{ 'delivery.providerMessageId': runId }] };
+
+    try {
+      const [user, notifications] = await Promise.all([
+        User.findById(userId).select('name email').lean(),
+        Notification.find(claimedFilter).sort({ createdAt: -1 }).lean()
+      ]);
+
+      if (!user?.email) {
+        await Notification.updateMany(claimedFilter, {
+          $set: { 'deliveries.$[delivery].status': 'skipped', 'deliveries.$[delivery].skipReason': 'no_address' }
+        }, runFilter);
+        continue;
+      }
+
+      const adapter = getChannelAdapter('email');
+      await withTimeout(
+        adapter.send({ to: user.email, content: renderDigestEmail(notifications, { name: user.name }), notification: null }),
+        SEND_TIMEOUT_MS
+      );
+
+      await Notification.updateMany(claimedFilter, {
+        $set: {
+          emailSent: true,
+          'deliveries.$[delivery].sentAt': new Date(),
+          'deliveries.$[delivery].provider': `${adapter.name}_digest`
+        }
+      }, runFilter);
+      sent++;
+    } catch (error) {
+      console.error(`Notification digest for user ${userId} failed:`, error);
+      // Permanent failures (e.g. no email provider) would fail again tomorrow
+      await Notification.updateMany(claimedFilter, {
+        $set: {
+          'deliveries.$[delivery].status': error.permanent ? 'failed' : 'digest',
+          'deliveries.$[delivery].lastError': error.message
+        },
+        $unset: { 'deliveries.$[delivery].providerMessageId': 1 }
+      }, runFilter);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Delete expired notifications and read ones past the retention period
+ * Backs up the expiresAt TTL index, which only exists where indexes were built.
+ * @returns {Promise<number>} notifications deleted
+ */
+async function purgeExpiredNotifications(now = new Date()) {
+  const readCutoff = new Date(now.getTime() - READ_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const result = await Notification.deleteMany({
+    $or: [
+      { expiresAt: { $lte: now } },
+      { read: true, readAt: { $lt: readCutoff } }
+    ]
+  });
+  return result.deletedCount;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  DIGEST_TYPES,
+  isChannelAllowed,
+  notExpired,
+  emitUnreadCounts,
+  notify,
+  processNotification,
+  processDueNotifications,
+  sendNotificationDigests,
+  purgeExpiredNotifications
+};
@@ -0,0 +1,135 @@
+const Razorpay = require('razorpay');
+
+/**
+ * Payment gateway client used for server-side lookups (reconciliation, refunds)
+ * Every client exposes the same shape:
+ *   fetchOrder(orderId) -> order
+ *   fetchOrderPayments(orderId) -> [payment]
+ *   createRefund(paymentId, { amount, notes, receipt }) -> refund
+ *   fetchRefund(paymentId, refundId) -> refund
+ * Amounts stay in paise, as the gateway reports them.
+ */
+
+function createRazorpayGateway({ keyId, keySecret }) {
+  const razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  return {
+    name: 'razorpay',
+    fetchOrder: (orderId) => razorpay.orders.fetch(orderId),
+    fetchOrderPayments: async (orderId) => {
+      const result = await razorpay.orders.fetchPayments(orderId);
+      return result?.items || [];
+    },
+    createRefund: (paymentId, { amount, notes, receipt }) =>
+      razorpay.payments.refund(paymentId, { amount, speed: 'normal', notes, receipt }),
+    fetchRefund: (paymentId, refundId) => razorpay.payments.fetchRefund(paymentId, refundId)
+  };
+}
+
+/**
+ * In-memory gateway for local development and tests
+ * Seed it with addOrder/addPayment; unknown orders return no payments.
+ * Refunds start `pending` and settle on the next fetch unless autoSettleRefunds is false.
+ */
+function createStubGateway({ autoSettleRefunds = true } = {}) {
+  const orders = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+
+  return {
+    name: 'stub',
+    addOrder(order) {
+      orders.set(order.id, { status: 'created', ...order });
+    },
+    addPayment(payment) {
+      const list = payments.get(payment.order_id) || [];
+      list.push({ status: 'captured', currency: 'INR', ...payment });
+      payments.set(payment.order_id, list);
+    },
+    setRefundStatus(refundId, status) {
+      const refund = refunds.get(refundId);
+      if (refund) refund.status = status;
+    },
+    reset() {
+      orders.clear();
+      payments.clear();
+      refunds.clear();
+    },
+    fetchOrder: async (orderId) => {
+      const order = orders.get(orderId);
+      if (!order) {
+        const error = new Error(`Order ${orderId} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return order;
+    },
+    fetchOrderPayments: async (orderId) => payments.get(orderId) || [],
+    createRefund: async (paymentId, { amount, notes, receipt }) => {
+      const refund = {
+        id: `rfnd_stub_${Date.now()}${refunds.size}`,
+        entity: 'refund',
+        payment_id: paymentId,
+        amount,
+        currency: 'INR',
+        notes,
+        receipt,
+        status: 'pending',
+        created_at: Math.floor(Date.now() / 1000)
+      };
+      refunds.set(refund.id, refund);
+      return { ...refund };
+    },
+    fetchRefund: async (paymentId, refundId) => {
+      const refund = refunds.get(refundId);
+      if (!refund) {
+        const error = new Error(`Refund ${refundId} not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      if (autoSettleRefunds && refund.status === 'pending') {
+        refund.status = 'processed';
+      }
+      return { ...refund };
+    }
+  };
+}
+
+let gateway = null;
+
+/**
+ * Active gateway client
+ * PAYMENT_GATEWAY=stub selects the local stub outside production. Anything
+ * else needs the Razorpay keys and throws without them, since the stub
+ * settles every refund without moving money.
+ */
+function getPaymentGateway() {
+  if (gateway) return gateway;
+
+  const keyId = process.env.RAZORPAY_KEY_ID?.trim();
+  const keySecret = process.env.RAZORPAY_KEY_SECRET?.trim();
+  const production = process.env.NODE_ENV === 'production';
+
+  if (process.env.PAYMENT_GATEWAY === 'stub' && !production) {
+    gateway = createStubGateway();
+  } else if (!keyId || !keySecret) {
+    throw new Error(production
+      ? 'Payment gateway is not configured: set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET'
+      : 'Payment gateway is not configured: set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET (or PAYMENT_GATEWAY=stub)');
+  } else {
+    gateway = createRazorpayGateway({ keyId, keySecret });
+  }
+  return gateway;
+}
+
+// Swap the active client (e.g. a stub in tests)
+function setPaymentGateway(client) {
+  gateway = client;
+}
+
+module.exports = {
+  createRazorpayGateway,
+  createStubGateway,
+  getPaymentGateway,
+  setPaymentGateway
+};
@@ -0,0 +1,281 @@
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Appointment = require('../models/Appointment');
+const LabTest = require('../models/LabTest');
+const PharmacySale = require('../models/PharmacySale');
+const Refund = require('../models/Refund');
+
+// Ledger amount with refunds counted as money out
+const SIGNED_AMOUNT = {
+  $cond: [{ $eq: ['$transactionType', 'refund'] }, { $multiply: ['$amount', -1] }, '$amount']
+};
+
+// Invoice field pointing back at each entity type
+const INVOICE_LINK_FIELDS = {
+  appointment: 'appointmentId',
+  labtest: 'labTestId',
+  pharmacy_sale: 'pharmacySaleId'
+};
+
+/**
+ * Patient / professional / invoice links for a paid entity
+ */
+async function getEntityLinks(entityType, entity) {
+  const links = { patientId: entity.patientId?._id || entity.patientId };
+
+  if (entityType === 'appointment') {
+    links.professionalType = entity.professionalType;
+    links.professionalId = entity.doctorId || entity.physioId || entity.pathologyId;
+  } else if (entityType === 'labtest') {
+    links.professionalType = 'pathology';
+    links.professionalId = entity.pathologyId;
+  }
+
+  if (entityType === 'invoice') {
+    links.invoiceId = entity._id;
+  } else {
+    const invoice = await Invoice.findOne({ [INVOICE_LINK_FIELDS[entityType]]: entity._id, status: { $ne: 'credited' } }).select('_id');
+    links.invoiceId = invoice?._id;
+  }
+
+  return links;
+}
+
+/**
+ * Record one money movement against an entity
+ * With an idempotencyKey, repeating the call returns the existing row
+ * @returns {Promise<{payment: object, created: boolean}>}
+ */
+async function recordPayment({ entityType, entity, ...fields }) {
+  if (fields.idempotencyKey) {
+    const existing = await Payment.findOne({ idempotencyKey: fields.idempotencyKey });
+    if (existing) return { payment: existing, created: false };
+  }
+
+  const links = await getEntityLinks(entityType, entity);
+
+  try {
+    const payment = await Payment.create({
+      entityType,
+      entityId: entity._id,
+      ...links,
+      ...fields
+    });
+    return { payment, created: true };
+  } catch (error) {
+    if (error.code === 11000 && fields.idempotencyKey) {
+      const payment = await Payment.findOne({ idempotencyKey: fields.idempotencyKey });
+      return { payment, created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Charged / refunded / net totals for a ledger filter
+ */
+async function getLedgerTotals(filter = {}) {
+  const [totals] = await Payment.aggregate([
+    { $match: { status: 'completed', ...filter } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        collected: {
+          $sum: { $cond: [{ $in: ['$transactionType', ['charge', 'partial_payment']] }, '$amount', 0] }
+        },
+        refunded: {
+          $sum: { $cond: [{ $eq: ['$transactionType', 'refund'] }, '$amount', 0] }
+        },
+        adjustments: {
+          $sum: { $cond: [{ $eq: ['$transactionType', 'adjustment'] }, '$amount', 0] }
+        },
+        net: { $sum: SIGNED_AMOUNT }
+      }
+    }
+  ]);
+
+  return totals
+    ? { count: totals.count, collected: totals.collected, refunded: totals.refunded, adjustments: totals.adjustments, net: totals.net }
+    : { count: 0, collected: 0, refunded: 0, adjustments: 0, net: 0 };
+}
+
+const CHARGE_TYPES = ['charge', 'partial_payment'];
+
+/**
+ * Refund rows for an entity: processed Refund records first (keyed like
+ * settleRefund, so live rows are not repeated), otherwise the refund implied
+ * by a legacy refunded / partially_refunded status.
+ * @returns {Promise<{ created: number, unknown: boolean }>}
+ */
+async function backfillRefunds(entityType, entity, { status, chargedAmount }) {
+  const refunds = await Refund.find({ entityType, entityId: entity._id, status: 'processed' });
+  let created = 0;
+
+  for (const refund of refunds) {
+    const result = await recordPayment({
+      entityType,
+      entity,
+      transactionType: 'refund',
+      amount: refund.amount,
+      currency: refund.currency,
+      method: refund.gateway === 'razorpay' ? 'online' : entity.paymentMethod,
+      gateway: refund.gateway,
+      gatewayPaymentId: refund.gatewayPaymentId,
+      gatewayRefundId: refund.gatewayRefundId,
+      paidAt: refund.processedAt || refund.updatedAt,
+      description: 'Backfilled refund',
+      notes: refund.reason,
+      idempotencyKey: refund.gatewayRefundId ? `razorpay:${refund.gatewayRefundId}:refund` : `refund:${refund._id}`
+    });
+    if (result.created) created++;
+  }
+  if (refunds.length || !['refunded', 'partially_refunded'].includes(status)) {
+    return { created, unknown: false };
+  }
+  if (await Payment.exists({ entityType, entityId: entity._id, transactionType: 'refund' })) {
+    return { created, unknown: false };
+  }
+
+  // Before Refund records: a full refund, or a cancellation refund less the fee
+  let amount;
+  if (status === 'refunded') {
+    amount = chargedAmount;
+  } else if (entityType === 'appointment' && entity.cancellationFee !== undefined) {
+    amount = Math.max(0, chargedAmount - entity.cancellationFee);
+  }
+  if (!amount) return { created, unknown: amount === undefined };
+
+  const result = await recordPayment({
+    entityType,
+    entity,
+    transactionType: 'refund',
+    amount,
+    method: entity.paymentMethod,
+    gateway: 'manual',
+    paidAt: entity.updatedAt,
+    description: 'Backfilled refund',
+    idempotencyKey: `backfill:${entityType}:${entity._id}:refund`
+  });
+  return { created: created + (result.created ? 1 : 0), unknown: false };
+}
+
+/**
+ * Backfill one entity: its charge unless the ledger already has one
+ * (recorded live since the ledger went in), then its refunds
+ */
+async function backfillEntity(entityType, entity, { status, charge }, summary, counter) {
+  const hasCharge = await Payment.exists({ entityType, entityId: entity._id, transactionType: { $in: CHARGE_TYPES } });
+  if (hasCharge) {
+    summary.alreadyRecorded++;
+  } else {
+    const { created } = await recordPayment({
+      entityType,
+      entity,
+      ...charge,
+      idempotencyKey: `backfill:${entityType}:${entity._id}`
+    });
+    if (created) summary[counter]++;
+  }
+
+  const refunds = await backfillRefunds(entityType, entity, { status, chargedAmount: charge.amount });
+  summary.refunds += refunds.created;
+  if (refunds.unknown) summary.refundsNeedingReview.push({ entityType, entityId: entity._id });
+}
+
+/**
+ * Seed the ledger from payment state recorded before it existed
+ * Safe to re-run, and after go-live: entities that already have ledger rows
+ * keep them, and refunds reuse the keys live refunds are booked under.
+ * Partial refunds whose amount cannot be told are listed for manual review.
+ */
+async function backfillPaymentLedger() {
+  const summary = {
+    appointments: 0,
+    labTests: 0,
+    pharmacySales: 0,
+    invoices: 0,
+    refunds: 0,
+    alreadyRecorded: 0,
+    refundsNeedingReview: []
+  };
+
+  const appointments = await Appointment.find({ paymentStatus: { $in: ['paid', 'refunded', 'partially_refunded'] } });
+  for (const appointment of appointments) {
+    await backfillEntity('appointment', appointment, {
+      status: appointment.paymentStatus,
+      charge: {
+        transactionType: 'charge',
+        amount: appointment.totalAmount || appointment.consultationFee || 0,
+        method: appointment.razorpayPaymentId ? 'online' : undefined,
+        gateway: appointment.razorpayPaymentId ? 'razorpay' : 'manual',
+        gatewayOrderId: appointment.razorpayOrderId,
+        gatewayPaymentId: appointment.razorpayPaymentId,
+        paidAt: appointment.paymentDate || appointment.updatedAt,
+        description: 'Backfilled appointment payment'
+      }
+    }, summary, 'appointments');
+  }
+
+  const labTests = await LabTest.find({ paymentStatus: { $in: ['paid', 'refunded', 'partially_refunded'] } });
+  for (const labTest of labTests) {
+    await backfillEntity('labtest', labTest, {
+      status: labTest.paymentStatus,
+      charge: {
+        transactionType: 'charge',
+        amount: labTest.totalAmount || 0,
+        method: labTest.paymentId ? 'online' : undefined,
+        gateway: labTest.paymentId ? 'razorpay' : 'manual',
+        gatewayOrderId: labTest.razorpayOrderId,
+        gatewayPaymentId: labTest.paymentId,
+        paidAt: labTest.paymentDate || labTest.updatedAt,
+        description: 'Backfilled lab test payment'
+      }
+    }, summary, 'labTests');
+  }
+
+  const sales = await PharmacySale.find({ paidAmount: { $gt: 0 } });
+  for (const sale of sales) {
+    await backfillEntity('pharmacy_sale', sale, {
+      status: sale.paymentStatus,
+      charge: {
+        transactionType: sale.paidAmount < sale.totalAmount ? 'partial_payment' : 'charge',
+        amount: sale.paidAmount,
+        method: sale.paymentMethod,
+        reference: sale.paymentReference,
+        paidAt: sale.saleDate,
+        description: `Backfilled pharmacy sale ${sale.saleNumber}`
+      }
+    }, summary, 'pharmacySales');
+  }
+
+  // Only invoices that are not already covered by their appointment / lab test / sale
+  const invoices = await Invoice.find({
+    amountPaid: { $gt: 0 },
+    appointmentId: { $exists: false },
+    labTestId: { $exists: false },
+    pharmacySaleId: { $exists: false }
+  });
+  for (const invoice of invoices) {
+    await backfillEntity('invoice', invoice, {
+      status: invoice.status,
+      charge: {
+        transactionType: invoice.amountPaid < invoice.totalAmount ? 'partial_payment' : 'charge',
+        amount: invoice.amountPaid,
+        method: invoice.paymentMethod,
+        reference: invoice.paymentReference,
+        paidAt: invoice.paymentDate || invoice.invoiceDate,
+        description: `Backfilled invoice ${invoice.invoiceNumber}`
+      }
+    }, summary, 'invoices');
+  }
+
+  return summary;
+}
+
+module.exports = {
+  SIGNED_AMOUNT,
+  recordPayment,
+  getLedgerTotals,
+  backfillPaymentLedger
+};
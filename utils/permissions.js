@@ -0,0 +1,115 @@
+/**
+ * Permission catalogue and built-in role grants
+ * Names are `area:action` (or `area:resource:action`). A grant may end in
+ * `*` to cover a whole area, e.g. `pharmacy:*`; admins hold `*`.
+ */
+
+const PERMISSIONS = {
+  'dashboard:read': 'View admin dashboard, KPIs and analytics',
+  'users:read': 'View user accounts',
+  'users:manage': 'Activate, verify, unlock and sign out users',
+  'staff:manage': 'Create staff accounts and assign staff roles',
+  'roles:manage': 'Create and edit custom staff roles',
+  'professionals:read': 'View professional profiles',
+  'professionals:verify': 'Approve or reject professional verification',
+  'professionals:manage': 'Edit professional notes and partner labs/pharmacies',
+  'appointments:read': 'View all appointments',
+  'appointments:manage': 'Change appointment status and payment',
+  'payments:read': 'View payments and transactions',
+  'payments:adjust': 'Record manual payment adjustments and ledger backfills',
+  'commissions:read': 'View all commissions, cycles and summaries',
+  'payouts:approve': 'Process payouts and mark them paid',
+  'settings:read': 'View commission, tax and security settings',
+  'settings:write': 'Change commission and tax settings',
+  'security:manage': 'Change security policy',
+  'reports:read': 'View and download reports',
+  'reports:generate': 'Generate, schedule and delete reports',
+  'audit:read': 'View audit logs and system metrics',
+  'audit:clear': 'Clear audit logs',
+  'pharmacy:inventory:read': 'View medicines, batches and stock adjustments',
+  'pharmacy:inventory:write': 'Add and edit medicines, batches and stock',
+  'pharmacy:suppliers:write': 'Add and edit suppliers',
+  'pharmacy:purchase:write': 'Create and receive purchase orders',
+  'pharmacy:purchase:approve': 'Approve purchase orders',
+  'pharmacy:sales:read': 'View pharmacy sales',
+  'pharmacy:sales:create': 'Create pharmacy sales',
+  'pharmacy:sales:dispense': 'Dispense pharmacy sales',
+  'pharmacy:reports:read': 'View pharmacy sales reports'
+};
+
+// Grants for the fixed User.role values; `staff` users get theirs from a Role document
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  pharmacy: ['pharmacy:*'],
+  doctor: ['pharmacy:sales:create'],
+  physio: ['pharmacy:sales:create'],
+  pathology: [],
+  patient: ['pharmacy:sales:read'],
+  staff: []
+};
+
+// Starting points offered when creating a custom staff role
+const ROLE_TEMPLATES = {
+  finance: {
+    displayName: 'Finance',
+    permissions: [
+      'dashboard:read', 'payments:read', 'payments:adjust', 'commissions:read',
+      'payouts:approve', 'settings:read', 'reports:read', 'reports:generate'
+    ]
+  },
+  support: {
+    displayName: 'Support',
+    permissions: [
+      'dashboard:read', 'users:read', 'users:manage', 'professionals:read',
+      'appointments:read', 'appointments:manage', 'payments:read'
+    ]
+  },
+  pharmacist_assistant: {
+    displayName: 'Pharmacist Assistant',
+    permissions: [
+      'pharmacy:inventory:read', 'pharmacy:inventory:write', 'pharmacy:purchase:write',
+      'pharmacy:sales:read', 'pharmacy:sales:create', 'pharmacy:sales:dispense'
+    ]
+  }
+};
+
+const isKnownPermission = (permission) => {
+  if (permission === '*') return true;
+  if (permission.endsWith(':*')) {
+    const area = permission.slice(0, -1);
+    return Object.keys(PERMISSIONS).some(name => name.startsWith(area));
+  }
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+// Does any grant cover the permission?
+const hasPermission = (grants, permission) => {
+  return (grants || []).some(grant => {
+    if (grant === '*' || grant === permission) return true;
+    return grant.endsWith(':*') && permission.startsWith(grant.slice(0, -1));
+  });
+};
+
+/**
+ * Effective grants for a user. Custom roles are loaded from the Role collection;
+ * an inactive or missing custom role grants nothing.
+ */
+async function getUserPermissions(user) {
+  if (user.role !== 'staff') {
+    return ROLE_PERMISSIONS[user.role] || [];
+  }
+  if (!user.customRole) return [];
+
+  const Role = require('../models/Role');
+  const role = await Role.findById(user.customRole).select('permissions isActive');
+  return role?.isActive ? role.permissions : [];
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLE_TEMPLATES,
+  isKnownPermission,
+  hasPermission,
+  getUserPermissions
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const PharmacyProfile = require('../models/PharmacyProfile');
+const User = require('../models/User');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockAdjustment = require('../models/StockAdjustment');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PharmacySale = require('../models/PharmacySale');
+
+const MISSING = { $or: [{ pharmacyId: { $exists: false } }, { pharmacyId: null }] };
+
+/**
+ * Give inventory recorded before pharmacies were scoped an owning pharmacy
+ * Each document takes the pharmacy of the user who created it (a pharmacy
+ * account or staff assigned to one), else that of its medicine, else the
+ * default: `defaultPharmacyId`, or the only pharmacy when there is just one.
+ * Writes with updateOne so legacy documents aren't validated on the way.
+ * Safe to re-run; documents it can't place are counted as unresolved.
+ */
+async function backfillPharmacyIds({ defaultPharmacyId } = {}) {
+  if (defaultPharmacyId) {
+    if (!mongoose.isValidObjectId(defaultPharmacyId) || !(await PharmacyProfile.exists({ _id: defaultPharmacyId }))) {
+      const error = new Error('Default pharmacy not found');
+      error.statusCode = 400;
+      throw error;
+    }
+  } else {
+    const pharmacies = await PharmacyProfile.find().select('_id').limit(2);
+    if (pharmacies.length === 1) defaultPharmacyId = pharmacies[0]._id;
+  }
+
+  const byUser = new Map();
+  const pharmacyOfUser = async (userId) => {
+    if (!userId) return null;
+    const key = userId.toString();
+    if (!byUser.has(key)) {
+      const user = await User.findById(userId).select('role pharmacyId');
+      let pharmacyId = user?.role === 'staff' ? user.pharmacyId : null;
+      if (user?.role === 'pharmacy') {
+        pharmacyId = (await PharmacyProfile.findOne({ userId }).select('_id'))?._id;
+      }
+      byUser.set(key, pharmacyId || null);
+    }
+    return byUser.get(key);
+  };
+
+  const byMedicine = new Map();
+  const pharmacyOfMedicine = async (medicineId) => {
+    if (!medicineId) return null;
+    const key = medicineId.toString();
+    if (!byMedicine.has(key)) {
+      byMedicine.set(key, (await Medicine.findById(medicineId).select('pharmacyId'))?.pharmacyId || null);
+    }
+    return byMedicine.get(key);
+  };
+
+  const summary = { unresolved: 0 };
+  const fill = async (name, Model, select, resolve) => {
+    summary[name] = 0;
+    const docs = await Model.find(MISSING).select(select).lean();
+    for (const doc of docs) {
+      const pharmacyId = (await resolve(doc)) || defaultPharmacyId;
+      if (!pharmacyId) {
+        summary.unresolved++;
+        continue;
+      }
+      const result = await Model.updateOne({ _id: doc._id, ...MISSING }, { $set: { pharmacyId } });
+      summary[name] += result.modifiedCount;
+    }
+  };
+
+  // Medicines first: everything else can fall back to its medicine's pharmacy
+  await fill('medicines', Medicine, 'createdBy', doc => pharmacyOfUser(doc.createdBy));
+  byMedicine.clear();
+  await fill('batches', MedicineBatch, 'medicineId addedBy',
+    async doc => (await pharmacyOfMedicine(doc.medicineId)) || pharmacyOfUser(doc.addedBy));
+  await fill('stockAdjustments', StockAdjustment, 'medicineId', doc => pharmacyOfMedicine(doc.medicineId));
+  await fill('purchaseOrders', PurchaseOrder, 'createdBy items.medicineId',
+    async doc => (await pharmacyOfUser(doc.createdBy)) || pharmacyOfMedicine(doc.items?.[0]?.medicineId));
+  await fill('pharmacySales', PharmacySale, 'createdBy items.medicineId',
+    async doc => (await pharmacyOfUser(doc.createdBy)) || pharmacyOfMedicine(doc.items?.[0]?.medicineId));
+
+  return summary;
+}
+
+module.exports = {
+  backfillPharmacyIds
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const { getSmsProvider } = require('./smsProvider');
+
+const OTP_DIGITS = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+const MAX_ATTEMPTS = 5;
+
+const MESSAGES = {
+  login: (code) => `${code} is your AadyaPlus login code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`,
+  verify_phone: (code) => `${code} is your AadyaPlus phone verification code. It expires in ${OTP_TTL_MINUTES} minutes.`
+};
+
+const otpError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Keyed hash: a 6-digit code is trivial to brute-force from a plain SHA-256
+const hashCode = (phone, code) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+
+// Last 10 digits, so "+91 98765-43210" and "9876543210" match the stored phone
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+/**
+ * Send a fresh OTP, replacing any outstanding one for the same phone and purpose.
+ * Throws 429 (with `retryAfter` seconds) when the per-phone send limits are hit.
+ */
+async function sendOtp({ phone, purpose, userId, ip }) {
+  const now = Date.now();
+  const recent = await PhoneOtp.find({
+    phone,
+    purpose,
+    createdAt: { $gte: new Date(now - 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+
+  if (recent.length > 0) {
+    const sinceLast = (now - recent[0].createdAt.getTime()) / 1000;
+    if (sinceLast < RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - sinceLast);
+      throw otpError(`Please wait ${retryAfter} seconds before requesting another OTP`, 429, { retryAfter });
+    }
+  }
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    const retryAfter = Math.ceil((recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000);
+    throw otpError('Too many OTP requests for this number. Please try again later.', 429, { retryAfter });
+  }
+
+  // Only the newest code is ever valid
+  await PhoneOtp.updateMany(
+    { phone, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_DIGITS)).padStart(OTP_DIGITS, '0');
+  const provider = getSmsProvider();
+
+  const otp = await PhoneOtp.create({
+    phone,
+    purpose,
+    userId,
+    codeHash: hashCode(phone, code),
+    maxAttempts: MAX_ATTEMPTS,
+    expiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+    provider: provider.name,
+    ip
+  });
+
+  try {
+    const result = await provider.send(phone, MESSAGES[purpose](code));
+    otp.providerMessageId = result?.id;
+    await otp.save();
+  } catch (error) {
+    console.error('OTP SMS delivery failed:', error.message);
+    otp.consumedAt = new Date();
+    await otp.save();
+    throw otpError('Failed to send OTP. Please try again.', 502);
+  }
+
+  return {
+    expiresAt: otp.expiresAt,
+    resendAfter: RESEND_COOLDOWN_SECONDS
+  };
+}
+
+/**
+ * Check a code against the newest OTP for the phone and purpose.
+ * Every check takes an attempt first, atomically, so parallel guesses cannot
+ * get past the limit; the OTP is consumed on success.
+ */
+async function verifyOtp({ phone, purpose, code }) {
+  const latest = await PhoneOtp.findOne({ phone, purpose, consumedAt: null }).sort({ createdAt: -1 });
+
+  if (!latest || latest.expiresAt <= new Date()) {
+    throw otpError('OTP has expired. Please request a new one.', 400);
+  }
+
+  const otp = await PhoneOtp.findOneAndUpdate(
+    { _id: latest._id, consumedAt: null, attempts: { $lt: latest.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) {
+    throw otpError('Too many incorrect attempts. Please request a new OTP.', 429);
+  }
+
+  const candidate = String(code || '').replace(/\s/g, '');
+  const matches = /^\d+$/.test(candidate) &&
+    crypto.timingSafeEqual(Buffer.from(hashCode(phone, candidate)), Buffer.from(otp.codeHash));
+
+  if (!matches) {
+    throw otpError('Invalid OTP', 400, { attemptsLeft: Math.max(otp.maxAttempts - otp.attempts, 0) });
+  }
+
+  // Only one of two parallel correct answers gets the OTP
+  const consumed = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+  if (!consumed) {
+    throw otpError('OTP has expired. Please request a new one.', 400);
+  }
+  return consumed;
+}
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  normalizePhone,
+  sendOtp,
+  verifyOtp
+};
@@ -0,0 +1,297 @@
+const PDFDocument = require('pdfkit');
+
+const APP_NAME = process.env.APP_NAME || 'AadyaPlus';
+const BRAND_COLOR = '#1f4e79';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const getAge = (patient) => {
+  if (patient.age) return patient.age;
+  if (!patient.dateOfBirth) return null;
+  const dob = new Date(patient.dateOfBirth);
+  const now = new Date();
+  let age = now.getFullYear() - dob.getFullYear();
+  if (now < new Date(now.getFullYear(), dob.getMonth(), dob.getDate())) age--;
+  return age;
+};
+
+const formatAddress = (address) => (address
+  ? [address.address, address.city, address.state, address.pincode].filter(Boolean).join(', ')
+  : '');
+
+const isImageDataUrl = (value) => /^data:image\/(png|jpe?g);base64,/i.test(value || '');
+
+/**
+ * Printable Rx for the patient and the dispensing pharmacy
+ * @param {object} options
+ * @param {object} options.prescription - Prescription document
+ * @param {object} options.professional - DoctorProfile or PhysiotherapistProfile
+ * @param {object} options.patient - PatientProfile
+ * @param {string|Buffer} options.qrImage - PNG (data URL or buffer) of the verification QR code
+ * @param {string} options.verificationUrl
+ * @param {string} options.verificationCode
+ * @returns {Promise<Buffer>}
+ */
+function buildPrescriptionPdf({ prescription, professional = {}, patient = {}, qrImage, verificationUrl, verificationCode }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensureSpace = (height) => {
+      if (doc.y + height > bottom()) doc.addPage();
+    };
+    const rule = () => {
+      doc.moveTo(left, doc.y).lineTo(left + usableWidth, doc.y).strokeColor('#cccccc').stroke();
+      doc.moveDown(0.5);
+    };
+    const section = (title) => {
+      ensureSpace(40);
+      doc.moveDown(0.5);
+      doc.fontSize(11).font('Helvetica-Bold').fillColor(BRAND_COLOR).text(title, left);
+      doc.fillColor('black').moveDown(0.2);
+    };
+
+    const registrationNumber = professional.licenseNumber || '-';
+
+    // Letterhead: professional on the left, prescription details on the right
+    const headerY = doc.y;
+    const columnWidth = usableWidth * 0.6;
+    doc.fontSize(15).font('Helvetica-Bold').fillColor(BRAND_COLOR)
+      .text(professional.name || 'Professional', left, headerY, { width: columnWidth });
+    doc.fontSize(9).font('Helvetica').fillColor('black');
+    const degrees = (professional.qualifications || []).map(q => q.degree).filter(Boolean);
+    if (degrees.length) doc.text(degrees.join(', '), { width: columnWidth });
+    if (professional.specialization?.length) doc.text([].concat(professional.specialization).join(', '), { width: columnWidth });
+    doc.font('Helvetica-Bold').text(`Reg. No: ${registrationNumber}`, { width: columnWidth });
+    doc.font('Helvetica');
+    const clinicAddress = formatAddress(professional.clinicAddress);
+    if (clinicAddress) doc.text(clinicAddress, { width: columnWidth });
+    const letterheadBottom = doc.y;
+
+    const metaX = left + columnWidth;
+    const metaWidth = usableWidth - columnWidth;
+    doc.fontSize(13).font('Helvetica-Bold').fillColor(BRAND_COLOR)
+      .text(APP_NAME, metaX, headerY, { width: metaWidth, align: 'right' });
+    doc.fontSize(9).font('Helvetica').fillColor('black');
+    [
+      ['Rx No', prescription.prescriptionNumber],
+      ['Date', formatDate(prescription.issuedAt)],
+      prescription.expiresAt && ['Valid until', formatDate(prescription.expiresAt)],
+      prescription.version > 1 && ['Version', String(prescription.version)]
+    ].filter(Boolean).forEach(([label, value]) => {
+      doc.text(`${label}: ${value}`, metaX, doc.y, { width: metaWidth, align: 'right' });
+    });
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, letterheadBottom) + 8;
+    rule();
+
+    // Patient
+    const age = getAge(patient);
+    const patientDetails = [
+      ['Patient', patient.name || 'Patient'],
+      ['Age / Gender', [age !== null && `${age} yrs`, patient.gender].filter(Boolean).join(' / ') || '-']
+    ];
+    doc.fontSize(10);
+    patientDetails.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(label, left, y, { width: 90 });
+      doc.font('Helvetica').text(value, left + 90, y, { width: usableWidth - 90 });
+    });
+
+    if (prescription.symptoms?.length) {
+      section('Symptoms');
+      doc.fontSize(10).font('Helvetica').text(prescription.symptoms.join(', '), left, doc.y, { width: usableWidth });
+    }
+    if (prescription.diagnosis?.length) {
+      section('Diagnosis');
+      doc.fontSize(10).font('Helvetica').text(prescription.diagnosis.join(', '), left, doc.y, { width: usableWidth });
+    }
+
+    // Medicines: rows grow to fit wrapped text, instructions on a second line
+    if (prescription.medicines?.length) {
+      section('Rx');
+      const columns = [
+        { header: '#', width: 4 },
+        { header: 'Medicine', width: 34 },
+        { header: 'Dosage', width: 14 },
+        { header: 'Frequency', width: 18 },
+        { header: 'Duration', width: 16 },
+        { header: 'Qty', width: 10, align: 'right' }
+      ];
+      const totalWidth = columns.reduce((sum, c) => sum + c.width, 0);
+      const widths = columns.map(c => (c.width / totalWidth) * usableWidth);
+
+      const drawRow = (values, font) => {
+        doc.font(font).fontSize(9);
+        const height = Math.max(...values.map((value, i) => doc.heightOfString(value, { width: widths[i] - 4 })));
+        ensureSpace(height + 4);
+        const y = doc.y;
+        let x = left;
+        values.forEach((value, i) => {
+          doc.text(value, x, y, { width: widths[i] - 4, align: columns[i].align || 'left' });
+          x += widths[i];
+        });
+        doc.x = left;
+        doc.y = y + height + 2;
+      };
+
+      drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+      doc.moveTo(left, doc.y).lineTo(left + usableWidth, doc.y).strokeColor('#cccccc').stroke();
+      doc.y += 3;
+
+      prescription.medicines.forEach((medicine, index) => {
+        const name = medicine.genericName && medicine.genericName !== medicine.medicineName
+          ? `${medicine.medicineName} (${medicine.genericName})`
+          : medicine.medicineName;
+        drawRow([
+          String(index + 1),
+          name || '',
+          medicine.dosage || '',
+          medicine.frequency || '',
+          medicine.duration || '',
+          medicine.quantity ? `${medicine.quantity}${medicine.unit ? ` ${medicine.unit}` : ''}` : ''
+        ], 'Helvetica');
+
+        const notes = [medicine.instructions, medicine.notes].filter(Boolean).join('. ');
+        if (notes) {
+          doc.fontSize(8).font('Helvetica-Oblique').fillColor('gray')
+            .text(notes, left + widths[0], doc.y, { width: usableWidth - widths[0] });
+          doc.fillColor('black');
+        }
+        doc.y += 3;
+      });
+    }
+
+    if (prescription.labTests?.length) {
+      section('Investigations');
+      doc.fontSize(10);
+      prescription.labTests.forEach((test, index) => {
+        const details = [test.fastingRequired && 'fasting required', test.instructions].filter(Boolean).join(', ');
+        ensureSpace(14);
+        doc.font('Helvetica-Bold').text(`${index + 1}. ${test.testName}${test.testCode ? ` (${test.testCode})` : ''}`, left, doc.y, {
+          width: usableWidth,
+          continued: Boolean(details)
+        });
+        if (details) doc.font('Helvetica').text(` - ${details}`);
+      });
+      if (prescription.testInstructions) {
+        doc.font('Helvetica-Oblique').fontSize(9).text(prescription.testInstructions, left, doc.y, { width: usableWidth });
+      }
+    }
+
+    if (prescription.professionalType === 'physio' && prescription.exercises?.length) {
+      section('Exercises');
+      doc.fontSize(10);
+      prescription.exercises.forEach((exercise, index) => {
+        const plan = [
+          exercise.sets && exercise.reps ? `${exercise.sets} x ${exercise.reps}` : exercise.sets && `${exercise.sets} sets`,
+          exercise.frequency,
+          exercise.duration
+        ].filter(Boolean).join(', ');
+        ensureSpace(14);
+        doc.font('Helvetica-Bold').text(`${index + 1}. ${exercise.name}`, left, doc.y, { width: usableWidth, continued: Boolean(plan) });
+        if (plan) doc.font('Helvetica').text(` - ${plan}`);
+        const description = [exercise.description, exercise.instructions].filter(Boolean).join('. ');
+        if (description) doc.font('Helvetica').fontSize(9).fillColor('gray').text(description, left + 12, doc.y, { width: usableWidth - 12 });
+        doc.fillColor('black').fontSize(10);
+      });
+    }
+
+    if (prescription.advice?.length) {
+      section('Advice');
+      doc.fontSize(10).font('Helvetica');
+      prescription.advice.forEach(item => {
+        ensureSpace(14);
+        const text = item.category ? `${item.category}: ${item.advice}` : item.advice;
+        doc.font(item.priority === 'high' ? 'Helvetica-Bold' : 'Helvetica').text(`- ${text}`, left, doc.y, { width: usableWidth });
+      });
+    }
+
+    if (prescription.followUpDate || prescription.followUpInstructions) {
+      section('Follow-up');
+      doc.fontSize(10).font('Helvetica').text(
+        [prescription.followUpDate && formatDate(prescription.followUpDate), prescription.followUpInstructions].filter(Boolean).join(' - '),
+        left,
+        doc.y,
+        { width: usableWidth }
+      );
+    }
+
+    if (prescription.notes) {
+      section('Notes');
+      doc.fontSize(10).font('Helvetica').text(prescription.notes, left, doc.y, { width: usableWidth });
+    }
+
+    // Verification QR code on the left, signature on the right
+    const qrSize = 90;
+    ensureSpace(qrSize + 40);
+    doc.moveDown(1.5);
+    rule();
+    const blockY = doc.y;
+
+    if (qrImage) {
+      doc.image(qrImage, left, blockY, { width: qrSize, height: qrSize });
+    }
+    const qrTextX = left + qrSize + 8;
+    const qrTextWidth = usableWidth / 2 - qrSize - 8;
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('black')
+      .text('Scan to verify', qrTextX, blockY + 4, { width: qrTextWidth });
+    doc.font('Helvetica').fontSize(8);
+    if (verificationCode) doc.text(`Code: ${verificationCode}`, { width: qrTextWidth });
+    if (verificationUrl) doc.fillColor('gray').text(verificationUrl, { width: qrTextWidth, link: verificationUrl });
+    doc.fillColor('black');
+
+    const signatureX = left + usableWidth / 2;
+    const signatureWidth = usableWidth / 2;
+    if (isImageDataUrl(prescription.digitalSignature)) {
+      doc.image(prescription.digitalSignature, signatureX + signatureWidth - 140, blockY, { fit: [140, 45], align: 'right' });
+    } else if (prescription.digitalSignature) {
+      doc.fontSize(12).font('Helvetica-Oblique')
+        .text(prescription.digitalSignature, signatureX, blockY + 20, { width: signatureWidth, align: 'right', lineBreak: false });
+    }
+    doc.moveTo(signatureX + signatureWidth - 160, blockY + 50).lineTo(left + usableWidth, blockY + 50).strokeColor('#999999').stroke();
+    doc.fontSize(9).font('Helvetica-Bold')
+      .text(professional.name || '', signatureX, blockY + 55, { width: signatureWidth, align: 'right' });
+    doc.font('Helvetica').text(`Reg. No: ${registrationNumber}`, { width: signatureWidth, align: 'right' });
+    doc.fontSize(8).fillColor('gray').text(
+      prescription.digitalSignature ? 'Digitally signed' : 'Signature not on record',
+      { width: signatureWidth, align: 'right' }
+    );
+    doc.fillColor('black');
+    doc.x = left;
+    doc.y = Math.max(doc.y, blockY + qrSize) + 10;
+
+    // Page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom: marginBottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc.fontSize(8).font('Helvetica').fillColor('gray').text(
+        `${prescription.prescriptionNumber}  ·  Verify before dispensing  ·  Page ${i + 1} of ${range.count}`,
+        left,
+        doc.page.height - marginBottom + 10,
+        { width: usableWidth, align: 'center', lineBreak: false }
+      );
+      doc.page.margins.bottom = marginBottom;
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildPrescriptionPdf
+};
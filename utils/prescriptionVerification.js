@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Prescription = require('../models/Prescription');
+
+// Prescription numbers are sequential, so the public lookup also needs this code
+const CODE_LENGTH = 10;
+
+const getSecret = () => process.env.PRESCRIPTION_VERIFY_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Short code printed on the prescription and carried in its QR code
+ */
+function getVerificationCode(prescriptionNumber) {
+  return crypto.createHmac('sha256', getSecret())
+    .update(`prescription:${prescriptionNumber}`)
+    .digest('hex')
+    .slice(0, CODE_LENGTH)
+    .toUpperCase();
+}
+
+function isValidVerificationCode(prescriptionNumber, code) {
+  if (typeof code !== 'string') return false;
+  const given = Buffer.from(code.replace(/[\s-]/g, '').toUpperCase());
+  const expected = Buffer.from(getVerificationCode(prescriptionNumber));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Public URL of GET /api/prescription/verify/:prescriptionNumber
+function getVerificationUrl(prescriptionNumber) {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  const code = getVerificationCode(prescriptionNumber);
+  return `${base}/api/prescription/verify/${encodeURIComponent(prescriptionNumber)}?code=${code}`;
+}
+
+/**
+ * Whether a pharmacy may dispense against a prescription
+ * @returns {Promise<{ valid: boolean, status: 'valid'|'not_issued'|'cancelled'|'superseded'|'dispensed'|'expired', supersededBy?: string }>}
+ */
+async function getPrescriptionValidity(prescription, now = new Date()) {
+  if (prescription.status === 'cancelled' || prescription.pharmacyStatus === 'cancelled') {
+    return { valid: false, status: 'cancelled' };
+  }
+  if (prescription.status === 'draft') {
+    return { valid: false, status: 'not_issued' };
+  }
+
+  const newer = await Prescription.findOne({ previousVersion: prescription._id }).select('prescriptionNumber');
+  if (newer) {
+    return { valid: false, status: 'superseded', supersededBy: newer.prescriptionNumber };
+  }
+
+  if (prescription.status === 'dispensed' || prescription.pharmacyStatus === 'fully_dispensed') {
+    return { valid: false, status: 'dispensed' };
+  }
+  if (prescription.expiresAt && prescription.expiresAt < now) {
+    return { valid: false, status: 'expired' };
+  }
+  return { valid: true, status: 'valid' };
+}
+
+/**
+ * Fill in the prescription's QR code and PDF link once it has a number
+ * Never throws: issuing the prescription must not fail on this.
+ */
+async function attachDigitalCopy(prescription) {
+  try {
+    prescription.qrCode = await QRCode.toDataURL(getVerificationUrl(prescription.prescriptionNumber), { margin: 1 });
+    prescription.prescriptionPdf = `/api/prescription/${prescription._id}/pdf`;
+    await prescription.save();
+  } catch (error) {
+    console.error('Error attaching prescription QR code:', error);
+  }
+  return prescription;
+}
+
+module.exports = {
+  getVerificationCode,
+  isValidVerificationCode,
+  getVerificationUrl,
+  getPrescriptionValidity,
+  attachDigitalCopy
+};
@@ -0,0 +1,52 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * express-rate-limit store backed by MongoDB, so every app instance
+ * shares the same counters. Selected with RATE_LIMIT_STORE=mongo;
+ * the library's in-memory store is used otherwise.
+ */
+class MongoRateLimitStore {
+  constructor({ prefix }) {
+    this.prefix = `${prefix}:`;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+
+    // Single atomic update: bump the counter, or start a new window if the old one ended
+    const record = await RateLimit.findOneAndUpdate(
+      { key: this.prefix + key },
+      [{
+        $set: {
+          hits: { $cond: [active, { $add: ['$hits', 1] }, 1] },
+          resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return {
+      totalHits: record.hits,
+      resetTime: record.resetAt
+    };
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { key: this.prefix + key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.prefix + key });
+  }
+}
+
+module.exports = { MongoRateLimitStore };
@@ -0,0 +1,368 @@
+const Refund = require('../models/Refund');
+const Appointment = require('../models/Appointment');
+const LabTest = require('../models/LabTest');
+const Invoice = require('../models/Invoice');
+const CommissionSettings = require('../models/CommissionSettings');
+const { getPaymentGateway } = require('./paymentGateway');
+const { recordPayment, getLedgerTotals } = require('./paymentLedger');
+const { issueCreditNote } = require('./creditNotes');
+
+const ENTITY_MODELS = {
+  appointment: Appointment,
+  labtest: LabTest,
+  invoice: Invoice
+};
+
+// Field holding the gateway payment ID on each entity
+const PAYMENT_ID_FIELDS = {
+  appointment: 'razorpayPaymentId',
+  labtest: 'paymentId',
+  invoice: 'razorpayPaymentId'
+};
+
+// Invoice field pointing back at each entity type
+const INVOICE_LINK_FIELDS = {
+  appointment: 'appointmentId',
+  labtest: 'labTestId'
+};
+
+const IN_FLIGHT_STATUSES = ['pending', 'processing'];
+
+// Pending refunds that never reached the gateway are resubmitted after this long
+const STALE_PENDING_MS = 5 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ========== CANCELLATION POLICY ==========
+
+function hoursUntilStart(appointment, from = new Date()) {
+  const start = new Date(appointment.appointmentDate);
+  const [hours, minutes] = (appointment.startTime || '00:00').split(':').map(Number);
+  start.setHours(hours, minutes, 0, 0);
+  return (start - from) / (1000 * 60 * 60);
+}
+
+/**
+ * Cancellation fee and refund owed for an appointment, from CommissionSettings.cancellationCommissionPolicy
+ * The fee only applies when the patient cancels (or misses) the visit;
+ * cancellations by the professional, admin or system are refunded in full.
+ */
+async function getCancellationTerms(appointment) {
+  const settings = await CommissionSettings.getSettings();
+  const policy = settings.cancellationCommissionPolicy || {};
+
+  const hoursBeforeStart = round2(hoursUntilStart(appointment));
+  const patientCancelled = !appointment.cancelledBy || appointment.cancelledBy === 'patient';
+
+  let feePercent = 0;
+  if (appointment.status === 'no_show') {
+    feePercent = policy.noShow ?? 100;
+  } else if (patientCancelled) {
+    if (hoursBeforeStart > 24) feePercent = policy.before24h ?? 0;
+    else if (hoursBeforeStart > 12) feePercent = policy.before12h ?? 25;
+    else if (hoursBeforeStart > 6) feePercent = policy.before6h ?? 50;
+    else if (hoursBeforeStart > 2) feePercent = policy.before2h ?? 75;
+    else feePercent = policy.noShow ?? 100;
+  }
+
+  const cancellationFee = round2((appointment.consultationFee || 0) * feePercent / 100);
+  const paidAmount = appointment.paymentStatus === 'paid' ? (appointment.totalAmount || 0) : 0;
+  const refundAmount = Math.max(0, round2(paidAmount - cancellationFee));
+
+  return { hoursBeforeStart, feePercent, cancellationFee, paidAmount, refundAmount };
+}
+
+// ========== REFUND LIFECYCLE ==========
+
+/**
+ * Amount still refundable on an entity: paid, minus processed and in-flight refunds
+ */
+async function getRefundableAmount(entityType, entity) {
+  const totals = await getLedgerTotals({ entityType, entityId: entity._id });
+
+  // Payments taken before the ledger existed only show on the entity itself
+  let paid = totals.collected;
+  if (!paid) {
+    paid = entityType === 'invoice' ? (entity.amountPaid || 0) : (entity.totalAmount || 0);
+  }
+
+  const inFlight = await Refund.aggregate([
+    { $match: { entityType, entityId: entity._id, status: { $in: IN_FLIGHT_STATUSES } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  return Math.max(0, round2(paid - totals.refunded - (inFlight[0]?.amount || 0)));
+}
+
+/**
+ * Start a refund: sent to the gateway when the entity was paid online,
+ * otherwise settled straight away as a manual (cash/counter) refund
+ * Gateway errors are recorded on the Refund rather than thrown.
+ */
+async function initiateRefund({ entityType, entity, amount, reason, source, policy, requestedBy, gateway }) {
+  if (!(amount > 0)) {
+    const error = new Error('Refund amount must be greater than zero');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const refundable = await getRefundableAmount(entityType, entity);
+  if (round2(amount) > refundable) {
+    const error = new Error(`Refund amount exceeds refundable balance of ${refundable}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const gatewayPaymentId = entity[PAYMENT_ID_FIELDS[entityType]];
+  const invoice = entityType === 'invoice'
+    ? entity
+    : await Invoice.findOne({ [INVOICE_LINK_FIELDS[entityType]]: entity._id, status: { $ne: 'credited' } }).select('_id');
+
+  const refund = await Refund.create({
+    entityType,
+    entityId: entity._id,
+    invoiceId: invoice?._id,
+    patientId: entity.patientId?._id || entity.patientId,
+    amount: round2(amount),
+    reason,
+    source,
+    policy,
+    gateway: gatewayPaymentId ? 'razorpay' : 'manual',
+    gatewayPaymentId,
+    requestedBy
+  });
+
+  if (!gatewayPaymentId) {
+    return settleRefund(refund);
+  }
+
+  return submitRefund(refund, gateway);
+}
+
+/**
+ * Send a pending/failed refund to the gateway
+ */
+async function submitRefund(refund, gateway = getPaymentGateway()) {
+  refund.attempts += 1;
+  refund.lastCheckedAt = new Date();
+
+  try {
+    const result = await gateway.createRefund(refund.gatewayPaymentId, {
+      amount: Math.round(refund.amount * 100), // paise
+      receipt: `refund_${refund._id}`,
+      notes: {
+        refundId: String(refund._id),
+        entityType: refund.entityType,
+        entityId: String(refund.entityId)
+      }
+    });
+
+    refund.gatewayRefundId = result.id;
+    refund.gatewayStatus = result.status;
+    refund.failureReason = undefined;
+
+    if (result.status === 'processed') {
+      await refund.save();
+      return settleRefund(refund);
+    }
+
+    refund.status = result.status === 'failed' ? 'failed' : 'processing';
+  } catch (error) {
+    console.error(`Gateway refund failed for ${refund._id}:`, error.error?.description || error.message);
+    refund.status = 'failed';
+    refund.failureReason = error.error?.description || error.message;
+  }
+
+  await refund.save();
+  return refund;
+}
+
+/**
+ * Money has left: write the ledger row and move the entity's payment status
+ * Safe to call more than once (webhook and status poller may both get here)
+ */
+async function settleRefund(refund, { paymentEventId } = {}) {
+  if (refund.status === 'processed') return refund;
+
+  const Model = ENTITY_MODELS[refund.entityType];
+  const entity = await Model.findById(refund.entityId);
+  if (!entity) {
+    refund.status = 'failed';
+    refund.failureReason = `${refund.entityType} ${refund.entityId} no longer exists`;
+    await refund.save();
+    return refund;
+  }
+
+  // Same key the webhook uses, so a refund is only booked once
+  const idempotencyKey = refund.gatewayRefundId
+    ? `razorpay:${refund.gatewayRefundId}:refund`
+    : `refund:${refund._id}`;
+
+  const { payment, created } = await recordPayment({
+    entityType: refund.entityType,
+    entity,
+    transactionType: 'refund',
+    amount: refund.amount,
+    currency: refund.currency,
+    method: refund.gateway === 'razorpay' ? 'online' : entity.paymentMethod,
+    gateway: refund.gateway,
+    gatewayPaymentId: refund.gatewayPaymentId,
+    gatewayRefundId: refund.gatewayRefundId,
+    paymentEventId,
+    description: refund.source === 'cancellation' ? 'Cancellation refund' : 'Refund',
+    notes: refund.reason,
+    recordedBy: refund.requestedBy,
+    idempotencyKey
+  });
+
+  if (created) {
+    await applyRefundToEntity(refund, entity);
+  }
+
+  refund.status = 'processed';
+  refund.gatewayStatus = refund.gateway === 'razorpay' ? 'processed' : undefined;
+  refund.processedAt = new Date();
+  refund.paymentId = payment?._id;
+  refund.failureReason = undefined;
+  await refund.save();
+
+  return refund;
+}
+
+async function applyInvoiceRefund(invoice, refund, fullyRefunded) {
+  invoice.amountPaid = Math.max(0, round2((invoice.amountPaid || 0) - refund.amount));
+  if (fullyRefunded || invoice.amountPaid === 0) {
+    invoice.status = 'refunded';
+  } else {
+    invoice.status = 'partial';
+  }
+  await invoice.save();
+
+  // The credit note is the tax document for the refund; the refund itself has already settled
+  try {
+    await issueCreditNote({
+      invoice,
+      amount: refund.amount,
+      reason: refund.source === 'cancellation' ? 'cancellation' : 'refund',
+      notes: refund.reason,
+      refundId: refund._id,
+      createdBy: refund.requestedBy,
+      capToRemaining: true
+    });
+  } catch (error) {
+    console.error(`Credit note for refund ${refund._id} failed:`, error.message);
+  }
+}
+
+/**
+ * Move payment status to refunded / partially_refunded from the ledger totals
+ */
+async function applyRefundToEntity(refund, entity) {
+  const { entityType } = refund;
+  const totals = await getLedgerTotals({ entityType, entityId: entity._id });
+  const paid = totals.collected || entity.totalAmount || 0;
+  const fullyRefunded = totals.refunded >= paid;
+
+  if (entityType === 'invoice') {
+    await applyInvoiceRefund(entity, refund, fullyRefunded);
+    return;
+  }
+
+  await ENTITY_MODELS[entityType].updateOne(
+    { _id: entity._id },
+    { paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded' }
+  );
+
+  // Keep the matching invoice in step
+  const invoice = await Invoice.findOne({
+    [INVOICE_LINK_FIELDS[entityType]]: entity._id,
+    status: { $nin: ['cancelled', 'refunded', 'credited'] }
+  });
+  if (invoice && invoice.amountPaid > 0) {
+    await applyInvoiceRefund(invoice, refund, fullyRefunded);
+  }
+}
+
+/**
+ * Refund reported by the gateway (webhook): match it to our Refund or record one
+ * that was issued outside the app (e.g. from the Razorpay dashboard)
+ */
+async function settleGatewayRefund({ gatewayRefundId, gatewayPaymentId, amount, currency, entityType, entity, paymentEventId }) {
+  let refund = gatewayRefundId ? await Refund.findOne({ gatewayRefundId }) : null;
+
+  if (!refund) {
+    refund = await Refund.create({
+      entityType,
+      entityId: entity._id,
+      patientId: entity.patientId?._id || entity.patientId,
+      amount: amount || 0,
+      currency: currency || 'INR',
+      reason: 'Refund issued at the payment gateway',
+      source: 'admin',
+      status: 'processing',
+      gateway: 'razorpay',
+      gatewayPaymentId,
+      gatewayRefundId
+    });
+  }
+
+  const alreadyProcessed = refund.status === 'processed';
+  refund = await settleRefund(refund, { paymentEventId });
+  return { refund, alreadyProcessed };
+}
+
+/**
+ * Poll the gateway for refunds still in flight
+ */
+async function syncRefundStatuses({ gateway = getPaymentGateway() } = {}) {
+  const summary = { checked: 0, processed: 0, failed: 0, resubmitted: 0, errors: 0 };
+
+  const processing = await Refund.find({ status: 'processing', gatewayRefundId: { $exists: true } });
+  for (const refund of processing) {
+    summary.checked++;
+    try {
+      const result = await gateway.fetchRefund(refund.gatewayPaymentId, refund.gatewayRefundId);
+      refund.gatewayStatus = result.status;
+      refund.lastCheckedAt = new Date();
+
+      if (result.status === 'processed') {
+        await settleRefund(refund);
+        summary.processed++;
+      } else if (result.status === 'failed') {
+        refund.status = 'failed';
+        refund.failureReason = result.error_description || 'Refund failed at the gateway';
+        await refund.save();
+        summary.failed++;
+      } else {
+        await refund.save();
+      }
+    } catch (error) {
+      summary.errors++;
+      console.error(`Refund status check failed for ${refund._id}:`, error.message);
+    }
+  }
+
+  // Created but never sent (e.g. the process stopped mid-request); attempts > 0 may already be at the gateway
+  const stale = await Refund.find({
+    status: 'pending',
+    gateway: 'razorpay',
+    attempts: 0,
+    createdAt: { $lt: new Date(Date.now() - STALE_PENDING_MS) }
+  });
+  for (const refund of stale) {
+    await submitRefund(refund, gateway);
+    summary.resubmitted++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  getCancellationTerms,
+  getRefundableAmount,
+  initiateRefund,
+  submitRefund,
+  settleRefund,
+  settleGatewayRefund,
+  syncRefundStatuses
+};
@@ -0,0 +1,664 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Commission = require('../models/Commission');
+const Payout = require('../models/Payout');
+const PharmacySale = require('../models/PharmacySale');
+const Medicine = require('../models/Medicine');
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '..', 'uploads', 'reports');
+
+// Detail tables are capped so a year-long report stays a sensible file size
+const MAX_DETAIL_ROWS = 1000;
+
+const REPORT_NAMES = {
+  financial: 'Financial Report',
+  user: 'User Analytics',
+  appointment: 'Appointment Report',
+  pharmacy: 'Pharmacy Report'
+};
+
+const REPORT_DESCRIPTIONS = {
+  financial: 'Revenue, commissions, and payouts',
+  user: 'User growth, roles distribution, and activity metrics',
+  appointment: 'Appointment trends, completion rates, and professional mix',
+  pharmacy: 'Pharmacy sales, payment status, and top-selling medicines'
+};
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const FILE_EXTENSIONS = {
+  pdf: 'pdf',
+  excel: 'xlsx'
+};
+
+// ========== HELPERS ==========
+
+/**
+ * Period covered by a report, ending at endDate
+ * @param {string} timeRange - day | week | month | quarter | year
+ */
+function getReportPeriod(timeRange = 'month', endDate = new Date()) {
+  const end = new Date(endDate);
+  const start = new Date(end);
+
+  switch (timeRange) {
+    case 'day':
+      start.setDate(start.getDate() - 1);
+      break;
+    case 'week':
+      start.setDate(start.getDate() - 7);
+      break;
+    case 'quarter':
+      start.setMonth(start.getMonth() - 3);
+      break;
+    case 'year':
+      start.setFullYear(start.getFullYear() - 1);
+      break;
+    case 'month':
+    default:
+      start.setMonth(start.getMonth() - 1);
+  }
+
+  return { start, end };
+}
+
+const formatDate = (d) => (d ? new Date(d).toISOString().split('T')[0] : '');
+const formatAmount = (n) => Number(n || 0).toFixed(2);
+
+function toBreakdownRows(aggregation) {
+  return aggregation.map(row => ({
+    label: row._id || 'unknown',
+    count: row.count,
+    amount: row.amount !== undefined ? formatAmount(row.amount) : undefined
+  }));
+}
+
+const breakdownColumns = (labelHeader, withAmount = false) => [
+  { header: labelHeader, key: 'label', width: 24 },
+  { header: 'Count', key: 'count', width: 12 },
+  ...(withAmount ? [{ header: 'Amount', key: 'amount', width: 16 }] : [])
+];
+
+// ========== DATA COLLECTION ==========
+
+async function collectFinancialData({ start, end }, includeDetails) {
+  const invoiceMatch = { invoiceDate: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } };
+
+  const [invoiceTotals, invoicesByType, creditNoteTotals, commissionTotals, commissionsByStatus, payoutTotals] = await Promise.all([
+    Invoice.aggregate([
+      { $match: invoiceMatch },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          billed: { $sum: '$totalAmount' },
+          collected: { $sum: '$amountPaid' },
+          outstanding: { $sum: '$balanceDue' }
+        }
+      }
+    ]),
+    Invoice.aggregate([
+      { $match: invoiceMatch },
+      { $group: { _id: '$invoiceType', count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } },
+      { $sort: { amount: -1 } }
+    ]),
+    CreditNote.aggregate([
+      { $match: { creditNoteDate: { $gte: start, $lte: end } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } }
+    ]),
+    Commission.aggregate([
+      { $match: { createdAt: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: null,
+          platformCommission: { $sum: '$platformCommission' },
+          professionalEarning: { $sum: '$professionalEarning' }
+        }
+      }
+    ]),
+    Commission.aggregate([
+      { $match: { createdAt: { $gte: start, $lte: end } } },
+      { $group: { _id: '$payoutStatus', count: { $sum: 1 }, amount: { $sum: '$professionalEarning' } } }
+    ]),
+    Payout.aggregate([
+      { $match: { status: 'paid', paidAt: { $gte: start, $lte: end } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } }
+    ])
+  ]);
+
+  const totals = invoiceTotals[0] || {};
+  const credits = creditNoteTotals[0] || {};
+  const commissions = commissionTotals[0] || {};
+  const payouts = payoutTotals[0] || {};
+
+  const sections = [
+    { title: 'Invoices by Type', chart: true, columns: breakdownColumns('Invoice Type', true), rows: toBreakdownRows(invoicesByType) },
+    { title: 'Commissions by Payout Status', chart: true, columns: breakdownColumns('Payout Status', true), rows: toBreakdownRows(commissionsByStatus) }
+  ];
+
+  if (includeDetails) {
+    const invoices = await Invoice.find(invoiceMatch)
+      .sort({ invoiceDate: -1 })
+      .limit(MAX_DETAIL_ROWS)
+      .select('invoiceNumber invoiceDate invoiceType customerName totalAmount amountPaid status')
+      .lean();
+
+    sections.push({
+      title: 'Invoices',
+      columns: [
+        { header: 'Invoice #', key: 'invoiceNumber', width: 16 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Type', key: 'invoiceType', width: 12 },
+        { header: 'Customer', key: 'customerName', width: 24 },
+        { header: 'Total', key: 'totalAmount', width: 12 },
+        { header: 'Paid', key: 'amountPaid', width: 12 },
+        { header: 'Status', key: 'status', width: 10 }
+      ],
+      rows: invoices.map(inv => ({
+        invoiceNumber: inv.invoiceNumber,
+        date: formatDate(inv.invoiceDate),
+        invoiceType: inv.invoiceType,
+        customerName: inv.customerName,
+        totalAmount: formatAmount(inv.totalAmount),
+        amountPaid: formatAmount(inv.amountPaid),
+        status: inv.status
+      })),
+      truncated: invoices.length === MAX_DETAIL_ROWS
+    });
+  }
+
+  return {
+    summary: [
+      { label: 'Invoices issued', value: totals.count || 0 },
+      { label: 'Total billed', value: formatAmount(totals.billed) },
+      { label: 'Credit notes issued', value: credits.count || 0 },
+      { label: 'Total credited', value: formatAmount(credits.amount) },
+      { label: 'Net billed', value: formatAmount((totals.billed || 0) - (credits.amount || 0)) },
+      { label: 'Total collected', value: formatAmount(totals.collected) },
+      { label: 'Outstanding', value: formatAmount(totals.outstanding) },
+      { label: 'Platform commission', value: formatAmount(commissions.platformCommission) },
+      { label: 'Professional earnings', value: formatAmount(commissions.professionalEarning) },
+      { label: 'Payouts completed', value: payouts.count || 0 },
+      { label: 'Payout amount', value: formatAmount(payouts.amount) }
+    ],
+    sections
+  };
+}
+
+async function collectUserData({ start, end }, includeDetails) {
+  const createdInRange = { createdAt: { $gte: start, $lte: end } };
+
+  const [totalUsers, activeUsers, newUsers, newByRole, allByRole] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isActive: true }),
+    User.countDocuments(createdInRange),
+    User.aggregate([
+      { $match: createdInRange },
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  const sections = [
+    { title: 'New Users by Role', chart: true, columns: breakdownColumns('Role'), rows: toBreakdownRows(newByRole) },
+    { title: 'All Users by Role', columns: breakdownColumns('Role'), rows: toBreakdownRows(allByRole) }
+  ];
+
+  if (includeDetails) {
+    const users = await User.find(createdInRange)
+      .sort({ createdAt: -1 })
+      .limit(MAX_DETAIL_ROWS)
+      .select('name email role isActive createdAt')
+      .lean();
+
+    sections.push({
+      title: 'New Users',
+      columns: [
+        { header: 'Name', key: 'name', width: 24 },
+        { header: 'Email', key: 'email', width: 30 },
+        { header: 'Role', key: 'role', width: 12 },
+        { header: 'Active', key: 'isActive', width: 8 },
+        { header: 'Joined', key: 'createdAt', width: 12 }
+      ],
+      rows: users.map(u => ({
+        name: u.name,
+        email: u.email,
+        role: u.role,
+        isActive: u.isActive ? 'Yes' : 'No',
+        createdAt: formatDate(u.createdAt)
+      })),
+      truncated: users.length === MAX_DETAIL_ROWS
+    });
+  }
+
+  return {
+    summary: [
+      { label: 'Total users', value: totalUsers },
+      { label: 'Active users', value: activeUsers },
+      { label: 'New users in period', value: newUsers }
+    ],
+    sections
+  };
+}
+
+async function collectAppointmentData({ start, end }, includeDetails) {
+  const inRange = { appointmentDate: { $gte: start, $lte: end } };
+
+  const [total, byStatus, byProfessional, byType, revenue] = await Promise.all([
+    Appointment.countDocuments(inRange),
+    Appointment.aggregate([
+      { $match: inRange },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    Appointment.aggregate([
+      { $match: inRange },
+      { $group: { _id: '$professionalType', count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } },
+      { $sort: { count: -1 } }
+    ]),
+    Appointment.aggregate([
+      { $match: inRange },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    Appointment.aggregate([
+      { $match: { ...inRange, paymentStatus: 'paid' } },
+      { $group: { _id: null, amount: { $sum: '$totalAmount' }, commission: { $sum: '$platformCommission' } } }
+    ])
+  ]);
+
+  const countFor = (status) => byStatus.find(s => s._id === status)?.count || 0;
+  const completed = countFor('completed');
+  const cancelled = countFor('cancelled');
+
+  const sections = [
+    { title: 'Appointments by Status', chart: true, columns: breakdownColumns('Status'), rows: toBreakdownRows(byStatus) },
+    { title: 'Appointments by Professional Type', columns: breakdownColumns('Professional Type', true), rows: toBreakdownRows(byProfessional) },
+    { title: 'Appointments by Visit Type', columns: breakdownColumns('Visit Type'), rows: toBreakdownRows(byType) }
+  ];
+
+  if (includeDetails) {
+    const appointments = await Appointment.find(inRange)
+      .sort({ appointmentDate: -1 })
+      .limit(MAX_DETAIL_ROWS)
+      .populate('patientId', 'name')
+      .select('appointmentDate startTime professionalType type status paymentStatus totalAmount patientId')
+      .lean();
+
+    sections.push({
+      title: 'Appointments',
+      columns: [
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Time', key: 'startTime', width: 8 },
+        { header: 'Patient', key: 'patient', width: 22 },
+        { header: 'Professional', key: 'professionalType', width: 12 },
+        { header: 'Type', key: 'type', width: 8 },
+        { header: 'Status', key: 'status', width: 12 },
+        { header: 'Payment', key: 'paymentStatus', width: 10 },
+        { header: 'Amount', key: 'totalAmount', width: 10 }
+      ],
+      rows: appointments.map(a => ({
+        date: formatDate(a.appointmentDate),
+        startTime: a.startTime,
+        patient: a.patientId?.name || '',
+        professionalType: a.professionalType,
+        type: a.type,
+        status: a.status,
+        paymentStatus: a.paymentStatus,
+        totalAmount: formatAmount(a.totalAmount)
+      })),
+      truncated: appointments.length === MAX_DETAIL_ROWS
+    });
+  }
+
+  return {
+    summary: [
+      { label: 'Total appointments', value: total },
+      { label: 'Completed', value: completed },
+      { label: 'Cancelled', value: cancelled },
+      { label: 'Completion rate', value: total ? `${((completed / total) * 100).toFixed(1)}%` : '0%' },
+      { label: 'Paid revenue', value: formatAmount(revenue[0]?.amount) },
+      { label: 'Platform commission', value: formatAmount(revenue[0]?.commission) }
+    ],
+    sections
+  };
+}
+
+async function collectPharmacyData({ start, end }, includeDetails) {
+  const inRange = { saleDate: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } };
+
+  const [totals, byPaymentStatus, topMedicines, lowStock] = await Promise.all([
+    PharmacySale.aggregate([
+      { $match: inRange },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          amount: { $sum: '$totalAmount' },
+          paid: { $sum: '$paidAmount' },
+          tax: { $sum: '$tax' }
+        }
+      }
+    ]),
+    PharmacySale.aggregate([
+      { $match: inRange },
+      { $group: { _id: '$paymentStatus', count: { $sum: 1 }, amount: { $sum: '$totalAmount' } } },
+      { $sort: { amount: -1 } }
+    ]),
+    PharmacySale.aggregate([
+      { $match: inRange },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.medicineName',
+          count: { $sum: '$items.quantity' },
+          amount: { $sum: '$items.totalAmount' }
+        }
+      },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ]),
+    Medicine.countDocuments({
+      isActive: true,
+      $expr: { $lte: ['$quantity', { $ifNull: ['$reorderLevel', 10] }] }
+    })
+  ]);
+
+  const sale = totals[0] || {};
+
+  const sections = [
+    { title: 'Sales by Payment Status', chart: true, columns: breakdownColumns('Payment Status', true), rows: toBreakdownRows(byPaymentStatus) },
+    { title: 'Top Medicines by Quantity', chart: true, columns: breakdownColumns('Medicine', true), rows: toBreakdownRows(topMedicines) }
+  ];
+
+  if (includeDetails) {
+    const sales = await PharmacySale.find(inRange)
+      .sort({ saleDate: -1 })
+      .limit(MAX_DETAIL_ROWS)
+      .select('saleNumber saleDate customerName items totalAmount paymentStatus status')
+      .lean();
+
+    sections.push({
+      title: 'Sales',
+      columns: [
+        { header: 'Sale #', key: 'saleNumber', width: 14 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Customer', key: 'customerName', width: 24 },
+        { header: 'Items', key: 'items', width: 8 },
+        { header: 'Total', key: 'totalAmount', width: 12 },
+        { header: 'Payment', key: 'paymentStatus', width: 10 },
+        { header: 'Status', key: 'status', width: 10 }
+      ],
+      rows: sales.map(s => ({
+        saleNumber: s.saleNumber,
+        date: formatDate(s.saleDate),
+        customerName: s.customerName || 'Walk-in',
+        items: (s.items || []).length,
+        totalAmount: formatAmount(s.totalAmount),
+        paymentStatus: s.paymentStatus,
+        status: s.status
+      })),
+      truncated: sales.length === MAX_DETAIL_ROWS
+    });
+  }
+
+  return {
+    summary: [
+      { label: 'Sales', value: sale.count || 0 },
+      { label: 'Sales value', value: formatAmount(sale.amount) },
+      { label: 'Collected', value: formatAmount(sale.paid) },
+      { label: 'Tax', value: formatAmount(sale.tax) },
+      { label: 'Medicines at/below reorder level', value: lowStock }
+    ],
+    sections
+  };
+}
+
+const collectors = {
+  financial: collectFinancialData,
+  user: collectUserData,
+  appointment: collectAppointmentData,
+  pharmacy: collectPharmacyData
+};
+
+// ========== RENDERERS ==========
+
+function renderPdf(report, { includeCharts }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 40, size: 'A4', bufferPages: true });
+    const chunks = [];
+    let pageCount = 0;
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => {
+      resolve({ buffer: Buffer.concat(chunks), pageCount });
+    });
+
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const ensureSpace = (height) => {
+      if (doc.y + height > bottom()) doc.addPage();
+    };
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text(report.name, { align: 'center' });
+    doc.moveDown(0.3);
+    doc.fontSize(10).font('Helvetica')
+      .text(`Period: ${formatDate(report.periodStart)} to ${formatDate(report.periodEnd)}`, { align: 'center' })
+      .text(`Generated: ${new Date(report.generatedAt).toLocaleString()}`, { align: 'center' });
+    doc.moveDown();
+
+    // Summary
+    doc.fontSize(13).font('Helvetica-Bold').text('Summary', left);
+    doc.moveDown(0.3);
+    doc.fontSize(10);
+    report.summary.forEach(item => {
+      ensureSpace(14);
+      const y = doc.y;
+      doc.font('Helvetica').text(item.label, left, y, { width: usableWidth / 2 });
+      doc.font('Helvetica-Bold').text(String(item.value), left + usableWidth / 2, y, { width: usableWidth / 2, align: 'right' });
+    });
+    doc.moveDown();
+
+    report.sections.forEach(section => {
+      ensureSpace(50);
+      doc.fontSize(13).font('Helvetica-Bold').text(section.title, left);
+      doc.moveDown(0.3);
+
+      if (!section.rows.length) {
+        doc.fontSize(10).font('Helvetica-Oblique').text('No data for this period', left);
+        doc.moveDown();
+        return;
+      }
+
+      // Simple horizontal bar chart for breakdown sections
+      if (includeCharts && section.chart) {
+        const max = Math.max(...section.rows.map(r => Number(r.count) || 0), 1);
+        const labelWidth = 120;
+        const barMax = usableWidth - labelWidth - 50;
+        doc.fontSize(9).font('Helvetica');
+        section.rows.forEach(row => {
+          ensureSpace(16);
+          const y = doc.y;
+          const barWidth = Math.max(((Number(row.count) || 0) / max) * barMax, 1);
+          doc.fillColor('black').text(String(row.label), left, y, { width: labelWidth - 5, ellipsis: true, lineBreak: false });
+          doc.rect(left + labelWidth, y, barWidth, 10).fill('#4a7bd0');
+          doc.fillColor('black').text(String(row.count), left + labelWidth + barWidth + 5, y, { lineBreak: false });
+          doc.x = left;
+          doc.y = y + 14;
+        });
+        doc.moveDown(0.5);
+      }
+
+      // Table, columns scaled to the page width
+      const totalWidth = section.columns.reduce((sum, c) => sum + c.width, 0);
+      const widths = section.columns.map(c => (c.width / totalWidth) * usableWidth);
+      const drawRow = (values, font) => {
+        ensureSpace(14);
+        const y = doc.y;
+        let x = left;
+        doc.font(font).fontSize(8);
+        values.forEach((value, i) => {
+          doc.text(value === undefined || value === null ? '' : String(value), x, y, {
+            width: widths[i] - 4,
+            ellipsis: true,
+            lineBreak: false
+          });
+          x += widths[i];
+        });
+        doc.x = left;
+        doc.y = y + 12;
+      };
+
+      drawRow(section.columns.map(c => c.header), 'Helvetica-Bold');
+      section.rows.forEach(row => drawRow(section.columns.map(c => row[c.key]), 'Helvetica'));
+
+      if (section.truncated) {
+        doc.moveDown(0.3);
+        doc.fontSize(8).font('Helvetica-Oblique').text(`Showing the latest ${MAX_DETAIL_ROWS} rows only`, left);
+      }
+      doc.moveDown();
+    });
+
+    // Page numbers
+    const range = doc.bufferedPageRange();
+    pageCount = range.count;
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      const { bottom: marginBottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc.fontSize(8).font('Helvetica').fillColor('gray').text(
+        `Page ${i + 1} of ${pageCount}`,
+        left,
+        doc.page.height - marginBottom + 10,
+        { width: usableWidth, align: 'center', lineBreak: false }
+      );
+      doc.page.margins.bottom = marginBottom;
+    }
+
+    doc.end();
+  });
+}
+
+async function renderExcel(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'AADYAMED';
+  workbook.created = new Date(report.generatedAt);
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { header: 'Metric', key: 'label', width: 36 },
+    { header: 'Value', key: 'value', width: 20 }
+  ];
+  summarySheet.getRow(1).font = { bold: true };
+  summarySheet.addRow({ label: 'Report', value: report.name });
+  summarySheet.addRow({ label: 'Period start', value: formatDate(report.periodStart) });
+  summarySheet.addRow({ label: 'Period end', value: formatDate(report.periodEnd) });
+  summarySheet.addRow({});
+  report.summary.forEach(item => summarySheet.addRow(item));
+
+  report.sections.forEach(section => {
+    // Sheet names are limited to 31 characters
+    const sheet = workbook.addWorksheet(section.title.slice(0, 31));
+    sheet.columns = section.columns.map(c => ({ header: c.header, key: c.key, width: c.width }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(section.rows);
+    if (section.truncated) {
+      sheet.addRow({});
+      sheet.addRow({ [section.columns[0].key]: `Showing the latest ${MAX_DETAIL_ROWS} rows only` });
+    }
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return { buffer: Buffer.from(buffer), pageCount: null };
+}
+
+// ========== PUBLIC API ==========
+
+/**
+ * Build a report file in memory
+ * @param {object} params
+ * @param {string} params.type - financial | user | appointment | pharmacy
+ * @param {string} [params.timeRange] - day | week | month | quarter | year
+ * @param {string} [params.format] - pdf | excel
+ * @param {boolean} [params.includeDetails]
+ * @param {boolean} [params.includeCharts] - PDF only
+ * @param {Date} [params.endDate] - End of the covered period, default now
+ */
+async function buildReport({ type, timeRange = 'month', format = 'pdf', includeDetails = true, includeCharts = false, endDate = new Date() }) {
+  const collect = collectors[type];
+  if (!collect) {
+    throw new Error(`Unsupported report type: ${type}`);
+  }
+  if (!MIME_TYPES[format]) {
+    throw new Error(`Unsupported report format: ${format}`);
+  }
+
+  const period = getReportPeriod(timeRange, endDate);
+  const data = await collect(period, includeDetails);
+
+  const report = {
+    name: REPORT_NAMES[type],
+    periodStart: period.start,
+    periodEnd: period.end,
+    generatedAt: new Date(),
+    ...data
+  };
+
+  const rendered = format === 'pdf'
+    ? await renderPdf(report, { includeCharts })
+    : await renderExcel(report);
+
+  const stamp = report.generatedAt.toISOString().replace(/[:.]/g, '-');
+  return {
+    name: report.name,
+    description: REPORT_DESCRIPTIONS[type],
+    periodStart: period.start,
+    periodEnd: period.end,
+    summary: report.summary,
+    buffer: rendered.buffer,
+    pageCount: rendered.pageCount,
+    mimeType: MIME_TYPES[format],
+    fileName: `${type}-report-${stamp}.${FILE_EXTENSIONS[format]}`
+  };
+}
+
+async function saveReportFile(fileName, buffer) {
+  await fs.promises.mkdir(REPORTS_DIR, { recursive: true });
+  const filePath = path.join(REPORTS_DIR, fileName);
+  await fs.promises.writeFile(filePath, buffer);
+  return filePath;
+}
+
+async function removeReportFile(filePath) {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  REPORTS_DIR,
+  REPORT_NAMES,
+  getReportPeriod,
+  buildReport,
+  saveReportFile,
+  removeReportFile
+};
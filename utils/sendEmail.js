@@ -1,7 +1,8 @@
 // sendEmail.js placeholder
 const nodemailer = require('nodemailer');
 
-const sendEmail = async ({ to, subject, text }) => {
+// attachments follow nodemailer's format: [{ filename, path | content, contentType }]
+const sendEmail = async ({ to, subject, text, html, attachments }) => {
   const transporter = nodemailer.createTransport({
     service: 'Gmail',
     auth: {
@@ -14,7 +15,9 @@ const sendEmail = async ({ to, subject, text }) => {
     from: `"HMS" <${process.env.EMAIL_USER}>`,
     to,
     subject,
-    text
+    text,
+    html,
+    attachments
   });
 };
 
@@ -0,0 +1,148 @@
+const Session = require('../models/Session');
+const { disconnectUserSockets } = require('../sockets/io');
+const { generateToken, generateRefreshToken, hashToken } = require('./generateToken');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Rough "Browser on OS" label from the user agent, for the session list
+function describeDevice(userAgent = '') {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['Mobile app', /okhttp|Dart|Expo|ReactNative/i]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+}
+
+/**
+ * Start a session for a user and issue its first token pair.
+ * `device` is an optional client-supplied name ("Pixel 7", "Front desk PC").
+ */
+async function createSession(user, { ip, userAgent, device } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: device || describeDevice(userAgent),
+    ip,
+    userAgent,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    session,
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+}
+
+// Revoking never fails because a live socket could not be dropped
+const disconnectSessionSockets = (userId, options) => disconnectUserSockets(userId, options)
+  .catch(error => console.error('Socket disconnect on session revoke failed:', error));
+
+/**
+ * Revoke one session and drop the sockets opened with it
+ */
+async function revokeSession(session, reason) {
+  await session.revoke(reason);
+  await disconnectSessionSockets(session.userId, { sessionId: session._id });
+  return session;
+}
+
+/**
+ * Revoke every live session of a user, optionally keeping one (the caller's
+ * own), and drop their sockets
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeAllSessions(userId, reason, exceptSessionId = null) {
+  const revoked = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  await disconnectSessionSockets(userId, { exceptSessionId });
+  return revoked;
+}
+
+/**
+ * Exchange a refresh token for a new token pair. The presented token is
+ * retired; presenting it again revokes the whole session, since only a
+ * copy held by someone else could still be using it.
+ * The swap is a single conditional update, so of two refreshes with the
+ * same token only one wins and the other counts as reuse.
+ */
+async function rotateSession(refreshToken, { ip, userAgent } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const update = {
+    previousTokenHash: tokenHash,
+    refreshTokenHash: hashToken(nextRefreshToken),
+    lastUsedAt: now,
+    expiresAt: refreshExpiry()
+  };
+  if (ip) update.ip = ip;
+  if (userAgent) update.userAgent = userAgent;
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!session) {
+    const replayed = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+    if (replayed) {
+      await revokeSession(replayed, 'token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected, session ${replayed._id} revoked`);
+    }
+    return null;
+  }
+
+  return {
+    session,
+    token: generateToken(session.userId, session._id),
+    refreshToken: nextRefreshToken
+  };
+}
+
+// Public view of a session; never exposes token hashes
+function serializeSession(session, currentSessionId = null) {
+  return {
+    id: session._id,
+    device: session.device,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessionSockets,
+  serializeSession,
+  describeDevice
+};
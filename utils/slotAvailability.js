@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const Calendar = require('../models/Calendar');
+const SlotLock = require('../models/SlotLock');
+const DoctorProfile = require('../models/DoctorProfile');
+const PhysiotherapistProfile = require('../models/PhysiotherapistProfile');
+const PathologyProfile = require('../models/PathologyProfile');
+
+// Appointment statuses that occupy a professional's time
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'accepted', 'in_progress'];
+
+// Bounds for one booking; longer than any consultation or session we offer
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 240;
+
+const LOCK_TTL_MS = 15 * 1000;
+const LOCK_RETRY_MS = 100;
+const LOCK_MAX_WAIT_MS = 5 * 1000;
+
+// ========== TIME HELPERS ==========
+
+function timeToMinutes(timeStr) {
+  if (!timeStr || !timeStr.includes(':')) return 0;
+  const [hours, minutes] = timeStr.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+function calculateEndTime(startTime, durationMin) {
+  return minutesToTime(timeToMinutes(startTime) + durationMin);
+}
+
+/**
+ * Check a requested booking length in minutes
+ * @returns {string|null} error message, or null when it is fine
+ */
+function getDurationError(duration) {
+  if (!Number.isInteger(duration) || duration < MIN_DURATION_MINUTES) {
+    return `Duration must be at least ${MIN_DURATION_MINUTES} minutes`;
+  }
+  if (duration > MAX_DURATION_MINUTES) {
+    return `Duration cannot be more than ${MAX_DURATION_MINUTES} minutes`;
+  }
+  return null;
+}
+
+// Half-open intervals [aStart, aEnd) and [bStart, bEnd)
+function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && aEnd > bStart;
+}
+
+// Convert HH:MM pair into a minute range; windows ending at/before start run past midnight
+function toRange(startTime, endTime) {
+  const start = timeToMinutes(startTime);
+  let end = timeToMinutes(endTime);
+  if (end <= start) end += 24 * 60;
+  return { start, end };
+}
+
+/**
+ * Minute range actually occupied by an appointment
+ * Older appointments only have startTime + duration, so endTime is derived when missing
+ */
+function getAppointmentRange(appointment) {
+  const endTime = appointment.endTime || calculateEndTime(appointment.startTime, appointment.duration || 30);
+  return toRange(appointment.startTime, endTime);
+}
+
+function dateKeyLocal(d) {
+  const dt = new Date(d);
+  const y = dt.getFullYear();
+  const m = String(dt.getMonth() + 1).padStart(2, '0');
+  const day = String(dt.getDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+function getProfessionalField(professionalType) {
+  return professionalType === 'doctor' ? 'doctorId' :
+    professionalType === 'physio' ? 'physioId' :
+    'pathologyId';
+}
+
+function getProfessionalModel(professionalType) {
+  return professionalType === 'doctor' ? DoctorProfile :
+    professionalType === 'physio' ? PhysiotherapistProfile :
+    PathologyProfile;
+}
+
+// ========== SCHEDULE SOURCES ==========
+
+/**
+ * Working windows for a day, each with a patient capacity
+ * - Calendar workingHours win (professional may have overridden the day)
+ * - otherwise the weekly availability template on the profile
+ * - pathology labs fall back to operatingHours
+ */
+function resolveWorkingWindows(professional, calendarEntry, date) {
+  const dayName = new Date(date).toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
+  const templateSlots = professional?.availability?.find(a => a.day === dayName)?.slots || [];
+
+  const capacityFor = (startTime, endTime) => {
+    const match = templateSlots.find(s => s.startTime === startTime && s.endTime === endTime);
+    return match?.maxPatients || 1;
+  };
+
+  if (calendarEntry?.workingHours?.length) {
+    return calendarEntry.workingHours
+      .filter(wh => wh.startTime && wh.endTime)
+      .map(wh => ({ ...toRange(wh.startTime, wh.endTime), maxPatients: capacityFor(wh.startTime, wh.endTime) }));
+  }
+
+  if (templateSlots.length) {
+    return templateSlots.map(s => ({ ...toRange(s.startTime, s.endTime), maxPatients: s.maxPatients || 1 }));
+  }
+
+  const hours = professional?.operatingHours;
+  if (hours) {
+    const isWeekend = ['saturday', 'sunday'].includes(dayName);
+    const window = isWeekend ? hours.weekends : hours.weekdays;
+    if (window?.open && window?.close) {
+      return [{ ...toRange(window.open, window.close), maxPatients: 1 }];
+    }
+  }
+
+  return [];
+}
+
+async function findCalendarEntry(professionalId, professionalType, date) {
+  const target = new Date(date);
+  const calendar = await Calendar.findOne({ year: target.getFullYear(), month: target.getMonth() + 1 });
+  if (!calendar) return null;
+
+  const targetKey = dateKeyLocal(target);
+  const day = (calendar.days || []).find(d => dateKeyLocal(d.date) === targetKey);
+  if (!day) return null;
+
+  const entry = (day.professionals || []).find(p =>
+    String(p.professionalId) === String(professionalId) &&
+    p.professionalType === professionalType
+  );
+
+  return entry ? { day, entry } : { day, entry: null };
+}
+
+// ========== AVAILABILITY CHECK ==========
+
+/**
+ * Check whether an interval can be booked for a professional
+ * @param {object} params
+ * @param {string} params.professionalId - Profile ID of the professional
+ * @param {string} params.professionalType - doctor | physio | pathology
+ * @param {Date|string} params.date - Appointment date
+ * @param {string} params.startTime - HH:MM
+ * @param {string} [params.endTime] - HH:MM (derived from duration when missing)
+ * @param {number} [params.duration] - Minutes, default 30
+ * @param {string|string[]} [params.excludeAppointmentId] - Appointment(s) being moved/booked themselves
+ * @returns {Promise<{available: boolean, reason?: string, conflicts?: Array}>}
+ */
+async function checkSlotAvailability({
+  professionalId,
+  professionalType,
+  date,
+  startTime,
+  endTime,
+  duration = 30,
+  excludeAppointmentId
+}) {
+  const requestedEnd = endTime || calculateEndTime(startTime, duration);
+  const requested = toRange(startTime, requestedEnd);
+
+  const professional = await getProfessionalModel(professionalType).findById(professionalId);
+  if (!professional) {
+    return { available: false, reason: 'Professional not found' };
+  }
+
+  const calendarDay = await findCalendarEntry(professionalId, professionalType, date);
+  const calendarEntry = calendarDay?.entry;
+
+  if (calendarDay?.day?.isHoliday) {
+    return { available: false, reason: 'Selected date is a holiday' };
+  }
+
+  if (calendarEntry && calendarEntry.isAvailable === false) {
+    return { available: false, reason: 'Professional is not available on this date' };
+  }
+
+  // Must sit entirely inside one working window (when any are configured)
+  const windows = resolveWorkingWindows(professional, calendarEntry, date);
+  let capacity = 1;
+  if (windows.length) {
+    const window = windows.find(w => requested.start >= w.start && requested.end <= w.end);
+    if (!window) {
+      return { available: false, reason: 'Selected time is outside working hours' };
+    }
+    capacity = window.maxPatients;
+  }
+
+  const onBreak = (calendarEntry?.breaks || []).some(br => {
+    if (!br.startTime || !br.endTime) return false;
+    const b = toRange(br.startTime, br.endTime);
+    return rangesOverlap(requested.start, requested.end, b.start, b.end);
+  });
+  if (onBreak) {
+    return { available: false, reason: 'Selected time overlaps a break' };
+  }
+
+  // Appointments are the source of truth for bookings
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(date);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  const filter = {
+    [getProfessionalField(professionalType)]: professionalId,
+    appointmentDate: { $gte: dayStart, $lte: dayEnd },
+    status: { $in: ACTIVE_STATUSES }
+  };
+  if (Array.isArray(excludeAppointmentId)) {
+    filter._id = { $nin: excludeAppointmentId };
+  } else if (excludeAppointmentId) {
+    filter._id = { $ne: excludeAppointmentId };
+  }
+
+  const appointments = await Appointment.find(filter).select('startTime endTime duration status');
+
+  const conflicts = appointments.filter(a => {
+    const r = getAppointmentRange(a);
+    return rangesOverlap(requested.start, requested.end, r.start, r.end);
+  });
+
+  if (conflicts.length >= capacity) {
+    return {
+      available: false,
+      reason: 'Selected time slot overlaps an existing appointment',
+      conflicts: conflicts.map(a => ({ appointmentId: a._id, startTime: a.startTime, endTime: a.endTime }))
+    };
+  }
+
+  return { available: true };
+}
+
+// ========== BOOKING LOCK ==========
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn while holding the booking lock for a professional's day
+ * Concurrent bookings for the same professional/day are serialized; others run in parallel
+ */
+async function withSlotLock({ professionalId, professionalType, date }, fn) {
+  const key = `${professionalType}:${professionalId}:${dateKeyLocal(date)}`;
+  const token = crypto.randomBytes(12).toString('hex');
+  const waitUntil = Date.now() + LOCK_MAX_WAIT_MS;
+
+  for (;;) {
+    try {
+      // Clear a lock left behind by a crashed request before the TTL monitor gets to it
+      await SlotLock.deleteOne({ key, expiresAt: { $lt: new Date() } });
+      await SlotLock.create({ key, token, expiresAt: new Date(Date.now() + LOCK_TTL_MS) });
+      break;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (Date.now() > waitUntil) {
+        const busy = new Error('Another booking for this professional is in progress. Please try again.');
+        busy.statusCode = 409;
+        throw busy;
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await SlotLock.deleteOne({ key, token }).catch(err =>
+      console.error('Error releasing slot lock:', err.message)
+    );
+  }
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  timeToMinutes,
+  minutesToTime,
+  calculateEndTime,
+  MAX_DURATION_MINUTES,
+  getDurationError,
+  rangesOverlap,
+  getAppointmentRange,
+  checkSlotAvailability,
+  withSlotLock
+};
@@ -0,0 +1,92 @@
+/**
+ * SMS client used for OTPs and notifications
+ * Every client exposes the same shape:
+ *   send(phone, body) -> { id }
+ * `phone` is the 10-digit number stored on User/PatientProfile; the
+ * country code is added here.
+ */
+
+const COUNTRY_CODE = process.env.SMS_COUNTRY_CODE || '+91';
+
+const toE164 = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length === 10 ? `${COUNTRY_CODE}${digits}` : `+${digits}`;
+};
+
+function createTwilioProvider({ accountSid, authToken, from }) {
+  const twilio = require('twilio')(accountSid, authToken);
+
+  return {
+    name: 'twilio',
+    send: async (phone, body) => {
+      const message = await twilio.messages.create({ to: toE164(phone), from, body });
+      return { id: message.sid };
+    }
+  };
+}
+
+/**
+ * Console provider for local development and tests
+ * Messages are kept in `sent` so tests can read the OTP back. The body is only
+ * logged outside production, since it carries login codes.
+ */
+function createConsoleProvider() {
+  const sent = [];
+
+  return {
+    name: 'console',
+    sent,
+    reset() {
+      sent.length = 0;
+    },
+    send: async (phone, body) => {
+      const message = { id: `sms_console_${Date.now()}${sent.length}`, to: toE164(phone), body };
+      sent.push(message);
+      if (process.env.NODE_ENV === 'production') {
+        console.log(`📱 SMS to ${message.to} not delivered (console provider)`);
+      } else {
+        console.log(`📱 SMS to ${message.to}: ${body}`);
+      }
+      return { id: message.id };
+    }
+  };
+}
+
+let provider = null;
+
+/**
+ * Active SMS client
+ * SMS_PROVIDER=console selects the console stub; so do missing Twilio
+ * credentials outside production. In production they throw instead, so OTPs
+ * are never silently swallowed.
+ */
+function getSmsProvider() {
+  if (provider) return provider;
+
+  const accountSid = process.env.TWILIO_ACCOUNT_SID?.trim();
+  const authToken = process.env.TWILIO_AUTH_TOKEN?.trim();
+  const from = process.env.TWILIO_FROM_NUMBER?.trim();
+  const configured = accountSid && authToken && from;
+
+  if (process.env.SMS_PROVIDER === 'console' || (!configured && process.env.NODE_ENV !== 'production')) {
+    provider = createConsoleProvider();
+  } else if (!configured) {
+    throw new Error('SMS is not configured: set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER (or SMS_PROVIDER=console)');
+  } else {
+    provider = createTwilioProvider({ accountSid, authToken, from });
+  }
+  return provider;
+}
+
+// Swap the active client (e.g. a stub in tests)
+function setSmsProvider(client) {
+  provider = client;
+}
+
+module.exports = {
+  toE164,
+  createTwilioProvider,
+  createConsoleProvider,
+  getSmsProvider,
+  setSmsProvider
+};
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const SecuritySettings = require('../models/SecuritySettings');
+const { hashToken } = require('./generateToken');
+
+// RFC 6238 defaults, which is what authenticator apps assume
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, to allow for clock drift
+const DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+
+// Roles paid out through commissions
+const PAYOUT_ROLES = ['doctor', 'physio', 'pathology'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 encoded for authenticator apps
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) value for one time step
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a TOTP code. Returns the matched time step, or null.
+ * Steps at or before `lastUsedStep` are refused so a code cannot be replayed.
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Enrollment payload: secret for manual entry plus a scannable QR
+async function buildEnrollment(user, secret) {
+  const settings = await SecuritySettings.getSettings();
+  const otpauthUrl = buildOtpauthUrl(secret, user.email, settings.twoFactor.issuer);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * One-time recovery codes (xxxx-xxxx). The plain codes are shown to the user
+ * once; only their hashes are stored.
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashBackupCode)
+  };
+}
+
+function hashBackupCode(code) {
+  return hashToken(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''));
+}
+
+/**
+ * Verify a second factor for a user loaded with `+twoFactor.secret +twoFactor.backupCodes`.
+ * Accepts a TOTP code or a backup code; records what was used but does not save.
+ * Returns 'totp', 'backup_code' or null.
+ */
+function verifySecondFactor(user, { code, backupCode }) {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyCode(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step === null) return null;
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const index = (twoFactor.backupCodes || []).indexOf(hash);
+    if (index === -1) return null;
+    twoFactor.backupCodes.splice(index, 1);
+    return 'backup_code';
+  }
+
+  return null;
+}
+
+// Whether the security policy makes 2FA mandatory for this user in this area
+async function isTwoFactorRequired(user, scope) {
+  const settings = await SecuritySettings.getSettings();
+
+  if (scope === 'admin') {
+    return ['admin', 'staff'].includes(user.role) && settings.twoFactor.requiredForAdmins;
+  }
+  if (scope === 'payouts') {
+    return PAYOUT_ROLES.includes(user.role) && settings.twoFactor.requiredForPayouts;
+  }
+  return false;
+}
+
+async function isTwoFactorSatisfied(user, scope) {
+  if (user.twoFactor?.enabled) return true;
+  return !(await isTwoFactorRequired(user, scope));
+}
+
+module.exports = {
+  PAYOUT_ROLES,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildEnrollment,
+  generateBackupCodes,
+  verifySecondFactor,
+  isTwoFactorRequired,
+  isTwoFactorSatisfied
+};